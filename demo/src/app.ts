@@ -1,5 +1,7 @@
 import { qdlDevice } from "@commaai/qdl";
+import { FakeEdlDevice, createFakeLoader } from "@commaai/qdl/fake-device";
 import { usbClass } from "@commaai/qdl/usblib";
+import { ZipArchive } from "@commaai/qdl/zip";
 
 
 type GPT = Awaited<ReturnType<typeof qdlDevice.prototype.getGpt>>;
@@ -18,6 +20,7 @@ declare global {
     qdl?: qdlDevice;
     connectDevice: () => Promise<void>
     erasePartition: () => Promise<void>
+    flashZip: () => Promise<void>
   }
 }
 
@@ -49,10 +52,11 @@ window.connectDevice = async () => {
   const storageDiv = document.getElementById("storage");
   const partitionsDiv = document.getElementById("partitions");
   const eraseControls = document.querySelector(".erase-controls") as HTMLElement;
+  const flashControls = document.querySelector(".flash-controls") as HTMLElement;
   const partitionSelect = document.getElementById("partition-select") as HTMLSelectElement;
 
   if (!programmerSelect || !status || !deviceDiv || !storageDiv || !partitionsDiv ||
-    !eraseControls || !partitionSelect) throw "missing elements";
+    !eraseControls || !flashControls || !partitionSelect) throw "missing elements";
 
   try {
     if (!programmerSelect.value) {
@@ -62,12 +66,13 @@ window.connectDevice = async () => {
     status.className = "";
     status.textContent = "Connecting...";
 
-    if (!("usb" in navigator)) {
+    const simulated = programmerSelect.value === "fake";
+    if (!simulated && !("usb" in navigator)) {
       throw new Error("Browser missing WebUSB support");
     }
 
     // Fetch programmer
-    const programmer = await fetch(programmerSelect.value)
+    const programmer = simulated ? createFakeLoader() : await fetch(programmerSelect.value)
       .then((response) => response.blob())
       .then((blob) => blob.arrayBuffer());
 
@@ -76,7 +81,7 @@ window.connectDevice = async () => {
     window.qdl = qdl;
 
     // Start the connection
-    await qdl.connect(new usbClass());
+    await qdl.connect(simulated ? new FakeEdlDevice() : new usbClass());
     status.className = "success";
     status.textContent = "Connected! Reading device info...";
 
@@ -229,8 +234,9 @@ window.connectDevice = async () => {
       partitionSelect.appendChild(option);
     }
 
-    // Show erase controls
+    // Show erase and flash controls
     eraseControls.style.display = "block";
+    flashControls.style.display = "block";
 
     status.textContent = "Successfully read device information!";
   } catch (error) {
@@ -273,3 +279,49 @@ window.erasePartition = async () => {
     status.textContent = `Error while erasing: ${error instanceof Error ? error.message : error}`;
   }
 };
+
+window.flashZip = async () => {
+  const qdl = window.qdl;
+  const zipInput = document.getElementById("zip-input") as HTMLInputElement;
+  const inactiveSlot = document.getElementById("zip-inactive-slot") as HTMLInputElement;
+  const status = document.getElementById("status");
+
+  if (!zipInput || !inactiveSlot || !status) throw "missing elements";
+  if (!qdl) throw "device not connected";
+
+  const file = zipInput.files?.[0];
+  if (!file) {
+    status.className = "error";
+    status.textContent = "Error: Please select a zip file to flash";
+    return;
+  }
+
+  try {
+    status.className = "";
+    status.textContent = `Reading ${file.name}...`;
+
+    const startTime = performance.now();
+
+    const archive = await ZipArchive.open(file);
+    let total = 0;
+    const result = await qdl.flashZip(archive, {
+      inactiveSlot: inactiveSlot.checked,
+      onPlan: (plan) => {
+        total = plan.reduce((sum, { entry }) => sum + entry.uncompressedSize, 0);
+      },
+      onProgress: (bytes) => {
+        status.textContent = `Flashing ${file.name}... ${total ? Math.floor(bytes / total * 100) : 0}%`;
+      },
+    });
+    if (!result) throw new Error(`Failed to flash ${file.name}`);
+
+    const elapsedTime = ((performance.now() - startTime) / 1000).toFixed(2);
+
+    status.className = "success";
+    status.textContent = `Successfully flashed ${file.name} (took ${elapsedTime} seconds)`;
+  } catch (error) {
+    console.error("Flash error:", error);
+    status.className = "error";
+    status.textContent = `Error while flashing: ${error instanceof Error ? error.message : error}`;
+  }
+};
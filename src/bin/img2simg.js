@@ -0,0 +1,33 @@
+#!/usr/bin/env bun
+import * as Sparse from "../sparse";
+
+/**
+ * @param {string} inputPath
+ * @param {string} outputPath
+ * @param {object} [options]
+ * @param {number} [options.blockSize]
+ * @param {boolean} [options.crc32=false]
+ */
+export async function img2simg(inputPath, outputPath, { blockSize = Sparse.DEFAULT_BLOCK_SIZE, crc32 = false } = {}) {
+  const sparse = await Sparse.fromRaw(Bun.file(inputPath), blockSize);
+
+  const writer = Bun.file(outputPath).writer({ highWaterMark: 4 * 1024 * 1024 });
+  for await (const data of Sparse.write(sparse, { crc32 })) {
+    writer.write(data);
+  }
+  await writer.end();
+}
+
+if (import.meta.main) {
+  const args = Bun.argv.slice(2).filter((arg) => arg !== "--crc");
+  if (args.length < 2) {
+    throw "Usage: img2simg.js [--crc] <input_path> <output_path> [block_size]";
+  }
+  const startTime = performance.now();
+  await img2simg(args[0], args[1], {
+    blockSize: args[2] ? Number(args[2]) : undefined,
+    crc32: Bun.argv.includes("--crc"),
+  });
+  const endTime = performance.now();
+  console.info(`Done in ${((endTime - startTime) / 1000).toFixed(3)}s`);
+}
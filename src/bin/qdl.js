@@ -1,12 +1,39 @@
 #!/usr/bin/env bun
+import { mkdir, readdir, writeFile } from "node:fs/promises";
+import { join } from "node:path";
 import arg from "arg";
 
-import { createProgress, createQdl } from "../cli";
+import { createProgress, createQdl, loadProgrammer, loadProgrammerDirectory } from "../cli";
+import { decompress, detectCompression, uncompressedSize } from "../compression";
+import { DevicePool, summarizePoolResults } from "../device-pool";
+import { MAX_TRIES_REMAINING } from "../gpt";
+import { MergeStatus } from "../misc";
+import { NodeUsbTransport } from "../node-usb";
+import { ramdump } from "../ramdump";
+import { Payload } from "../payload";
+import { parsePatchXml, parseProgramXml, sortByIndex } from "../rawprogram";
+import * as Sparse from "../sparse";
+import { toHex } from "../utils";
+import { DescriptorTag, parseVbmeta, setVbmetaFlags, VbmetaFlag } from "../vbmeta";
+import { ZipArchive } from "../zip";
 
 const args = arg({
   "--help": Boolean,
   "-h": "--help",
   "--programmer": String,
+  "--programmer-dir": String,
+  "--verify": Boolean,
+  "--force": Boolean,
+  "--resparse": Boolean,
+  "--disable-verity": Boolean,
+  "--disable-verification": Boolean,
+  "--inactive-slot": Boolean,
+  "--slot": String,
+  "--prefer": String,
+  "--dry-run": Boolean,
+  "--all": Boolean,
+  "--device": [String],
+  "--wait": Number,
   "--log-level": String,
   "-l": "--log-level",
 });
@@ -19,14 +46,56 @@ Commands:
   reset                                Reboot the device
   getactiveslot                        Get the active slot
   setactiveslot <slot>                 Set the active slot (a or b)
+  slotinfo                             Print the A/B flags of every slotted partition
+  setslotflags <slot> <flag>...        Change the A/B flags of every partition in a slot, with flags successful,
+                                       unbootable and tries=<0-7>
   getstorageinfo                       Print UFS information
   printgpt                             Print GPT luns and partitions
+  printsuper [slot]                    Print the logical partitions in super and their extents, in 512-byte
+                                       sectors, for the active slot by default
   repairgpt <lun> <image>              Repair GPT by flashing primary table and creating backup table
-  erase <partition>                    Erase a partition
-  flash <partition> <image>            Flash an image to a partition
+  fixgpt [lun]                         Rebuild a damaged primary or backup GPT from the healthy copy, on every
+                                       LUN by default
+  erase <partition>                    Erase a partition, or a base name such as boot with --slot
+  flash <partition> <image>            Flash an image to a partition, decompressing .xz, .gz and .zst images, or an
+                                       uncompressed image to a logical partition in super such as system_a
+  flashzip <archive.zip>               Flash every <partition>.img in a zip archive, to the active slot by default
+  flashpayload <payload>               Apply a full OTA payload.bin, or the one in an OTA zip, to the active slot
+                                       by default, then make that slot active
+  extractpayload <payload> <dir>       Write the images in a full OTA payload.bin, or the one in an OTA zip, to
+                                       <partition>.img files, without a device
+  misc get                             Print the bootloader control block in misc and the virtual A/B merge status
+  misc set <command> [-- <arg>...]     Set the bootloader command for the next boot, with recovery arguments such
+                                       as misc set boot-recovery -- --wipe_data
+  misc clear                           Clear the bootloader command
+  inspectvbmeta <image>                Print the header and descriptors of a vbmeta image, without a device
+  read <partition> <image>             Read a partition to an image file, or a base name with --slot
+  rawprogram <dir>                     Flash rawprogram*.xml entries from a directory, then apply patch*.xml
+  backup <dir> [partition...]          Save every LUN's GPTs and every partition, or those named such as modemst*,
+                                       to <dir> with a manifest.json of their SHA-256 hashes
+  restore <dir>                        Write a backup's GPTs, then its partitions, after checking their hashes
+  ramdump <dir>                        Save the memory of a device that crashed into memory debug mode, with a
+                                       manifest.json listing the regions, then reset it
 
 Flags:
-  --programmer <url>                   Use a different loader [default is comma 3/3X]
+  --programmer <url|path>              Use a different loader [default is comma 3/3X]
+  --programmer-dir <dir>               Pick the loader matching the device's HWID and PK hash from a directory,
+                                       with files named <hwid>_<pkhash>_*, e.g. 0008b0e10051009f_1bebe3863a6781db_fhprg.bin
+  --verify                             Verify images after flashing
+  --force                              Flash images that look like the wrong type for the partition, such as a
+                                       filesystem image to boot
+  --resparse                           Flash raw images of 32 MiB or more as sparse images, erasing their empty
+                                       blocks instead of sending them
+  --disable-verity                     Flash a vbmeta image with dm-verity disabled, for an unlocked bootloader
+  --disable-verification               Flash a vbmeta image with verification disabled, for an unlocked bootloader
+  --inactive-slot                      Make flashzip and flashpayload flash slotted partitions in the inactive slot
+  --slot <slot>                        Take <partition> as a base name and flash, erase or read it in the active,
+                                       inactive, a or b slot, or flash or erase it in all slots
+  --prefer <primary|backup>            GPT copy fixgpt keeps when both are intact but differ [default is primary]
+  --dry-run                            Report the sectors fixgpt would write without writing them
+  --device <path>                      Use the device at a USB path such as 1-2.3, repeat to use several at once
+  --all                                Run the command on every attached device at once
+  --wait <seconds>                     Wait for the device to be attached
   --log-level, -l <level>              Set log level (silent, error, warn, info, debug) [default is info]
   -h, --help                           Display this menu and exit`;
 
@@ -40,72 +109,398 @@ if (args["--log-level"]) {
   process.env.QDL_LOG_LEVEL = args["--log-level"].toLowerCase();
 }
 
-const qdl = await createQdl(args["--programmer"]);
-
 const [command, ...commandArgs] = args._;
-if (command === "reset") {
-  await qdl.reset();
-} else if (command === "getactiveslot") {
-  const activeSlot = await qdl.getActiveSlot();
-  console.info(activeSlot);
-} else if (command === "setactiveslot") {
-  if (commandArgs.length !== 1) {
-    console.error("Expected slot name (a or b)");
-    process.exit(1);
+
+/**
+ * @param {string} path - A payload.bin, or an OTA package containing one
+ * @returns {Promise<Payload>}
+ */
+async function openPayload(path) {
+  const file = Bun.file(path);
+  if (await file.slice(0, 4).text() !== "PK\x03\x04") return await Payload.open(file);
+  const archive = await ZipArchive.open(file);
+  const entry = archive.get("payload.bin");
+  if (!entry) throw `No payload.bin in ${path}`;
+  return await Payload.open(await archive.blob(entry));
+}
+
+/**
+ * @param {string} partitionName
+ * @param {Blob} image
+ * @returns {Promise<Blob>} The image, decompressed if need be, with the flags asked for by
+ *   --disable-verity and --disable-verification set
+ */
+async function vbmetaImage(partitionName, image) {
+  const flags = (args["--disable-verity"] ? VbmetaFlag.HashtreeDisabled : 0)
+    | (args["--disable-verification"] ? VbmetaFlag.VerificationDisabled : 0);
+  if (!flags) return image;
+  if (!partitionName.startsWith("vbmeta")) throw "--disable-verity and --disable-verification only apply to vbmeta partitions";
+  const compression = await detectCompression(image);
+  const data = compression ? await new Response(await decompress(image, compression)).arrayBuffer() : await image.arrayBuffer();
+  return new Blob([setVbmetaFlags(new Uint8Array(data), flags)]);
+}
+
+/**
+ * Check the arguments of a command that runs on a device, so that mistakes are reported before
+ * connecting to any device rather than by each of them.
+ *
+ * @throws {string} how to use the command, if its arguments are wrong
+ */
+function checkCommandArgs() {
+  const isSlot = (slot) => slot === "a" || slot === "b";
+  const isLun = (lun) => !Number.isNaN(Number.parseInt(lun, 10));
+  const [first, second] = commandArgs;
+  const count = commandArgs.length;
+  if (command === "setactiveslot") {
+    if (count !== 1 || !isSlot(first)) throw "Usage: qdl.js setactiveslot <a|b>";
+  } else if (command === "setslotflags") {
+    if (!isSlot(first) || count < 2) throw "Usage: qdl.js setslotflags <a|b> <successful|unbootable|tries=<n>>...";
+    for (const flag of commandArgs.slice(1)) {
+      if (flag === "successful" || flag === "unbootable") continue;
+      if (!flag.startsWith("tries=")) throw `Unknown slot flag ${flag}, expected successful, unbootable or tries=<n>`;
+      const tries = Number.parseInt(flag.slice("tries=".length), 10);
+      if (Number.isNaN(tries)) throw `Expected a number of tries in ${flag}`;
+      if (tries < 0 || tries > MAX_TRIES_REMAINING) throw `Expected 0-${MAX_TRIES_REMAINING} tries in ${flag}`;
+    }
+  } else if (command === "printsuper") {
+    if (count > 1 || (count === 1 && !isSlot(first))) throw "Usage: qdl.js printsuper [slot]";
+  } else if (command === "repairgpt") {
+    if (count !== 2) throw "Usage: qdl.js repairgpt <lun> <image>";
+    if (!isLun(first)) throw "Expected physical partition number";
+  } else if (command === "fixgpt") {
+    if (count > 1) throw "Usage: qdl.js fixgpt [lun]";
+    if (count === 1 && !isLun(first)) throw "Expected physical partition number";
+  } else if (command === "erase") {
+    if (count !== 1) throw "Usage: qdl.js erase <partition>";
+  } else if (command === "flash") {
+    if (count !== 2) throw "Usage: qdl.js flash <partition> <image>";
+  } else if (command === "flashzip") {
+    if (count !== 1) throw "Usage: qdl.js flashzip <archive.zip>";
+  } else if (command === "flashpayload") {
+    if (count !== 1) throw "Usage: qdl.js flashpayload <payload>";
+  } else if (command === "misc") {
+    if (!((first === "get" || first === "clear") && count === 1) && !(first === "set" && second)) {
+      throw "Usage: qdl.js misc get|set <command> [-- <arg>...]|clear";
+    }
+  } else if (command === "read") {
+    if (count !== 2) throw "Usage: qdl.js read <partition> <image>";
+  } else if (command === "rawprogram") {
+    if (count !== 1) throw "Usage: qdl.js rawprogram <dir>";
+  } else if (command === "backup") {
+    if (count < 1) throw "Usage: qdl.js backup <dir> [partition...]";
+  } else if (command === "restore") {
+    if (count !== 1) throw "Usage: qdl.js restore <dir>";
+  } else if (!["reset", "getactiveslot", "slotinfo", "getstorageinfo", "printgpt"].includes(command)) {
+    throw `Unrecognized command: ${command}\n\n${help}`;
+  }
+}
+
+/**
+ * @param {import("../qdl").qdlDevice} qdl
+ * @param {(total: number) => ((progress: number) => void)|undefined} progress
+ * @param {(...data: any[]) => void} print
+ * @returns {Promise<void>}
+ */
+async function runCommand(qdl, progress, print) {
+  if (command === "reset") {
+    await qdl.reset();
+  } else if (command === "getactiveslot") {
+    const activeSlot = await qdl.getActiveSlot();
+    print(activeSlot);
+  } else if (command === "setactiveslot") {
+    const [slot] = commandArgs;
+    await qdl.setActiveSlot(slot);
+  } else if (command === "slotinfo") {
+    console.table((await qdl.getSlotInfo()).map(({ lun, partition, slot, active, successful, unbootable, triesRemaining }) => ({
+      lun,
+      partition,
+      slot,
+      active,
+      successful,
+      unbootable,
+      tries: triesRemaining,
+    })));
+  } else if (command === "setslotflags") {
+    const [slot, ...flags] = commandArgs;
+    // later flags win, as successful and unbootable clear each other
+    const slotFlags = {};
+    for (const flag of flags) {
+      if (flag === "successful") {
+        Object.assign(slotFlags, { successful: true, unbootable: false });
+      } else if (flag === "unbootable") {
+        Object.assign(slotFlags, { successful: false, unbootable: true });
+      } else {
+        slotFlags.triesRemaining = Number.parseInt(flag.slice("tries=".length), 10);
+      }
+    }
+    await qdl.setSlotFlags(slot, slotFlags);
+  } else if (command === "getstorageinfo") {
+    const storageInfo = await qdl.getStorageInfo();
+    storageInfo.serial_num = storageInfo.serial_num.toString(16).padStart(8, "0");
+    print(storageInfo);
+  } else if (command === "printgpt") {
+    for (const lun of qdl.firehose.luns) {
+      print(`LUN ${lun}`);
+
+      print("\nPrimary GPT:");
+      const primaryGpt = await qdl.getGpt(lun, 1n);
+      console.table(primaryGpt.getPartitions());
+
+      print("\nBackup GPT:");
+      const backupGpt = await qdl.getGpt(lun, primaryGpt.alternateLba);
+      console.table(backupGpt.getPartitions());
+
+      const consistentPartEntries = primaryGpt.partEntriesCrc32 === backupGpt.partEntriesCrc32;
+      if (!consistentPartEntries) {
+        qdl.logger.warn("Primary and backup GPT partition entries are inconsistent");
+      }
+
+      print("\n\n");
+    }
+  } else if (command === "printsuper") {
+    const metadata = await qdl.getSuperMetadata(commandArgs[0]);
+    print(`LP metadata ${metadata.majorVersion}.${metadata.minorVersion}`);
+    console.table(metadata.partitions.map(({ name, group, size, extents }) => ({
+      name,
+      group,
+      size,
+      extents: extents.map(({ targetData, numSectors }) => `${targetData}+${numSectors}`).join(", "),
+    })));
+  } else if (command === "repairgpt") {
+    const lun = Number.parseInt(commandArgs[0], 10);
+    const image = Bun.file(commandArgs[1]);
+    await qdl.repairGpt(lun, image);
+  } else if (command === "fixgpt") {
+    const luns = commandArgs.length ? [Number.parseInt(commandArgs[0], 10)] : qdl.firehose.luns;
+    for (const lun of luns) {
+      const report = await qdl.healGpt(lun, { prefer: args["--prefer"] ?? "primary", dryRun: args["--dry-run"] ?? false });
+      if (!report.target) continue;
+      print(`LUN ${lun}: ${report.dryRun ? "would rebuild" : "rebuilt"} ${report.target} GPT from ${report.source}`);
+      for (const { sector, sectors, description } of report.writes) {
+        print(`  sectors ${sector}-${sector + BigInt(sectors) - 1n}: ${description}`);
+      }
+    }
+  } else if (command === "erase") {
+    const [partitionName] = commandArgs;
+    await qdl.erase(partitionName, args["--slot"]);
+  } else if (command === "flash") {
+    const [partitionName, imageName] = commandArgs;
+    const image = await vbmetaImage(partitionName, Bun.file(imageName));
+    const compression = await detectCompression(image);
+    const total = compression ? await uncompressedSize(image, compression) : null;
+    const partitions = await qdl.resolvePartitionNames(partitionName, args["--slot"]);
+    const onProgress = progress((total ?? image.size) * partitions.length);
+    if (!await qdl.flashBlob(partitionName, image, onProgress, true, qdl.verifyAfterFlash, args["--slot"])) {
+      throw `Failed to flash ${partitions.join(", ")}`;
+    }
+  } else if (command === "flashzip") {
+    const archive = await ZipArchive.open(Bun.file(commandArgs[0]));
+    let onProgress;
+    const result = await qdl.flashZip(archive, {
+      inactiveSlot: args["--inactive-slot"] ?? false,
+      onPlan: (plan) => { onProgress = progress(plan.reduce((sum, { entry }) => sum + entry.uncompressedSize, 0)); },
+      onProgress: (bytes) => onProgress?.(bytes),
+    });
+    if (!result) throw `Failed to flash ${commandArgs[0]}`;
+  } else if (command === "flashpayload") {
+    const payload = await openPayload(commandArgs[0]);
+    const total = payload.partitions.reduce((sum, { size }) => sum + size, 0);
+    const result = await qdl.flashPayload(payload, { inactiveSlot: args["--inactive-slot"] ?? false, onProgress: progress(total) });
+    if (!result) throw `Failed to apply ${commandArgs[0]}`;
+  } else if (command === "misc") {
+    const [action, bootCommand, ...recoveryArgs] = commandArgs;
+    if (action === "get") {
+      const message = await qdl.getBootloaderMessage();
+      const virtualAb = await qdl.getVirtualAbMessage();
+      const mergeStatus = virtualAb && Object.keys(MergeStatus).find((key) => MergeStatus[key] === virtualAb.mergeStatus);
+      print({
+        ...message,
+        virtualAb: virtualAb && { ...virtualAb, mergeStatus: mergeStatus ?? virtualAb.mergeStatus },
+      });
+    } else if (action === "set") {
+      const recovery = recoveryArgs.length ? ["recovery", ...recoveryArgs] : [];
+      if (!await qdl.setBootloaderMessage({ command: bootCommand, recovery })) throw "Failed to write misc";
+    } else {
+      if (!await qdl.setBootloaderMessage({})) throw "Failed to write misc";
+    }
+  } else if (command === "read") {
+    const [partitionName, imageName] = commandArgs;
+    // the size is only needed for the progress bar, readPartition checks the name and slot itself
+    const [resolvedName] = await qdl.resolvePartitionNames(partitionName, args["--slot"]);
+    const [, , partition] = await qdl.detectPartition(resolvedName);
+    const total = partition ? Number(partition.sectors) * qdl.firehose.cfg.SECTOR_SIZE_IN_BYTES : 0;
+    await qdl.readPartition(partitionName, Bun.file(imageName), progress(total), args["--slot"]);
+  } else if (command === "rawprogram") {
+    const [dir] = commandArgs;
+    const files = await readdir(dir);
+    const rawprogramFiles = sortByIndex(files.filter((file) => /^rawprogram\d*\.xml$/i.test(file)));
+    const patchFiles = sortByIndex(files.filter((file) => /^patch\d*\.xml$/i.test(file)));
+    if (rawprogramFiles.length === 0) throw `No rawprogram*.xml files found in ${dir}`;
+    const programs = [];
+    for (const file of rawprogramFiles) programs.push(...parseProgramXml(await Bun.file(join(dir, file)).text()));
+    const patches = [];
+    for (const file of patchFiles) patches.push(...parsePatchXml(await Bun.file(join(dir, file)).text()));
+
+    let total = 0;
+    for (const program of programs) {
+      if (!program.filename) continue;
+      const image = Bun.file(join(dir, program.filename));
+      if (!await image.exists()) throw `Missing image ${program.filename}`;
+      const header = program.sparse ? await Sparse.parseFileHeader(image) : null;
+      total += header ? header.totalBlocks * header.blockSize : image.size - program.fileSectorOffset * program.sectorSize;
+    }
+    const getImage = (filename) => Bun.file(join(dir, filename));
+    if (!await qdl.flashRawProgram(programs, patches, getImage, progress(total))) throw "Failed to flash rawprogram package";
+  } else if (command === "backup") {
+    const [dir, ...partitions] = commandArgs;
+    await mkdir(dir, { recursive: true });
+    let onProgress;
+    const manifest = await qdl.backup((file) => Bun.file(join(dir, file)), {
+      partitions: partitions.length ? partitions : undefined,
+      onPlan: (images) => { onProgress = progress(images.reduce((sum, { sectors }) => sum + sectors, 0) * qdl.firehose.cfg.SECTOR_SIZE_IN_BYTES); },
+      onProgress: (bytes) => onProgress?.(bytes),
+    });
+    await writeFile(join(dir, "manifest.json"), `${JSON.stringify(manifest, null, 2)}\n`);
+    print(`Saved ${manifest.images.length} images to ${dir}`);
+  } else if (command === "restore") {
+    const [dir] = commandArgs;
+    const manifest = await Bun.file(join(dir, "manifest.json")).json();
+    const total = manifest.images.reduce((sum, { sectors }) => sum + sectors, 0) * manifest.sectorSize;
+    if (!await qdl.restore(manifest, (file) => Bun.file(join(dir, file)), progress(total))) throw "Failed to restore backup";
+  } else {
+    throw `Unrecognized command: ${command}`;
   }
-  const [slot] = commandArgs;
-  if (slot !== "a" && slot !== "b") {
-    console.error("Slot must be 'a' or 'b'");
+}
+
+const devices = args["--device"] ?? [];
+
+if (command === "extractpayload") {
+  // extracting only reads the payload, so no device is needed
+  if (commandArgs.length !== 2) {
+    console.error("Expected payload path and output directory");
     process.exit(1);
   }
-  await qdl.setActiveSlot(slot);
-} else if (command === "getstorageinfo") {
-  const storageInfo = await qdl.getStorageInfo();
-  storageInfo.serial_num = storageInfo.serial_num.toString(16).padStart(8, "0");
-  console.info(storageInfo);
-} else if (command === "printgpt") {
-  for (const lun of qdl.firehose.luns) {
-    console.info(`LUN ${lun}`);
-
-    console.info("\nPrimary GPT:");
-    const primaryGpt = await qdl.getGpt(lun, 1n);
-    console.table(primaryGpt.getPartitions());
-
-    console.info("\nBackup GPT:");
-    const backupGpt = await qdl.getGpt(lun, primaryGpt.alternateLba);
-    console.table(backupGpt.getPartitions());
-
-    const consistentPartEntries = primaryGpt.partEntriesCrc32 === backupGpt.partEntriesCrc32;
-    if (!consistentPartEntries) {
-      console.warn("\nPrimary and backup GPT partition entries are inconsistent");
+  const [path, dir] = commandArgs;
+  try {
+    const payload = await openPayload(path);
+    payload.checkFull();
+    await mkdir(dir, { recursive: true });
+    const progress = createProgress(payload.partitions.reduce((sum, { size }) => sum + size, 0));
+    let extracted = 0;
+    for (const partition of payload.partitions) {
+      await payload.extract(partition, Bun.file(join(dir, `${partition.name}.img`)), (bytes) => progress(extracted + bytes));
+      extracted += partition.size;
     }
+    console.info(`Extracted ${payload.partitions.length} images to ${dir}`);
+  } catch (error) {
+    console.error(error);
+    process.exit(1);
+  }
+  process.exit(0);
+}
 
-    console.info("\n\n");
+if (command === "inspectvbmeta") {
+  if (commandArgs.length !== 1) {
+    console.error("Expected vbmeta image path");
+    process.exit(1);
+  }
+  try {
+    const { header, descriptors } = parseVbmeta(new Uint8Array(await Bun.file(commandArgs[0]).arrayBuffer()));
+    const flags = Object.keys(VbmetaFlag).filter((key) => header.flags & VbmetaFlag[key]);
+    console.info({ ...header, flags: flags.length ? flags.join(", ") : "none" });
+    const tagNames = Object.fromEntries(Object.entries(DescriptorTag).map(([name, tag]) => [tag, name]));
+    for (const descriptor of descriptors) {
+      const fields = Object.entries(descriptor)
+        .filter(([key]) => key !== "tag")
+        .map(([key, value]) => [key, value instanceof Uint8Array ? toHex(value) : value]);
+      console.info(`${tagNames[descriptor.tag] ?? `Tag ${descriptor.tag}`} descriptor`, Object.fromEntries(fields));
+    }
+  } catch (error) {
+    console.error(error);
+    process.exit(1);
   }
-} else if (command === "repairgpt") {
-  if (commandArgs.length !== 2) throw "Usage: qdl.js repairgpt <lun> <image>";
-  const lun = Number.parseInt(commandArgs[0], 10);
-  if (Number.isNaN(lun)) throw "Expected physical partition number";
-  const image = Bun.file(commandArgs[1]);
-  await qdl.repairGpt(lun, image);
-} else if (command === "erase") {
+  process.exit(0);
+}
+
+if (command === "ramdump") {
+  // a crashed device doesn't take a programmer, so this runs before connecting with one
   if (commandArgs.length !== 1) {
-    console.error("Expected partition name");
+    console.error("Expected output directory");
     process.exit(1);
   }
-  const [partitionName] = commandArgs;
-  await qdl.erase(partitionName);
-} else if (command === "flash") {
-  if (commandArgs.length !== 2) {
-    console.error("Expected partition name and image path");
+  const [dir] = commandArgs;
+  await mkdir(dir, { recursive: true });
+  const cdc = new NodeUsbTransport({ path: devices[0] });
+  try {
+    if (args["--wait"]) await cdc.waitForDevice({ timeout: args["--wait"] * 1000 });
+    let progress;
+    const regions = await ramdump(cdc, (region) => Bun.file(join(dir, region.file)), {
+      onRegions: (table) => { progress = createProgress(table.reduce((sum, { length }) => sum + length, 0)); },
+      onProgress: (bytes) => progress?.(bytes),
+    });
+    const manifest = {
+      created: new Date().toISOString(),
+      regions: regions.map(({ file, description, address, length, savePref }) => ({
+        file,
+        description,
+        address: `0x${address.toString(16)}`,
+        length,
+        savePref,
+      })),
+    };
+    await writeFile(join(dir, "manifest.json"), `${JSON.stringify(manifest, null, 2)}\n`);
+    console.info(`Saved ${regions.length} regions to ${dir}`);
+  } catch (error) {
+    console.error(error);
     process.exit(1);
   }
-  const [partitionName, imageName] = commandArgs;
-  const image = Bun.file(imageName);
-  await qdl.flashBlob(partitionName, image, createProgress(image.size));
-} else {
-  console.error(`Unrecognized command: ${commands[0]}`);
-  console.info(`\n${help}`);
+  process.exit(0);
+}
+
+try {
+  checkCommandArgs();
+} catch (error) {
+  console.error(error);
+  process.exit(1);
+}
+
+const programmerSelector = args["--programmer-dir"] ? (await loadProgrammerDirectory(args["--programmer-dir"])).selector() : null;
+
+if (args["--all"] || devices.length > 1) {
+  const programmer = programmerSelector ?? await loadProgrammer(args["--programmer"]);
+  const pool = args["--all"] ? await DevicePool.fromAttached(programmer) : new DevicePool(programmer, devices);
+  if (!pool.paths.length) {
+    console.error("No devices in EDL mode found");
+    process.exit(1);
+  }
+  // progress bars from several devices would overwrite each other
+  const results = await pool.run(async (qdl) => {
+    qdl.verifyAfterFlash = args["--verify"] ?? false;
+    qdl.checkImageTypes = !args["--force"];
+    qdl.resparseRawImages = args["--resparse"] ?? false;
+    await runCommand(qdl, () => undefined, (...data) => qdl.logger.info(...data));
+  });
+  console.table(summarizePoolResults(results));
+  process.exit(results.every((result) => result.success) ? 0 : 1);
+}
+
+/** @type {Awaited<ReturnType<typeof createQdl>>} */
+let qdl;
+try {
+  qdl = await createQdl(programmerSelector ?? args["--programmer"], { path: devices[0], wait: (args["--wait"] ?? 0) * 1000 });
+} catch (error) {
+  console.error(error);
+  process.exit(1);
+}
+qdl.verifyAfterFlash = args["--verify"] ?? false;
+qdl.checkImageTypes = !args["--force"];
+qdl.resparseRawImages = args["--resparse"] ?? false;
+
+try {
+  await runCommand(qdl, createProgress, console.info);
+} catch (error) {
+  qdl.firehose.flushDeviceMessages();
+  console.error(error);
   process.exit(1);
 }
 
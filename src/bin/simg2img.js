@@ -1,12 +1,19 @@
 #!/usr/bin/env bun
 import * as Sparse from "../sparse";
 
-export async function simg2img(inputPath, outputPath) {
+/**
+ * @param {string} inputPath
+ * @param {string} outputPath
+ * @param {object} [options]
+ * @param {boolean} [options.verify=false] - Check the image for truncation and CRC32 mismatches before converting it
+ */
+export async function simg2img(inputPath, outputPath, { verify = false } = {}) {
   const sparseImage = Bun.file(inputPath);
   const outputImage = Bun.file(outputPath);
 
   const sparse = await Sparse.from(sparseImage);
   if (!sparse) throw "Failed to parse sparse file";
+  if (verify) await sparse.validate();
 
   // FIXME: write out a "sparse" file? not supported by Bun
   const writer = outputImage.writer({ highWaterMark: 4 * 1024 * 1024 });
@@ -21,11 +28,12 @@ export async function simg2img(inputPath, outputPath) {
 }
 
 if (import.meta.main) {
-  if (Bun.argv.length < 4) {
-    throw "Usage: simg2img.js <input_path> <output_path>";
+  const args = Bun.argv.slice(2).filter((arg) => arg !== "--verify");
+  if (args.length < 2) {
+    throw "Usage: simg2img.js [--verify] <input_path> <output_path>";
   }
   const startTime = performance.now();
-  await simg2img(Bun.argv[2], Bun.argv[3]);
+  await simg2img(args[0], args[1], { verify: Bun.argv.includes("--verify") });
   const endTime = performance.now();
   console.info(`Done in ${((endTime - startTime) / 1000).toFixed(3)}s`);
 }
@@ -0,0 +1,39 @@
+#!/usr/bin/env bun
+import * as Sparse from "../sparse";
+
+/**
+ * Split a sparse image into files named <code>&lt;outputPrefix&gt;.0</code>,
+ * <code>&lt;outputPrefix&gt;.1</code>..., each no larger than <code>maxSize</code> bytes.
+ *
+ * @param {string} inputPath
+ * @param {string} outputPrefix
+ * @param {number} maxSize
+ * @returns {Promise<string[]>} Paths of the files written
+ */
+export async function simg2simg(inputPath, outputPrefix, maxSize) {
+  const sparse = await Sparse.from(Bun.file(inputPath));
+  if (!sparse) throw "Failed to parse sparse file";
+
+  const parts = await Sparse.resplit(sparse, maxSize);
+  const paths = [];
+  for (const [i, part] of parts.entries()) {
+    const path = `${outputPrefix}.${i}`;
+    const writer = Bun.file(path).writer({ highWaterMark: 4 * 1024 * 1024 });
+    for await (const data of Sparse.write(part)) {
+      writer.write(data);
+    }
+    await writer.end();
+    paths.push(path);
+  }
+  return paths;
+}
+
+if (import.meta.main) {
+  if (Bun.argv.length < 5) {
+    throw "Usage: simg2simg.js <input_path> <output_prefix> <max_size>";
+  }
+  const startTime = performance.now();
+  const paths = await simg2simg(Bun.argv[2], Bun.argv[3], Number(Bun.argv[4]));
+  const endTime = performance.now();
+  console.info(`Wrote ${paths.length} files in ${((endTime - startTime) / 1000).toFixed(3)}s`);
+}
@@ -0,0 +1,273 @@
+import { concatUint8Array } from "./utils";
+
+const MAX_GROUPS = 6;
+const MAX_CODE_LENGTH = 20;
+const GROUP_SIZE = 50;
+
+// bzip2 checksums are CRC-32 computed most significant bit first
+const CRC_TABLE = new Uint32Array(256).map((_, i) => {
+  let crc = i << 24;
+  for (let bit = 0; bit < 8; bit++) crc = crc & 0x80000000 ? (crc << 1) ^ 0x04C11DB7 : crc << 1;
+  return crc >>> 0;
+});
+
+
+class BitReader {
+  /**
+   * @param {Uint8Array} data
+   */
+  constructor(data) {
+    this.data = data;
+    this.position = 0;
+  }
+
+  /**
+   * @param {number} count - At most 24
+   * @returns {number}
+   */
+  read(count) {
+    let value = 0;
+    for (let remaining = count; remaining > 0;) {
+      const byteIndex = this.position >>> 3;
+      if (byteIndex >= this.data.byteLength) throw new Error("bzip2 - Unexpected end of data");
+      const left = 8 - (this.position & 7);
+      const take = Math.min(remaining, left);
+      value = (value << take) | ((this.data[byteIndex] >>> (left - take)) & ((1 << take) - 1));
+      this.position += take;
+      remaining -= take;
+    }
+    return value;
+  }
+
+  /** @returns {number} */
+  read32() {
+    return this.read(16) * 0x10000 + this.read(16);
+  }
+
+  alignToByte() {
+    this.position = (this.position + 7) & ~7;
+  }
+}
+
+
+/**
+ * Canonical Huffman decoding table, codes of each length are assigned to symbols in order
+ *
+ * @param {Uint8Array} lengths
+ */
+function buildTable(lengths) {
+  let minLength = MAX_CODE_LENGTH, maxLength = 0;
+  for (const length of lengths) {
+    minLength = Math.min(minLength, length);
+    maxLength = Math.max(maxLength, length);
+  }
+  /** @type {number[]} */
+  const symbols = [];
+  const limit = new Int32Array(maxLength + 1);
+  const base = new Int32Array(maxLength + 1);
+  let code = 0;
+  for (let length = minLength; length <= maxLength; length++) {
+    const start = symbols.length;
+    lengths.forEach((symbolLength, symbol) => {
+      if (symbolLength === length) symbols.push(symbol);
+    });
+    base[length] = start - code;
+    code += symbols.length - start;
+    limit[length] = code - 1;
+    code <<= 1;
+  }
+  return { minLength, maxLength, limit, base, symbols };
+}
+
+
+/**
+ * @param {BitReader} reader
+ * @param {ReturnType<typeof buildTable>} table
+ * @returns {number}
+ */
+function decodeSymbol(reader, { minLength, maxLength, limit, base, symbols }) {
+  let code = reader.read(minLength);
+  for (let length = minLength; length <= maxLength; length++) {
+    if (code <= limit[length]) return symbols[base[length] + code];
+    code = (code << 1) | reader.read(1);
+  }
+  throw new Error("bzip2 - Invalid Huffman code");
+}
+
+
+/**
+ * @param {BitReader} reader
+ * @param {number} maxBlockSize
+ * @returns {{ data: Uint8Array; crc: number }}
+ */
+function decodeBlock(reader, maxBlockSize) {
+  const expectedCrc = reader.read32();
+  if (reader.read(1)) throw new Error("bzip2 - Randomized blocks are not supported");
+  const origPtr = reader.read(24);
+
+  // which byte values occur, in 16 ranges of 16
+  /** @type {number[]} */
+  const seqToUnseq = [];
+  const ranges = reader.read(16);
+  for (let i = 0; i < 16; i++) {
+    if (!(ranges & (0x8000 >> i))) continue;
+    const used = reader.read(16);
+    for (let j = 0; j < 16; j++) {
+      if (used & (0x8000 >> j)) seqToUnseq.push(i * 16 + j);
+    }
+  }
+  if (seqToUnseq.length === 0) throw new Error("bzip2 - Block uses no symbols");
+  const alphaSize = seqToUnseq.length + 2;
+
+  const groups = reader.read(3);
+  const selectorCount = reader.read(15);
+  if (groups < 2 || groups > MAX_GROUPS || selectorCount === 0) throw new Error("bzip2 - Invalid Huffman groups");
+  const groupOrder = Array.from({ length: groups }, (_, i) => i);
+  const selectors = new Uint8Array(selectorCount);
+  for (let i = 0; i < selectorCount; i++) {
+    let index = 0;
+    while (reader.read(1)) {
+      if (++index >= groups) throw new Error("bzip2 - Invalid selector");
+    }
+    const [group] = groupOrder.splice(index, 1);
+    groupOrder.unshift(group);
+    selectors[i] = group;
+  }
+
+  const tables = [];
+  for (let group = 0; group < groups; group++) {
+    const lengths = new Uint8Array(alphaSize);
+    let length = reader.read(5);
+    for (let symbol = 0; symbol < alphaSize; symbol++) {
+      for (;;) {
+        if (length < 1 || length > MAX_CODE_LENGTH) throw new Error("bzip2 - Invalid code length");
+        if (!reader.read(1)) break;
+        length += reader.read(1) ? -1 : 1;
+      }
+      lengths[symbol] = length;
+    }
+    tables.push(buildTable(lengths));
+  }
+
+  // Huffman, then run-length of zeros and move-to-front
+  const endOfBlock = alphaSize - 1;
+  const mtf = Uint8Array.from({ length: 256 }, (_, i) => i);
+  const tt = new Uint32Array(maxBlockSize);
+  const counts = new Int32Array(256);
+  let length = 0;
+  let run = 0, runWeight = 1;
+  let selector = 0, groupLeft = 0, table = tables[0];
+  for (;;) {
+    if (groupLeft-- === 0) {
+      if (selector >= selectorCount) throw new Error("bzip2 - Ran out of selectors");
+      table = tables[selectors[selector++]];
+      groupLeft = GROUP_SIZE - 1;
+    }
+    const symbol = decodeSymbol(reader, table);
+    if (symbol <= 1) {
+      run += runWeight << symbol;
+      runWeight <<= 1;
+      if (run > maxBlockSize) throw new Error("bzip2 - Block too large");
+      continue;
+    }
+    if (run) {
+      if (length + run > maxBlockSize) throw new Error("bzip2 - Block too large");
+      const byte = seqToUnseq[mtf[0]];
+      counts[byte] += run;
+      tt.fill(byte, length, length + run);
+      length += run;
+      run = 0;
+      runWeight = 1;
+    }
+    if (symbol === endOfBlock) break;
+    if (length >= maxBlockSize) throw new Error("bzip2 - Block too large");
+    const index = symbol - 1;
+    const value = mtf[index];
+    mtf.copyWithin(1, 0, index);
+    mtf[0] = value;
+    const byte = seqToUnseq[value];
+    counts[byte]++;
+    tt[length++] = byte;
+  }
+  if (origPtr >= length) throw new Error("bzip2 - Invalid BWT origin");
+
+  // undo the Burrows-Wheeler transform, keeping the next position above each byte
+  const next = new Int32Array(256);
+  for (let byte = 0, sum = 0; byte < 256; byte++) {
+    next[byte] = sum;
+    sum += counts[byte];
+  }
+  for (let i = 0; i < length; i++) {
+    tt[next[tt[i] & 0xFF]++] |= i << 8;
+  }
+
+  // then the initial run-length encoding, where 4 equal bytes are followed by a repeat count
+  let output = new Uint8Array(length + 256);
+  let size = 0;
+  let crc = 0xFFFFFFFF;
+  let last = -1, repeats = 0;
+  let position = tt[origPtr] >>> 8;
+  for (let i = 0; i < length; i++) {
+    const entry = tt[position];
+    const byte = entry & 0xFF;
+    position = entry >>> 8;
+    let copies = 1, value = byte;
+    if (repeats === 4) {
+      copies = byte;
+      value = last;
+      repeats = 0;
+      last = -1;
+    } else if (byte === last) {
+      repeats++;
+    } else {
+      repeats = 1;
+      last = byte;
+    }
+    if (size + copies > output.byteLength) {
+      const grown = new Uint8Array(Math.max(output.byteLength * 2, size + copies));
+      grown.set(output.subarray(0, size));
+      output = grown;
+    }
+    for (let copy = 0; copy < copies; copy++) {
+      output[size++] = value;
+      crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ value) & 0xFF]) >>> 0;
+    }
+  }
+  crc = ~crc >>> 0;
+  if (crc !== expectedCrc) throw new Error("bzip2 - Block CRC mismatch");
+  return { data: output.subarray(0, size), crc };
+}
+
+
+/**
+ * Decompress bzip2 data held in memory, including several concatenated streams.
+ *
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+export function bunzip2(data) {
+  const reader = new BitReader(data);
+  /** @type {Uint8Array[]} */
+  const blocks = [];
+  do {
+    if (reader.read(24) !== 0x425A68) throw new Error("bzip2 - Invalid stream header");
+    const level = reader.read(8) - 0x30;
+    if (level < 1 || level > 9) throw new Error("bzip2 - Invalid block size");
+    let combinedCrc = 0;
+    for (;;) {
+      const magic = [reader.read(24), reader.read(24)];
+      if (magic[0] === 0x314159 && magic[1] === 0x265359) {
+        const { data: block, crc } = decodeBlock(reader, level * 100_000);
+        blocks.push(block);
+        combinedCrc = (((combinedCrc << 1) | (combinedCrc >>> 31)) ^ crc) >>> 0;
+      } else if (magic[0] === 0x177245 && magic[1] === 0x385090) {
+        if (reader.read32() !== combinedCrc) throw new Error("bzip2 - Stream CRC mismatch");
+        reader.alignToByte();
+        break;
+      } else {
+        throw new Error("bzip2 - Invalid block header");
+      }
+    }
+  } while (reader.position / 8 + 4 <= data.byteLength && data[reader.position / 8] === 0x42);
+  return concatUint8Array(blocks);
+}
@@ -0,0 +1,50 @@
+import * as Bun from "bun";
+import { describe, expect, test } from "bun:test";
+
+import { bunzip2 } from "./bzip2";
+
+const wordsBz2 = Bun.file("./test/fixtures/words.txt.bz2");
+
+/**
+ * Same text as <code>words()</code> in test/fixtures/make_payload.py
+ *
+ * @param {number} length
+ * @returns {Uint8Array}
+ */
+function words(length) {
+  const vocabulary = ["boot", "system", "vendor", "payload", "partition", "slot", "sparse", "zip"];
+  const out = new Uint8Array(length + 1024);
+  let size = 0;
+  for (let i = 0; size < length; i++) {
+    if (i % 97 === 0) {
+      out.fill(i % 256, size, size + (i % 700));
+      size += i % 700;
+    }
+    for (const char of `${vocabulary[Math.floor(i * 2654435761 / 8192) % 8]} `) out[size++] = char.charCodeAt(0);
+  }
+  return out.subarray(0, length);
+}
+
+describe("bzip2", () => {
+  test("decompresses several blocks", async () => {
+    const data = new Uint8Array(await wordsBz2.arrayBuffer());
+    expect(bunzip2(data)).toEqual(words(300000));
+  });
+
+  test("decompresses concatenated streams", async () => {
+    const data = new Uint8Array(await wordsBz2.arrayBuffer());
+    const twice = new Uint8Array(data.byteLength * 2);
+    twice.set(data);
+    twice.set(data, data.byteLength);
+    expect(bunzip2(twice).byteLength).toBe(600000);
+  });
+
+  test("rejects corrupt data", async () => {
+    const data = new Uint8Array(await wordsBz2.arrayBuffer());
+    expect(() => bunzip2(data.subarray(0, data.byteLength - 100))).toThrow("bzip2 - ");
+    expect(() => bunzip2(new TextEncoder().encode("not bzip2"))).toThrow("bzip2 - Invalid stream header");
+    const corrupt = data.slice();
+    corrupt[10] ^= 0xFF;
+    expect(() => bunzip2(corrupt)).toThrow("bzip2 - Block CRC mismatch");
+  });
+});
@@ -1,26 +1,67 @@
-import { webusb } from "usb";
+import { readdir, readFile } from "node:fs/promises";
+import { join } from "node:path";
 
+import { USBError } from "./errors.js";
+import { NodeUsbTransport } from "./node-usb.js";
+import { parseProgrammerName, ProgrammerRegistry } from "./programmer.js";
 import { qdlDevice } from "./qdl.js";
-import { usbClass } from "./usblib.js";
+
+export const DEFAULT_PROGRAMMER_URL = "https://raw.githubusercontent.com/commaai/flash/master/src/QDL/programmer.bin";
 
 /**
- * @param {string} [programmerUrl]
- * @returns {Promise<qdlDevice>}
+ * @param {string} [programmerUrl] - URL or local path
+ * @returns {Promise<ArrayBuffer>}
  */
-export const createQdl = async (programmerUrl = "https://raw.githubusercontent.com/commaai/flash/master/src/QDL/programmer.bin") => {
-  navigator.usb = webusb;
-
-  // TODO: support local files
-  const programmer = await fetch(programmerUrl)
+export const loadProgrammer = async (programmerUrl = DEFAULT_PROGRAMMER_URL) => {
+  if (!/^https?:\/\//i.test(programmerUrl)) {
+    const data = await readFile(programmerUrl);
+    return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+  }
+  return await fetch(programmerUrl)
     .then((response) => response.blob())
     .then((blob) => blob.arrayBuffer());
+};
 
-  // TODO: wait for device to connect
-  const qdl = new qdlDevice(programmer);
+/**
+ * Create a registry of the programmers in a directory, named by HWID and PK hash as described in
+ * {@link parseProgrammerName}. Other files are ignored.
+ *
+ * @param {string} dir
+ * @returns {Promise<ProgrammerRegistry>}
+ */
+export const loadProgrammerDirectory = async (dir) => {
+  const registry = new ProgrammerRegistry();
+  for (const name of (await readdir(dir)).sort()) {
+    const ids = parseProgrammerName(name);
+    if (!ids) continue;
+    registry.add({ name, ...ids, load: () => loadProgrammer(join(dir, name)) });
+  }
+  if (!registry.entries.length) throw new Error(`No programmers found in ${dir}`);
+  return registry;
+};
+
+/**
+ * @param {string|import("./programmer.js").ProgrammerSelector} [programmer] - URL or path of the programmer,
+ *   or a function that picks one for the device
+ * @param {object} [device] - Which device to connect to, required when more than one is attached
+ * @param {string} [device.path]
+ * @param {string} [device.serial]
+ * @param {number} [device.wait] - Milliseconds to wait for the device to be attached
+ * @returns {Promise<qdlDevice>}
+ */
+export const createQdl = async (programmer = DEFAULT_PROGRAMMER_URL, { wait, ...device } = {}) => {
+  const qdl = new qdlDevice(typeof programmer === "string" ? await loadProgrammer(programmer) : programmer);
+  const cdc = new NodeUsbTransport(device);
   try {
-    await qdl.connect(new usbClass());
+    if (wait) {
+      await qdl.waitForDevice({ cdc, timeout: wait });
+    } else {
+      await qdl.connect(cdc);
+    }
   } catch (e) {
-    throw new Error("Failed to connect - missing udev rules?", { cause: e });
+    // libusb fails to open a device the user has no permission to
+    if (e instanceof USBError) throw new Error("Failed to connect - missing udev rules?", { cause: e });
+    throw e;
   }
   return qdl;
 };
@@ -0,0 +1,115 @@
+/**
+ * Compression formats images can be flashed from
+ *
+ * @typedef {"xz"|"gzip"|"zstd"} Compression
+ */
+
+
+/** @type {[Compression, number[]][]} */
+const MAGICS = [
+  ["xz", [0xFD, 0x37, 0x7A, 0x58, 0x5A, 0x00]],
+  ["gzip", [0x1F, 0x8B]],
+  ["zstd", [0x28, 0xB5, 0x2F, 0xFD]],
+];
+
+
+/**
+ * @param {Blob} blob
+ * @returns {Promise<Compression|null>}
+ */
+export async function detectCompression(blob) {
+  const head = new Uint8Array(await blob.slice(0, 6).arrayBuffer());
+  for (const [compression, magic] of MAGICS) {
+    if (head.byteLength >= magic.length && magic.every((byte, i) => head[i] === byte)) return compression;
+  }
+  return null;
+}
+
+
+/**
+ * Decompress an image as it is read. Works in browsers and under Bun: gzip and zstd use
+ * <code>DecompressionStream</code>, xz uses <code>xz-decompress</code>.
+ *
+ * @param {Blob} blob
+ * @param {Compression} compression
+ * @returns {Promise<ReadableStream<Uint8Array>>}
+ */
+export async function decompress(blob, compression) {
+  if (compression === "xz") {
+    const { XzReadableStream } = await import("xz-decompress");
+    return new XzReadableStream(blob.stream());
+  }
+  let decompressor;
+  try {
+    decompressor = new DecompressionStream(/** @type {CompressionFormat} */ (compression));
+  } catch (error) {
+    throw new Error(`${compression} decompression is not supported here`, { cause: error });
+  }
+  return blob.stream().pipeThrough(decompressor);
+}
+
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @returns {[number, number]} The value and the offset after it
+ */
+function readMultibyte(bytes, offset) {
+  let value = 0;
+  for (let i = 0; i < 9 && offset + i < bytes.byteLength; i++) {
+    value += (bytes[offset + i] & 0x7F) * 2 ** (7 * i);
+    if (!(bytes[offset + i] & 0x80)) return [value, offset + i + 1];
+  }
+  throw new Error("xz - Invalid multibyte integer");
+}
+
+
+/**
+ * Size of a compressed image once decompressed, to report progress against, where the format
+ * records it: the index of an xz stream, the content size of a zstd frame, or the size modulo
+ * 2^32 in a gzip trailer. Only the last xz stream and the first zstd frame are considered.
+ *
+ * @param {Blob} blob
+ * @param {Compression} compression
+ * @returns {Promise<number|null>}
+ */
+export async function uncompressedSize(blob, compression) {
+  if (compression === "gzip") {
+    if (blob.size < 18) return null;
+    return new DataView(await blob.slice(blob.size - 4).arrayBuffer()).getUint32(0, true);
+  }
+
+  if (compression === "zstd") {
+    const header = new Uint8Array(await blob.slice(0, 18).arrayBuffer());
+    if (header.byteLength < 5) return null;
+    const descriptor = header[4];
+    const singleSegment = (descriptor >> 5) & 1;
+    const sizeBytes = [singleSegment ? 1 : 0, 2, 4, 8][descriptor >> 6];
+    if (!sizeBytes) return null;
+    const offset = 5 + (singleSegment ? 0 : 1) + [0, 1, 2, 4][descriptor & 3];
+    if (offset + sizeBytes > header.byteLength) return null;
+    const view = new DataView(header.buffer, offset, sizeBytes);
+    if (sizeBytes === 1) return view.getUint8(0);
+    if (sizeBytes === 2) return view.getUint16(0, true) + 256;
+    if (sizeBytes === 4) return view.getUint32(0, true);
+    return Number(view.getBigUint64(0, true));
+  }
+
+  // the stream footer gives the size of the index before it, which lists every block
+  if (blob.size < 24) return null;
+  const footer = new DataView(await blob.slice(blob.size - 12).arrayBuffer());
+  if (footer.getUint16(10, true) !== 0x5A59) return null;
+  const indexSize = (footer.getUint32(4, true) + 1) * 4;
+  if (indexSize > blob.size - 24) return null;
+  const index = new Uint8Array(await blob.slice(blob.size - 12 - indexSize, blob.size - 12).arrayBuffer());
+  if (index[0] !== 0x00) return null;
+  let [records, offset] = readMultibyte(index, 1);
+  let size = 0;
+  while (records-- > 0) {
+    [, offset] = readMultibyte(index, offset);
+    let uncompressed;
+    [uncompressed, offset] = readMultibyte(index, offset);
+    size += uncompressed;
+  }
+  return size;
+}
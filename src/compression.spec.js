@@ -0,0 +1,54 @@
+import * as Bun from "bun";
+import { describe, expect, test } from "bun:test";
+
+import { decompress, detectCompression, uncompressedSize } from "./compression";
+
+const sparseImage = Bun.file("./test/fixtures/sparse.img");
+const xzImage = Bun.file("./test/fixtures/sparse.img.xz");
+
+/**
+ * @param {ReadableStream<Uint8Array>} stream
+ * @returns {Promise<Uint8Array>}
+ */
+const readAll = async (stream) => new Uint8Array(await new Response(stream).arrayBuffer());
+
+/**
+ * @param {Uint8Array} data
+ * @returns {Promise<Blob>}
+ */
+const gzip = async (data) => await new Response(new Blob([data]).stream().pipeThrough(new CompressionStream("gzip"))).blob();
+
+describe("compression", () => {
+  test("detectCompression", async () => {
+    const data = new Uint8Array(await sparseImage.arrayBuffer());
+    expect(await detectCompression(xzImage)).toBe("xz");
+    expect(await detectCompression(await gzip(data))).toBe("gzip");
+    expect(await detectCompression(new Blob([Bun.zstdCompressSync(data)]))).toBe("zstd");
+    expect(await detectCompression(sparseImage)).toBeNull();
+    expect(await detectCompression(new Blob([]))).toBeNull();
+  });
+
+  describe("decompress", () => {
+    test("xz", async () => {
+      expect(await readAll(await decompress(xzImage, "xz"))).toEqual(new Uint8Array(await sparseImage.arrayBuffer()));
+    });
+
+    test("gzip", async () => {
+      const data = new Uint8Array(await sparseImage.arrayBuffer());
+      expect(await readAll(await decompress(await gzip(data), "gzip"))).toEqual(data);
+    });
+
+    test("zstd", async () => {
+      const data = new Uint8Array(await sparseImage.arrayBuffer());
+      expect(await readAll(await decompress(new Blob([Bun.zstdCompressSync(data)]), "zstd"))).toEqual(data);
+    });
+  });
+
+  test("uncompressedSize", async () => {
+    const data = new Uint8Array(await sparseImage.arrayBuffer());
+    expect(await uncompressedSize(xzImage, "xz")).toBe(sparseImage.size);
+    expect(await uncompressedSize(await gzip(data), "gzip")).toBe(sparseImage.size);
+    expect(await uncompressedSize(new Blob([Bun.zstdCompressSync(data)]), "zstd")).toBe(sparseImage.size);
+    expect(await uncompressedSize(new Blob([new Uint8Array(30)]), "xz")).toBeNull();
+  });
+});
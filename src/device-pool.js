@@ -0,0 +1,92 @@
+import { listDevices, NodeUsbTransport } from "./node-usb";
+import { qdlDevice } from "./qdl";
+
+
+/**
+ * Outcome of running a task on one device of a {@link DevicePool}
+ *
+ * @typedef {object} PoolResult
+ * @property {string} path
+ * @property {string|null} serial - Sahara serial number, <code>null</code> if the device could not be identified
+ * @property {boolean} success
+ * @property {number} duration - Milliseconds from connecting until the task finished or failed
+ * @property {unknown} [error]
+ */
+
+
+/**
+ * Drive several devices in EDL mode, attached to the same host, at the same time.
+ *
+ * Each device gets its own {@link qdlDevice}, with log messages tagged by its USB path until the
+ * Sahara serial number is known, then by the serial.
+ */
+export class DevicePool {
+  /**
+   * @param {ArrayBuffer|import("./programmer").ProgrammerSelector} programmer
+   * @param {string[]} paths - USB paths of the devices, see {@link listDevices}
+   */
+  constructor(programmer, paths) {
+    this.programmer = programmer;
+    this.paths = paths;
+  }
+
+  /**
+   * Create a pool of every device in EDL mode that is currently attached.
+   *
+   * @param {ArrayBuffer|import("./programmer").ProgrammerSelector} programmer
+   * @returns {Promise<DevicePool>}
+   */
+  static async fromAttached(programmer) {
+    const devices = await listDevices();
+    return new DevicePool(programmer, devices.map(({ path }) => path));
+  }
+
+  /**
+   * Connect to each device and run the task on all of them at once. A failure on one device does
+   * not stop the others.
+   *
+   * @param {(qdl: qdlDevice) => Promise<void>} task
+   * @returns {Promise<PoolResult[]>} Results in the same order as {@link paths}
+   */
+  async run(task) {
+    return await Promise.all(this.paths.map(async (path) => {
+      const qdl = new qdlDevice(this.programmer);
+      qdl.setLogTag(path);
+      const start = performance.now();
+      /** @type {PoolResult} */
+      const result = { path, serial: null, success: false, duration: 0 };
+      try {
+        await qdl.connect(new NodeUsbTransport({ path }));
+        if (qdl.sahara?.serial) {
+          result.serial = qdl.sahara.serial;
+          qdl.setLogTag(result.serial);
+        }
+        await task(qdl);
+        result.success = true;
+      } catch (error) {
+        qdl.logger.error(error);
+        result.error = error;
+      } finally {
+        result.duration = performance.now() - start;
+        if (qdl.mode === "firehose") qdl.firehose.flushDeviceMessages();
+      }
+      return result;
+    }));
+  }
+}
+
+
+/**
+ * Format pool results as rows for <code>console.table</code>.
+ *
+ * @param {PoolResult[]} results
+ * @returns {{ device: string; serial: string; result: string; time: string }[]}
+ */
+export function summarizePoolResults(results) {
+  return results.map(({ path, serial, success, duration, error }) => ({
+    device: path,
+    serial: serial ?? "-",
+    result: success ? "PASS" : `FAIL: ${error instanceof Error ? error.message : error}`,
+    time: `${(duration / 1000).toFixed(1)}s`,
+  }));
+}
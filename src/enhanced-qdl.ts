@@ -78,7 +78,8 @@ export class EnhancedQDLDevice extends qdlDevice {
         name, 
         image, 
         progressTracker, 
-        config.eraseBeforeFlashSparse
+        config.eraseBeforeFlashSparse,
+        config.verify
       );
 
       const duration = Date.now() - startTime;
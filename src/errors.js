@@ -59,6 +59,14 @@ export class SparseError extends QDLError {
   }
 }
 
+/** Error thrown when an OTA payload is malformed or can't be applied */
+export class PayloadError extends QDLError {
+  constructor(message, cause) {
+    super(message, 'PAYLOAD_ERROR', cause);
+    this.name = 'PayloadError';
+  }
+}
+
 /** Error thrown when timeout occurs */
 export class TimeoutError extends QDLError {
   constructor(message, timeoutMs, cause) {
@@ -0,0 +1,893 @@
+import { buf as crc32 } from "crc-32";
+import { XMLParser } from "fast-xml-parser";
+
+import { TimeoutError } from "./errors";
+import { createLogger } from "./logger";
+import { resolveSectorExpression } from "./rawprogram";
+import { cmd_t, exec_cmd_t, sahara_mode_t, status_t } from "./saharaDefs";
+import { concatUint8Array, normalizeSerial, packGenerator, poll } from "./utils";
+
+const logger = createLogger("fake");
+
+const IMAGE_ID_FIREHOSE = 0xD;
+const ELF_HEADER_SIZE = 0x40;
+const LOADER_REQUEST_SIZE = 0x100000;
+const MEMORY_TABLE_ADDRESS = 0x146BF000;
+const MAX_MEMORY_READ_SIZE = 0x10000;
+
+const TYPE_BASIC_DATA = "ebd0a0a2-b9e5-4433-87c0-68b6b72699c7";
+const NUM_PART_ENTRIES = 128;
+const PART_ENTRY_SIZE = 128;
+
+// Slot is active and has booted successfully, see gpt.js
+const AB_ACTIVE_SUCCESSFUL = ((0x1n << 2n) | (0x1n << 6n)) << 54n;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+
+/**
+ * @typedef {object} FakePartition
+ * @property {string} name
+ * @property {number} sectors
+ * @property {string} [type] - Partition type GUID, defaults to basic data
+ * @property {bigint} [attributes]
+ */
+
+
+/**
+ * @typedef {object} FakeLun
+ * @property {number} totalSectors
+ * @property {FakePartition[]} partitions
+ */
+
+
+/**
+ * @typedef {"nak"|"timeout"|"partial"} FaultType
+ */
+
+
+/**
+ * Memory a crashed {@link FakeEdlDevice} offers for a RAM dump
+ *
+ * @typedef {object} FakeMemoryRegion
+ * @property {string} description
+ * @property {string} [filename]
+ * @property {number} address
+ * @property {Uint8Array} data
+ */
+
+
+/**
+ * Six LUNs resembling a comma 3, with slot A active. Sizes are in 4096 byte sectors.
+ *
+ * @type {FakeLun[]}
+ */
+export const DEFAULT_LAYOUT = [
+  { totalSectors: 65536, partitions: [{ name: "ssd", sectors: 2 }, { name: "persist", sectors: 8192 }, { name: "misc", sectors: 256 }, { name: "userdata", sectors: 32768 }] },
+  { totalSectors: 1024, partitions: [{ name: "xbl_a", sectors: 896 }, { name: "xbl_config_a", sectors: 32 }] },
+  { totalSectors: 1024, partitions: [{ name: "xbl_b", sectors: 896 }, { name: "xbl_config_b", sectors: 32 }] },
+  { totalSectors: 1024, partitions: [{ name: "cdt", sectors: 32 }, { name: "ddr", sectors: 256 }] },
+  {
+    totalSectors: 131072,
+    partitions: ["a", "b"].flatMap((slot) => [
+      { name: `abl_${slot}`, sectors: 256 },
+      { name: `boot_${slot}`, sectors: 16384 },
+      { name: `vbmeta_${slot}`, sectors: 16 },
+      { name: `system_${slot}`, sectors: 32768 },
+    ].map((partition) => ({ ...partition, attributes: slot === "a" ? AB_ACTIVE_SUCCESSFUL : 0n }))),
+  },
+  { totalSectors: 4096, partitions: [{ name: "modemst1", sectors: 512 }, { name: "modemst2", sectors: 512 }, { name: "fsg", sectors: 512 }] },
+];
+
+
+/**
+ * Sparse in-memory block device, unwritten sectors read as zeros
+ */
+export class FakeDisk {
+  /** @type {Map<number, Uint8Array>} */
+  #sectors = new Map();
+
+  /**
+   * @param {number} sectorSize
+   * @param {number} totalSectors
+   */
+  constructor(sectorSize, totalSectors) {
+    this.sectorSize = sectorSize;
+    this.totalSectors = totalSectors;
+  }
+
+  /**
+   * @param {number|bigint} start
+   * @param {number} count
+   */
+  #checkRange(start, count) {
+    if (start < 0 || count < 0 || Number(start) + count > this.totalSectors) {
+      throw new RangeError(`Sectors ${start}-${Number(start) + count - 1} out of range (${this.totalSectors})`);
+    }
+  }
+
+  /**
+   * @param {number|bigint} start
+   * @param {number} count
+   * @returns {Uint8Array}
+   */
+  read(start, count) {
+    this.#checkRange(start, count);
+    const data = new Uint8Array(count * this.sectorSize);
+    for (let i = 0; i < count; i++) {
+      const sector = this.#sectors.get(Number(start) + i);
+      if (sector) data.set(sector, i * this.sectorSize);
+    }
+    return data;
+  }
+
+  /**
+   * @param {number|bigint} start
+   * @param {Uint8Array} data - Padded with zeros to a whole number of sectors
+   */
+  write(start, data) {
+    const count = Math.ceil(data.byteLength / this.sectorSize);
+    this.#checkRange(start, count);
+    for (let i = 0; i < count; i++) {
+      const sector = new Uint8Array(this.sectorSize);
+      sector.set(data.subarray(i * this.sectorSize, (i + 1) * this.sectorSize));
+      if (sector.some((byte) => byte !== 0)) {
+        this.#sectors.set(Number(start) + i, sector);
+      } else {
+        this.#sectors.delete(Number(start) + i);
+      }
+    }
+  }
+
+  /**
+   * @param {number|bigint} start
+   * @param {number} count
+   */
+  erase(start, count) {
+    this.#checkRange(start, count);
+    for (let i = 0; i < count; i++) this.#sectors.delete(Number(start) + i);
+  }
+}
+
+
+/**
+ * @param {string} value
+ * @returns {Uint8Array}
+ */
+function encodeGuid(value) {
+  const bytes = Uint8Array.from(value.replaceAll("-", "").match(/../g), (byte) => Number.parseInt(byte, 16));
+  // The first three fields are stored little-endian
+  return Uint8Array.from([3, 2, 1, 0, 5, 4, 7, 6, 8, 9, 10, 11, 12, 13, 14, 15], (i) => bytes[i]);
+}
+
+
+/**
+ * Write a protective MBR, primary and backup GPT describing <code>partitions</code>, laid out back to back.
+ *
+ * @param {FakeDisk} disk
+ * @param {FakePartition[]} partitions
+ */
+function writeGpt(disk, partitions) {
+  const { sectorSize, totalSectors } = disk;
+  const partEntriesSectors = Math.ceil(NUM_PART_ENTRIES * PART_ENTRY_SIZE / sectorSize);
+  const firstUsableLba = 2 + partEntriesSectors;
+  const lastUsableLba = totalSectors - partEntriesSectors - 2;
+
+  const partEntries = new Uint8Array(NUM_PART_ENTRIES * PART_ENTRY_SIZE);
+  const entriesView = new DataView(partEntries.buffer);
+  let lba = firstUsableLba;
+  partitions.forEach((partition, i) => {
+    const offset = i * PART_ENTRY_SIZE;
+    const endingLba = lba + partition.sectors - 1;
+    if (endingLba > lastUsableLba) throw new Error(`Fake - Partition ${partition.name} does not fit on disk`);
+    partEntries.set(encodeGuid(partition.type ?? TYPE_BASIC_DATA), offset);
+    partEntries.set(encodeGuid(crypto.randomUUID()), offset + 16);
+    entriesView.setBigUint64(offset + 32, BigInt(lba), true);
+    entriesView.setBigUint64(offset + 40, BigInt(endingLba), true);
+    entriesView.setBigUint64(offset + 48, partition.attributes ?? 0n, true);
+    for (let c = 0; c < Math.min(partition.name.length, 35); c++) {
+      entriesView.setUint16(offset + 56 + c * 2, partition.name.charCodeAt(c), true);
+    }
+    lba = endingLba + 1;
+  });
+  const partEntriesCrc32 = crc32(partEntries);
+  const diskGuid = encodeGuid(crypto.randomUUID());
+
+  const buildHeader = (currentLba, alternateLba, partEntriesStartLba) => {
+    const header = new Uint8Array(sectorSize);
+    const view = new DataView(header.buffer);
+    header.set(encoder.encode("EFI PART"), 0);
+    view.setUint32(8, 0x10000, true);
+    view.setUint32(12, 92, true);
+    view.setBigUint64(24, BigInt(currentLba), true);
+    view.setBigUint64(32, BigInt(alternateLba), true);
+    view.setBigUint64(40, BigInt(firstUsableLba), true);
+    view.setBigUint64(48, BigInt(lastUsableLba), true);
+    header.set(diskGuid, 56);
+    view.setBigUint64(72, BigInt(partEntriesStartLba), true);
+    view.setUint32(80, NUM_PART_ENTRIES, true);
+    view.setUint32(84, PART_ENTRY_SIZE, true);
+    view.setInt32(88, partEntriesCrc32, true);
+    view.setInt32(16, crc32(header.subarray(0, 92)), true);
+    return header;
+  };
+
+  const mbr = new Uint8Array(sectorSize);
+  const mbrView = new DataView(mbr.buffer);
+  mbr.set([0x00, 0x00, 0x02, 0x00, 0xEE, 0xFF, 0xFF, 0xFF], 446);
+  mbrView.setUint32(446 + 8, 1, true);
+  mbrView.setUint32(446 + 12, Math.min(totalSectors - 1, 0xFFFFFFFF), true);
+  mbrView.setUint16(510, 0xAA55, true);
+
+  const backupPartEntriesStartLba = totalSectors - 1 - partEntriesSectors;
+  disk.write(0, mbr);
+  disk.write(1, buildHeader(1, totalSectors - 1, 2));
+  disk.write(2, partEntries);
+  disk.write(backupPartEntriesStartLba, partEntries);
+  disk.write(totalSectors - 1, buildHeader(totalSectors - 1, 1, backupPartEntriesStartLba));
+}
+
+
+/**
+ * Build a minimal ELF64 image which the fake device accepts as a firehose programmer.
+ *
+ * @param {number} [payloadSize=4096]
+ * @returns {ArrayBuffer}
+ */
+export function createFakeLoader(payloadSize = 4096) {
+  const phdrSize = 0x38;
+  const buffer = new ArrayBuffer(ELF_HEADER_SIZE + phdrSize + payloadSize);
+  const view = new DataView(buffer);
+  new Uint8Array(buffer).set([0x7F, 0x45, 0x4C, 0x46, 2, 1, 1]);
+  view.setUint16(0x10, 2, true); // ET_EXEC
+  view.setUint16(0x12, 0xB7, true); // EM_AARCH64
+  view.setUint32(0x14, 1, true);
+  view.setBigUint64(0x20, BigInt(ELF_HEADER_SIZE), true);
+  view.setUint16(0x34, ELF_HEADER_SIZE, true);
+  view.setUint16(0x36, phdrSize, true);
+  view.setUint16(0x38, 1, true);
+
+  view.setUint32(ELF_HEADER_SIZE, 1, true); // PT_LOAD
+  view.setBigUint64(ELF_HEADER_SIZE + 0x08, BigInt(ELF_HEADER_SIZE + phdrSize), true);
+  view.setBigUint64(ELF_HEADER_SIZE + 0x20, BigInt(payloadSize), true);
+  view.setBigUint64(ELF_HEADER_SIZE + 0x28, BigInt(payloadSize), true);
+  new Uint8Array(buffer, ELF_HEADER_SIZE + phdrSize).fill(0xA5);
+  return buffer;
+}
+
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return value.replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;").replaceAll("\"", "&quot;");
+}
+
+
+/**
+ * Simulated Qualcomm device in EDL mode, usable as a {@link Transport}.
+ *
+ * It answers the Sahara handshake, accepts a 64-bit ELF programmer upload, then responds to
+ * Firehose commands backed by in-memory LUNs with real GPTs.
+ */
+export class FakeEdlDevice {
+  /** @type {Uint8Array[]} */
+  #output = [];
+  /** @type {(() => void)[]} */
+  #waiters = [];
+  #opened = false;
+  #attached = true;
+  #disconnectWhenDrained = false;
+  #rebootToEdl = false;
+  /** @type {"sahara"|"firehose"} */
+  #mode = "sahara";
+  /** @type {Uint8Array|null} */
+  #execData = null;
+  /** @type {{ request: { offset: number; length: number }|null; pending: { offset: number; length: number }[]; chunks: { offset: number; data: Uint8Array }[]; size: number; phdrs: { phentsize: number; phnum: number }|null }|null} */
+  #upload = null;
+  /** @type {{ lun: number; start: number; length: number; received: number; chunks: Uint8Array[] }|null} */
+  #program = null;
+  /** @type {{ command: string; type: FaultType; count: number }[]} */
+  #faults = [];
+  #parser = new XMLParser({
+    attributeNamePrefix: "",
+    ignoreAttributes: false,
+    parseAttributeValue: false,
+  });
+
+  /**
+   * @param {object} [options]
+   * @param {number} [options.sectorSize=4096]
+   * @param {FakeLun[]} [options.luns]
+   * @param {number} [options.serial]
+   * @param {string} [options.hwid="0008b0e100000000"] - MSM HWID as 16 hex digits
+   * @param {string} [options.pkHash] - OEM public key hash, hex
+   * @param {number} [options.maxPayloadSizeFromTarget=4096]
+   * @param {boolean} [options.digestSupported=true]
+   * @param {number} [options.readTimeout=50] - Milliseconds a read waits for data before returning nothing
+   * @param {FakeMemoryRegion[]|null} [options.memoryRegions=null] - Start in Sahara memory debug mode, as after a
+   *   crash, offering these regions
+   * @param {boolean} [options.memoryDebug64=true] - Use the 64-bit memory debug commands
+   */
+  constructor({
+    sectorSize = 4096,
+    luns = DEFAULT_LAYOUT,
+    serial = 0x1234ABCD,
+    hwid = "0008b0e100000000",
+    pkHash = "1bebe3863a6781db".repeat(4),
+    maxPayloadSizeFromTarget = 4096,
+    digestSupported = true,
+    readTimeout = 50,
+    memoryRegions = null,
+    memoryDebug64 = true,
+  } = {}) {
+    this.sectorSize = sectorSize;
+    this.serial = serial;
+    this.hwid = hwid;
+    this.pkHash = pkHash;
+    this.maxPayloadSizeFromTarget = maxPayloadSizeFromTarget;
+    this.digestSupported = digestSupported;
+    this.readTimeout = readTimeout;
+    this.memoryRegions = memoryRegions;
+    this.memoryDebug64 = memoryDebug64;
+    /** @type {FakeDisk[]} */
+    this.luns = luns.map(({ totalSectors, partitions }) => {
+      const disk = new FakeDisk(sectorSize, totalSectors);
+      writeGpt(disk, partitions);
+      return disk;
+    });
+    /** @type {Uint8Array|null} */
+    this.loader = null;
+    /** @type {number|null} */
+    this.bootLun = null;
+    /** @type {{ tag: string; attributes: Record<string, string> }[]} */
+    this.commands = [];
+  }
+
+  get connected() {
+    return this.#opened;
+  }
+
+  /** @returns {"sahara"|"firehose"} */
+  get mode() {
+    return this.#mode;
+  }
+
+  /** @returns {Promise<void>} */
+  connect() {
+    if (!this.#attached) return Promise.reject("USB - No matching device in EDL mode found");
+    this.#opened = true;
+    this.#output = [];
+    if (this.#mode === "sahara") {
+      this.#sendHello(this.memoryRegions ? sahara_mode_t.SAHARA_MODE_MEMORY_DEBUG : sahara_mode_t.SAHARA_MODE_IMAGE_TX_PENDING);
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * Whether the device is attached in EDL mode. After a reset other than to EDL it stays detached
+   * until {@link attach} is called.
+   *
+   * @returns {boolean}
+   */
+  get attached() {
+    return this.#attached;
+  }
+
+  /**
+   * Simulate the device being plugged back in, in EDL mode.
+   */
+  attach() {
+    this.#attached = true;
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {number} [options.timeout=0]
+   * @param {string} [options.serial]
+   * @returns {Promise<void>}
+   */
+  async waitForDevice({ timeout = 0, serial } = {}) {
+    if (this.#opened) this.disconnect();
+    await poll(() => {
+      if (!this.#attached) return undefined;
+      return !serial || normalizeSerial(serial) === this.serial.toString(16) ? true : undefined;
+    }, timeout, "USB - Timed out waiting for device in EDL mode", this.readTimeout);
+    await this.connect();
+  }
+
+  /**
+   * Simulate the device going away, e.g. on reset. The next connection starts in Sahara mode.
+   */
+  disconnect() {
+    this.#attached = this.#rebootToEdl || !this.#disconnectWhenDrained;
+    this.#rebootToEdl = false;
+    this.#opened = false;
+    this.#disconnectWhenDrained = false;
+    this.#mode = "sahara";
+    this.#output = [];
+    this.#program = null;
+    this.#upload = null;
+    for (const wake of this.#waiters.splice(0)) wake();
+  }
+
+  /**
+   * @param {number} lun
+   * @returns {FakeDisk}
+   */
+  disk(lun) {
+    const disk = this.luns[lun];
+    if (!disk) throw new Error(`Fake - LUN ${lun} does not exist`);
+    return disk;
+  }
+
+  /**
+   * Make the next <code>count</code> Firehose commands named <code>command</code> misbehave.
+   * <ul>
+   *   <li><code>nak</code> - respond with NAK</li>
+   *   <li><code>timeout</code> - never respond</li>
+   *   <li><code>partial</code> - for <code>read</code>, send only half of the requested data</li>
+   * </ul>
+   *
+   * @param {string} command - Firehose command name, or <code>*</code> for any command
+   * @param {FaultType} type
+   * @param {number} [count=1]
+   */
+  injectFault(command, type, count = 1) {
+    this.#faults.push({ command, type, count });
+  }
+
+  /**
+   * Without a timeout, a read that finds no data returns an empty array after <code>readTimeout</code>.
+   *
+   * @param {number} [length=0]
+   * @param {number} [timeout=0]
+   * @returns {Promise<Uint8Array>}
+   */
+  async read(length = 0, timeout = 0) {
+    if (!this.#opened) throw "USB - Not connected";
+    if (length) {
+      /** @type {Uint8Array[]} */
+      const chunks = [];
+      let received = 0;
+      do {
+        const chunk = await this.read(0, timeout);
+        if (!chunk.byteLength) break;
+        chunks.push(chunk);
+        received += chunk.byteLength;
+      } while (received < length);
+      return concatUint8Array(chunks);
+    }
+    if (!this.#output.length) {
+      if (this.#disconnectWhenDrained) {
+        this.disconnect();
+        throw "USB - Not connected";
+      }
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, Math.min(timeout || this.readTimeout, this.readTimeout));
+        this.#waiters.push(() => {
+          clearTimeout(timer);
+          resolve(undefined);
+        });
+      });
+      if (!this.#output.length && timeout) throw new TimeoutError(`USB - Read timed out after ${timeout}ms`, timeout);
+    }
+    return this.#output.shift() ?? new Uint8Array();
+  }
+
+  /**
+   * @param {Uint8Array} data
+   * @param {boolean} [_wait=true]
+   * @param {number} [_timeout=0]
+   * @returns {Promise<void>}
+   */
+  async write(data, _wait = true, _timeout = 0) {
+    if (!this.#opened) throw "USB - Not connected";
+    if (this.#mode === "sahara") {
+      this.#handleSahara(data);
+    } else {
+      await this.#handleFirehose(data);
+    }
+  }
+
+  /** @param {Uint8Array} data */
+  #send(data) {
+    this.#output.push(data);
+    for (const wake of this.#waiters.splice(0)) wake();
+  }
+
+  /** @param {number} mode */
+  #sendHello(mode) {
+    this.#send(packGenerator([cmd_t.SAHARA_HELLO_REQ, 0x30, 2, 1, 0x400, mode, 0, 0, 0, 0, 0, 0]));
+  }
+
+  /** @param {number} status */
+  #sendEndTransfer(status) {
+    this.#upload = null;
+    this.#send(packGenerator([cmd_t.SAHARA_END_TRANSFER, 0x10, IMAGE_ID_FIREHOSE, status]));
+  }
+
+  /** @param {Uint8Array} data */
+  #handleSahara(data) {
+    if (!data.byteLength) return;
+    if (this.#upload) {
+      this.#receiveLoaderData(data);
+      return;
+    }
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const cmd = view.getUint32(0, true);
+    if (cmd === cmd_t.SAHARA_HELLO_RSP) {
+      const mode = view.getUint32(20, true);
+      if (this.memoryRegions) {
+        if (mode === sahara_mode_t.SAHARA_MODE_MEMORY_DEBUG) {
+          this.#sendMemoryDebug();
+        } else {
+          this.#sendEndTransfer(status_t.SAHARA_NAK_INVALID_CMD);
+        }
+      } else if (mode === sahara_mode_t.SAHARA_MODE_COMMAND) {
+        this.#send(packGenerator([cmd_t.SAHARA_CMD_READY, 0x8]));
+      } else if (mode === sahara_mode_t.SAHARA_MODE_IMAGE_TX_PENDING) {
+        this.#upload = { request: null, pending: [], chunks: [], size: 0, phdrs: null };
+        this.#requestLoaderData(0, ELF_HEADER_SIZE);
+      } else {
+        this.#sendEndTransfer(status_t.SAHARA_NAK_INVALID_CMD);
+      }
+    } else if (cmd === cmd_t.SAHARA_EXECUTE_REQ) {
+      const clientCmd = view.getUint32(8, true);
+      this.#execData = this.#execute(clientCmd);
+      if (!this.#execData) {
+        this.#sendEndTransfer(status_t.SAHARA_NAK_INVALID_CMD);
+        return;
+      }
+      this.#send(packGenerator([cmd_t.SAHARA_EXECUTE_RSP, 0x10, clientCmd, this.#execData.byteLength]));
+    } else if (cmd === cmd_t.SAHARA_EXECUTE_DATA) {
+      if (this.#execData) this.#send(this.#execData);
+      this.#execData = null;
+    } else if (cmd === cmd_t.SAHARA_SWITCH_MODE) {
+      this.#sendHello(view.getUint32(8, true));
+    } else if (cmd === cmd_t.SAHARA_MEMORY_READ && this.memoryRegions && !this.memoryDebug64) {
+      this.#readMemory(view.getUint32(8, true), view.getUint32(12, true));
+    } else if (cmd === cmd_t.SAHARA_64BIT_MEMORY_READ && this.memoryRegions && this.memoryDebug64) {
+      this.#readMemory(Number(view.getBigUint64(8, true)), Number(view.getBigUint64(16, true)));
+    } else if (cmd === cmd_t.SAHARA_RESET_REQ) {
+      this.#send(packGenerator([cmd_t.SAHARA_RESET_RSP, 0x8]));
+      // reboots normally once the dump has been collected
+      this.memoryRegions = null;
+      this.#disconnectWhenDrained = true;
+    } else if (cmd === cmd_t.SAHARA_DONE_REQ) {
+      if (!this.loader) {
+        this.#sendEndTransfer(status_t.SAHARA_NAK_INVALID_CMD);
+        return;
+      }
+      this.#send(packGenerator([cmd_t.SAHARA_DONE_RSP, 0xC, 1]));
+      this.#mode = "firehose";
+      logger.debug("Programmer started");
+    } else {
+      this.#sendEndTransfer(status_t.SAHARA_NAK_INVALID_CMD);
+    }
+  }
+
+  /**
+   * @param {number} clientCmd
+   * @returns {Uint8Array|null}
+   */
+  #execute(clientCmd) {
+    if (clientCmd === exec_cmd_t.SAHARA_EXEC_CMD_SERIAL_NUM_READ) {
+      return packGenerator([this.serial]);
+    }
+    if (clientCmd === exec_cmd_t.SAHARA_EXEC_CMD_MSM_HW_ID_READ) {
+      const data = new Uint8Array(8);
+      new DataView(data.buffer).setBigUint64(0, BigInt(`0x${this.hwid}`), true);
+      return data;
+    }
+    if (clientCmd === exec_cmd_t.SAHARA_EXEC_CMD_OEM_PK_HASH_READ) {
+      return Uint8Array.from(this.pkHash.match(/../g) ?? [], (byte) => Number.parseInt(byte, 16));
+    }
+    return null;
+  }
+
+  /**
+   * @returns {Uint8Array}
+   */
+  #memoryTable() {
+    const entrySize = this.memoryDebug64 ? 0x40 : 0x34;
+    const table = new Uint8Array((this.memoryRegions?.length ?? 0) * entrySize);
+    const view = new DataView(table.buffer);
+    this.memoryRegions?.forEach(({ description, filename = "", address, data }, i) => {
+      const offset = i * entrySize;
+      if (this.memoryDebug64) {
+        view.setBigUint64(offset + 8, BigInt(address), true);
+        view.setBigUint64(offset + 16, BigInt(data.byteLength), true);
+      } else {
+        view.setUint32(offset + 4, address, true);
+        view.setUint32(offset + 8, data.byteLength, true);
+      }
+      const strings = offset + (this.memoryDebug64 ? 24 : 12);
+      table.set(encoder.encode(description).subarray(0, 20), strings);
+      table.set(encoder.encode(filename).subarray(0, 20), strings + 20);
+    });
+    return table;
+  }
+
+  #sendMemoryDebug() {
+    const length = this.#memoryTable().byteLength;
+    if (!this.memoryDebug64) {
+      this.#send(packGenerator([cmd_t.SAHARA_MEMORY_DEBUG, 0x10, MEMORY_TABLE_ADDRESS, length]));
+      return;
+    }
+    const packet = new Uint8Array(0x18);
+    const view = new DataView(packet.buffer);
+    view.setUint32(0, cmd_t.SAHARA_64BIT_MEMORY_DEBUG, true);
+    view.setUint32(4, 0x18, true);
+    view.setBigUint64(8, BigInt(MEMORY_TABLE_ADDRESS), true);
+    view.setBigUint64(16, BigInt(length), true);
+    this.#send(packet);
+  }
+
+  /**
+   * @param {number} address
+   * @param {number} length
+   */
+  #readMemory(address, length) {
+    const sources = [{ address: MEMORY_TABLE_ADDRESS, data: this.#memoryTable() }, ...(this.memoryRegions ?? [])];
+    const source = sources.find((region) => address >= region.address && address + length <= region.address + region.data.byteLength);
+    if (!source || length > MAX_MEMORY_READ_SIZE) {
+      this.#sendEndTransfer(status_t.SAHARA_NAK_INVALID_CMD);
+      return;
+    }
+    this.#send(source.data.slice(address - source.address, address - source.address + length));
+  }
+
+  /**
+   * @param {number} offset
+   * @param {number} length
+   */
+  #requestLoaderData(offset, length) {
+    if (this.#upload) this.#upload.request = { offset, length };
+    const packet = new Uint8Array(0x20);
+    const view = new DataView(packet.buffer);
+    view.setUint32(0, cmd_t.SAHARA_64BIT_MEMORY_READ_DATA, true);
+    view.setUint32(4, 0x20, true);
+    view.setBigUint64(8, BigInt(IMAGE_ID_FIREHOSE), true);
+    view.setBigUint64(16, BigInt(offset), true);
+    view.setBigUint64(24, BigInt(length), true);
+    this.#send(packet);
+  }
+
+  /** @param {Uint8Array} data */
+  #receiveLoaderData(data) {
+    const upload = this.#upload;
+    if (!upload) return;
+    const { request } = upload;
+    upload.request = null;
+    if (!request || data.byteLength !== request.length) {
+      this.#sendEndTransfer(status_t.SAHARA_NAK_INVALID_CMD);
+      return;
+    }
+    upload.chunks.push({ offset: request.offset, data: data.slice() });
+    upload.size = Math.max(upload.size, request.offset + request.length);
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+    if (request.offset === 0 && request.length === ELF_HEADER_SIZE) {
+      const magic = decoder.decode(data.subarray(1, 4));
+      if (data[0] !== 0x7F || magic !== "ELF" || data[4] !== 2) {
+        logger.debug("Programmer is not an ELF64 image");
+        this.#sendEndTransfer(status_t.SAHARA_NAK_INVALID_ELF_HDR);
+        return;
+      }
+      const phoff = Number(view.getBigUint64(0x20, true));
+      const phentsize = view.getUint16(0x36, true);
+      const phnum = view.getUint16(0x38, true);
+      this.#requestLoaderData(phoff, phentsize * phnum);
+      upload.phdrs = { phentsize, phnum };
+      return;
+    }
+
+    if (upload.phdrs) {
+      const { phentsize, phnum } = upload.phdrs;
+      upload.phdrs = null;
+      for (let i = 0; i < phnum; i++) {
+        const offset = Number(view.getBigUint64(i * phentsize + 0x08, true));
+        const filesz = Number(view.getBigUint64(i * phentsize + 0x20, true));
+        for (let pos = 0; pos < filesz; pos += LOADER_REQUEST_SIZE) {
+          upload.pending.push({ offset: offset + pos, length: Math.min(LOADER_REQUEST_SIZE, filesz - pos) });
+        }
+      }
+    }
+
+    const next = upload.pending.shift();
+    if (next) {
+      this.#requestLoaderData(next.offset, next.length);
+      return;
+    }
+    const loader = new Uint8Array(upload.size);
+    for (const chunk of upload.chunks) loader.set(chunk.data, chunk.offset);
+    this.loader = loader;
+    logger.debug(`Programmer uploaded (${loader.byteLength} bytes)`);
+    this.#sendEndTransfer(status_t.SAHARA_STATUS_SUCCESS);
+  }
+
+  /**
+   * @param {"ACK"|"NAK"} value
+   * @param {Record<string, string|number>} [attributes]
+   * @param {string[]} [logs]
+   */
+  #respond(value, attributes = {}, logs = []) {
+    const header = `<?xml version="1.0" encoding="UTF-8" ?>`;
+    const logXml = logs.map((log) => `${header}<data><log value="${escapeXml(log)}" /></data>`).join("");
+    const attrs = Object.entries(attributes).map(([key, val]) => ` ${key}="${val}"`).join("");
+    this.#send(encoder.encode(`${logXml}${header}<data><response value="${value}"${attrs} /></data>`));
+  }
+
+  /**
+   * @param {string} tag
+   * @returns {FaultType|null}
+   */
+  #takeFault(tag) {
+    const fault = this.#faults.find(({ command }) => command === tag || command === "*");
+    if (!fault) return null;
+    fault.count -= 1;
+    if (fault.count <= 0) this.#faults.splice(this.#faults.indexOf(fault), 1);
+    logger.debug(`Injecting ${fault.type} fault into ${tag}`);
+    return fault.type;
+  }
+
+  /** @param {Uint8Array} data */
+  async #handleFirehose(data) {
+    if (this.#program) {
+      this.#receiveProgramData(data);
+      return;
+    }
+    if (!data.byteLength) return;
+
+    const doc = this.#parser.parse(decoder.decode(data))?.data;
+    const tag = doc ? Object.keys(doc)[0] : undefined;
+    if (!tag) {
+      this.#respond("NAK", {}, ["ERROR: Failed to parse XML"]);
+      return;
+    }
+    /** @type {Record<string, string>} */
+    const attributes = typeof doc[tag] === "object" ? doc[tag] : {};
+    this.commands.push({ tag, attributes });
+
+    const fault = this.#takeFault(tag);
+    if (fault === "timeout") return;
+    if (fault === "nak") {
+      this.#respond("NAK", {}, [`ERROR: Injected failure for ${tag}`]);
+      return;
+    }
+
+    try {
+      await this.#dispatch(tag, attributes, fault);
+    } catch (e) {
+      this.#respond("NAK", {}, [`ERROR: ${e instanceof Error ? e.message : e}`]);
+    }
+  }
+
+  /**
+   * @param {string} tag
+   * @param {Record<string, string>} attributes
+   * @param {FaultType|null} fault
+   * @returns {Promise<void>}
+   */
+  async #dispatch(tag, attributes, fault) {
+    const lun = Number(attributes.physical_partition_number ?? 0);
+    const start = Number(attributes.start_sector ?? 0);
+    const count = Number(attributes.num_partition_sectors ?? 0);
+    const checkSectorSize = () => {
+      if (Number(attributes.SECTOR_SIZE_IN_BYTES) !== this.sectorSize) {
+        throw new Error(`Sector size ${attributes.SECTOR_SIZE_IN_BYTES} not supported`);
+      }
+    };
+
+    if (tag === "configure") {
+      if (attributes.MemoryName?.toUpperCase() !== "UFS") throw new Error(`Memory ${attributes.MemoryName} not supported`);
+      this.#respond("ACK", {
+        MemoryName: "UFS",
+        MaxPayloadSizeFromTargetInBytes: this.maxPayloadSizeFromTarget,
+        MaxPayloadSizeToTargetInBytes: attributes.MaxPayloadSizeToTargetInBytes ?? 1048576,
+        MaxPayloadSizeToTargetInBytesSupported: 1048576,
+        MaxXMLSizeInBytes: 4096,
+        Version: 1,
+        TargetName: "fake",
+      }, ["INFO: Calling handler for configure", "INFO: Storage type set to value UFS"]);
+    } else if (tag === "nop") {
+      this.#respond("ACK");
+    } else if (tag === "read") {
+      checkSectorSize();
+      let data = this.disk(lun).read(start, count);
+      this.#respond("ACK", { rawmode: "true" });
+      if (fault === "partial") data = data.subarray(0, Math.floor(data.byteLength / 2));
+      for (let offset = 0; offset < data.byteLength; offset += this.maxPayloadSizeFromTarget) {
+        this.#send(data.slice(offset, offset + this.maxPayloadSizeFromTarget));
+      }
+      this.#respond("ACK", { rawmode: "false" });
+    } else if (tag === "program") {
+      checkSectorSize();
+      if (start + count > this.disk(lun).totalSectors) throw new Error("Program out of range");
+      this.#program = { lun, start, length: count * this.sectorSize, received: 0, chunks: [] };
+      this.#respond("ACK", { rawmode: "true" });
+    } else if (tag === "erase") {
+      checkSectorSize();
+      this.disk(lun).erase(start, count);
+      this.#respond("ACK");
+    } else if (tag === "patch") {
+      this.#patch(lun, attributes);
+      this.#respond("ACK");
+    } else if (tag === "getsha256digest") {
+      if (!this.digestSupported) throw new Error("Unrecognized command getsha256digest");
+      checkSectorSize();
+      const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", this.disk(lun).read(start, count)));
+      const hex = Array.from(digest, (byte) => byte.toString(16).padStart(2, "0")).join("");
+      this.#respond("ACK", {}, [`INFO: Digest ${hex}`]);
+    } else if (tag === "getstorageinfo") {
+      const disk = this.disk(lun);
+      const storageInfo = {
+        total_blocks: disk.totalSectors,
+        block_size: this.sectorSize,
+        page_size: this.sectorSize,
+        num_physical: this.luns.length,
+        manufacturer_id: 0x1AD,
+        serial_num: this.serial,
+        fw_version: "0001",
+        mem_type: "UFS",
+        prod_name: "FAKE",
+      };
+      this.#respond("ACK", {}, [`INFO: ${JSON.stringify({ storage_info: storageInfo })}`]);
+    } else if (tag === "setbootablestoragedrive") {
+      this.bootLun = Number(attributes.value);
+      this.#respond("ACK");
+    } else if (tag === "power") {
+      this.#respond("ACK", {}, [`INFO: Power ${attributes.value}`]);
+      this.#disconnectWhenDrained = true;
+      this.#rebootToEdl = attributes.value === "reset_to_edl";
+    } else {
+      throw new Error(`Unrecognized command ${tag}`);
+    }
+  }
+
+  /**
+   * @param {number} lun
+   * @param {Record<string, string>} attributes
+   */
+  #patch(lun, attributes) {
+    if (attributes.filename !== "DISK") throw new Error(`Cannot patch ${attributes.filename}`);
+    const disk = this.disk(lun);
+    const numDiskSectors = BigInt(disk.totalSectors);
+    const sector = Number(resolveSectorExpression(attributes.start_sector, numDiskSectors));
+    const byteOffset = Number(attributes.byte_offset);
+    const size = Number(attributes.size_in_bytes);
+
+    let value;
+    const crcMatch = attributes.value.match(/^CRC32\((.+),(\d+)\)$/);
+    if (crcMatch) {
+      const crcSector = resolveSectorExpression(crcMatch[1], numDiskSectors);
+      const crcLength = Number(crcMatch[2]);
+      const data = disk.read(crcSector, Math.ceil(crcLength / this.sectorSize));
+      value = BigInt(crc32(data.subarray(0, crcLength)) >>> 0);
+    } else {
+      value = resolveSectorExpression(attributes.value, numDiskSectors);
+    }
+
+    const sectors = Math.ceil((byteOffset + size) / this.sectorSize);
+    const data = disk.read(sector, sectors);
+    for (let i = 0; i < size; i++) {
+      data[byteOffset + i] = Number((value >> BigInt(i * 8)) & 0xFFn);
+    }
+    disk.write(sector, data);
+  }
+
+  /** @param {Uint8Array} data */
+  #receiveProgramData(data) {
+    const program = this.#program;
+    if (!program || !data.byteLength) return;
+    program.chunks.push(data.slice());
+    program.received += data.byteLength;
+    if (program.received < program.length) return;
+    this.#program = null;
+    this.disk(program.lun).write(program.start, concatUint8Array(program.chunks).subarray(0, program.length));
+    this.#respond("ACK", { rawmode: "false" });
+  }
+}
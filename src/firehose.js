@@ -1,9 +1,13 @@
-import { concatUint8Array, containsBytes, compareStringToBytes, runWithTimeout } from "./utils"
+import { concatUint8Array, containsBytes, compareStringToBytes } from "./utils"
 import { createLogger } from "./logger"
 import { toXml, xmlParser } from "./xml"
 
 const logger = createLogger("firehose")
 
+// the programmer hashes the whole range before it answers a digest request, which takes a while for large partitions
+const DIGEST_TIMEOUT_SECONDS = 30;
+const DIGEST_TIMEOUT_SECONDS_PER_GIB = 60;
+
 
 /**
  * Progress callback
@@ -38,6 +42,8 @@ class cfg {
     this.MaxPayloadSizeToTargetInBytes = 1048576;
     this.MaxPayloadSizeFromTargetInBytes = 4096;
     this.MaxXMLSizeInBytes = 4096;
+    // Largest amount of data sent with one program command, some programmers reject larger transfers
+    this.MaxProgramSizeInBytes = 64 * 1024 * 1024;
     this.bit64 = true;
     this.SECTOR_SIZE_IN_BYTES = 4096;
     this.MemoryName = "UFS";
@@ -48,10 +54,11 @@ class cfg {
 
 export class Firehose {
   /**
-   * @param {usbClass} cdc
+   * @param {import("./usblib").Transport} cdc
    */
   constructor(cdc) {
     this.cdc = cdc;
+    this.logger = logger;
     this.xml = new xmlParser();
     this.cfg = new cfg();
     /** @type {number[]} */
@@ -61,18 +68,19 @@ export class Firehose {
   /**
    * @param {string} command
    * @param {boolean} [wait=true]
+   * @param {number} [retries=3] - Seconds without any data to wait through for the response
    * @returns {Promise<response>}
    */
-  async xmlSend(command, wait = true) {
+  async xmlSend(command, wait = true, retries = 3) {
     // FIXME: warn if command is shortened
     const dataToSend = new TextEncoder().encode(command).slice(0, this.cfg.MaxXMLSizeInBytes);
     try {
-      await runWithTimeout(this.cdc.write(dataToSend, wait), 1000);
+      await this.cdc.write(dataToSend, wait, 1000);
     } catch (e) {
       throw "Firehose - Timed out while sending command";
     }
 
-    const rData = await this.waitForData();
+    const rData = await this.waitForData(retries);
     const resp = this.xml.getResponse(rData);
     const log = this.xml.getLog(rData);
     this.#printLogMessages(log);
@@ -98,7 +106,7 @@ export class Firehose {
    * @private
    */
   #printLogMessages(logs) {
-    for (const log of logs) logger.deviceMessage(log);
+    for (const log of logs) this.logger.deviceMessage(log);
   }
 
   /**
@@ -126,6 +134,17 @@ export class Firehose {
     if (response.value !== "ACK") {
       throw new Error("Negative response");
     }
+    const maxPayloadFromTarget = Number.parseInt(response.MaxPayloadSizeFromTargetInBytes, 10);
+    if (maxPayloadFromTarget > 0) {
+      this.cfg.MaxPayloadSizeFromTargetInBytes = maxPayloadFromTarget;
+    }
+    const maxPayloadToTarget = Number.parseInt(response.MaxPayloadSizeToTargetInBytes, 10);
+    if (maxPayloadToTarget > 0) {
+      this.cfg.MaxPayloadSizeToTargetInBytes = maxPayloadToTarget;
+    }
+    // keep program commands a whole number of payloads
+    this.cfg.MaxProgramSizeInBytes = Math.max(this.cfg.MaxPayloadSizeToTargetInBytes,
+      this.cfg.MaxProgramSizeInBytes - this.cfg.MaxProgramSizeInBytes % this.cfg.MaxPayloadSizeToTargetInBytes);
     const log = this.xml.getLog(data);
     this.#printLogMessages(log);
     if (!log.find((message) => message.includes("Calling handler for configure"))) {
@@ -145,6 +164,25 @@ export class Firehose {
    * @returns {Promise<Uint8Array>}
    */
   async cmdReadBuffer(physicalPartitionNumber, startSector, numPartitionSectors) {
+    /** @type {Uint8Array[]} */
+    const chunks = [];
+    await this.cmdRead(physicalPartitionNumber, startSector, numPartitionSectors, (data) => {
+      chunks.push(data);
+    });
+    return concatUint8Array(chunks);
+  }
+
+  /**
+   * Read sectors from the device, passing the data to <code>onData</code> in pieces of at most
+   * <code>MaxPayloadSizeFromTargetInBytes</code> as they arrive.
+   *
+   * @param {number} physicalPartitionNumber
+   * @param {bigint} startSector
+   * @param {number} numPartitionSectors
+   * @param {(data: Uint8Array) => void|Promise<void>} onData
+   * @returns {Promise<void>}
+   */
+  async cmdRead(physicalPartitionNumber, startSector, numPartitionSectors, onData) {
     await this.cdc.write(new TextEncoder().encode(toXml("read", {
       SECTOR_SIZE_IN_BYTES: this.cfg.SECTOR_SIZE_IN_BYTES,
       num_partition_sectors: numPartitionSectors,
@@ -163,11 +201,19 @@ export class Firehose {
       throw new Error("Failed to read buffer: wrong mode");
     }
 
-    let buffer;
-    try {
-      buffer = await runWithTimeout(this.cdc.read(this.cfg.SECTOR_SIZE_IN_BYTES * numPartitionSectors), 2000);
-    } catch {
-      throw new Error("Failed to read buffer: timed out");
+    let bytesToRead = this.cfg.SECTOR_SIZE_IN_BYTES * numPartitionSectors;
+    while (bytesToRead > 0) {
+      const rlen = Math.min(bytesToRead, this.cfg.MaxPayloadSizeFromTargetInBytes);
+      let buffer;
+      try {
+        buffer = await this.cdc.read(rlen, 2000);
+      } catch {
+        throw new Error("Failed to read buffer: timed out");
+      }
+      if (!buffer.byteLength) throw new Error("Failed to read buffer: timed out");
+      if (buffer.byteLength > bytesToRead) buffer = buffer.subarray(0, bytesToRead);
+      bytesToRead -= buffer.byteLength;
+      await onData(buffer);
     }
 
     data = await this.waitForData();
@@ -175,11 +221,9 @@ export class Firehose {
     this.#printLogMessages(this.xml.getLog(data));
 
     if (rsp.value !== "ACK") {
-      logger.error("Negative response code", rsp);
+      this.logger.error("Negative response code", rsp);
       throw new Error("Failed to read buffer: negative response code")
     }
-
-    return buffer;
   }
 
   /**
@@ -190,7 +234,7 @@ export class Firehose {
     let tmp = new Uint8Array();
     let timeout = 0;
     while (!containsBytes("<response", tmp)) {
-      const res = await runWithTimeout(this.cdc.read(), 1000).catch(() => new Uint8Array());
+      const res = await this.cdc.read(0, 1000).catch(() => new Uint8Array());
       if (compareStringToBytes("", res)) {
         timeout += 1;
         if (timeout > retries) break;
@@ -213,7 +257,7 @@ export class Firehose {
     const total = blob.size;
 
     const numPartitionSectors = Math.ceil(total / this.cfg.SECTOR_SIZE_IN_BYTES);
-    logger.debug(`Starting program on LUN ${physicalPartitionNumber} at ${startSector} - ${BigInt(startSector) + BigInt(numPartitionSectors - 1)} (${numPartitionSectors})`);
+    this.logger.debug(`Starting program on LUN ${physicalPartitionNumber} at ${startSector} - ${BigInt(startSector) + BigInt(numPartitionSectors - 1)} (${numPartitionSectors})`);
     const rsp = await this.xmlSend(toXml("program", {
       SECTOR_SIZE_IN_BYTES: this.cfg.SECTOR_SIZE_IN_BYTES,
       num_partition_sectors: numPartitionSectors,
@@ -221,7 +265,7 @@ export class Firehose {
       start_sector: startSector,
     }));
     if (!rsp.resp) {
-      logger.error("Failed to program");
+      this.logger.error("Failed to program");
       return false;
     }
 
@@ -254,11 +298,11 @@ export class Firehose {
     this.#printLogMessages(this.xml.getLog(wd));
 
     if (!("value" in response)){
-      logger.error("Failed to program: no return value");
+      this.logger.error("Failed to program: no return value");
       return false;
     }
     if (response.value !== "ACK") {
-      logger.error("Failed to program: negative response");
+      this.logger.error("Failed to program: negative response");
       return false;
     }
     return true;
@@ -318,7 +362,7 @@ export class Firehose {
   async cmdSetBootLunId(lun) {
     const val = await this.xmlSend(toXml("setbootablestoragedrive", { value: lun }));
     if (val.resp) {
-      logger.info(`Successfully set bootID to lun ${lun}`);
+      this.logger.info(`Successfully set bootID to lun ${lun}`);
       return true;
     } else {
       throw `Failed to set boot lun ${lun}`;
@@ -326,12 +370,13 @@ export class Firehose {
   }
 
   /**
+   * @param {"reset"|"reset_to_edl"|"off"} [value="reset"]
    * @returns {Promise<boolean>}
    */
-  async cmdReset() {
-    const val = await this.xmlSend(toXml("power", { value: "reset" }));
+  async cmdReset(value = "reset") {
+    const val = await this.xmlSend(toXml("power", { value }));
     if (val.resp) {
-      logger.info("Reset succeeded");
+      this.logger.info("Reset succeeded");
       // Drain log buffer
       try {
         const rData = await this.waitForData();
@@ -346,10 +391,11 @@ export class Firehose {
   }
 
   /**
+   * @param {number} [physicalPartitionNumber=0]
    * @returns {Promise<string[]>}
    */
-  async cmdGetStorageInfo() {
-    const resp = await this.xmlSend(toXml("getstorageinfo", { physical_partition_number: 0 }));
+  async cmdGetStorageInfo(physicalPartitionNumber = 0) {
+    const resp = await this.xmlSend(toXml("getstorageinfo", { physical_partition_number: physicalPartitionNumber }));
     if (!resp.resp || !resp.log) throw new Error("Failed to get storage info", { cause: resp.error });
     return resp.log;
   }
@@ -366,7 +412,57 @@ export class Firehose {
     }
   }
 
+  /**
+   * Ask the programmer for the SHA-256 digest of a range of sectors.
+   *
+   * @param {number} physicalPartitionNumber
+   * @param {bigint} startSector
+   * @param {number} numPartitionSectors
+   * @returns {Promise<Uint8Array|null>} The digest, or null if the programmer does not support digests
+   */
+  async cmdGetSha256Digest(physicalPartitionNumber, startSector, numPartitionSectors) {
+    const gib = Math.ceil(numPartitionSectors * this.cfg.SECTOR_SIZE_IN_BYTES / 2 ** 30);
+    const rsp = await this.xmlSend(toXml("getsha256digest", {
+      SECTOR_SIZE_IN_BYTES: this.cfg.SECTOR_SIZE_IN_BYTES,
+      num_partition_sectors: numPartitionSectors,
+      physical_partition_number: physicalPartitionNumber,
+      start_sector: startSector,
+    }), true, DIGEST_TIMEOUT_SECONDS + gib * DIGEST_TIMEOUT_SECONDS_PER_GIB);
+    if (this.xml.getResponse(rsp.data).value !== "ACK") return null;
+    for (const log of rsp.log ?? []) {
+      const match = log.match(/Digest\s+(?:0x)?([0-9a-f]{64})/i);
+      if (!match) continue;
+      return Uint8Array.from(match[1].match(/../g), (byte) => Number.parseInt(byte, 16));
+    }
+    return null;
+  }
+
+  /**
+   * @param {number} physicalPartitionNumber
+   * @param {bigint} startSector
+   * @param {number} byteOffset
+   * @param {number} sizeInBytes
+   * @param {string} value - Evaluated by the programmer, may be an expression such as <code>CRC32(2,4096)</code>
+   * @returns {Promise<boolean>}
+   */
+  async cmdPatch(physicalPartitionNumber, startSector, byteOffset, sizeInBytes, value) {
+    const rsp = await this.xmlSend(toXml("patch", {
+      SECTOR_SIZE_IN_BYTES: this.cfg.SECTOR_SIZE_IN_BYTES,
+      byte_offset: byteOffset,
+      filename: "DISK",
+      physical_partition_number: physicalPartitionNumber,
+      size_in_bytes: sizeInBytes,
+      start_sector: startSector,
+      value,
+    }));
+    if (!rsp.resp) {
+      this.logger.error("Failed to patch");
+      return false;
+    }
+    return true;
+  }
+
   flushDeviceMessages() {
-    logger.flushDeviceMessages()
+    this.logger.flushDeviceMessages()
   }
 }
@@ -0,0 +1,78 @@
+import { describe, expect, mock, test } from "bun:test";
+
+import { Firehose } from "./firehose";
+
+const encoder = new TextEncoder();
+
+/**
+ * @param {(Uint8Array|string)[]} responses
+ */
+function createMockCdc(responses) {
+  const queue = responses.map((response) => typeof response === "string" ? encoder.encode(response) : response);
+  return {
+    read: mock(() => Promise.resolve(queue.shift() ?? new Uint8Array())),
+    write: mock(() => Promise.resolve()),
+  };
+}
+
+const ack = (attrs = "") => `<?xml version="1.0" encoding="UTF-8" ?><data><response value="ACK" ${attrs}/></data>`;
+
+
+describe("Firehose", () => {
+  describe("cmdRead", () => {
+    test("streams data in MaxPayloadSizeFromTargetInBytes pieces", async () => {
+      const sectorSize = 4096;
+      const pieces = [new Uint8Array(sectorSize).fill(1), new Uint8Array(sectorSize).fill(2), new Uint8Array(sectorSize).fill(3)];
+      const cdc = createMockCdc([ack(`rawmode="true"`), ...pieces, ack(`rawmode="false"`)]);
+      const firehose = new Firehose(cdc);
+      firehose.cfg.MaxPayloadSizeFromTargetInBytes = sectorSize;
+
+      const received = [];
+      await firehose.cmdRead(0, 10n, 3, (data) => {
+        received.push(data);
+      });
+      expect(received).toEqual(pieces);
+      expect(cdc.read.mock.calls.filter(([length]) => length === sectorSize).length).toBe(3);
+      const command = new TextDecoder().decode(cdc.write.mock.calls[0][0]);
+      expect(command).toContain(`<read SECTOR_SIZE_IN_BYTES="4096" num_partition_sectors="3" physical_partition_number="0" start_sector="10" />`);
+    });
+
+    test("rejects NAK", async () => {
+      const cdc = createMockCdc([`<?xml version="1.0" encoding="UTF-8" ?><data><response value="NAK" /></data>`]);
+      const firehose = new Firehose(cdc);
+      await expect(firehose.cmdRead(0, 0n, 1, () => undefined)).rejects.toThrow("negative response code");
+    });
+  });
+
+  test("cmdReadBuffer", async () => {
+    const data = new Uint8Array(8192).map((_, i) => i & 0xFF);
+    const cdc = createMockCdc([ack(`rawmode="true"`), data.slice(0, 4096), data.slice(4096), ack()]);
+    const firehose = new Firehose(cdc);
+    expect(await firehose.cmdReadBuffer(1, 0n, 2)).toEqual(data);
+  });
+
+  describe("cmdGetSha256Digest", () => {
+    test("parses digest from log", async () => {
+      const digest = `${"a".repeat(62)}0f`;
+      const cdc = createMockCdc([`<?xml version="1.0" encoding="UTF-8" ?><data><log value="Digest ${digest}" /></data>${ack()}`]);
+      const firehose = new Firehose(cdc);
+      const result = await firehose.cmdGetSha256Digest(0, 6n, 2);
+      expect(result).toHaveLength(32);
+      expect(result[0]).toBe(0xAA);
+      expect(result[31]).toBe(0x0F);
+    });
+
+    test("waits for a slow digest", async () => {
+      const digest = "ab".repeat(32);
+      const cdc = createMockCdc([...Array(10).fill(""), `<?xml version="1.0" encoding="UTF-8" ?><data><log value="Digest ${digest}" /></data>${ack()}`]);
+      const firehose = new Firehose(cdc);
+      expect(await firehose.cmdGetSha256Digest(0, 6n, 2)).toEqual(new Uint8Array(32).fill(0xAB));
+    });
+
+    test("returns null when unsupported", async () => {
+      const cdc = createMockCdc([`<?xml version="1.0" encoding="UTF-8" ?><data><response value="NAK" /></data>`]);
+      const firehose = new Firehose(cdc);
+      expect(await firehose.cmdGetSha256Digest(0, 6n, 2)).toBeNull();
+    });
+  });
+});
@@ -57,5 +57,8 @@ export const utf16cstring = (maxLength) => custom(maxLength * 2, (buffer, offset
   for (let i = 0; i < length; i++) {
     buffer.setUint16(offset + i * 2, value.charCodeAt(i), littleEndian);
   }
-  buffer.setUint16(offset + length * 2, 0, littleEndian);
+  // clear the rest, so a shorter name doesn't leave part of the old one behind
+  for (let i = length; i < maxLength; i++) {
+    buffer.setUint16(offset + i * 2, 0, littleEndian);
+  }
 });
@@ -6,6 +6,15 @@ import { guid, utf16cstring } from "./gpt-structs";
 
 const SIGNATURE = "EFI PART";
 const TYPE_EFI_UNUSED = "00000000-0000-0000-0000-000000000000";
+const TYPE_BASIC_DATA = "ebd0a0a2-b9e5-4433-87c0-68b6b72699c7";
+
+const HEADER_SIZE = 92;
+const DEFAULT_NUM_PART_ENTRIES = 128;
+const DEFAULT_PART_ENTRY_SIZE = 128;
+const MAX_NAME_LENGTH = 35;
+
+// New partitions start on a 4 KiB boundary, the UFS block size
+const PARTITION_ALIGNMENT = 4096;
 
 const ATTRIBUTE_FLAG_OFFSET = 48n;
 const AB_FLAG_OFFSET = ATTRIBUTE_FLAG_OFFSET + 6n;
@@ -13,11 +22,32 @@ const AB_FLAG_OFFSET = ATTRIBUTE_FLAG_OFFSET + 6n;
 const AB_PARTITION_ATTR_SLOT_ACTIVE = BigInt(0x1 << 2);
 const AB_PARTITION_ATTR_BOOT_SUCCESSFUL = BigInt(0x1 << 6);
 const AB_PARTITION_ATTR_UNBOOTABLE = BigInt(0x1 << 7);
-const AB_PARTITION_ATTR_TRIES_MASK = BigInt(0xF << 8);
+// the tries remaining sit between the active and successful bits, as the bootloader's retry count does
+const AB_PARTITION_ATTR_TRIES_SHIFT = 3n;
+const AB_PARTITION_ATTR_TRIES_MASK = BigInt(0x7 << 3);
+
+/** Most boot attempts the A/B flags can hold */
+export const MAX_TRIES_REMAINING = 7;
 
 const logger = createLogger("gpt");
 
 
+/**
+ * A/B flags of a partition, kept in the top bits of its attributes
+ *
+ * @typedef {object} ABFlags
+ * @property {boolean} active
+ * @property {boolean} successful - The slot has booted to the point of marking itself good
+ * @property {boolean} unbootable
+ * @property {number} triesRemaining - Boot attempts left before the bootloader falls back, 0-{@link MAX_TRIES_REMAINING}
+ */
+
+
+/**
+ * @typedef {ABFlags & { partition: string; slot: "a"|"b" }} PartitionSlotInfo
+ */
+
+
 /**
  * @see {@link https://uefi.org/specs/UEFI/2.10/05_GUID_Partition_Table_Format.html#gpt-header}
  */
@@ -67,6 +97,18 @@ const GPTPartitionEntry = struct("GPTPartitionEntry", {
  */
 
 
+/**
+ * @typedef {object} NewPartition
+ * @property {string} name
+ * @property {number|bigint} [size] - Bytes, a whole number of sectors. By default the partition fills the free
+ *   space it starts in
+ * @property {number|bigint} [start] - First sector, by default the start of the first free space that fits
+ *   (or of the largest, without a size)
+ * @property {string} [type] - Partition type GUID, basic data by default
+ * @property {bigint} [attributes=0n]
+ */
+
+
 export class GPT {
   /** @type {ReturnType<typeof GPTHeader.from>} */
   #header;
@@ -78,6 +120,41 @@ export class GPT {
     this.sectorSize = sectorSize;
   }
 
+  /**
+   * Create an empty partition table, with a new disk GUID, for a disk of <code>totalSectors</code>.
+   * The backup table goes at the end of the disk.
+   *
+   * @param {number} sectorSize
+   * @param {number|bigint} totalSectors
+   * @returns {GPT}
+   */
+  static create(sectorSize, totalSectors) {
+    const partEntriesSectors = BigInt(Math.ceil(DEFAULT_NUM_PART_ENTRIES * DEFAULT_PART_ENTRY_SIZE / sectorSize));
+    const lastLba = BigInt(totalSectors) - 1n;
+    const firstUsableLba = 2n + partEntriesSectors;
+    const lastUsableLba = lastLba - partEntriesSectors - 1n;
+    if (lastUsableLba < firstUsableLba) throw new Error(`Disk of ${totalSectors} sectors is too small for a GPT`);
+
+    const data = new Uint8Array(HEADER_SIZE);
+    const view = new DataView(data.buffer);
+    data.set(new TextEncoder().encode(SIGNATURE), 0);
+    view.setUint32(8, 0x10000, true);
+    view.setUint32(12, HEADER_SIZE, true);
+    view.setBigUint64(24, 1n, true);
+    view.setBigUint64(32, lastLba, true);
+    view.setBigUint64(40, firstUsableLba, true);
+    view.setBigUint64(48, lastUsableLba, true);
+    crypto.getRandomValues(data.subarray(56, 72));
+    view.setBigUint64(72, 2n, true);
+    view.setUint32(80, DEFAULT_NUM_PART_ENTRIES, true);
+    view.setUint32(84, DEFAULT_PART_ENTRY_SIZE, true);
+
+    const gpt = new GPT(sectorSize);
+    gpt.#header = GPTHeader.from(data);
+    gpt.#partEntries = Array.from({ length: DEFAULT_NUM_PART_ENTRIES }, () => gpt.#emptyPartEntry());
+    return gpt;
+  }
+
   get headerCrc32() {
     return this.#header.headerCrc32;
   }
@@ -178,7 +255,10 @@ export class GPT {
     const alternate = this.#header.$clone();
     alternate.currentLba = this.#header.alternateLba;
     alternate.alternateLba = this.#header.currentLba;
-    alternate.partEntriesStartLba = this.#header.alternateLba - BigInt(this.partEntriesSectors);
+    // the backup entries sit just before the backup header, the primary entries just after the primary header
+    alternate.partEntriesStartLba = this.#header.alternateLba > this.#header.currentLba
+      ? this.#header.alternateLba - BigInt(this.partEntriesSectors)
+      : this.#header.alternateLba + 1n;
 
     const gpt = new GPT(this.sectorSize);
     gpt.#header = alternate;
@@ -186,6 +266,23 @@ export class GPT {
     return gpt;
   }
 
+  /**
+   * Protective MBR covering the whole disk, to go in sector 0.
+   *
+   * @returns {Uint8Array}
+   */
+  buildProtectiveMbr() {
+    const lastLba = this.currentLba === 1n ? this.alternateLba : this.currentLba;
+    const mbr = new Uint8Array(this.sectorSize);
+    const view = new DataView(mbr.buffer);
+    // one partition of type 0xEE from LBA 1 to the end of the disk, or as far as 32 bits reach
+    mbr.set([0x00, 0x00, 0x02, 0x00, 0xEE, 0xFF, 0xFF, 0xFF], 446);
+    view.setUint32(446 + 8, 1, true);
+    view.setUint32(446 + 12, Number(lastLba > 0xFFFFFFFFn ? 0xFFFFFFFFn : lastLba), true);
+    view.setUint16(510, 0xAA55, true);
+    return mbr;
+  }
+
   /** @returns {Uint8Array} */
   buildPartEntries() {
     const array = new Uint8Array(this.numPartEntries * this.partEntrySize);
@@ -239,6 +336,175 @@ export class GPT {
     return this.getPartitions().find((entry) => entry.name === name);
   }
 
+  /**
+   * Add a partition in a free entry. It must lie within the usable sectors, start on a 4 KiB
+   * boundary, and not overlap another partition.
+   *
+   * @param {NewPartition} partition
+   * @returns {Partition}
+   */
+  addPartition({ name, size = undefined, start = undefined, type = TYPE_BASIC_DATA, attributes = 0n }) {
+    this.#checkName(name);
+    const index = this.#partEntries.findIndex((entry) => entry.type === TYPE_EFI_UNUSED);
+    if (index === -1) throw new Error("No free partition entries");
+    const sectors = size === undefined ? undefined : this.#toSectors(size);
+
+    let first;
+    if (start !== undefined) {
+      first = BigInt(start);
+      if (first % this.#alignmentSectors !== 0n) {
+        throw new Error(`Partition ${name} must start on a ${PARTITION_ALIGNMENT} byte boundary`);
+      }
+    } else {
+      const gaps = this.#freeRanges()
+        .map((range) => ({ start: this.#alignUp(range.start), end: range.end }))
+        .filter((range) => range.start <= range.end && (sectors === undefined || range.end - range.start + 1n >= sectors));
+      const gap = sectors === undefined
+        ? gaps.reduce((largest, range) => (!largest || range.end - range.start > largest.end - largest.start ? range : largest), undefined)
+        : gaps[0];
+      if (!gap) throw new Error(`Not enough free space for partition ${name}`);
+      first = gap.start;
+    }
+
+    let last;
+    if (sectors === undefined) {
+      const gap = this.#freeRanges().find((range) => first >= range.start && first <= range.end);
+      if (!gap) throw new Error(`Sector ${first} is not free`);
+      last = gap.end;
+    } else {
+      last = first + sectors - 1n;
+    }
+    this.#checkRange(name, first, last);
+
+    const entry = this.#partEntries[index];
+    entry.type = type.toLowerCase();
+    entry.unique = crypto.randomUUID();
+    entry.startingLba = first;
+    entry.endingLba = last;
+    entry.attributes = attributes;
+    entry.name = name;
+    logger.debug(`Added ${name} at ${first}-${last}`);
+    return this.locatePartition(name);
+  }
+
+  /**
+   * @param {string} name
+   */
+  removePartition(name) {
+    const index = this.#partEntries.indexOf(this.#findPartEntry(name));
+    this.#partEntries[index] = this.#emptyPartEntry();
+  }
+
+  /**
+   * Change the size of a partition, keeping its start. It can only grow into free space.
+   *
+   * @param {string} name
+   * @param {number|bigint} [size] - Bytes, a whole number of sectors. By default the partition grows to fill the
+   *   free space after it
+   * @returns {Partition}
+   */
+  resizePartition(name, size = undefined) {
+    const entry = this.#findPartEntry(name);
+    let last;
+    if (size === undefined) {
+      const gap = this.#freeRanges().find((range) => range.start === entry.endingLba + 1n);
+      last = gap ? gap.end : entry.endingLba;
+    } else {
+      last = entry.startingLba + this.#toSectors(size) - 1n;
+    }
+    this.#checkRange(name, entry.startingLba, last, entry);
+    entry.endingLba = last;
+    return this.locatePartition(name);
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} newName
+   */
+  renamePartition(name, newName) {
+    const entry = this.#findPartEntry(name);
+    this.#checkName(newName);
+    entry.name = newName;
+  }
+
+  /** @returns {ReturnType<typeof GPTPartitionEntry.from>} */
+  #emptyPartEntry() {
+    return GPTPartitionEntry.from(new Uint8Array(this.partEntrySize));
+  }
+
+  /**
+   * @param {string} name
+   * @returns {ReturnType<typeof GPTPartitionEntry.from>}
+   */
+  #findPartEntry(name) {
+    const entry = this.#partEntries.find((partEntry) => partEntry.type !== TYPE_EFI_UNUSED && partEntry.name === name);
+    if (!entry) throw new Error(`Partition ${name} not found`);
+    return entry;
+  }
+
+  /** @param {string} name */
+  #checkName(name) {
+    if (!name || name.length > MAX_NAME_LENGTH) throw new Error(`Partition name must be 1-${MAX_NAME_LENGTH} characters: "${name}"`);
+    if (this.locatePartition(name)) throw new Error(`Partition ${name} already exists`);
+  }
+
+  /**
+   * @param {number|bigint} size
+   * @returns {bigint}
+   */
+  #toSectors(size) {
+    const bytes = BigInt(size);
+    const sectorSize = BigInt(this.sectorSize);
+    if (bytes <= 0n || bytes % sectorSize !== 0n) throw new Error(`Size ${size} is not a whole number of ${this.sectorSize} byte sectors`);
+    return bytes / sectorSize;
+  }
+
+  get #alignmentSectors() {
+    return BigInt(Math.max(1, PARTITION_ALIGNMENT / this.sectorSize));
+  }
+
+  /**
+   * @param {bigint} lba
+   * @returns {bigint}
+   */
+  #alignUp(lba) {
+    const alignment = this.#alignmentSectors;
+    return (lba + alignment - 1n) / alignment * alignment;
+  }
+
+  /**
+   * Runs of usable sectors not in any partition
+   *
+   * @returns {{ start: bigint; end: bigint }[]}
+   */
+  #freeRanges() {
+    const partitions = this.getPartitions().sort((a, b) => (a.start < b.start ? -1 : 1));
+    const ranges = [];
+    let next = this.firstUsableLba;
+    for (const { start, end } of partitions) {
+      if (start > next) ranges.push({ start: next, end: start - 1n });
+      if (end + 1n > next) next = end + 1n;
+    }
+    if (next <= this.lastUsableLba) ranges.push({ start: next, end: this.lastUsableLba });
+    return ranges;
+  }
+
+  /**
+   * @param {string} name
+   * @param {bigint} first
+   * @param {bigint} last
+   * @param {ReturnType<typeof GPTPartitionEntry.from>} [ignore] - Entry being resized
+   */
+  #checkRange(name, first, last, ignore = undefined) {
+    if (last < first || first < this.firstUsableLba || last > this.lastUsableLba) {
+      throw new Error(`Partition ${name} (${first}-${last}) is outside the usable sectors ${this.firstUsableLba}-${this.lastUsableLba}`);
+    }
+    const overlapping = this.#partEntries.find((entry) => {
+      return entry !== ignore && entry.type !== TYPE_EFI_UNUSED && entry.startingLba <= last && entry.endingLba >= first;
+    });
+    if (overlapping) throw new Error(`Partition ${name} (${first}-${last}) overlaps ${overlapping.name}`);
+  }
+
   /** @returns {{ partitions: Set<string>, slots: Set<string> }} */
   getPartitionsInfo() {
     const partitions = new Set(), slots = new Set();
@@ -253,7 +519,7 @@ export class GPT {
     return { partitions, slots };
   }
 
-  /** @returns {"a"|"b"|null} */
+  /** @returns {"a"|"b"|null} <code>null</code> if no partition in this LUN is marked active */
   getActiveSlot() {
     for (const partEntry of this.#partEntries) {
       if (partEntry.type === TYPE_EFI_UNUSED) continue;
@@ -263,8 +529,41 @@ export class GPT {
       const flags = parseABFlags(partEntry.attributes);
       if (flags.active) return slotA ? "a" : "b";
     }
-    logger.debug("No active slot found, defaulting to A");
-    return "a";
+    return null;
+  }
+
+  /** @returns {PartitionSlotInfo[]} The flags of every partition with a slot suffix */
+  getSlotInfo() {
+    return this.#partEntries.flatMap((partEntry) => {
+      if (partEntry.type === TYPE_EFI_UNUSED) return [];
+      const slot = partEntry.name.slice(-2);
+      if (slot !== "_a" && slot !== "_b") return [];
+      return [{ partition: partEntry.name, slot: slot === "_a" ? "a" : "b", ...parseABFlags(partEntry.attributes) }];
+    });
+  }
+
+  /**
+   * Change some of the A/B flags of every partition in a slot, leaving the rest as they are.
+   *
+   * @param {"a"|"b"} slot
+   * @param {Partial<Omit<ABFlags, "active">>} flags
+   */
+  setSlotFlags(slot, { successful, unbootable, triesRemaining }) {
+    if (slot !== "a" && slot !== "b") throw new Error("Invalid slot");
+    if (triesRemaining !== undefined && !(Number.isInteger(triesRemaining) && triesRemaining >= 0 && triesRemaining <= MAX_TRIES_REMAINING)) {
+      throw new Error(`Invalid number of tries ${triesRemaining}, expected 0-${MAX_TRIES_REMAINING}`);
+    }
+    for (const partEntry of this.#partEntries) {
+      if (partEntry.type === TYPE_EFI_UNUSED || !partEntry.name.endsWith(`_${slot}`)) continue;
+      const current = parseABFlags(partEntry.attributes);
+      partEntry.attributes = updateABFlags(
+        partEntry.attributes,
+        current.active,
+        successful ?? current.successful,
+        unbootable ?? current.unbootable,
+        triesRemaining ?? current.triesRemaining,
+      );
+    }
   }
 
   /** @param {"a"|"b"} slot */
@@ -283,15 +582,15 @@ export class GPT {
 
 /**
  * @param {bigint} attributes
- * @returns {{ active: boolean, successful: boolean, unbootable: boolean, triesRemaining: number }}
+ * @returns {ABFlags}
  */
-function parseABFlags(attributes) {
+export function parseABFlags(attributes) {
   const abFlags = attributes >> AB_FLAG_OFFSET;
   return {
     active: (abFlags & AB_PARTITION_ATTR_SLOT_ACTIVE) !== 0n,
     successful: (abFlags & AB_PARTITION_ATTR_BOOT_SUCCESSFUL) !== 0n,
     unbootable: (abFlags & AB_PARTITION_ATTR_UNBOOTABLE) !== 0n,
-    triesRemaining: Number((abFlags & AB_PARTITION_ATTR_TRIES_MASK) >> 8n),
+    triesRemaining: Number((abFlags & AB_PARTITION_ATTR_TRIES_MASK) >> AB_PARTITION_ATTR_TRIES_SHIFT),
   };
 }
 
@@ -304,16 +603,16 @@ function parseABFlags(attributes) {
  * @param {number} triesRemaining
  * @returns {bigint}
  */
-function updateABFlags(attributes, active, successful, unbootable, triesRemaining = 0) {
+export function updateABFlags(attributes, active, successful, unbootable, triesRemaining = 0) {
   let ret = attributes;
 
-  ret &= ~(AB_PARTITION_ATTR_SLOT_ACTIVE | AB_PARTITION_ATTR_BOOT_SUCCESSFUL | AB_PARTITION_ATTR_UNBOOTABLE | AB_PARTITION_ATTR_TRIES_MASK) << AB_FLAG_OFFSET;
+  ret &= ~((AB_PARTITION_ATTR_SLOT_ACTIVE | AB_PARTITION_ATTR_BOOT_SUCCESSFUL | AB_PARTITION_ATTR_UNBOOTABLE | AB_PARTITION_ATTR_TRIES_MASK) << AB_FLAG_OFFSET);
 
   if (active) ret |= AB_PARTITION_ATTR_SLOT_ACTIVE << AB_FLAG_OFFSET;
   if (successful) ret |= AB_PARTITION_ATTR_BOOT_SUCCESSFUL << AB_FLAG_OFFSET;
   if (unbootable) ret |= AB_PARTITION_ATTR_UNBOOTABLE << AB_FLAG_OFFSET;
 
-  const triesValue = (BigInt(triesRemaining) & 0xFn) << 8n;
+  const triesValue = (BigInt(triesRemaining) << AB_PARTITION_ATTR_TRIES_SHIFT) & AB_PARTITION_ATTR_TRIES_MASK;
   ret |= triesValue << AB_FLAG_OFFSET;
 
   return ret;
@@ -1,8 +1,8 @@
 import { readableStreamToArrayBuffer } from "bun";
-import { beforeAll, describe, expect, test } from "bun:test";
+import { beforeAll, beforeEach, describe, expect, test } from "bun:test";
 import { XzReadableStream } from "xz-decompress";
 
-import { GPT } from "./gpt";
+import { GPT, parseABFlags, updateABFlags } from "./gpt";
 
 const SECTOR_SIZE = 4096;
 
@@ -51,4 +51,136 @@ describe("GPT", () => {
       });
     }
   });
+
+  describe("editing", () => {
+    /** @type {GPT} */
+    let gpt;
+
+    beforeEach(() => {
+      gpt = GPT.create(SECTOR_SIZE, 4096);
+    });
+
+    test("create", () => {
+      expect(gpt.currentLba).toBe(1n);
+      expect(gpt.alternateLba).toBe(4095n);
+      expect(gpt.firstUsableLba).toBe(6n);
+      expect(gpt.lastUsableLba).toBe(4090n);
+      expect(gpt.getPartitions()).toEqual([]);
+
+      const header = gpt.buildHeader();
+      const parsed = new GPT(SECTOR_SIZE);
+      expect(parsed.parseHeader(header, 1n)).toMatchObject({ mismatchCrc32: false });
+      expect(parsed.parsePartEntries(gpt.buildPartEntries())).toMatchObject({ mismatchCrc32: false });
+      expect(GPT.create(SECTOR_SIZE, 4096).buildHeader().subarray(56, 72)).not.toEqual(header.subarray(56, 72));
+    });
+
+    test("addPartition places partitions in free space", () => {
+      expect(gpt.addPartition({ name: "boot", size: 16 * SECTOR_SIZE })).toMatchObject({ start: 6n, end: 21n, sectors: 16n });
+      expect(gpt.addPartition({ name: "misc", size: SECTOR_SIZE, start: 100 })).toMatchObject({ start: 100n, end: 100n });
+      expect(gpt.addPartition({ name: "ssd", size: 8 * SECTOR_SIZE })).toMatchObject({ start: 22n, end: 29n });
+      const userdata = gpt.addPartition({ name: "userdata", attributes: 1n });
+      expect(userdata).toMatchObject({ start: 101n, end: 4090n, attributes: "0x0000000000000001" });
+      expect(userdata.type).toBe("ebd0a0a2-b9e5-4433-87c0-68b6b72699c7");
+    });
+
+    test("addPartition checks overlaps, bounds and names", () => {
+      gpt.addPartition({ name: "boot", size: 16 * SECTOR_SIZE, start: 10 });
+      expect(() => gpt.addPartition({ name: "abl", size: 4 * SECTOR_SIZE, start: 20 })).toThrow("overlaps boot");
+      expect(() => gpt.addPartition({ name: "abl", size: SECTOR_SIZE, start: 2 })).toThrow("outside the usable sectors");
+      expect(() => gpt.addPartition({ name: "abl", size: 5000 * SECTOR_SIZE })).toThrow("Not enough free space");
+      expect(() => gpt.addPartition({ name: "abl", size: 100 })).toThrow("whole number");
+      expect(() => gpt.addPartition({ name: "boot", size: SECTOR_SIZE })).toThrow("already exists");
+      expect(() => gpt.addPartition({ name: "x".repeat(36), size: SECTOR_SIZE })).toThrow("1-35 characters");
+    });
+
+    test("addPartition aligns 512 byte sectors to 4 KiB", () => {
+      const small = GPT.create(512, 65536);
+      expect(small.firstUsableLba).toBe(34n);
+      expect(small.addPartition({ name: "boot", size: 4096 }).start).toBe(40n);
+      expect(() => small.addPartition({ name: "misc", size: 4096, start: 49 })).toThrow("4096 byte boundary");
+    });
+
+    test("resizePartition", () => {
+      gpt.addPartition({ name: "boot", size: 16 * SECTOR_SIZE, start: 8 });
+      gpt.addPartition({ name: "misc", size: SECTOR_SIZE, start: 64 });
+      expect(gpt.resizePartition("boot", 8 * SECTOR_SIZE)).toMatchObject({ start: 8n, end: 15n });
+      expect(() => gpt.resizePartition("boot", 64 * SECTOR_SIZE)).toThrow("overlaps misc");
+      expect(gpt.resizePartition("boot")).toMatchObject({ end: 63n });
+      expect(gpt.resizePartition("misc")).toMatchObject({ end: 4090n });
+      expect(() => gpt.resizePartition("vendor", SECTOR_SIZE)).toThrow("not found");
+    });
+
+    test("renamePartition and removePartition", () => {
+      gpt.addPartition({ name: "userdata_long_name", size: SECTOR_SIZE });
+      gpt.renamePartition("userdata_long_name", "data");
+      expect(gpt.getPartitions().map(({ name }) => name)).toEqual(["data"]);
+      const parsed = new GPT(SECTOR_SIZE);
+      parsed.parseHeader(gpt.buildHeader(), 1n);
+      parsed.parsePartEntries(gpt.buildPartEntries());
+      expect(parsed.locatePartition("data")).toBeDefined();
+
+      gpt.removePartition("data");
+      expect(gpt.getPartitions()).toEqual([]);
+      expect(gpt.addPartition({ name: "data", size: SECTOR_SIZE }).start).toBe(6n);
+    });
+
+    test("asAlternate and back", () => {
+      gpt.addPartition({ name: "boot", size: SECTOR_SIZE });
+      const backup = gpt.asAlternate();
+      expect(backup.currentLba).toBe(4095n);
+      expect(backup.partEntriesStartLba).toBe(4091n);
+      const primary = backup.asAlternate();
+      expect(primary.currentLba).toBe(1n);
+      expect(primary.partEntriesStartLba).toBe(2n);
+    });
+
+    test("getActiveSlot", () => {
+      gpt.addPartition({ name: "misc", size: SECTOR_SIZE });
+      gpt.addPartition({ name: "boot_a", size: SECTOR_SIZE });
+      expect(gpt.getActiveSlot()).toBeNull();
+      gpt.addPartition({ name: "boot_b", size: SECTOR_SIZE, attributes: updateABFlags(0n, true, true, false) });
+      expect(gpt.getActiveSlot()).toBe("b");
+    });
+
+    test("getSlotInfo and setSlotFlags", () => {
+      const activeSuccessful = updateABFlags(0n, true, true, false, 3);
+      gpt.addPartition({ name: "boot_a", size: SECTOR_SIZE, attributes: activeSuccessful | 1n });
+      gpt.addPartition({ name: "boot_b", size: SECTOR_SIZE });
+      gpt.addPartition({ name: "misc", size: SECTOR_SIZE });
+      expect(parseABFlags(activeSuccessful)).toEqual({ active: true, successful: true, unbootable: false, triesRemaining: 3 });
+      expect(gpt.getSlotInfo()).toEqual([
+        { partition: "boot_a", slot: "a", active: true, successful: true, unbootable: false, triesRemaining: 3 },
+        { partition: "boot_b", slot: "b", active: false, successful: false, unbootable: false, triesRemaining: 0 },
+      ]);
+
+      gpt.setSlotFlags("a", { successful: false, unbootable: true });
+      gpt.setSlotFlags("b", { triesRemaining: 7 });
+      expect(gpt.getSlotInfo()).toEqual([
+        { partition: "boot_a", slot: "a", active: true, successful: false, unbootable: true, triesRemaining: 3 },
+        { partition: "boot_b", slot: "b", active: false, successful: false, unbootable: false, triesRemaining: 7 },
+      ]);
+      // the other attribute bits are kept
+      expect(BigInt(gpt.locatePartition("boot_a").attributes) & 1n).toBe(1n);
+      expect(() => gpt.setSlotFlags("b", { triesRemaining: 8 })).toThrow("Invalid number of tries 8, expected 0-7");
+    });
+
+    test("A/B flags keep the layout of earlier releases and fit in 64 bits", () => {
+      // active and successful as setActiveSlot wrote them before the tries were added
+      gpt.addPartition({ name: "boot_a", size: SECTOR_SIZE, attributes: 0x1000000000000000n | 0x0100000000000000n });
+      gpt.addPartition({ name: "boot_b", size: SECTOR_SIZE });
+      expect(gpt.getActiveSlot()).toBe("a");
+      expect(gpt.getSlotInfo()[0]).toMatchObject({ active: true, successful: true, triesRemaining: 0 });
+      const flags = updateABFlags(0n, true, true, true, 7);
+      expect(flags).toBe(0x3F00000000000000n);
+      expect(flags < 1n << 64n).toBe(true);
+    });
+
+    test("buildProtectiveMbr", () => {
+      const mbr = new DataView(gpt.buildProtectiveMbr().buffer);
+      expect(mbr.getUint8(446 + 4)).toBe(0xEE);
+      expect(mbr.getUint32(446 + 8, true)).toBe(1);
+      expect(mbr.getUint32(446 + 12, true)).toBe(4095);
+      expect(mbr.getUint16(510, true)).toBe(0xAA55);
+    });
+  });
 });
@@ -0,0 +1,125 @@
+/** Bytes from the start of an image that {@link detectImageType} needs */
+export const IMAGE_TYPE_PREFIX_SIZE = 8192;
+
+export const ImageType = {
+  Boot: "boot",
+  VendorBoot: "vendor_boot",
+  Ext4: "ext4",
+  Erofs: "erofs",
+  Elf: "elf",
+  Vbmeta: "vbmeta",
+};
+
+const SPARSE_MAGIC = 0xED26FF3A;
+const SPARSE_CHUNK_RAW = 0xCAC1;
+const SUPERBLOCK_OFFSET = 1024;
+const EXT4_MAGIC = 0xEF53;
+const EROFS_MAGIC = 0xE0F5E1E2;
+const MAX_BOOT_HEADER_VERSION = 4;
+
+const FILESYSTEM = [ImageType.Ext4, ImageType.Erofs];
+const ELF = [ImageType.Elf];
+
+/** What each partition holds, by name without the slot suffix */
+const PARTITION_IMAGE_TYPES = {
+  boot: [ImageType.Boot],
+  init_boot: [ImageType.Boot],
+  recovery: [ImageType.Boot],
+  vendor_boot: [ImageType.VendorBoot],
+  system: FILESYSTEM,
+  system_ext: FILESYSTEM,
+  system_dlkm: FILESYSTEM,
+  vendor: FILESYSTEM,
+  vendor_dlkm: FILESYSTEM,
+  product: FILESYSTEM,
+  odm: FILESYSTEM,
+  odm_dlkm: FILESYSTEM,
+  abl: ELF,
+  aop: ELF,
+  devcfg: ELF,
+  hyp: ELF,
+  keymaster: ELF,
+  qupfw: ELF,
+  tz: ELF,
+  uefisecapp: ELF,
+  xbl: ELF,
+  xbl_config: ELF,
+  vbmeta: [ImageType.Vbmeta],
+  vbmeta_system: [ImageType.Vbmeta],
+  vbmeta_vendor: [ImageType.Vbmeta],
+};
+
+
+/**
+ * @typedef {object} DetectedImage
+ * @property {string|null} type - See {@link ImageType}, <code>null</code> if not recognised
+ * @property {boolean} sparse - The contents were found inside a sparse image
+ * @property {number} [headerVersion] - Of a boot or vendor boot image
+ */
+
+
+/**
+ * @param {Uint8Array} data
+ * @param {string} magic
+ * @param {number} [offset=0]
+ * @returns {boolean}
+ */
+function hasMagic(data, magic, offset = 0) {
+  if (data.byteLength < offset + magic.length) return false;
+  for (let i = 0; i < magic.length; i++) {
+    if (data[offset + i] !== magic.charCodeAt(i)) return false;
+  }
+  return true;
+}
+
+
+/**
+ * @param {Uint8Array} data
+ * @returns {Omit<DetectedImage, "sparse">}
+ */
+function detectRaw(data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  if (hasMagic(data, "ANDROID!") && data.byteLength >= 44) {
+    const headerVersion = view.getUint32(40, true);
+    if (headerVersion <= MAX_BOOT_HEADER_VERSION) return { type: ImageType.Boot, headerVersion };
+  }
+  if (hasMagic(data, "VNDRBOOT") && data.byteLength >= 12) {
+    return { type: ImageType.VendorBoot, headerVersion: view.getUint32(8, true) };
+  }
+  if (hasMagic(data, "\x7FELF")) return { type: ImageType.Elf };
+  if (hasMagic(data, "AVB0")) return { type: ImageType.Vbmeta };
+  if (data.byteLength >= SUPERBLOCK_OFFSET + 60) {
+    if (view.getUint32(SUPERBLOCK_OFFSET, true) === EROFS_MAGIC) return { type: ImageType.Erofs };
+    if (view.getUint16(SUPERBLOCK_OFFSET + 56, true) === EXT4_MAGIC) return { type: ImageType.Ext4 };
+  }
+  return { type: null };
+}
+
+
+/**
+ * Recognise an image from its first bytes. Sparse images are looked into when they start with
+ * a raw chunk, as filesystem images do.
+ *
+ * @param {Uint8Array} data - At least the first {@link IMAGE_TYPE_PREFIX_SIZE} bytes, unless the image is smaller
+ * @returns {DetectedImage}
+ */
+export function detectImageType(data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  if (data.byteLength < 12 || view.getUint32(0, true) !== SPARSE_MAGIC) return { ...detectRaw(data), sparse: false };
+  const fileHeaderSize = view.getUint16(8, true);
+  const chunkHeaderSize = view.getUint16(10, true);
+  if (data.byteLength < fileHeaderSize + chunkHeaderSize || view.getUint16(fileHeaderSize, true) !== SPARSE_CHUNK_RAW) {
+    return { type: null, sparse: true };
+  }
+  return { ...detectRaw(data.subarray(fileHeaderSize + chunkHeaderSize)), sparse: true };
+}
+
+
+/**
+ * @param {string} name - Partition name, with or without a slot suffix
+ * @returns {string[]|null} The {@link ImageType}s the partition takes, <code>null</code> if any image goes
+ */
+export function expectedImageTypes(name) {
+  const baseName = name.replace(/_[ab]$/, "");
+  return Object.hasOwn(PARTITION_IMAGE_TYPES, baseName) ? PARTITION_IMAGE_TYPES[baseName] : null;
+}
@@ -0,0 +1,61 @@
+import * as Bun from "bun";
+import { describe, expect, test } from "bun:test";
+
+import { detectImageType, expectedImageTypes, ImageType } from "./image-type";
+
+/**
+ * @param {string} magic
+ * @param {number} offset
+ * @param {number} [size=4096]
+ * @returns {Uint8Array}
+ */
+function withMagic(magic, offset, size = 4096) {
+  const data = new Uint8Array(size);
+  data.set(new TextEncoder().encode(magic), offset);
+  return data;
+}
+
+describe("detectImageType", () => {
+  test("boot images", () => {
+    const boot = withMagic("ANDROID!", 0);
+    boot[40] = 4;
+    expect(detectImageType(boot)).toEqual({ type: ImageType.Boot, headerVersion: 4, sparse: false });
+    boot[40] = 9;
+    expect(detectImageType(boot).type).toBeNull();
+    const vendorBoot = withMagic("VNDRBOOT", 0);
+    vendorBoot[8] = 3;
+    expect(detectImageType(vendorBoot)).toEqual({ type: ImageType.VendorBoot, headerVersion: 3, sparse: false });
+  });
+
+  test("filesystems, ELF and vbmeta", async () => {
+    const ext4 = new Uint8Array(4096);
+    ext4.set([0x53, 0xEF], 1024 + 56);
+    expect(detectImageType(ext4).type).toBe(ImageType.Ext4);
+    const erofs = new Uint8Array(4096);
+    erofs.set([0xE2, 0xE1, 0xF5, 0xE0], 1024);
+    expect(detectImageType(erofs).type).toBe(ImageType.Erofs);
+    expect(detectImageType(withMagic("\x7FELF", 0, 64)).type).toBe(ImageType.Elf);
+    expect(detectImageType(new Uint8Array(await Bun.file("./test/fixtures/vbmeta.img").arrayBuffer())).type).toBe(ImageType.Vbmeta);
+    expect(detectImageType(new Uint8Array(await Bun.file("./test/fixtures/raw.img").arrayBuffer())).type).toBeNull();
+    expect(detectImageType(new Uint8Array(3)).type).toBeNull();
+  });
+
+  test("looks into sparse images", async () => {
+    const sparse = new Uint8Array(await Bun.file("./test/fixtures/sparse.img").arrayBuffer());
+    expect(detectImageType(sparse)).toEqual({ type: null, sparse: true });
+    // an ext4 superblock in the first raw chunk
+    sparse.set([0x53, 0xEF], 28 + 12 + 1024 + 56);
+    expect(detectImageType(sparse)).toEqual({ type: ImageType.Ext4, sparse: true });
+  });
+});
+
+describe("expectedImageTypes", () => {
+  test("by partition name", () => {
+    expect(expectedImageTypes("boot_a")).toEqual([ImageType.Boot]);
+    expect(expectedImageTypes("system")).toEqual([ImageType.Ext4, ImageType.Erofs]);
+    expect(expectedImageTypes("xbl_config_b")).toEqual([ImageType.Elf]);
+    expect(expectedImageTypes("vbmeta_system_a")).toEqual([ImageType.Vbmeta]);
+    expect(expectedImageTypes("userdata")).toBeNull();
+    expect(expectedImageTypes("constructor")).toBeNull();
+  });
+});
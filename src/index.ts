@@ -5,23 +5,55 @@
 
 // Core exports
 export { qdlDevice } from './qdl.js';
+export type { BackupImage, BackupManifest, GptHealReport, SlotInfo, SlotSelector, ZipFlash } from './qdl.js';
 export { usbClass } from './usblib.js';
+export type { Transport } from './usblib.js';
+export { NodeUsbTransport, listDevices } from './node-usb.js';
+export type { UsbDeviceInfo } from './node-usb.js';
+export { DevicePool, summarizePoolResults } from './device-pool.js';
+export { ProgrammerRegistry, parseProgrammerName } from './programmer.js';
+export type { DeviceIdentity, ProgrammerEntry, ProgrammerSelector } from './programmer.js';
+export type { PoolResult } from './device-pool.js';
 export { Firehose } from './firehose.js';
 export { Sahara } from './sahara.js';
-export { GPT } from './gpt.js';
+export type { MemoryRegion } from './sahara.js';
+export { ramdump, regionFileNames } from './ramdump.js';
+export type { DumpedRegion } from './ramdump.js';
+export { GPT, parseABFlags, updateABFlags } from './gpt.js';
+export type { ABFlags, PartitionSlotInfo } from './gpt.js';
+export { decompress, detectCompression, uncompressedSize } from './compression.js';
+export type { Compression } from './compression.js';
+export { ZipArchive, CompressionMethod } from './zip.js';
+export type { ZipEntry } from './zip.js';
+export { Payload, OperationType } from './payload.js';
+export type { PartitionUpdate, InstallOperation } from './payload.js';
+export { bunzip2 } from './bzip2.js';
+export { Sha256 } from './sha256.js';
+export { parseGeometry, parseMetadata, metadataOffsets, ExtentTargetType, PartitionAttribute, LP_SECTOR_SIZE } from './lp.js';
+export type { LpGeometry, LpMetadata, LpPartition, LpExtent } from './lp.js';
+export { parseBootloaderMessage, buildBootloaderMessage, parseVirtualAbMessage, MergeStatus } from './misc.js';
+export type { BootloaderMessage, VirtualAbMessage } from './misc.js';
+export { parseVbmeta, setVbmetaFlags, VbmetaFlag, DescriptorTag } from './vbmeta.js';
+export type { Vbmeta, VbmetaHeader, VbmetaDescriptor } from './vbmeta.js';
+export { detectImageType, expectedImageTypes, ImageType } from './image-type.js';
+export type { DetectedImage } from './image-type.js';
 export { xmlParser, toXml } from './xml.js';
+export { FakeEdlDevice, FakeDisk, createFakeLoader, DEFAULT_LAYOUT } from './fake-device.js';
 export { createLogger, Logger, LogLevel, globalLogLevel } from './logger.js';
 
 import * as Sparse from './sparse.js';
 export { Sparse };
 
+export { parseProgramXml, parsePatchXml, resolveSectorExpression } from './rawprogram.js';
+
 // Utilities
 export {
   packGenerator,
   concatUint8Array,
   containsBytes,
   compareStringToBytes,
-  runWithTimeout
+  runWithTimeout,
+  toHex
 } from './utils.js';
 
 // Constants
@@ -48,6 +80,7 @@ export {
   FlashError,
   GPTError,
   SparseError,
+  PayloadError,
   TimeoutError,
   ValidationError
 } from './errors.js';
@@ -107,6 +140,7 @@ export interface DeviceInfo {
 // Convenience functions
 import { qdlDevice } from './qdl.js';
 import { usbClass } from './usblib.js';
+import { NodeUsbTransport } from './node-usb.js';
 
 /**
  * Create a QDL device instance from a manifest
@@ -124,12 +158,15 @@ export async function createDeviceFromManifest(manifest: DeviceManifest): Promis
   
   // Apply any custom configuration
   if (manifest.config) {
-    const firehose = device.firehose;
-    if (manifest.config.sectorSize) {
-      firehose.cfg.SECTOR_SIZE_IN_BYTES = manifest.config.sectorSize;
-    }
-    if (manifest.config.maxTransferSize) {
-      firehose.cfg.MaxPayloadSizeToTargetInBytes = manifest.config.maxTransferSize;
+    device.verifyAfterFlash = manifest.config.verifyAfterFlash ?? false;
+    if (manifest.config.sectorSize || manifest.config.maxTransferSize) {
+      const firehose = device.firehose;
+      if (manifest.config.sectorSize) {
+        firehose.cfg.SECTOR_SIZE_IN_BYTES = manifest.config.sectorSize;
+      }
+      if (manifest.config.maxTransferSize) {
+        firehose.cfg.MaxPayloadSizeToTargetInBytes = manifest.config.maxTransferSize;
+      }
     }
   }
 
@@ -260,11 +297,11 @@ export function isNodeUSBSupported(): boolean {
 /**
  * Get the appropriate USB class for the current environment
  */
-export function getUSBClass(): typeof usbClass {
+export function getUSBClass(): typeof usbClass | typeof NodeUsbTransport {
   if (typeof window !== 'undefined' && isWebUSBSupported()) {
     return usbClass; // Browser environment
   } else if (isNodeUSBSupported()) {
-    return usbClass; // Node.js environment
+    return NodeUsbTransport; // Node.js environment
   } else {
     throw new Error('No USB support available in this environment');
   }
@@ -9,11 +9,13 @@ export class Logger {
   /**
    * @param {string} name
    * @param {number} [level=LogLevel.INFO]
+   * @param {string|null} [tag=null] - Identifies the device, when several are in use at once
    */
-  constructor(name, level = LogLevel.INFO) {
+  constructor(name, level = LogLevel.INFO, tag = null) {
     this.name = name;
     this.level = level;
-    this.prefix = name ? `[${name}]` : "";
+    this.tag = tag;
+    this.prefix = [name, tag].filter(Boolean).map((part) => `[${part}]`).join(" ");
     this.deviceState = {
       lastMessage: "", lastLogLevel: LogLevel.INFO, count: 0,
       timeout: null, debounceMs: 100,
@@ -25,6 +27,14 @@ export class Logger {
     this.prefix ? method(this.prefix, ...args) : method(...args);
   }
 
+  /**
+   * @param {string|null} tag
+   * @returns {Logger} Logger with the same name and level, prefixing messages with the tag
+   */
+  withTag(tag) {
+    return new Logger(this.name, this.level, tag);
+  }
+
   debug(...args) { this.#log(console.debug, LogLevel.DEBUG, args); }
   info(...args) { this.#log(console.info, LogLevel.INFO, args); }
   warn(...args) { this.#log(console.warn, LogLevel.WARN, args); }
@@ -75,7 +85,7 @@ export class Logger {
   #printDeviceMessage(message, logLevel) {
     if (this.level < logLevel) return;
     const logMethod = logLevel === LogLevel.ERROR ? console.error : console.info;
-    logMethod(`[Device] ${message}`);
+    logMethod(this.tag ? `[${this.tag}] [Device] ${message}` : `[Device] ${message}`);
   }
 
   /** @private */
@@ -0,0 +1,257 @@
+import { createLogger } from "./logger";
+
+/** Extents and the locations of metadata are counted in 512-byte sectors, whatever the storage uses */
+export const LP_SECTOR_SIZE = 512;
+
+/** Bytes before the geometry, left alone so the super partition isn't mistaken for a filesystem */
+export const PARTITION_RESERVED_BYTES = 4096;
+export const GEOMETRY_SIZE = 4096;
+
+const GEOMETRY_MAGIC = 0x616C4467;
+const GEOMETRY_STRUCT_SIZE = 52;
+const HEADER_MAGIC = 0x414C5030;
+const HEADER_V1_0_SIZE = 128;
+const MAJOR_VERSION = 10;
+const PARTITION_ENTRY_SIZE = 52;
+const EXTENT_ENTRY_SIZE = 24;
+const GROUP_ENTRY_SIZE = 48;
+const BLOCK_DEVICE_ENTRY_SIZE = 64;
+const NAME_LENGTH = 36;
+
+export const ExtentTargetType = {
+  Linear: 0,
+  Zero: 1,
+};
+
+export const PartitionAttribute = {
+  Readonly: 1 << 0,
+  SlotSuffixed: 1 << 1,
+  Updated: 1 << 2,
+  Disabled: 1 << 3,
+};
+
+const logger = createLogger("lp");
+
+
+/**
+ * @typedef {object} LpGeometry
+ * @property {number} metadataMaxSize - Bytes reserved for each copy of the metadata
+ * @property {number} metadataSlotCount
+ * @property {number} logicalBlockSize
+ */
+
+
+/**
+ * @typedef {object} LpExtent
+ * @property {number} numSectors
+ * @property {number} targetType - See {@link ExtentTargetType}
+ * @property {number} targetData - First sector on the block device, for linear extents
+ * @property {number} targetSource - Index of the block device
+ */
+
+
+/**
+ * @typedef {object} LpPartition
+ * @property {string} name - Including the slot suffix, if any
+ * @property {number} attributes - See {@link PartitionAttribute}
+ * @property {string} group
+ * @property {LpExtent[]} extents - In the order the partition's data is laid out
+ * @property {number} size - Bytes covered by the extents
+ */
+
+
+/**
+ * @typedef {object} LpGroup
+ * @property {string} name
+ * @property {number} flags
+ * @property {number} maximumSize - Bytes, 0 if unlimited
+ */
+
+
+/**
+ * @typedef {object} LpBlockDevice
+ * @property {string} partitionName
+ * @property {number} firstLogicalSector
+ * @property {number} alignment
+ * @property {number} alignmentOffset
+ * @property {number} size
+ * @property {number} flags
+ */
+
+
+/**
+ * @typedef {object} LpMetadata
+ * @property {number} majorVersion
+ * @property {number} minorVersion
+ * @property {LpPartition[]} partitions
+ * @property {LpGroup[]} groups
+ * @property {LpBlockDevice[]} blockDevices
+ */
+
+
+/**
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array>}
+ */
+async function sha256(data) {
+  return new Uint8Array(await crypto.subtle.digest("SHA-256", data));
+}
+
+
+/**
+ * SHA-256 of a structure with its checksum field zeroed
+ *
+ * @param {Uint8Array} data
+ * @param {number} checksumOffset
+ * @returns {Promise<boolean>}
+ */
+async function checksumMatches(data, checksumOffset) {
+  const expected = data.slice(checksumOffset, checksumOffset + 32);
+  const copy = data.slice();
+  copy.fill(0, checksumOffset, checksumOffset + 32);
+  const actual = await sha256(copy);
+  return actual.every((byte, i) => byte === expected[i]);
+}
+
+
+/**
+ * @param {Uint8Array} data
+ * @param {number} offset
+ * @returns {string}
+ */
+function readName(data, offset) {
+  const bytes = data.subarray(offset, offset + NAME_LENGTH);
+  const end = bytes.indexOf(0);
+  return new TextDecoder().decode(end === -1 ? bytes : bytes.subarray(0, end));
+}
+
+
+/**
+ * @param {LpGeometry} geometry
+ * @param {number} slotIndex
+ * @returns {[number, number]} Byte offsets of the primary and backup copies of a slot's metadata
+ *   from the start of the super partition
+ */
+export function metadataOffsets(geometry, slotIndex) {
+  const start = PARTITION_RESERVED_BYTES + 2 * GEOMETRY_SIZE;
+  const primary = start + slotIndex * geometry.metadataMaxSize;
+  return [primary, primary + geometry.metadataSlotCount * geometry.metadataMaxSize];
+}
+
+
+/**
+ * @param {string} name - A partition name, which may end in a slot suffix
+ * @returns {number} The metadata slot describing it, slot A for unsuffixed names
+ */
+export function slotIndexForName(name) {
+  return name.endsWith("_b") ? 1 : 0;
+}
+
+
+/**
+ * @param {Uint8Array} data - A copy of the geometry, found at {@link PARTITION_RESERVED_BYTES} and
+ *   again right after it
+ * @returns {Promise<LpGeometry>}
+ */
+export async function parseGeometry(data) {
+  if (data.byteLength < GEOMETRY_STRUCT_SIZE) throw new Error("LP - Geometry is truncated");
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  if (view.getUint32(0, true) !== GEOMETRY_MAGIC) throw new Error("LP - Invalid geometry magic");
+  const structSize = view.getUint32(4, true);
+  if (structSize < GEOMETRY_STRUCT_SIZE || structSize > data.byteLength) throw new Error("LP - Invalid geometry size");
+  if (!await checksumMatches(data.subarray(0, structSize), 8)) throw new Error("LP - Geometry checksum mismatch");
+  const geometry = {
+    metadataMaxSize: view.getUint32(40, true),
+    metadataSlotCount: view.getUint32(44, true),
+    logicalBlockSize: view.getUint32(48, true),
+  };
+  if (geometry.metadataMaxSize % LP_SECTOR_SIZE !== 0 || geometry.metadataSlotCount === 0) {
+    throw new Error("LP - Invalid geometry");
+  }
+  return geometry;
+}
+
+
+/**
+ * @param {Uint8Array} data - A copy of a slot's metadata, at least the header and its tables
+ * @returns {Promise<LpMetadata>}
+ */
+export async function parseMetadata(data) {
+  if (data.byteLength < HEADER_V1_0_SIZE) throw new Error("LP - Metadata is truncated");
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  if (view.getUint32(0, true) !== HEADER_MAGIC) throw new Error("LP - Invalid metadata magic");
+  const majorVersion = view.getUint16(4, true);
+  const minorVersion = view.getUint16(6, true);
+  if (majorVersion !== MAJOR_VERSION) throw new Error(`LP - Unsupported metadata version ${majorVersion}.${minorVersion}`);
+  const headerSize = view.getUint32(8, true);
+  const tablesSize = view.getUint32(44, true);
+  if (headerSize < HEADER_V1_0_SIZE || headerSize + tablesSize > data.byteLength) throw new Error("LP - Metadata is truncated");
+  if (!await checksumMatches(data.subarray(0, headerSize), 12)) throw new Error("LP - Metadata header checksum mismatch");
+  const tables = data.subarray(headerSize, headerSize + tablesSize);
+  const expectedTablesChecksum = data.subarray(48, 80);
+  if (!(await sha256(tables)).every((byte, i) => byte === expectedTablesChecksum[i])) {
+    throw new Error("LP - Metadata tables checksum mismatch");
+  }
+
+  /**
+   * @template T
+   * @param {number} offset - Of the table descriptor in the header
+   * @param {number} minEntrySize
+   * @param {(entry: DataView, start: number) => T} parse
+   * @returns {T[]}
+   */
+  const readTable = (offset, minEntrySize, parse) => {
+    const tableOffset = view.getUint32(offset, true);
+    const numEntries = view.getUint32(offset + 4, true);
+    const entrySize = view.getUint32(offset + 8, true);
+    if (entrySize < minEntrySize || tableOffset + numEntries * entrySize > tablesSize) {
+      throw new Error("LP - Metadata table out of bounds");
+    }
+    const tablesView = new DataView(tables.buffer, tables.byteOffset, tables.byteLength);
+    return Array.from({ length: numEntries }, (_, i) => parse(tablesView, tableOffset + i * entrySize));
+  };
+
+  /** @type {LpExtent[]} */
+  const extents = readTable(92, EXTENT_ENTRY_SIZE, (entry, start) => ({
+    numSectors: Number(entry.getBigUint64(start, true)),
+    targetType: entry.getUint32(start + 8, true),
+    targetData: Number(entry.getBigUint64(start + 12, true)),
+    targetSource: entry.getUint32(start + 20, true),
+  }));
+  /** @type {LpGroup[]} */
+  const groups = readTable(104, GROUP_ENTRY_SIZE, (entry, start) => ({
+    name: readName(tables, start),
+    flags: entry.getUint32(start + 36, true),
+    maximumSize: Number(entry.getBigUint64(start + 40, true)),
+  }));
+  /** @type {LpBlockDevice[]} */
+  const blockDevices = readTable(116, BLOCK_DEVICE_ENTRY_SIZE, (entry, start) => ({
+    firstLogicalSector: Number(entry.getBigUint64(start, true)),
+    alignment: entry.getUint32(start + 8, true),
+    alignmentOffset: entry.getUint32(start + 12, true),
+    size: Number(entry.getBigUint64(start + 16, true)),
+    partitionName: readName(tables, start + 24),
+    flags: entry.getUint32(start + 60, true),
+  }));
+  /** @type {LpPartition[]} */
+  const partitions = readTable(80, PARTITION_ENTRY_SIZE, (entry, start) => {
+    const name = readName(tables, start);
+    const firstExtent = entry.getUint32(start + 40, true);
+    const numExtents = entry.getUint32(start + 44, true);
+    const groupIndex = entry.getUint32(start + 48, true);
+    if (firstExtent + numExtents > extents.length || groupIndex >= groups.length) {
+      throw new Error(`LP - Partition ${name} refers to missing extents or group`);
+    }
+    const partitionExtents = extents.slice(firstExtent, firstExtent + numExtents);
+    return {
+      name,
+      attributes: entry.getUint32(start + 36, true),
+      group: groups[groupIndex].name,
+      extents: partitionExtents,
+      size: partitionExtents.reduce((sum, { numSectors }) => sum + numSectors * LP_SECTOR_SIZE, 0),
+    };
+  });
+
+  logger.debug(`Metadata ${majorVersion}.${minorVersion} with ${partitions.length} partitions`);
+  return { majorVersion, minorVersion, partitions, groups, blockDevices };
+}
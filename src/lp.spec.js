@@ -0,0 +1,62 @@
+import * as Bun from "bun";
+import { describe, expect, test } from "bun:test";
+
+import { ExtentTargetType, metadataOffsets, parseGeometry, parseMetadata, slotIndexForName } from "./lp";
+
+const superImage = Bun.file("./test/fixtures/super_metadata.img");
+
+describe("lp", () => {
+  test("parseGeometry", async () => {
+    const data = new Uint8Array(await superImage.arrayBuffer());
+    const geometry = await parseGeometry(data.subarray(4096, 8192));
+    expect(geometry).toEqual({ metadataMaxSize: 4096, metadataSlotCount: 2, logicalBlockSize: 4096 });
+    expect(await parseGeometry(data.subarray(8192, 12288))).toEqual(geometry);
+    expect(metadataOffsets(geometry, 0)).toEqual([12288, 20480]);
+    expect(metadataOffsets(geometry, 1)).toEqual([16384, 24576]);
+  });
+
+  test("parseMetadata", async () => {
+    const data = new Uint8Array(await superImage.arrayBuffer());
+    const slotA = await parseMetadata(data.subarray(12288, 16384));
+    expect(slotA).toMatchObject({ majorVersion: 10, minorVersion: 0 });
+    expect(slotA.partitions.map(({ name, group, size }) => ({ name, group, size }))).toEqual([
+      { name: "system_a", group: "main_a", size: 256 * 1024 },
+      { name: "vendor_a", group: "main_a", size: 64 * 1024 },
+      { name: "system_b", group: "main_b", size: 256 * 1024 },
+      { name: "vendor_b", group: "main_b", size: 64 * 1024 },
+    ]);
+    expect(slotA.partitions[0].extents).toEqual([
+      { numSectors: 256, targetType: ExtentTargetType.Linear, targetData: 2048, targetSource: 0 },
+      { numSectors: 256, targetType: ExtentTargetType.Linear, targetData: 6144, targetSource: 0 },
+    ]);
+    expect(slotA.groups.map(({ name }) => name)).toEqual(["default", "main_a", "main_b"]);
+    expect(slotA.blockDevices).toEqual([
+      { partitionName: "super", firstLogicalSector: 2048, alignment: 1024 * 1024, alignmentOffset: 0, size: 32 * 1024 * 1024, flags: 0 },
+    ]);
+
+    const slotB = await parseMetadata(data.subarray(16384, 20480));
+    expect(slotB.partitions.map(({ name }) => name)).toContain("product_b");
+    expect(await parseMetadata(data.subarray(24576, 28672))).toEqual(slotB);
+  });
+
+  test("rejects damaged copies", async () => {
+    const data = new Uint8Array(await superImage.arrayBuffer());
+    await expect(parseGeometry(new Uint8Array(4096))).rejects.toThrow("LP - Invalid geometry magic");
+    const geometry = data.slice(4096, 8192);
+    geometry[40] ^= 1;
+    await expect(parseGeometry(geometry)).rejects.toThrow("LP - Geometry checksum mismatch");
+
+    const header = data.slice(12288, 16384);
+    header[80] ^= 1;
+    await expect(parseMetadata(header)).rejects.toThrow("LP - Metadata header checksum mismatch");
+    const tables = data.slice(12288, 16384);
+    tables[128] ^= 1;
+    await expect(parseMetadata(tables)).rejects.toThrow("LP - Metadata tables checksum mismatch");
+  });
+
+  test("slotIndexForName", () => {
+    expect(slotIndexForName("system_a")).toBe(0);
+    expect(slotIndexForName("system_b")).toBe(1);
+    expect(slotIndexForName("system")).toBe(0);
+  });
+});
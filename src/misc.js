@@ -0,0 +1,118 @@
+/** Size of the bootloader control block at the start of misc */
+export const BOOTLOADER_MESSAGE_SIZE = 2048;
+
+/** Where Android keeps its own messages in misc, starting with the virtual A/B merge status */
+export const SYSTEM_SPACE_OFFSET = 32 * 1024;
+export const VIRTUAL_AB_MESSAGE_SIZE = 64;
+
+const COMMAND_SIZE = 32;
+const STATUS_SIZE = 32;
+const RECOVERY_SIZE = 768;
+const STAGE_SIZE = 32;
+
+const RECOVERY_OFFSET = COMMAND_SIZE + STATUS_SIZE;
+const STAGE_OFFSET = RECOVERY_OFFSET + RECOVERY_SIZE;
+
+const VIRTUAL_AB_MAGIC = 0x56740AB0;
+
+/** State of the merge of a virtual A/B update's snapshots into the new slot */
+export const MergeStatus = {
+  None: 0,
+  Unknown: 1,
+  Snapshotted: 2,
+  Merging: 3,
+  Cancelled: 4,
+};
+
+
+/**
+ * Bootloader control block, telling the bootloader and recovery what to do on the next boot
+ *
+ * @typedef {object} BootloaderMessage
+ * @property {string} command - Such as <code>boot-recovery</code>, empty to boot normally
+ * @property {string} status - Written back by the bootloader
+ * @property {string[]} recovery - Arguments for recovery, one per line, starting with <code>recovery</code>
+ * @property {string} stage - Progress through a multi-stage update
+ */
+
+
+/**
+ * @typedef {object} VirtualAbMessage
+ * @property {number} version
+ * @property {number} mergeStatus - See {@link MergeStatus}
+ * @property {number} sourceSlot - Slot the device was running when the status was written, 0 for A
+ */
+
+
+/**
+ * @param {Uint8Array} data
+ * @param {number} offset
+ * @param {number} size
+ * @returns {string}
+ */
+function readString(data, offset, size) {
+  const bytes = data.subarray(offset, offset + size);
+  const end = bytes.indexOf(0);
+  return new TextDecoder().decode(end === -1 ? bytes : bytes.subarray(0, end));
+}
+
+
+/**
+ * @param {Uint8Array} data
+ * @param {number} offset
+ * @param {number} size - Including the terminating NUL
+ * @param {string} value
+ * @param {string} field
+ */
+function writeString(data, offset, size, value, field) {
+  const bytes = new TextEncoder().encode(value);
+  if (bytes.byteLength >= size) throw new Error(`Misc - ${field} is longer than ${size - 1} bytes`);
+  data.fill(0, offset, offset + size);
+  data.set(bytes, offset);
+}
+
+
+/**
+ * @param {Uint8Array} data - The start of misc, at least {@link BOOTLOADER_MESSAGE_SIZE} bytes
+ * @returns {BootloaderMessage}
+ */
+export function parseBootloaderMessage(data) {
+  if (data.byteLength < BOOTLOADER_MESSAGE_SIZE) throw new Error("Misc - Bootloader message is truncated");
+  return {
+    command: readString(data, 0, COMMAND_SIZE),
+    status: readString(data, COMMAND_SIZE, STATUS_SIZE),
+    recovery: readString(data, RECOVERY_OFFSET, RECOVERY_SIZE).split("\n").filter((line) => line.length > 0),
+    stage: readString(data, STAGE_OFFSET, STAGE_SIZE),
+  };
+}
+
+
+/**
+ * @param {Partial<BootloaderMessage>} message - Fields left out are cleared
+ * @returns {Uint8Array} {@link BOOTLOADER_MESSAGE_SIZE} bytes
+ */
+export function buildBootloaderMessage({ command = "", status = "", recovery = [], stage = "" }) {
+  const data = new Uint8Array(BOOTLOADER_MESSAGE_SIZE);
+  writeString(data, 0, COMMAND_SIZE, command, "command");
+  writeString(data, COMMAND_SIZE, STATUS_SIZE, status, "status");
+  // recovery expects every argument, including the last, to end with a newline
+  writeString(data, RECOVERY_OFFSET, RECOVERY_SIZE, recovery.map((line) => `${line}\n`).join(""), "recovery");
+  writeString(data, STAGE_OFFSET, STAGE_SIZE, stage, "stage");
+  return data;
+}
+
+
+/**
+ * @param {Uint8Array} data - {@link VIRTUAL_AB_MESSAGE_SIZE} bytes from {@link SYSTEM_SPACE_OFFSET} in misc
+ * @returns {VirtualAbMessage|null} <code>null</code> if no message has been written
+ */
+export function parseVirtualAbMessage(data) {
+  if (data.byteLength < VIRTUAL_AB_MESSAGE_SIZE) throw new Error("Misc - Virtual A/B message is truncated");
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  if (view.getUint32(1, true) !== VIRTUAL_AB_MAGIC) return null;
+  return {
+    version: view.getUint8(0),
+    mergeStatus: view.getUint8(5),
+    sourceSlot: view.getUint8(6),
+  };
+}
@@ -0,0 +1,35 @@
+import { describe, expect, test } from "bun:test";
+
+import { BOOTLOADER_MESSAGE_SIZE, buildBootloaderMessage, MergeStatus, parseBootloaderMessage, parseVirtualAbMessage } from "./misc";
+
+describe("misc", () => {
+  test("bootloader message round trip", () => {
+    const data = buildBootloaderMessage({ command: "boot-recovery", recovery: ["recovery", "--wipe_data"] });
+    expect(data.byteLength).toBe(BOOTLOADER_MESSAGE_SIZE);
+    expect(new TextDecoder().decode(data.subarray(64, 85))).toBe("recovery\n--wipe_data\n");
+    expect(parseBootloaderMessage(data)).toEqual({
+      command: "boot-recovery",
+      status: "",
+      recovery: ["recovery", "--wipe_data"],
+      stage: "",
+    });
+    expect(parseBootloaderMessage(buildBootloaderMessage({}))).toEqual({ command: "", status: "", recovery: [], stage: "" });
+  });
+
+  test("rejects fields that don't fit", () => {
+    expect(() => buildBootloaderMessage({ command: "x".repeat(32) })).toThrow("Misc - command is longer than 31 bytes");
+    expect(() => buildBootloaderMessage({ recovery: ["x".repeat(767)] })).toThrow("Misc - recovery is longer than 767 bytes");
+    expect(() => parseBootloaderMessage(new Uint8Array(100))).toThrow("Misc - Bootloader message is truncated");
+  });
+
+  test("parseVirtualAbMessage", () => {
+    const data = new Uint8Array(64);
+    expect(parseVirtualAbMessage(data)).toBeNull();
+    const view = new DataView(data.buffer);
+    view.setUint8(0, 2);
+    view.setUint32(1, 0x56740AB0, true);
+    view.setUint8(5, MergeStatus.Snapshotted);
+    view.setUint8(6, 1);
+    expect(parseVirtualAbMessage(data)).toEqual({ version: 2, mergeStatus: MergeStatus.Snapshotted, sourceSlot: 1 });
+  });
+});
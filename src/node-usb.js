@@ -0,0 +1,323 @@
+import { getDeviceList, usb } from "usb";
+
+import * as constants from "./constants";
+import { TimeoutError, USBError } from "./errors";
+import { concatUint8Array, normalizeSerial, poll } from "./utils";
+
+
+/**
+ * An attached device in EDL mode
+ *
+ * @typedef {object} UsbDeviceInfo
+ * @property {string} path - Bus and port numbers, as in <code>/sys/bus/usb/devices</code>, e.g. <code>"1-2.3"</code>
+ * @property {number} busNumber
+ * @property {number[]} portNumbers
+ * @property {string|null} serial - From the <code>_SN:</code> field of the serial string descriptor when present, or
+ *   <code>null</code> if it could not be read
+ */
+
+
+/**
+ * @param {usb.Device} device
+ * @returns {string}
+ */
+function deviceAddress(device) {
+  return `${device.busNumber}:${device.deviceAddress}`;
+}
+
+
+/**
+ * @param {usb.Device} device
+ * @returns {string}
+ */
+function devicePath(device) {
+  return `${device.busNumber}-${device.portNumbers.join(".")}`;
+}
+
+
+/**
+ * Read the serial number of an open device.
+ *
+ * @param {usb.Device} device
+ * @returns {Promise<string|null>}
+ */
+function readSerial(device) {
+  const index = device.deviceDescriptor.iSerialNumber;
+  if (!index) return Promise.resolve(null);
+  return new Promise((resolve) => {
+    device.getStringDescriptor(index, (error, value) => {
+      if (error || !value) return resolve(null);
+      const match = value.match(/_SN:([0-9a-f]+)/i);
+      resolve(match ? match[1].toLowerCase() : value);
+    });
+  });
+}
+
+
+/**
+ * Devices a {@link NodeUsbTransport} has open, with their serial. <code>getDeviceList</code> returns the same
+ * object for a device each time, and opening or closing it again would close the transport's handle.
+ *
+ * @type {Map<usb.Device, string|null>}
+ */
+const openDevices = new Map();
+
+/**
+ * Serial reads in progress, which open the device briefly
+ *
+ * @type {Map<usb.Device, Promise<string|null>>}
+ */
+const serialReads = new Map();
+
+
+/**
+ * @param {usb.Device} device - A device no transport has open
+ * @returns {Promise<string|null>}
+ */
+async function probeSerial(device) {
+  try {
+    device.open(false);
+  } catch {
+    // in use by another process, the serial is unknown
+    return null;
+  }
+  try {
+    return await readSerial(device);
+  } finally {
+    device.close();
+  }
+}
+
+
+/**
+ * @param {usb.Device} device
+ * @returns {Promise<string|null>}
+ */
+function deviceSerial(device) {
+  if (openDevices.has(device)) return Promise.resolve(openDevices.get(device) ?? null);
+  let serial = serialReads.get(device);
+  if (!serial) {
+    serial = probeSerial(device).finally(() => serialReads.delete(device));
+    serialReads.set(device, serial);
+  }
+  return serial;
+}
+
+
+/**
+ * @returns {Promise<{ info: UsbDeviceInfo; device: usb.Device }[]>}
+ */
+async function findDevices() {
+  const devices = getDeviceList().filter(({ deviceDescriptor }) => {
+    return deviceDescriptor.idVendor === constants.VENDOR_ID && deviceDescriptor.idProduct === constants.PRODUCT_ID;
+  });
+  const result = [];
+  for (const device of devices) {
+    const serial = await deviceSerial(device);
+    result.push({
+      info: { path: devicePath(device), busNumber: device.busNumber, portNumbers: device.portNumbers, serial },
+      device,
+    });
+  }
+  return result;
+}
+
+
+/**
+ * List the attached devices in EDL mode.
+ *
+ * @returns {Promise<UsbDeviceInfo[]>}
+ */
+export async function listDevices() {
+  return (await findDevices()).map(({ info }) => info);
+}
+
+
+/**
+ * {@link Transport} for Node.js and Bun using libusb directly, rather than through the WebUSB shim,
+ * so transfers are given real timeouts.
+ */
+export class NodeUsbTransport {
+  /** @type {usb.Device|null} */
+  #device = null;
+  /** @type {usb.Interface|null} */
+  #interface = null;
+  /** @type {usb.InEndpoint|null} */
+  #epIn = null;
+  /** @type {usb.OutEndpoint|null} */
+  #epOut = null;
+
+  /**
+   * Without a path or serial there must be exactly one device attached.
+   *
+   * @param {object} [options]
+   * @param {string} [options.path] - See {@link UsbDeviceInfo}
+   * @param {string} [options.serial]
+   */
+  constructor({ path, serial } = {}) {
+    this.path = path ?? null;
+    this.serial = serial ?? null;
+    this.maxSize = 512;
+  }
+
+  get connected() {
+    return this.#interface !== null;
+  }
+
+  /**
+   * @returns {Promise<{ info: UsbDeviceInfo; device: usb.Device }[]>}
+   */
+  async #findMatching() {
+    return (await findDevices()).filter(({ info }) => {
+      if (this.path && info.path !== this.path) return false;
+      return !this.serial || (info.serial !== null && normalizeSerial(info.serial) === normalizeSerial(this.serial));
+    });
+  }
+
+  async connect() {
+    const candidates = await this.#findMatching();
+    if (!candidates.length) throw "USB - No matching device in EDL mode found";
+    await this.#open(candidates);
+  }
+
+  /**
+   * Wait until a matching device is attached, then connect to it. A device this transport is
+   * connected to is closed first, and only matches again once it has re-enumerated, as it does
+   * after a reset.
+   *
+   * @param {object} [options]
+   * @param {number} [options.timeout=0] - Milliseconds, 0 waits forever
+   * @param {string} [options.serial] - Replaces the serial given to the constructor
+   * @returns {Promise<void>}
+   */
+  async waitForDevice({ timeout = 0, serial } = {}) {
+    if (serial) this.serial = serial;
+    const stale = this.#device ? deviceAddress(this.#device) : null;
+    if (this.#device) await this.close().catch(() => undefined);
+    const candidates = await poll(async () => {
+      const matching = (await this.#findMatching()).filter(({ device }) => deviceAddress(device) !== stale);
+      return matching.length ? matching : undefined;
+    }, timeout, "USB - Timed out waiting for device in EDL mode");
+    await this.#open(candidates);
+  }
+
+  /**
+   * @param {{ info: UsbDeviceInfo; device: usb.Device }[]} candidates
+   * @returns {Promise<void>}
+   */
+  async #open(candidates) {
+    if (candidates.length > 1) throw "USB - Multiple devices in EDL mode found, select one by path or serial";
+    const [{ info, device }] = candidates;
+    // let a serial read that has the device open finish first
+    await serialReads.get(device)?.catch(() => undefined);
+    if (openDevices.has(device)) throw "USB - Device is already in use by another connection";
+    try {
+      device.open();
+      const iface = device.interface(0);
+      if (process.platform === "linux" && iface.isKernelDriverActive()) iface.detachKernelDriver();
+      iface.claim();
+      const bulk = iface.endpoints.filter((endpoint) => endpoint.transferType === usb.LIBUSB_TRANSFER_TYPE_BULK);
+      const epIn = bulk.find((endpoint) => endpoint.direction === "in");
+      const epOut = bulk.find((endpoint) => endpoint.direction === "out");
+      if (bulk.length !== 2 || !epIn || !epOut) throw "USB - Interface does not have one bulk IN and one bulk OUT endpoint";
+      this.#device = device;
+      this.#interface = iface;
+      this.#epIn = /** @type {usb.InEndpoint} */ (epIn);
+      this.#epOut = /** @type {usb.OutEndpoint} */ (epOut);
+      this.maxSize = epIn.descriptor.wMaxPacketSize;
+      this.path = info.path;
+      this.serial = info.serial;
+      openDevices.set(device, info.serial);
+    } catch (error) {
+      try {
+        device.close();
+      } catch {
+        // ignore cleanup errors
+      }
+      if (typeof error === "string") throw error;
+      throw new USBError("Error while connecting to device", error);
+    }
+  }
+
+  /**
+   * Release the device, for example before it resets.
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (!this.#device) return;
+    try {
+      await this.#interface?.releaseAsync();
+    } finally {
+      openDevices.delete(this.#device);
+      this.#device.close();
+      this.#device = this.#interface = this.#epIn = this.#epOut = null;
+    }
+  }
+
+  /**
+   * @param {usb.InEndpoint|usb.OutEndpoint} endpoint
+   * @param {number} timeout
+   * @param {() => Promise<T>} transfer
+   * @returns {Promise<T>}
+   * @template T
+   */
+  async #transfer(endpoint, timeout, transfer) {
+    endpoint.timeout = timeout;
+    try {
+      return await transfer();
+    } catch (error) {
+      if (error?.errno === usb.LIBUSB_TRANSFER_TIMED_OUT) {
+        throw new TimeoutError(`USB - Transfer timed out after ${timeout}ms`, timeout, error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @param {number} [length=0]
+   * @param {number} [timeout=0]
+   * @returns {Promise<Uint8Array>}
+   */
+  async read(length = 0, timeout = 0) {
+    const epIn = this.#epIn;
+    if (!epIn) throw "USB - Not connected";
+    const deadline = timeout ? Date.now() + timeout : 0;
+    /** @type {Uint8Array[]} */
+    const chunks = [];
+    let received = 0;
+    do {
+      // request whole packets, the device may send a short packet before length is reached
+      const size = Math.max(1, Math.ceil((length - received) / this.maxSize)) * this.maxSize;
+      const remaining = deadline ? Math.max(1, deadline - Date.now()) : 0;
+      const data = await this.#transfer(epIn, remaining, () => epIn.transferAsync(size));
+      if (data?.byteLength) {
+        chunks.push(new Uint8Array(data.buffer, data.byteOffset, data.byteLength));
+        received += data.byteLength;
+      }
+    } while (received < length);
+    return concatUint8Array(chunks);
+  }
+
+  /**
+   * @param {Uint8Array} data
+   * @param {boolean} [wait=true]
+   * @param {number} [timeout=0]
+   * @returns {Promise<void>}
+   */
+  async write(data, wait = true, timeout = 0) {
+    const epOut = this.#epOut;
+    if (!epOut) throw "USB - Not connected";
+    let offset = 0;
+    do {
+      const chunk = Buffer.from(data.buffer, data.byteOffset + offset, Math.min(constants.BULK_TRANSFER_SIZE, data.byteLength - offset));
+      offset += chunk.byteLength;
+      const promise = this.#transfer(epOut, timeout, () => epOut.transferAsync(chunk));
+      if (wait) {
+        await promise;
+      } else {
+        promise.catch(() => undefined);
+      }
+    } while (offset < data.byteLength);
+  }
+}
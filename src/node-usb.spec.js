@@ -0,0 +1,187 @@
+import { beforeEach, describe, expect, mock, test } from "bun:test";
+
+import { TimeoutError } from "./errors";
+
+const LIBUSB_TRANSFER_TIMED_OUT = 2;
+
+/** @type {any[]} */
+let attached = [];
+
+mock.module("usb", () => ({
+  getDeviceList: () => attached,
+  usb: { LIBUSB_TRANSFER_TYPE_BULK: 2, LIBUSB_TRANSFER_TIMED_OUT },
+}));
+
+const { NodeUsbTransport, listDevices } = await import("./node-usb");
+
+
+function createDevice({ busNumber = 1, deviceAddress = 5, portNumbers = [2], serial = "QUSB__BULK_SN:1234ABCD", idProduct = 0x9008 } = {}) {
+  const epIn = {
+    direction: "in",
+    transferType: 2,
+    descriptor: { wMaxPacketSize: 512 },
+    timeout: 0,
+    /** @type {(length: number) => Promise<Buffer>} */
+    transferAsync: mock((length) => Promise.resolve(Buffer.alloc(Math.min(length, 512)))),
+  };
+  const epOut = {
+    direction: "out",
+    transferType: 2,
+    timeout: 0,
+    transferAsync: mock((buffer) => Promise.resolve(buffer.byteLength)),
+  };
+  const iface = {
+    endpoints: [epIn, epOut],
+    isKernelDriverActive: () => false,
+    detachKernelDriver: mock(),
+    claim: mock(),
+    releaseAsync: mock(() => Promise.resolve()),
+  };
+  return {
+    busNumber,
+    deviceAddress,
+    portNumbers,
+    deviceDescriptor: { idVendor: 0x05C6, idProduct, iSerialNumber: serial ? 3 : 0 },
+    open: mock(),
+    close: mock(),
+    getStringDescriptor: (_index, callback) => callback(undefined, serial),
+    interface: () => iface,
+    iface,
+    epIn,
+    epOut,
+  };
+}
+
+
+describe("listDevices", () => {
+  test("lists EDL devices with their path and serial", async () => {
+    attached = [
+      createDevice({ busNumber: 1, portNumbers: [2, 3] }),
+      createDevice({ busNumber: 3, portNumbers: [1], serial: null }),
+      createDevice({ busNumber: 1, portNumbers: [4], idProduct: 0x9091 }),
+    ];
+    expect(await listDevices()).toEqual([
+      { path: "1-2.3", busNumber: 1, portNumbers: [2, 3], serial: "1234abcd" },
+      { path: "3-1", busNumber: 3, portNumbers: [1], serial: null },
+    ]);
+  });
+
+  test("serial is null when the device can't be opened", async () => {
+    const device = createDevice();
+    device.open = mock(() => {
+      throw new Error("LIBUSB_ERROR_ACCESS");
+    });
+    attached = [device];
+    expect((await listDevices())[0].serial).toBeNull();
+  });
+});
+
+
+describe("NodeUsbTransport", () => {
+  let first, second;
+
+  beforeEach(() => {
+    first = createDevice({ deviceAddress: 5, portNumbers: [1], serial: "QUSB__BULK_SN:0000AAAA" });
+    second = createDevice({ deviceAddress: 6, portNumbers: [2], serial: "QUSB__BULK_SN:0000BBBB" });
+    attached = [first, second];
+  });
+
+  test("requires a selector when several devices are attached", async () => {
+    await expect(new NodeUsbTransport().connect()).rejects.toMatch("Multiple devices");
+  });
+
+  test("opens the device at a path", async () => {
+    const transport = new NodeUsbTransport({ path: "1-2" });
+    await transport.connect();
+    expect(transport.connected).toBe(true);
+    expect(transport.serial).toBe("0000bbbb");
+    expect(second.iface.claim).toHaveBeenCalled();
+    expect(first.iface.claim).not.toHaveBeenCalled();
+  });
+
+  test("opens the device with a serial", async () => {
+    const transport = new NodeUsbTransport({ serial: "0x0000AAAA" });
+    await transport.connect();
+    expect(transport.path).toBe("1-1");
+  });
+
+  test("rejects when no device matches", async () => {
+    await expect(new NodeUsbTransport({ path: "2-1" }).connect()).rejects.toMatch("No matching device");
+  });
+
+  test("sets libusb timeouts on transfers", async () => {
+    const transport = new NodeUsbTransport({ path: "1-1" });
+    await transport.connect();
+    const data = await transport.read(1024, 2000);
+    expect(data.byteLength).toBe(1024);
+    expect(first.epIn.timeout).toBeGreaterThan(0);
+    expect(first.epIn.transferAsync).toHaveBeenCalledWith(1024);
+
+    await transport.write(new Uint8Array(20000), true, 1000);
+    expect(first.epOut.timeout).toBe(1000);
+    expect(first.epOut.transferAsync.mock.calls.map(([chunk]) => chunk.byteLength)).toEqual([16384, 3616]);
+  });
+
+  test("converts timed out transfers to TimeoutError", async () => {
+    const transport = new NodeUsbTransport({ path: "1-1" });
+    await transport.connect();
+    first.epIn.transferAsync.mockImplementation(() => Promise.reject(Object.assign(new Error("LIBUSB_TRANSFER_TIMED_OUT"), { errno: LIBUSB_TRANSFER_TIMED_OUT })));
+    await expect(transport.read(0, 100)).rejects.toBeInstanceOf(TimeoutError);
+  });
+
+  test("close releases the interface", async () => {
+    const transport = new NodeUsbTransport({ path: "1-1" });
+    await transport.connect();
+    await transport.close();
+    expect(first.iface.releaseAsync).toHaveBeenCalled();
+    expect(first.close).toHaveBeenCalled();
+    expect(transport.connected).toBe(false);
+  });
+
+  test("waitForDevice waits for the device to re-enumerate", async () => {
+    const transport = new NodeUsbTransport({ serial: "0xAAAA" });
+    await transport.connect();
+    expect(transport.path).toBe("1-1");
+
+    const reenumerated = createDevice({ deviceAddress: 7, portNumbers: [1], serial: "QUSB__BULK_SN:0000AAAA" });
+    setTimeout(() => {
+      attached = [second, reenumerated];
+    }, 50);
+    await transport.waitForDevice({ timeout: 2000 });
+    expect(first.close).toHaveBeenCalled();
+    expect(reenumerated.iface.claim).toHaveBeenCalled();
+    expect(transport.connected).toBe(true);
+  });
+
+  test("doesn't open or close a device a transport holds to list it", async () => {
+    const transport = new NodeUsbTransport({ path: "1-1" });
+    await transport.connect();
+    first.open.mockClear();
+    first.close.mockClear();
+    expect((await listDevices()).map(({ serial }) => serial)).toEqual(["0000aaaa", "0000bbbb"]);
+    expect(first.open).not.toHaveBeenCalled();
+    expect(first.close).not.toHaveBeenCalled();
+    expect(transport.connected).toBe(true);
+    await expect(new NodeUsbTransport({ path: "1-1" }).connect()).rejects.toMatch("already in use");
+
+    await transport.close();
+    await listDevices();
+    expect(first.open).toHaveBeenCalledWith(false);
+  });
+
+  test("waits for a serial read to close the device before opening it", async () => {
+    const events = [];
+    first.getStringDescriptor = (_index, callback) => setTimeout(() => callback(undefined, "QUSB__BULK_SN:0000AAAA"), 20);
+    first.open.mockImplementation((...args) => events.push(["open", ...args]));
+    first.close.mockImplementation(() => events.push(["close"]));
+    const listing = listDevices();
+    await new NodeUsbTransport({ path: "1-1" }).connect();
+    await listing;
+    expect(events).toEqual([["open", false], ["close"], ["open"]]);
+  });
+
+  test("waitForDevice times out", async () => {
+    const transport = new NodeUsbTransport({ path: "2-1" });
+    await expect(transport.waitForDevice({ timeout: 100 })).rejects.toBeInstanceOf(TimeoutError);
+  });
+});
@@ -0,0 +1,357 @@
+import { bunzip2 } from "./bzip2";
+import { decompress } from "./compression";
+import { PayloadError } from "./errors";
+import { createLogger } from "./logger";
+import { openSink } from "./utils";
+
+const MAGIC = "CrAU";
+const HEADER_SIZE_V1 = 20;
+const HEADER_SIZE_V2 = 24;
+const DEFAULT_BLOCK_SIZE = 4096;
+const ZERO_WRITE_SIZE = 1024 * 1024;
+
+export const OperationType = {
+  Replace: 0,
+  ReplaceBz: 1,
+  Move: 2,
+  Bsdiff: 3,
+  SourceCopy: 4,
+  SourceBsdiff: 5,
+  Zero: 6,
+  Discard: 7,
+  ReplaceXz: 8,
+  Puffdiff: 9,
+  BrotliBsdiff: 10,
+  Zucchini: 11,
+  Lz4diffBsdiff: 12,
+  Lz4diffPuffdiff: 13,
+};
+
+/** Operations that write new data without reading the previous contents of a partition */
+const FULL_OPERATIONS = new Set([OperationType.Replace, OperationType.ReplaceBz, OperationType.ReplaceXz, OperationType.Zero, OperationType.Discard]);
+
+const logger = createLogger("payload");
+
+
+/**
+ * @typedef {object} Extent
+ * @property {number} startBlock
+ * @property {number} numBlocks
+ */
+
+
+/**
+ * @typedef {object} InstallOperation
+ * @property {number} type - See {@link OperationType}
+ * @property {number} dataOffset - Relative to the start of the data blobs
+ * @property {number} dataLength
+ * @property {Extent[]} dstExtents
+ * @property {Uint8Array|null} dataSha256Hash
+ */
+
+
+/**
+ * @typedef {object} PartitionUpdate
+ * @property {string} name - Without slot suffix
+ * @property {number} size - Size of the new image in bytes
+ * @property {Uint8Array|null} hash - SHA-256 of the new image
+ * @property {InstallOperation[]} operations
+ */
+
+
+/**
+ * @typedef {object} PayloadHeader
+ * @property {number} version
+ * @property {number} manifestSize
+ * @property {number} metadataSignatureSize
+ */
+
+
+/**
+ * Fields of a protobuf message by number, with varints as numbers and everything else as bytes.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Map<number, (number|Uint8Array)[]>}
+ */
+function decodeMessage(bytes) {
+  /** @type {Map<number, (number|Uint8Array)[]>} */
+  const fields = new Map();
+  let offset = 0;
+  const readVarint = () => {
+    let value = 0;
+    for (let shift = 0; shift < 70; shift += 7) {
+      if (offset >= bytes.byteLength) break;
+      const byte = bytes[offset++];
+      value += (byte & 0x7F) * 2 ** shift;
+      if (!(byte & 0x80)) return value;
+    }
+    throw new PayloadError("Payload - Invalid varint in manifest");
+  };
+  /** @param {number} length */
+  const readBytes = (length) => {
+    if (offset + length > bytes.byteLength) throw new PayloadError("Payload - Manifest is truncated");
+    offset += length;
+    return bytes.subarray(offset - length, offset);
+  };
+
+  while (offset < bytes.byteLength) {
+    const key = readVarint();
+    const number = Math.floor(key / 8);
+    const wireType = key % 8;
+    let value;
+    if (wireType === 0) value = readVarint();
+    else if (wireType === 1) value = readBytes(8);
+    else if (wireType === 2) value = readBytes(readVarint());
+    else if (wireType === 5) value = readBytes(4);
+    else throw new PayloadError(`Payload - Unsupported wire type ${wireType} in manifest`);
+    if (!fields.has(number)) fields.set(number, []);
+    fields.get(number).push(value);
+  }
+  return fields;
+}
+
+
+/**
+ * @param {Map<number, (number|Uint8Array)[]>} fields
+ * @param {number} number
+ * @param {number} [fallback=0]
+ * @returns {number}
+ */
+function getNumber(fields, number, fallback = 0) {
+  const value = fields.get(number)?.at(-1);
+  return typeof value === "number" ? value : fallback;
+}
+
+
+/**
+ * @param {Map<number, (number|Uint8Array)[]>} fields
+ * @param {number} number
+ * @returns {Uint8Array[]}
+ */
+function getMessages(fields, number) {
+  return /** @type {Uint8Array[]} */ ((fields.get(number) ?? []).filter((value) => value instanceof Uint8Array));
+}
+
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {InstallOperation}
+ */
+function parseOperation(bytes) {
+  const fields = decodeMessage(bytes);
+  return {
+    type: getNumber(fields, 1),
+    dataOffset: getNumber(fields, 2),
+    dataLength: getNumber(fields, 3),
+    dstExtents: getMessages(fields, 6).map((extent) => {
+      const extentFields = decodeMessage(extent);
+      return { startBlock: getNumber(extentFields, 1), numBlocks: getNumber(extentFields, 2) };
+    }),
+    dataSha256Hash: getMessages(fields, 8)[0] ?? null,
+  };
+}
+
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} blockSize
+ * @returns {PartitionUpdate}
+ */
+function parsePartitionUpdate(bytes, blockSize) {
+  const fields = decodeMessage(bytes);
+  const [name] = getMessages(fields, 1);
+  if (!name) throw new PayloadError("Payload - Partition update has no name");
+  const [newInfo] = getMessages(fields, 7);
+  const infoFields = newInfo ? decodeMessage(newInfo) : new Map();
+  const operations = getMessages(fields, 8).map(parseOperation);
+  const end = Math.max(0, ...operations.flatMap(({ dstExtents }) => dstExtents.map(({ startBlock, numBlocks }) => startBlock + numBlocks)));
+  return {
+    name: new TextDecoder().decode(name),
+    size: getNumber(infoFields, 1, end * blockSize),
+    hash: getMessages(infoFields, 2)[0] ?? null,
+    operations,
+  };
+}
+
+
+/**
+ * An A/B OTA update payload: a header, a protobuf manifest listing the operations that write
+ * each partition, and the data those operations read. Full payloads can be applied or extracted,
+ * delta payloads depend on the current contents of the partitions and are refused.
+ */
+export class Payload {
+  /** @type {Blob} */
+  #blob;
+
+  /**
+   * @param {Blob} blob
+   * @param {PayloadHeader} header
+   * @param {number} blockSize
+   * @param {PartitionUpdate[]} partitions
+   */
+  constructor(blob, header, blockSize, partitions) {
+    this.#blob = blob;
+    this.header = header;
+    this.blockSize = blockSize;
+    this.partitions = partitions;
+  }
+
+  /** Offset of the data blobs, which operations' data offsets are relative to */
+  get dataOffset() {
+    const headerSize = this.header.version === 1 ? HEADER_SIZE_V1 : HEADER_SIZE_V2;
+    return headerSize + this.header.manifestSize + this.header.metadataSignatureSize;
+  }
+
+  /**
+   * @param {Blob} blob
+   * @returns {Promise<Payload>}
+   */
+  static async open(blob) {
+    const view = new DataView(await blob.slice(0, HEADER_SIZE_V2).arrayBuffer());
+    if (view.byteLength < HEADER_SIZE_V1 || new TextDecoder().decode(view.buffer.slice(0, 4)) !== MAGIC) {
+      throw new PayloadError("Payload - Invalid magic, not an OTA payload");
+    }
+    const version = Number(view.getBigUint64(4));
+    if (version !== 1 && version !== 2) throw new PayloadError(`Payload - Unsupported version ${version}`);
+    /** @type {PayloadHeader} */
+    const header = {
+      version,
+      manifestSize: Number(view.getBigUint64(12)),
+      metadataSignatureSize: version === 2 ? view.getUint32(20) : 0,
+    };
+    const manifestStart = version === 1 ? HEADER_SIZE_V1 : HEADER_SIZE_V2;
+    if (manifestStart + header.manifestSize > blob.size) throw new PayloadError("Payload - Manifest is truncated");
+    const manifest = decodeMessage(new Uint8Array(await blob.slice(manifestStart, manifestStart + header.manifestSize).arrayBuffer()));
+
+    const blockSize = getNumber(manifest, 3, DEFAULT_BLOCK_SIZE);
+    const partitions = getMessages(manifest, 13).map((bytes) => parsePartitionUpdate(bytes, blockSize));
+    logger.debug(`Payload v${version} with ${partitions.length} partitions, block size ${blockSize}`);
+    return new Payload(blob, header, blockSize, partitions);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {PartitionUpdate|undefined}
+   */
+  get(name) {
+    return this.partitions.find((partition) => partition.name === name);
+  }
+
+  /**
+   * Check that every operation can be applied without the current partition contents.
+   *
+   * @throws {PayloadError} for a delta payload
+   */
+  checkFull() {
+    for (const { name, operations } of this.partitions) {
+      const operation = operations.find(({ type }) => !FULL_OPERATIONS.has(type));
+      if (!operation) continue;
+      const typeName = Object.keys(OperationType).find((key) => OperationType[key] === operation.type) ?? `type ${operation.type}`;
+      throw new PayloadError(`Payload - ${name} uses ${typeName} operations, only full payloads can be applied`);
+    }
+  }
+
+  /**
+   * @param {string} name
+   * @param {InstallOperation} operation
+   * @returns {Promise<Uint8Array>} The data to write across the operation's extents
+   */
+  async #readOperation(name, { type, dataOffset, dataLength, dstExtents, dataSha256Hash }) {
+    const size = dstExtents.reduce((sum, { numBlocks }) => sum + numBlocks, 0) * this.blockSize;
+    if (type === OperationType.Zero || type === OperationType.Discard) return new Uint8Array(size);
+
+    const start = this.dataOffset + dataOffset;
+    if (start + dataLength > this.#blob.size) throw new PayloadError(`Payload - Data for ${name} is truncated`);
+    const raw = new Uint8Array(await this.#blob.slice(start, start + dataLength).arrayBuffer());
+    if (dataSha256Hash) {
+      const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", raw));
+      if (!digest.every((byte, i) => byte === dataSha256Hash[i])) {
+        throw new PayloadError(`Payload - Data for ${name} at offset ${dataOffset} does not match its hash`);
+      }
+    }
+
+    let data;
+    if (type === OperationType.Replace) {
+      data = raw;
+    } else if (type === OperationType.ReplaceBz) {
+      data = bunzip2(raw);
+    } else if (type === OperationType.ReplaceXz) {
+      data = new Uint8Array(await new Response(await decompress(new Blob([raw]), "xz")).arrayBuffer());
+    } else {
+      throw new PayloadError(`Payload - ${name} uses operation type ${type}, which can't be applied`);
+    }
+    if (data.byteLength > size) throw new PayloadError(`Payload - Operation for ${name} has more data than its extents`);
+    if (data.byteLength === size) return data;
+    // the last block of an image may be partial
+    const padded = new Uint8Array(size);
+    padded.set(data);
+    return padded;
+  }
+
+  /**
+   * The data a partition update writes, one extent at a time, in operation order.
+   *
+   * @param {PartitionUpdate} partition
+   * @returns {AsyncGenerator<{ offset: number; data: Uint8Array }>} Offsets are in bytes from the start of the partition
+   */
+  async *partitionData(partition) {
+    for (const operation of partition.operations) {
+      const data = await this.#readOperation(partition.name, operation);
+      let position = 0;
+      for (const { startBlock, numBlocks } of operation.dstExtents) {
+        const length = numBlocks * this.blockSize;
+        yield { offset: startBlock * this.blockSize, data: data.subarray(position, position + length) };
+        position += length;
+      }
+    }
+  }
+
+  /**
+   * Write the new image of a partition. Blocks no operation writes are zero.
+   *
+   * @param {PartitionUpdate} partition
+   * @param {import("./utils").ReadSink} sink
+   * @param {(progress: number) => void} [onProgress] - Returns number of bytes written
+   * @returns {Promise<void>}
+   * @throws {PayloadError} for a delta payload, or data that is truncated or does not match its hash
+   */
+  async extract(partition, sink, onProgress = undefined) {
+    this.checkFull();
+    const output = openSink(sink);
+    let position = 0;
+    /** @param {Uint8Array} data */
+    const write = async (data) => {
+      // a partial last block is cut back to the image size
+      const end = Math.min(position + data.byteLength, partition.size);
+      if (end > position) await output.write(data.subarray(0, end - position));
+      position += data.byteLength;
+      onProgress?.(Math.min(position, partition.size));
+    };
+    /** @param {number} end */
+    const writeZeros = async (end) => {
+      while (position < end) await write(new Uint8Array(Math.min(ZERO_WRITE_SIZE, end - position)));
+    };
+
+    // sinks are sequential, so extents written out of order wait for the ones before them
+    /** @type {Map<number, Uint8Array>} */
+    const pending = new Map();
+    try {
+      for await (const { offset, data } of this.partitionData(partition)) {
+        if (offset < position) throw new PayloadError(`Payload - ${partition.name} writes block ${offset / this.blockSize} twice`);
+        pending.set(offset, data);
+        while (pending.has(position)) {
+          const next = pending.get(position);
+          pending.delete(position);
+          await write(next);
+        }
+      }
+      for (const offset of [...pending.keys()].sort((a, b) => a - b)) {
+        await writeZeros(offset);
+        await write(pending.get(offset));
+      }
+      await writeZeros(partition.size);
+    } finally {
+      await output.close();
+    }
+  }
+}
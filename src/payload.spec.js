@@ -0,0 +1,77 @@
+import * as Bun from "bun";
+import { describe, expect, test } from "bun:test";
+
+import { PayloadError } from "./errors";
+import { OperationType, Payload } from "./payload";
+
+const payloadFile = Bun.file("./test/fixtures/payload.bin");
+const deltaFile = Bun.file("./test/fixtures/payload_delta.bin");
+
+/**
+ * @param {Payload} payload
+ * @param {import("./payload").PartitionUpdate} partition
+ * @returns {Promise<Uint8Array>}
+ */
+async function extract(payload, partition) {
+  /** @type {Uint8Array[]} */
+  const chunks = [];
+  await payload.extract(partition, { write: (chunk) => chunks.push(chunk.slice()), end: () => undefined });
+  return new Uint8Array(await new Blob(chunks).arrayBuffer());
+}
+
+/**
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array>}
+ */
+const sha256 = async (data) => new Uint8Array(await crypto.subtle.digest("SHA-256", data));
+
+describe("payload", () => {
+  test("parses the manifest", async () => {
+    const payload = await Payload.open(payloadFile);
+    expect(payload.header).toMatchObject({ version: 2, metadataSignatureSize: 0 });
+    expect(payload.blockSize).toBe(4096);
+    expect(payload.partitions.map(({ name, size }) => ({ name, size }))).toEqual([
+      { name: "boot", size: 6 * 4096 },
+      { name: "system", size: 10000 },
+    ]);
+    expect(payload.get("boot").operations.map(({ type }) => type)).toEqual([
+      OperationType.ReplaceBz, OperationType.Replace, OperationType.Zero, OperationType.ReplaceXz,
+    ]);
+    expect(payload.get("boot").operations[1].dstExtents).toEqual([{ startBlock: 2, numBlocks: 1 }, { startBlock: 5, numBlocks: 1 }]);
+  });
+
+  test("extracts images matching their hashes", async () => {
+    const payload = await Payload.open(payloadFile);
+    for (const partition of payload.partitions) {
+      const image = await extract(payload, partition);
+      expect(image.byteLength).toBe(partition.size);
+      expect(await sha256(image)).toEqual(partition.hash);
+    }
+    const boot = await extract(payload, payload.get("boot"));
+    expect(boot.subarray(3 * 4096, 4 * 4096)).toEqual(new Uint8Array(4096));
+  });
+
+  test("partitionData yields each extent", async () => {
+    const payload = await Payload.open(payloadFile);
+    const pieces = [];
+    for await (const { offset, data } of payload.partitionData(payload.get("boot"))) pieces.push([offset / 4096, data.byteLength / 4096]);
+    expect(pieces).toEqual([[0, 2], [2, 1], [5, 1], [3, 1], [4, 1]]);
+  });
+
+  test("refuses delta payloads", async () => {
+    const payload = await Payload.open(deltaFile);
+    expect(() => payload.checkFull()).toThrow(new PayloadError("Payload - boot uses SourceCopy operations, only full payloads can be applied"));
+    await expect(extract(payload, payload.get("boot"))).rejects.toThrow(PayloadError);
+  });
+
+  test("rejects corrupt payloads", async () => {
+    await expect(Payload.open(Bun.file("./test/fixtures/sparse.img"))).rejects.toThrow("Payload - Invalid magic");
+    const data = new Uint8Array(await payloadFile.arrayBuffer());
+    await expect(Payload.open(new Blob([data.subarray(0, 100)]))).rejects.toThrow("Payload - Manifest is truncated");
+
+    const corrupt = data.slice();
+    corrupt[corrupt.byteLength - 1] ^= 0xFF;
+    const payload = await Payload.open(new Blob([corrupt]));
+    await expect(extract(payload, payload.get("system"))).rejects.toThrow("does not match its hash");
+  });
+});
@@ -0,0 +1,96 @@
+import { createLogger } from "./logger";
+
+const logger = createLogger("programmer");
+
+
+/**
+ * Identity of a device, read in Sahara command mode
+ *
+ * @typedef {object} DeviceIdentity
+ * @property {string} serial
+ * @property {string|null} hwid - MSM HWID as 16 hex digits: MSM ID, OEM ID and model ID
+ * @property {string|null} pkHash - OEM public key hash, hex
+ */
+
+
+/**
+ * Picks the programmer to upload, once the device has been identified
+ *
+ * @typedef {(identity: DeviceIdentity) => Promise<ArrayBuffer>} ProgrammerSelector
+ */
+
+
+/**
+ * @typedef {object} ProgrammerEntry
+ * @property {string} name
+ * @property {string} hwid - 16 hex digits
+ * @property {string|null} pkHash - Leading hex digits of the OEM public key hash the programmer is signed with
+ * @property {() => Promise<ArrayBuffer>} load
+ */
+
+
+/**
+ * Parse the HWID and PK hash from a programmer file name, following the
+ * <code>&lt;hwid&gt;_&lt;pkhash&gt;_&lt;anything&gt;</code> convention, e.g.
+ * <code>0008b0e10051009f_1bebe3863a6781db_fhprg_peek.bin</code>.
+ *
+ * @param {string} name
+ * @returns {{ hwid: string; pkHash: string|null }|null}
+ */
+export function parseProgrammerName(name) {
+  const match = name.toLowerCase().match(/^([0-9a-f]{16})(?:_([0-9a-f]{8,}))?[_.]/);
+  if (!match) return null;
+  return { hwid: match[1], pkHash: match[2] ?? null };
+}
+
+
+/**
+ * Programmers for several SoCs, selected by the HWID and PK hash a device reports.
+ */
+export class ProgrammerRegistry {
+  /** @type {ProgrammerEntry[]} */
+  #entries = [];
+
+  /** @returns {ProgrammerEntry[]} */
+  get entries() {
+    return [...this.#entries];
+  }
+
+  /**
+   * @param {ProgrammerEntry} entry
+   */
+  add(entry) {
+    this.#entries.push({ ...entry, hwid: entry.hwid.toLowerCase(), pkHash: entry.pkHash?.toLowerCase() ?? null });
+  }
+
+  /**
+   * Find the programmer for a device. Its MSM ID must match and, when both are known, so must the
+   * PK hash. A programmer built for the exact HWID is preferred.
+   *
+   * @param {{ hwid: string|null; pkHash: string|null }} identity
+   * @returns {ProgrammerEntry|null}
+   */
+  find({ hwid, pkHash }) {
+    if (!hwid) return null;
+    const deviceHwid = hwid.toLowerCase();
+    const candidates = this.#entries.filter((entry) => {
+      if (entry.hwid.slice(0, 8) !== deviceHwid.slice(0, 8)) return false;
+      return !entry.pkHash || !pkHash || pkHash.toLowerCase().startsWith(entry.pkHash);
+    });
+    return candidates.find((entry) => entry.hwid === deviceHwid) ?? candidates[0] ?? null;
+  }
+
+  /**
+   * @returns {ProgrammerSelector}
+   */
+  selector() {
+    return async (identity) => {
+      const entry = this.find(identity);
+      if (!entry) {
+        throw new Error(`No programmer found for HWID ${identity.hwid ?? "unknown"}, PK hash ${identity.pkHash ?? "unknown"}`);
+      }
+      logger.info(`Using programmer ${entry.name}`);
+      return await entry.load();
+    };
+  }
+}
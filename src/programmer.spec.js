@@ -0,0 +1,66 @@
+import { describe, expect, test } from "bun:test";
+
+import { parseProgrammerName, ProgrammerRegistry } from "./programmer";
+
+const PK_HASH = "1bebe3863a6781db".repeat(4);
+
+/**
+ * @param {string} name
+ * @returns {import("./programmer").ProgrammerEntry}
+ */
+function entry(name) {
+  return { name, ...parseProgrammerName(name), load: () => Promise.resolve(new TextEncoder().encode(name).buffer) };
+}
+
+describe("parseProgrammerName", () => {
+  test("HWID and PK hash", () => {
+    expect(parseProgrammerName("0008B0E10051009F_1bebe3863a6781db_fhprg_peek.bin")).toEqual({
+      hwid: "0008b0e10051009f",
+      pkHash: "1bebe3863a6781db",
+    });
+  });
+
+  test("HWID only", () => {
+    expect(parseProgrammerName("0008b0e10051009f_fhprg.bin")).toEqual({ hwid: "0008b0e10051009f", pkHash: null });
+    expect(parseProgrammerName("0008b0e10051009f.mbn")).toEqual({ hwid: "0008b0e10051009f", pkHash: null });
+  });
+
+  test("other names", () => {
+    expect(parseProgrammerName("programmer.bin")).toBeNull();
+    expect(parseProgrammerName("0008b0e1_fhprg.bin")).toBeNull();
+  });
+});
+
+describe("ProgrammerRegistry", () => {
+  const registry = new ProgrammerRegistry();
+  registry.add(entry("0008b0e100000000_1bebe3863a6781db_fhprg.bin"));
+  registry.add(entry("0008b0e10051009f_1bebe3863a6781db_fhprg.bin"));
+  registry.add(entry("0008b0e10051009f_cc3153a80293939b_fhprg.bin"));
+  registry.add(entry("000bf0e100000000_fhprg.bin"));
+
+  test("prefers the exact HWID", () => {
+    expect(registry.find({ hwid: "0008B0E10051009F", pkHash: PK_HASH }).name).toBe("0008b0e10051009f_1bebe3863a6781db_fhprg.bin");
+  });
+
+  test("falls back to the MSM ID", () => {
+    expect(registry.find({ hwid: "0008b0e100720000", pkHash: PK_HASH }).name).toBe("0008b0e100000000_1bebe3863a6781db_fhprg.bin");
+  });
+
+  test("PK hash must match", () => {
+    expect(registry.find({ hwid: "0008b0e10051009f", pkHash: "cc3153a80293939b".repeat(4) }).name).toBe("0008b0e10051009f_cc3153a80293939b_fhprg.bin");
+    expect(registry.find({ hwid: "0008b0e10051009f", pkHash: "00".repeat(32) })).toBeNull();
+    expect(registry.find({ hwid: "000bf0e100000000", pkHash: "00".repeat(32) }).name).toBe("000bf0e100000000_fhprg.bin");
+  });
+
+  test("unknown HWID", () => {
+    expect(registry.find({ hwid: null, pkHash: null })).toBeNull();
+    expect(registry.find({ hwid: "0009600000000000", pkHash: null })).toBeNull();
+  });
+
+  test("selector loads the programmer", async () => {
+    const selector = registry.selector();
+    const programmer = await selector({ serial: "0x1234abcd", hwid: "0008b0e10051009f", pkHash: PK_HASH });
+    expect(new TextDecoder().decode(programmer)).toBe("0008b0e10051009f_1bebe3863a6781db_fhprg.bin");
+    await expect(selector({ serial: "0x1234abcd", hwid: null, pkHash: null })).rejects.toThrow("No programmer found");
+  });
+});
@@ -1,11 +1,174 @@
+import { decompress, detectCompression } from "./compression";
+import { FlashError, ValidationError } from "./errors";
 import { Firehose } from "./firehose"
-import { GPT } from "./gpt"
+import { GPT, MAX_TRIES_REMAINING } from "./gpt"
+import { dependsOnDiskSize, resolveSectorExpression } from "./rawprogram";
 import { Sahara } from "./sahara";
 import * as Sparse from "./sparse";
 import { createLogger } from "./logger";
+import { detectImageType, expectedImageTypes, IMAGE_TYPE_PREFIX_SIZE } from "./image-type";
+import {
+  ExtentTargetType,
+  GEOMETRY_SIZE,
+  LP_SECTOR_SIZE,
+  metadataOffsets,
+  PARTITION_RESERVED_BYTES,
+  parseGeometry,
+  parseMetadata,
+  slotIndexForName,
+} from "./lp";
+import {
+  BOOTLOADER_MESSAGE_SIZE,
+  buildBootloaderMessage,
+  parseBootloaderMessage,
+  parseVirtualAbMessage,
+  SYSTEM_SPACE_OFFSET,
+  VIRTUAL_AB_MESSAGE_SIZE,
+} from "./misc";
+import { Sha256 } from "./sha256";
+import { compareStringToBytes, concatUint8Array, openSink, StreamReader, toHex } from "./utils";
+import { CompressionMethod } from "./zip";
 
 const logger = createLogger("qdl");
 
+// Split long reads into several commands, so a failed transfer doesn't leave the device streaming a whole partition
+const MAX_READ_SECTORS = 16 * 1024;
+
+// Sectors before the end of a LUN searched for a backup GPT that isn't where it should be
+const GPT_SCAN_SECTORS = 64n;
+
+// Raw images at least this large can be converted to sparse images while flashing, see resparseRawImages
+const RESPARSE_MIN_SIZE = 32 * 1024 * 1024;
+
+// Blocks spread across a raw image that are checked for zeros before reading all of it to resparse it
+const RESPARSE_SAMPLE_BLOCKS = 64;
+
+// Split long erases into several commands, like reads
+const MAX_ERASE_SECTORS = 16 * 1024;
+
+// Images are verified in segments, each compared against a digest from the programmer
+const VERIFY_SEGMENT_SIZE = 16 * 1024 * 1024;
+
+
+/**
+ * @typedef {import("./utils").ReadSink} ReadSink
+ */
+
+
+/**
+ * An image {@link qdlDevice#flashZip} will flash
+ *
+ * @typedef {object} ZipFlash
+ * @property {import("./zip").ZipEntry} entry
+ * @property {string} partition
+ */
+
+
+/**
+ * Slots a base partition name such as <code>boot</code> is resolved in, see
+ * {@link qdlDevice#resolvePartitionNames}
+ *
+ * @typedef {"active"|"inactive"|"a"|"b"|"all"} SlotSelector
+ */
+
+
+/**
+ * A/B flags of a partition, see {@link qdlDevice#getSlotInfo}
+ *
+ * @typedef {import("./gpt").PartitionSlotInfo & { lun: number }} SlotInfo
+ */
+
+
+/**
+ * A range of sectors saved by {@link qdlDevice#backup}. Sector numbers are plain numbers so the
+ * manifest can be written as JSON.
+ *
+ * @typedef {object} BackupImage
+ * @property {string} file
+ * @property {number} lun
+ * @property {string|null} partition - <code>null</code> for the sectors holding a copy of the GPT
+ * @property {number} start - First sector
+ * @property {number} sectors
+ * @property {string} sha256 - Hex digest of the file, empty until it has been read
+ */
+
+
+/**
+ * @typedef {object} BackupManifest
+ * @property {number} version
+ * @property {string} created - ISO 8601 date
+ * @property {number} sectorSize
+ * @property {BackupImage[]} images - GPT copies first
+ */
+
+
+/**
+ * What {@link qdlDevice#healGpt} did to a LUN, or would do in a dry run
+ *
+ * @typedef {object} GptHealReport
+ * @property {number} lun
+ * @property {"primary"|"backup"|null} source - Copy the other was rebuilt from, <code>null</code> if nothing needed fixing
+ * @property {"primary"|"backup"|null} target - Copy that was rebuilt
+ * @property {{ sector: bigint; sectors: number; description: string }[]} writes - Sectors written, in order
+ * @property {boolean} dryRun
+ */
+
+
+/**
+ * @param {import("./lp").LpPartition} partition
+ * @param {import("./lp").LpExtent} extent
+ * @param {number} sectorSize
+ * @throws {FlashError} if the extent isn't a whole number of sectors of super
+ */
+function checkWritableExtent(partition, extent, sectorSize) {
+  if (extent.targetType !== ExtentTargetType.Linear || extent.targetSource !== 0) {
+    throw new FlashError(`${partition.name} has an extent that is not in super and can't be written`, partition.name);
+  }
+  if ((extent.targetData * LP_SECTOR_SIZE) % sectorSize !== 0 || (extent.numSectors * LP_SECTOR_SIZE) % sectorSize !== 0) {
+    throw new FlashError(`${partition.name} has an extent not aligned to the ${sectorSize} byte sector size`, partition.name);
+  }
+}
+
+
+/**
+ * @param {import("./payload").Payload} payload
+ * @param {import("./payload").PartitionUpdate} update
+ * @returns {Promise<Uint8Array>} The first bytes of the partition image, empty if no operation writes them
+ */
+async function payloadImageHead(payload, update) {
+  for await (const { offset, data } of payload.partitionData(update)) {
+    if (offset === 0) return data.subarray(0, IMAGE_TYPE_PREFIX_SIZE);
+  }
+  return new Uint8Array(0);
+}
+
+
+/**
+ * @param {string[]} patterns - Partition names, where <code>*</code> matches any characters
+ * @returns {(name: string) => boolean}
+ */
+function partitionMatcher(patterns) {
+  const expressions = patterns.map((pattern) => {
+    const source = pattern.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+    return new RegExp(`^${source}$`);
+  });
+  return (name) => expressions.some((expression) => expression.test(name));
+}
+
+
+/**
+ * @param {Uint8Array} expected
+ * @param {Uint8Array} actual
+ * @param {number} sectorSize
+ * @returns {number} Index of the first sector that differs, or -1 if equal
+ */
+function findMismatchingSector(expected, actual, sectorSize) {
+  for (let i = 0; i < expected.byteLength; i++) {
+    if (expected[i] !== actual[i]) return Math.floor(i / sectorSize);
+  }
+  return -1;
+}
+
 
 export class qdlDevice {
   /**
@@ -13,8 +176,17 @@ export class qdlDevice {
    */
   #firehose = null
 
+  #digestSupported = true
+
   /**
-   * @param {ArrayBuffer} programmer
+   * Last sector of each LUN, see {@link #getLastLba}
+   * @type {Map<number, bigint|null>}
+   */
+  #lastLbas = new Map()
+
+  /**
+   * @param {ArrayBuffer|import("./programmer").ProgrammerSelector} programmer - The programmer, or a function
+   *   that picks one for the device once it has been identified
    */
   constructor(programmer) {
     if (!programmer) {
@@ -29,6 +201,31 @@ export class qdlDevice {
      * @type {Sahara|null}
      */
     this.sahara = null;
+    /**
+     * Default for the <code>verify</code> argument of {@link flashBlob}
+     * @type {boolean}
+     */
+    this.verifyAfterFlash = false;
+    /**
+     * Refuse to flash images recognised as something other than what the partition holds, such
+     * as a filesystem image to <code>boot_a</code>
+     * @type {boolean}
+     */
+    this.checkImageTypes = true;
+    /**
+     * Convert raw images of at least 32 MiB to sparse images while flashing, so that their empty
+     * blocks are erased instead of sent
+     * @type {boolean}
+     */
+    this.resparseRawImages = false;
+    /**
+     * Transport of the current connection
+     * @type {import("./usblib").Transport|null}
+     */
+    this.cdc = null;
+    /** @type {string|null} */
+    this.logTag = null;
+    this.logger = logger;
   }
 
   get firehose() {
@@ -37,25 +234,66 @@ export class qdlDevice {
   }
 
   /**
-   * @param {usbClass} cdc
+   * Prefix messages logged for this device, including those from Sahara and Firehose, with a tag
+   * such as its serial number.
+   *
+   * @param {string|null} tag
+   */
+  setLogTag(tag) {
+    this.logTag = tag;
+    this.logger = this.logger.withTag(tag);
+    if (this.sahara) this.sahara.logger = this.sahara.logger.withTag(tag);
+    if (this.#firehose) this.#firehose.logger = this.#firehose.logger.withTag(tag);
+  }
+
+  /**
+   * @param {import("./usblib").Transport} cdc
    * @returns {Promise<void>}
    */
   async connect(cdc) {
     if (!cdc.connected) await cdc.connect();
     if (!cdc.connected) throw new Error("Could not connect to device");
-    logger.debug("QDL device detected");
+    this.cdc = cdc;
+    this.logger.debug("QDL device detected");
     this.sahara = new Sahara(cdc, this.programmer);
+    this.sahara.logger = this.sahara.logger.withTag(this.logTag);
     this.mode = await this.sahara.connect();
     if (this.mode === "sahara") {
-      logger.debug("Connected to Sahara");
+      this.logger.debug("Connected to Sahara");
       this.mode = await this.sahara.uploadLoader();
     }
+    if (this.mode === "memorydebug") {
+      throw new Error("Device crashed and is waiting for a RAM dump. Collect one with ramdump, or reboot the device.");
+    }
     if (this.mode !== "firehose") {
       throw new Error(`Unsupported mode: ${this.mode}. Please reboot the device.`);
     }
     this.#firehose = new Firehose(cdc);
+    this.#firehose.logger = this.#firehose.logger.withTag(this.logTag);
     if (!await this.firehose.configure()) throw new Error("Could not configure Firehose");
-    logger.debug("Firehose configured");
+    this.logger.debug("Firehose configured");
+  }
+
+  /**
+   * Wait for a matching device in EDL mode to be attached, then connect to it, uploading the
+   * programmer and configuring Firehose again.
+   *
+   * @param {object} [options]
+   * @param {number} [options.timeout=0] - Milliseconds, 0 waits forever
+   * @param {string} [options.serial] - Sahara serial number, by default that of the device last connected to
+   * @param {import("./usblib").Transport} [options.cdc] - By default the transport of the last connection
+   * @returns {Promise<void>}
+   */
+  async waitForDevice({ timeout = 0, serial = this.sahara?.serial || undefined, cdc = this.cdc ?? undefined } = {}) {
+    if (!cdc) throw new Error("No transport to wait for a device with");
+    if (!cdc.waitForDevice) throw new Error("Transport does not support waiting for a device");
+    this.logger.info(serial ? `Waiting for device ${serial}` : "Waiting for device");
+    await cdc.waitForDevice({ timeout, serial });
+    this.mode = null;
+    this.sahara = null;
+    this.#firehose = null;
+    this.#lastLbas.clear();
+    await this.connect(cdc);
   }
 
   /**
@@ -65,52 +303,103 @@ export class qdlDevice {
    */
   async getGpt(lun, sector = undefined) {
     // TODO: get sector size from getStorageInfo
-    logger.debug("reading primary GPT");
-    const primaryGpt = new GPT(this.firehose.cfg.SECTOR_SIZE_IN_BYTES);
-    const primaryHeader = primaryGpt.parseHeader(await this.firehose.cmdReadBuffer(lun, sector ?? 1n, 1), sector ?? 1n);
-    let primaryCorrupted = !primaryHeader;
-    if (primaryHeader) {
-      primaryCorrupted |= primaryHeader.mismatchCrc32;
-    }
-    const primaryPartEntries = primaryGpt.parsePartEntries(await this.firehose.cmdReadBuffer(lun, primaryGpt.partEntriesStartLba, primaryGpt.partEntriesSectors));
-    primaryCorrupted |= primaryPartEntries.mismatchCrc32;
-
     if (sector !== undefined) {
-      // Return early if specific sector is requested
-      return primaryGpt;
-    }
-
-    logger.debug("reading backup GPT");
-    const backupGpt = new GPT(this.firehose.cfg.SECTOR_SIZE_IN_BYTES);
-    // TODO: can we predict the alternate lba instead of relying on a potentially faulty value from the primary header?
-    const backupHeader = backupGpt.parseHeader(await this.firehose.cmdReadBuffer(lun, primaryGpt.alternateLba, 1), primaryGpt.alternateLba);
-    let backupCorrupted = !backupHeader;
-    if (backupHeader) {
-      backupCorrupted |= backupHeader.mismatchCrc32;
+      // Return the copy at a specific sector as is
+      const gpt = new GPT(this.firehose.cfg.SECTOR_SIZE_IN_BYTES);
+      gpt.parseHeader(await this.firehose.cmdReadBuffer(lun, sector, 1), sector);
+      gpt.parsePartEntries(await this.firehose.cmdReadBuffer(lun, gpt.partEntriesStartLba, gpt.partEntriesSectors));
+      return gpt;
     }
-    const backupPartEntries = backupGpt.parsePartEntries(await this.firehose.cmdReadBuffer(lun, backupGpt.partEntriesStartLba, backupGpt.partEntriesSectors));
-    backupCorrupted |= backupPartEntries.mismatchCrc32;
 
-    const partEntriesConsistency = primaryPartEntries && backupPartEntries && primaryPartEntries.partEntriesCrc32 === backupPartEntries.partEntriesCrc32;
-    logger.debug({
-      primaryCorrupted,
-      backupCorrupted,
+    const { primary, backup } = await this.findGpt(lun);
+    const partEntriesConsistency = primary && backup && primary.partEntriesCrc32 === backup.partEntriesCrc32;
+    this.logger.debug({
+      primaryCorrupted: !primary,
+      backupCorrupted: !backup,
       headerConsistency: partEntriesConsistency,
     });
 
-    if (primaryCorrupted) {
-      if (backupCorrupted) {
+    if (!primary) {
+      if (!backup) {
         throw new Error(`LUN ${lun}: Both primary and backup GPT headers are corrupted, cannot recover`);
       }
-      // TODO: restore primary from backup
-      logger.warn(`LUN ${lun}: Primary GPT header is corrupted, using backup`);
-      return backupGpt;
+      this.logger.warn(`LUN ${lun}: Primary GPT header is corrupted, using backup. Repair it with healGpt.`);
+      return backup;
+    }
+    if (backup && !partEntriesConsistency) {
+      this.logger.warn(`LUN ${lun}: Primary and backup GPT part entries are inconsistent, using primary. Repair them with healGpt.`);
+    } else if (!backup) {
+      this.logger.warn(`LUN ${lun}: Backup GPT not found, using primary. Repair it with healGpt.`);
+    }
+    return primary;
+  }
+
+  /**
+   * Number of the last sector of a LUN, from storage info. Programmers that don't implement
+   * <code>getstorageinfo</code> give <code>null</code>.
+   *
+   * @param {number} lun
+   * @returns {Promise<bigint|null>}
+   */
+  async #getLastLba(lun) {
+    if (!this.#lastLbas.has(lun)) {
+      const storageInfo = await this.getStorageInfo(lun).catch(() => null);
+      this.#lastLbas.set(lun, storageInfo?.total_blocks ? BigInt(storageInfo.total_blocks) - 1n : null);
+    }
+    return this.#lastLbas.get(lun) ?? null;
+  }
+
+  /**
+   * Find the healthy copies of the GPT on a LUN. The primary is at sector 1. The backup is looked for
+   * at the last sector of the LUN, where the primary says it is, then among the sectors before the
+   * end that start with the GPT signature, so it can be found without an intact primary.
+   *
+   * @param {number} lun
+   * @returns {Promise<{ primary: GPT|null; backup: GPT|null }>}
+   */
+  async findGpt(lun) {
+    this.logger.debug("reading primary GPT");
+    const primary = await this.#readGptCopy(lun, 1n);
+
+    this.logger.debug("reading backup GPT");
+    const lastLba = await this.#getLastLba(lun);
+    const candidates = new Set([lastLba, primary.healthy ? primary.gpt.alternateLba : null]);
+    candidates.delete(null);
+    /** @type {GPT|null} */
+    let backup = null;
+    for (const lba of candidates) {
+      const copy = await this.#readGptCopy(lun, lba);
+      if (copy.healthy && copy.gpt.currentLba > copy.gpt.alternateLba) {
+        backup = copy.gpt;
+        break;
+      }
     }
-    if (!partEntriesConsistency) {
-      logger.warn(`LUN ${lun}: Primary and backup GPT part entries are inconsistent, using primary`);
-      // TODO: create backup from primary
+    if (!backup && lastLba !== null) backup = await this.#scanForBackupGpt(lun, lastLba);
+    return { primary: primary.healthy ? primary.gpt : null, backup };
+  }
+
+  /**
+   * Search the sectors before <code>lastLba</code> for a healthy backup GPT header, latest first.
+   *
+   * @param {number} lun
+   * @param {bigint} lastLba
+   * @returns {Promise<GPT|null>}
+   */
+  async #scanForBackupGpt(lun, lastLba) {
+    const sectorSize = this.firehose.cfg.SECTOR_SIZE_IN_BYTES;
+    const start = lastLba > GPT_SCAN_SECTORS ? lastLba - GPT_SCAN_SECTORS : 1n;
+    this.logger.debug(`Scanning LUN ${lun} sectors ${start}-${lastLba - 1n} for a backup GPT`);
+    const data = await this.firehose.cmdReadBuffer(lun, start, Number(lastLba - start)).catch(() => new Uint8Array());
+    for (let i = Math.floor(data.byteLength / sectorSize) - 1; i >= 0; i--) {
+      if (!compareStringToBytes("EFI PART", data.subarray(i * sectorSize, i * sectorSize + 8))) continue;
+      const lba = start + BigInt(i);
+      const copy = await this.#readGptCopy(lun, lba);
+      if (copy.healthy && copy.gpt.currentLba > copy.gpt.alternateLba) {
+        this.logger.info(`LUN ${lun}: Found backup GPT at sector ${lba}`);
+        return copy.gpt;
+      }
     }
-    return primaryGpt;
+    return null;
   }
 
   /**
@@ -119,7 +408,7 @@ export class qdlDevice {
    * @returns {Promise<boolean>}
    */
   async repairGpt(lun, primaryGptBlob) {
-    logger.info(`Repairing GPT on LUN ${lun}`);
+    this.logger.info(`Repairing GPT on LUN ${lun}`);
 
     if (!await this.firehose.cmdProgram(lun, 0, primaryGptBlob)) {
       throw new Error("Failed to write primary GPT data");
@@ -134,20 +423,133 @@ export class qdlDevice {
     const backupPartEntries = backupGpt.buildPartEntries();
     const backupHeader = backupGpt.buildHeader(backupPartEntries);
 
-    logger.debug(`Writing backup partition table to LBA ${backupGpt.partEntriesStartLba}`);
+    this.logger.debug(`Writing backup partition table to LBA ${backupGpt.partEntriesStartLba}`);
     if (!await this.firehose.cmdProgram(lun, backupGpt.partEntriesStartLba, new Blob([backupPartEntries]))) {
       throw new Error("Failed to write backup partition table");
     }
 
-    logger.debug(`Writing backup GPT header to LBA ${backupGpt.currentLba}`);
+    this.logger.debug(`Writing backup GPT header to LBA ${backupGpt.currentLba}`);
     if (!await this.firehose.cmdProgram(lun, backupGpt.currentLba, new Blob([backupHeader]))) {
       throw new Error("Failed to write backup GPT header");
     }
 
-    logger.info(`Successfully repaired GPT on LUN ${lun}`);
+    this.logger.info(`Successfully repaired GPT on LUN ${lun}`);
     return true;
   }
 
+  /**
+   * Write a partition table to a LUN: the backup GPT at the end of the disk, then the primary GPT
+   * and the protective MBR.
+   *
+   * @param {number} lun
+   * @param {GPT} gpt - Either copy of the table, e.g. from {@link getGpt} or {@link GPT.create}
+   * @returns {Promise<void>}
+   */
+  async writeGpt(lun, gpt) {
+    const sectorSize = this.firehose.cfg.SECTOR_SIZE_IN_BYTES;
+    if (gpt.sectorSize !== sectorSize) {
+      throw new Error(`GPT sector size ${gpt.sectorSize} does not match LUN ${lun} sector size ${sectorSize}`);
+    }
+    const primaryGpt = gpt.currentLba === 1n ? gpt : gpt.asAlternate();
+    const backupGpt = primaryGpt.asAlternate();
+    // not every programmer implements getstorageinfo
+    const storageInfo = await this.getStorageInfo(lun).catch(() => null);
+    if (storageInfo?.total_blocks && backupGpt.currentLba !== BigInt(storageInfo.total_blocks - 1)) {
+      throw new Error(`LUN ${lun}: GPT is for a disk of ${backupGpt.currentLba + 1n} sectors, not ${storageInfo.total_blocks}`);
+    }
+    this.logger.info(`Writing GPT to LUN ${lun}`);
+
+    // if this is interrupted, the old primary table is still intact
+    await this.#writeGptCopy(lun, backupGpt, "backup");
+    await this.#writeGptCopy(lun, primaryGpt, "primary");
+    if (!await this.firehose.cmdProgram(lun, 0, new Blob([primaryGpt.buildProtectiveMbr()]))) {
+      throw new Error("Failed to write protective MBR");
+    }
+    this.logger.debug(`Wrote GPT to LUN ${lun}`);
+  }
+
+  /**
+   * @param {number} lun
+   * @param {GPT} gpt
+   * @param {"primary"|"backup"} name
+   * @returns {Promise<void>}
+   */
+  async #writeGptCopy(lun, gpt, name) {
+    const partEntries = gpt.buildPartEntries();
+    const header = gpt.buildHeader(partEntries);
+    if (!await this.firehose.cmdProgram(lun, gpt.partEntriesStartLba, new Blob([partEntries]))) {
+      throw new Error(`Failed to write ${name} partition table`);
+    }
+    if (!await this.firehose.cmdProgram(lun, gpt.currentLba, new Blob([header]))) {
+      throw new Error(`Failed to write ${name} GPT header`);
+    }
+  }
+
+  /**
+   * Read one copy of the GPT. It is healthy when its header is at the expected sector and both
+   * CRCs match.
+   *
+   * @param {number} lun
+   * @param {bigint} lba - Sector of the header
+   * @returns {Promise<{ gpt: GPT; healthy: boolean }>}
+   */
+  async #readGptCopy(lun, lba) {
+    const gpt = new GPT(this.firehose.cfg.SECTOR_SIZE_IN_BYTES);
+    const data = await this.firehose.cmdReadBuffer(lun, lba, 1).catch(() => null);
+    if (!data) return { gpt, healthy: false };
+    const header = gpt.parseHeader(data, lba);
+    // the rest of a damaged header can't be trusted to find the entries
+    if (!header || header.mismatchCrc32 || gpt.currentLba !== lba) return { gpt, healthy: false };
+    const partEntries = gpt.parsePartEntries(await this.firehose.cmdReadBuffer(lun, gpt.partEntriesStartLba, gpt.partEntriesSectors));
+    return { gpt, healthy: !partEntries.mismatchCrc32 };
+  }
+
+  /**
+   * Repair the GPT of a LUN by rebuilding a damaged or inconsistent copy, primary or backup, from
+   * the healthy one.
+   *
+   * @param {number} lun
+   * @param {object} [options]
+   * @param {"primary"|"backup"} [options.prefer="primary"] - Copy to keep when both are healthy but their
+   *   partition entries differ
+   * @param {boolean} [options.dryRun=false] - Only report what would be written
+   * @returns {Promise<GptHealReport>}
+   */
+  async healGpt(lun, { prefer = "primary", dryRun = false } = {}) {
+    if (prefer !== "primary" && prefer !== "backup") throw new Error(`Invalid GPT copy: ${prefer}`);
+    const { primary, backup } = await this.findGpt(lun);
+
+    /** @type {GptHealReport} */
+    const report = { lun, source: null, target: null, writes: [], dryRun };
+    if (!primary && !backup) {
+      throw new Error(`LUN ${lun}: Both primary and backup GPT are corrupted, cannot recover`);
+    }
+    if (primary && backup) {
+      if (primary.partEntriesCrc32 === backup.partEntriesCrc32) {
+        this.logger.info(`LUN ${lun}: GPT is healthy`);
+        return report;
+      }
+      report.source = prefer;
+    } else {
+      report.source = primary ? "primary" : "backup";
+    }
+    report.target = report.source === "primary" ? "backup" : "primary";
+
+    const source = report.source === "primary" ? primary : backup;
+    const rebuilt = source.asAlternate();
+    report.writes.push(
+      { sector: rebuilt.partEntriesStartLba, sectors: rebuilt.partEntriesSectors, description: `${report.target} partition entries` },
+      { sector: rebuilt.currentLba, sectors: 1, description: `${report.target} GPT header` },
+    );
+    if (dryRun) {
+      this.logger.info(`LUN ${lun}: would rebuild ${report.target} GPT from ${report.source}`);
+      return report;
+    }
+    this.logger.info(`LUN ${lun}: rebuilding ${report.target} GPT from ${report.source}`);
+    await this.#writeGptCopy(lun, rebuilt, report.target);
+    return report;
+  }
+
   /**
    * @param {number} lun
    * @param {string[]} [preservePartitions]
@@ -169,7 +571,7 @@ export class qdlDevice {
       if (name === "mbr" || name === "gpt") continue;
       const part = primaryGpt.locatePartition(name);
       if (!part) {
-        logger.error(`Partition ${name} not found in GPT`);
+        this.logger.error(`Partition ${name} not found in GPT`);
         return false;
       }
       protectedRanges.push({ name, start: part.start, end: part.end });
@@ -193,7 +595,7 @@ export class qdlDevice {
       mergedProtectedRanges.push(currentRange);
     }
     for (const range of mergedProtectedRanges) {
-      logger.debug(`Preserving ${range.name} (${range.start}-${range.end})`);
+      this.logger.debug(`Preserving ${range.name} (${range.start}-${range.end})`);
     }
 
     /** @type {{ start: bigint; end: bigint }[]} */
@@ -211,7 +613,7 @@ export class qdlDevice {
 
     for (const range of erasableRanges) {
       const sectors = range.end - range.start + 1n;
-      logger.debug(`Erasing sectors ${range.start}-${range.end} (${sectors})`);
+      this.logger.debug(`Erasing sectors ${range.start}-${range.end} (${sectors})`);
 
       // Erase command times out for larger numbers of sectors
       const maxSectors = 512 * 1024;
@@ -220,14 +622,14 @@ export class qdlDevice {
         const chunkSectors = Math.min(Number(range.end - sector + 1n), maxSectors);
         const result = await this.firehose.cmdErase(lun, sector, chunkSectors);
         if (!result) {
-          logger.error(`Failed to erase sectors chunk ${sectors}-${sectors + BigInt(chunkSectors - 1)}`);
+          this.logger.error(`Failed to erase sectors chunk ${sectors}-${sectors + BigInt(chunkSectors - 1)}`);
           return false;
         }
         sector = sector + BigInt(chunkSectors);
       }
     }
 
-    logger.info(`Successfully erased LUN ${lun} while preserving specified partitions`);
+    this.logger.info(`Successfully erased LUN ${lun} while preserving specified partitions`);
     return true;
   }
 
@@ -240,69 +642,1037 @@ export class qdlDevice {
       const gpt = await this.getGpt(lun);
       const partition = gpt.locatePartition(name);
       if (!partition) continue;
-      logger.debug("found partition", name, "in lun", lun, partition);
+      this.logger.debug("found partition", name, "in lun", lun, partition);
       return [true, lun, partition, gpt];
     }
-    logger.debug("did not find partition", name);
+    this.logger.debug("did not find partition", name);
     return [false];
   }
 
+  /**
+   * Names of the partitions a base name refers to in the slots <code>slot</code> selects, such as
+   * <code>["boot_b"]</code> for <code>boot</code> in the inactive slot while slot A is active.
+   *
+   * @param {string} name
+   * @param {SlotSelector} [slot] - Without one, <code>name</code> is the partition's full name
+   * @returns {Promise<string[]>}
+   * @throws {ValidationError} if the slot is unknown or the name already has a slot suffix
+   */
+  async resolvePartitionNames(name, slot = undefined) {
+    if (slot === undefined) return [name];
+    let slots;
+    if (slot === "all") {
+      slots = ["a", "b"];
+    } else if (slot === "a" || slot === "b") {
+      slots = [slot];
+    } else if (slot === "active" || slot === "inactive") {
+      slots = [await this.#targetSlot(slot === "inactive")];
+    } else {
+      throw new ValidationError(`Unknown slot ${slot}, expected active, inactive, a, b or all`, "slot");
+    }
+    if (/_[ab]$/.test(name)) throw new ValidationError(`${name} already names a slot, pass its base name`, "name");
+    return slots.map((suffix) => `${name}_${suffix}`);
+  }
+
   /**
    * @param {string} name
+   * @param {SlotSelector} [slot]
+   * @returns {Promise<string>}
+   * @throws {ValidationError} if <code>slot</code> selects more than one partition
+   */
+  async #resolvePartitionName(name, slot) {
+    const names = await this.resolvePartitionNames(name, slot);
+    if (names.length !== 1) throw new ValidationError(`Can't read or stream ${name} in ${slot} slots at once`, "slot");
+    return names[0];
+  }
+
+  /**
+   * @param {string} name
+   * @param {Uint8Array} head - The start of the image
+   * @throws {FlashError} if the image is recognised and isn't what the partition holds
+   */
+  #checkImageType(name, head) {
+    if (!this.checkImageTypes) return;
+    const expected = expectedImageTypes(name);
+    if (!expected) return;
+    const { type, sparse } = detectImageType(head);
+    // images that can't be recognised are let through, they may be blank or of a newer format
+    if (type === null) {
+      this.logger.warn(`Image for ${name} not recognised, expected ${expected.join(" or ")}`);
+      return;
+    }
+    const description = `${type}${sparse ? " (sparse)" : ""}`;
+    if (!expected.includes(type)) {
+      throw new FlashError(`Refusing to flash ${name} with an image recognised as ${description}, it takes ${expected.join(" or ")} images`, name);
+    }
+    this.logger.debug(`Image for ${name} recognised as ${description}`);
+  }
+
+  /**
+   * Flash a raw or sparse image to a partition. Images compressed with xz, gzip or zstd are
+   * decompressed as they are written, and progress is then reported in decompressed bytes.
+   * Uncompressed images for names not in the GPT go to the logical partition of that name in
+   * super, see {@link flashLogicalPartition}.
+   *
+   * @param {string} name - Full partition name, or base name when <code>slot</code> is given
    * @param {Blob} blob
-   * @param {progressCallback} [onProgress] - Returns number of bytes written
+   * @param {progressCallback} [onProgress] - Returns number of bytes written, across every selected slot
    * @param {boolean} [eraseBeforeFlashSparse=true]
+   * @param {boolean} [verify] - Check the written data after flashing, defaults to {@link verifyAfterFlash}
+   * @param {SlotSelector} [slot] - Flash <code>name</code> in these slots, one after the other
    * @returns {Promise<boolean>}
+   * @throws {import("./errors").SparseError} if a sparse image is truncated or corrupt, before anything is written
+   * @throws {FlashError} if the image is of a type the partition doesn't take, see {@link checkImageTypes}
    */
-  async flashBlob(name, blob, onProgress = undefined, eraseBeforeFlashSparse = true) {
+  async flashBlob(name, blob, onProgress = undefined, eraseBeforeFlashSparse = true, verify = this.verifyAfterFlash, slot = undefined) {
+    if (slot !== undefined) {
+      let written = 0;
+      for (const partition of await this.resolvePartitionNames(name, slot)) {
+        let flashed = 0;
+        const onSlotProgress = (progress) => {
+          flashed = progress;
+          onProgress?.(written + progress);
+        };
+        if (!await this.flashBlob(partition, blob, onSlotProgress, eraseBeforeFlashSparse, verify)) return false;
+        written += flashed;
+      }
+      return true;
+    }
+    const compression = await detectCompression(blob);
+    if (compression) {
+      this.logger.debug(`Decompressing ${compression} image while flashing`);
+      return await this.flashStream(name, await decompress(blob, compression), onProgress, eraseBeforeFlashSparse, verify);
+    }
+    this.#checkImageType(name, new Uint8Array(await blob.slice(0, IMAGE_TYPE_PREFIX_SIZE).arrayBuffer()));
     const [found, lun, partition, gpt] = await this.detectPartition(name);
-    if (!found) throw `Can't find partition ${name}`;
-    logger.info(`Flashing ${name}`);
+    if (!found) {
+      if (await this.#findLogicalPartition(name)) return await this.flashLogicalPartition(name, blob, onProgress, verify);
+      throw `Can't find partition ${name}`;
+    }
+    this.logger.info(`Flashing ${name}`);
     const sparse = await Sparse.from(blob);
     if (sparse === null) {
       const imgSectors = Math.ceil(blob.size / gpt.sectorSize);
       if (imgSectors > partition.sectors) {
-        logger.error("Image too large for partition", { imgSectors, partitionSectors: partition.sectors });
+        this.logger.error("Image too large for partition", { imgSectors, partitionSectors: partition.sectors });
         return false;
       }
-      return await this.firehose.cmdProgram(lun, partition.start, blob, onProgress);
+      const resparsed = this.resparseRawImages && blob.size >= RESPARSE_MIN_SIZE
+        ? await this.#resparse(blob, gpt.sectorSize)
+        : null;
+      if (resparsed) {
+        // the empty blocks are skipped, so they must be erased first
+        this.logger.debug(`Erasing ${name}...`);
+        if (!await this.#eraseSectors(lun, partition.start, BigInt(imgSectors))) {
+          this.logger.error("Failed to erase partition before flashing");
+          return false;
+        }
+        if (!await this.#programSparse(lun, partition.start, resparsed, onProgress)) return false;
+      } else if (!await this.#programRaw(lun, partition.start, blob, onProgress)) {
+        return false;
+      }
+      if (verify) await this.#verifyImage(name, lun, partition.start, blob, null);
+      return true;
     }
+    await sparse.validate();
     if (eraseBeforeFlashSparse) {
-      logger.debug(`Erasing ${name}...`);
+      this.logger.debug(`Erasing ${name}...`);
       if (!await this.firehose.cmdErase(lun, partition.start, partition.sectors)) {
-        logger.error("Failed to erase partition before sparse flashing");
+        this.logger.error("Failed to erase partition before sparse flashing");
         return false;
       }
     }
-    logger.debug(`Writing chunks to ${name}...`);
-    for await (const [offset, chunk] of sparse.read()) {
-      if (!chunk) continue;
-      if (offset % gpt.sectorSize !== 0) {
+    this.logger.debug(`Writing chunks to ${name}...`);
+    if (!await this.#programSparse(lun, partition.start, sparse, onProgress)) return false;
+    if (verify) await this.#verifyImage(name, lun, partition.start, blob, sparse);
+    return true;
+  }
+
+  /**
+   * Flash a raw or sparse image as it is read from a stream, such as a decompressed image or a
+   * compressed zip entry. Sparse images can only be checked as they are written.
+   *
+   * @param {string} name - Full partition name, or base name when <code>slot</code> is given
+   * @param {ReadableStream<Uint8Array>} stream
+   * @param {progressCallback} [onProgress] - Returns number of bytes read from the stream
+   * @param {boolean} [eraseBeforeFlashSparse=true]
+   * @param {boolean} [verify] - Check each piece after writing it, defaults to {@link verifyAfterFlash}
+   * @param {Exclude<SlotSelector, "all">} [slot] - A stream can only be written to one slot
+   * @returns {Promise<boolean>}
+   * @throws {import("./errors").SparseError} if a sparse image turns out to be truncated or corrupt
+   * @throws {FlashError} if the image is of a type the partition doesn't take, see {@link checkImageTypes}
+   */
+  async flashStream(name, stream, onProgress = undefined, eraseBeforeFlashSparse = true, verify = this.verifyAfterFlash, slot = undefined) {
+    const partitionName = await this.#resolvePartitionName(name, slot);
+    const [found, lun, partition] = await this.detectPartition(partitionName);
+    if (!found) throw `Can't find partition ${partitionName}`;
+    this.logger.info(`Flashing ${partitionName}`);
+    const reader = new StreamReader(stream);
+    try {
+      this.#checkImageType(partitionName, await reader.peek(IMAGE_TYPE_PREFIX_SIZE));
+      return await this.#flashStream(partitionName, lun, partition, reader, onProgress, eraseBeforeFlashSparse, verify);
+    } finally {
+      await reader.cancel().catch(() => undefined);
+    }
+  }
+
+  /**
+   * Flash a raw or sparse image as it is read from a stream, holding at most one program command's
+   * worth of data in memory.
+   *
+   * @param {string} name
+   * @param {number} lun
+   * @param {{ start: bigint; sectors: bigint }} partition
+   * @param {StreamReader} reader
+   * @param {progressCallback} [onProgress] - Returns number of bytes read from the stream
+   * @param {boolean} [eraseBeforeFlashSparse=true]
+   * @param {boolean} [verify=false]
+   * @returns {Promise<boolean>}
+   */
+  async #flashStream(name, lun, partition, reader, onProgress = undefined, eraseBeforeFlashSparse = true, verify = false) {
+    const { SECTOR_SIZE_IN_BYTES: sectorSize, MaxProgramSizeInBytes: maxSize } = this.firehose.cfg;
+    const partitionSize = Number(partition.sectors) * sectorSize;
+    /**
+     * @param {number} offset
+     * @param {Uint8Array} data
+     * @param {progressCallback} [onDataProgress]
+     * @returns {Promise<boolean>}
+     */
+    const program = async (offset, data, onDataProgress) => {
+      if (offset % sectorSize !== 0) {
         throw "qdl - Offset not aligned to sector size";
       }
-      const sector = partition.start + BigInt(offset / gpt.sectorSize);
-      const onChunkProgress = (progress) => onProgress?.(offset + progress);
-      if (!await this.firehose.cmdProgram(lun, sector, chunk, onChunkProgress)) {
-        logger.debug("Failed to program chunk")
+      if (offset + data.byteLength > partitionSize) {
+        this.logger.error("Image too large for partition", { imageSize: offset + data.byteLength, partitionSize });
+        return false;
+      }
+      const sector = partition.start + BigInt(offset / sectorSize);
+      const blob = new Blob([data]);
+      if (!await this.firehose.cmdProgram(lun, sector, blob, onDataProgress)) return false;
+      if (verify) await this.#verifyImage(name, lun, sector, blob, null);
+      return true;
+    };
+
+    const head = await reader.read(Sparse.FILE_HEADER_SIZE);
+    const header = head.byteLength === Sparse.FILE_HEADER_SIZE ? await Sparse.parseFileHeader(new Blob([head])) : null;
+    if (!header) {
+      let offset = 0;
+      let data = concatUint8Array([head, await reader.read(maxSize - head.byteLength)]);
+      while (data.byteLength) {
+        const start = offset;
+        if (!await program(offset, data, (progress) => onProgress?.(start + progress))) return false;
+        offset += data.byteLength;
+        data = await reader.read(maxSize);
+      }
+      return true;
+    }
+
+    if (header.totalBlocks * header.blockSize > partitionSize) {
+      this.logger.error("Image too large for partition", { imageSize: header.totalBlocks * header.blockSize, partitionSize });
+      return false;
+    }
+    if (eraseBeforeFlashSparse) {
+      this.logger.debug(`Erasing ${name}...`);
+      if (!await this.firehose.cmdErase(lun, partition.start, partition.sectors)) {
+        this.logger.error("Failed to erase partition before sparse flashing");
         return false;
       }
     }
+    this.logger.debug(`Writing chunks to ${name}...`);
+    let reported = reader.bytesRead;
+    for await (const [offset, data] of Sparse.readStream(header, reader, maxSize)) {
+      const { bytesRead } = reader;
+      const start = reported;
+      // fill chunks expand to more data than was read
+      const onDataProgress = (progress) => onProgress?.(Math.min(start + progress, bytesRead));
+      if (data && !await program(offset, data, onDataProgress)) return false;
+      reported = bytesRead;
+      onProgress?.(bytesRead);
+    }
     return true;
   }
 
   /**
+   * @param {number} lun
+   * @param {bigint} start
+   * @param {bigint} count
+   * @returns {Promise<boolean>}
+   */
+  async #eraseSectors(lun, start, count) {
+    for (let sector = start; sector < start + count; sector += BigInt(MAX_ERASE_SECTORS)) {
+      const sectors = Math.min(Number(start + count - sector), MAX_ERASE_SECTORS);
+      if (!await this.firehose.cmdErase(lun, sector, sectors)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Convert a raw image to a sparse one, so that its empty blocks don't need to be sent.
+   *
+   * @param {Blob} blob
+   * @param {number} sectorSize
+   * @returns {Promise<Sparse.Sparse|null>} <code>null</code> if no empty blocks were found
+   */
+  async #resparse(blob, sectorSize) {
+    // the last block is padded, it must not reach past the sectors the raw image would cover
+    const blockSize = blob.size % Sparse.DEFAULT_BLOCK_SIZE === 0 ? Math.max(Sparse.DEFAULT_BLOCK_SIZE, sectorSize) : sectorSize;
+    // only read the whole image when a sample of its blocks has an empty one
+    const totalBlocks = Math.floor(blob.size / blockSize);
+    let sampledEmpty = false;
+    for (let i = 0; i < RESPARSE_SAMPLE_BLOCKS && !sampledEmpty; i++) {
+      const block = Math.floor(i * totalBlocks / RESPARSE_SAMPLE_BLOCKS);
+      const data = new Uint8Array(await blob.slice(block * blockSize, (block + 1) * blockSize).arrayBuffer());
+      sampledEmpty = data.every((byte) => byte === 0);
+    }
+    if (!sampledEmpty) return null;
+    const sparse = await Sparse.fromRaw(blob, blockSize);
+    let emptyBlocks = 0;
+    for await (const { type, blocks } of sparse.chunks()) {
+      if (type === Sparse.ChunkType.Skip) emptyBlocks += blocks;
+    }
+    if (emptyBlocks === 0) return null;
+    this.logger.debug(`Skipping ${emptyBlocks * sparse.header.blockSize} empty bytes of ${blob.size}`);
+    return sparse;
+  }
+
+  /**
+   * Compare the data written for an image with the image itself. Uses the programmer's SHA-256
+   * digests where supported, otherwise reads the data back.
+   *
    * @param {string} name
+   * @param {number} lun
+   * @param {bigint} startSector
+   * @param {Blob} blob
+   * @param {Sparse.Sparse|null} sparse
+   * @returns {Promise<void>}
+   * @throws {FlashError} if the data on the device does not match the image
+   */
+  async #verifyImage(name, lun, startSector, blob, sparse) {
+    const sectorSize = this.firehose.cfg.SECTOR_SIZE_IN_BYTES;
+    /** @type {{ sector: bigint; data: Blob }[]} */
+    const extents = [];
+    if (sparse) {
+      for await (const [offset, chunk] of sparse.read()) {
+        if (chunk) extents.push({ sector: startSector + BigInt(offset / sectorSize), data: chunk });
+      }
+    } else {
+      extents.push({ sector: startSector, data: blob });
+    }
+
+    this.logger.info(`Verifying ${name}...`);
+    for (const { sector, data } of extents) {
+      for (let offset = 0; offset < data.size; offset += VERIFY_SEGMENT_SIZE) {
+        const segment = new Uint8Array(await data.slice(offset, offset + VERIFY_SEGMENT_SIZE).arrayBuffer());
+        const numSectors = Math.ceil(segment.byteLength / sectorSize);
+        // cmdProgram pads the last sector with zeros
+        const expected = new Uint8Array(numSectors * sectorSize);
+        expected.set(segment);
+        const segmentSector = sector + BigInt(offset / sectorSize);
+
+        if (this.#digestSupported) {
+          const digest = await this.firehose.cmdGetSha256Digest(lun, segmentSector, numSectors);
+          if (digest) {
+            const expectedDigest = new Uint8Array(await crypto.subtle.digest("SHA-256", expected));
+            if (expectedDigest.every((byte, i) => byte === digest[i])) continue;
+            this.logger.debug(`Digest mismatch at sector ${segmentSector}, reading back to locate it`);
+          } else {
+            this.logger.warn("Programmer does not support getsha256digest, verifying by reading back");
+            this.#digestSupported = false;
+          }
+        }
+
+        const actual = await this.firehose.cmdReadBuffer(lun, segmentSector, numSectors);
+        const mismatch = findMismatchingSector(expected, actual, sectorSize);
+        if (mismatch !== -1) {
+          throw new FlashError(`Verification of ${name} failed: LUN ${lun} sector ${segmentSector + BigInt(mismatch)} does not match the image`, name);
+        }
+      }
+    }
+    this.logger.info(`Verified ${name}`);
+  }
+
+  /**
+   * @param {number} lun
+   * @param {bigint} startSector
+   * @param {Sparse.Sparse} sparse
+   * @param {progressCallback} [onProgress] - Returns number of bytes written
+   * @returns {Promise<boolean>}
+   */
+  async #programSparse(lun, startSector, sparse, onProgress = undefined) {
+    const { SECTOR_SIZE_IN_BYTES: sectorSize, MaxProgramSizeInBytes: maxSize } = this.firehose.cfg;
+    const parts = await Sparse.resplit(sparse, maxSize);
+    if (parts.length > 1) this.logger.debug(`Split sparse image into ${parts.length} parts of up to ${maxSize} bytes`);
+    for (const part of parts) {
+      for await (const [offset, chunk] of part.read()) {
+        if (!chunk) continue;
+        if (offset % sectorSize !== 0) {
+          throw "qdl - Offset not aligned to sector size";
+        }
+        const sector = startSector + BigInt(offset / sectorSize);
+        const onChunkProgress = (progress) => onProgress?.(offset + progress);
+        if (!await this.firehose.cmdProgram(lun, sector, chunk, onChunkProgress)) {
+          this.logger.debug("Failed to program chunk")
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Write a raw image, split into program commands no larger than the programmer accepts.
+   *
+   * @param {number} lun
+   * @param {bigint} startSector
+   * @param {Blob} blob
+   * @param {progressCallback} [onProgress] - Returns number of bytes written
+   * @returns {Promise<boolean>}
+   */
+  async #programRaw(lun, startSector, blob, onProgress = undefined) {
+    const { SECTOR_SIZE_IN_BYTES: sectorSize, MaxProgramSizeInBytes: maxSize } = this.firehose.cfg;
+    for (let offset = 0; offset < blob.size; offset += maxSize) {
+      const sector = startSector + BigInt(offset / sectorSize);
+      const onChunkProgress = (progress) => onProgress?.(offset + progress);
+      if (!await this.firehose.cmdProgram(lun, sector, blob.slice(offset, offset + maxSize), onChunkProgress)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Flash a QFIL-style package: every <code>&lt;program&gt;</code> entry in order, then every
+   * <code>&lt;patch&gt;</code> entry targeting the disk.
+   *
+   * @param {ProgramEntry[]} programs
+   * @param {PatchEntry[]} patches
+   * @param {(filename: string) => Blob|Promise<Blob>} getImage
+   * @param {progressCallback} [onProgress] - Returns number of bytes written across all images
+   * @returns {Promise<boolean>} <code>false</code> if an image is too large for its partition, before anything
+   *   is written, or if writing fails
+   * @throws {FlashError} if an image is of the wrong type for its partition, before anything is written
+   * @throws {Error} if an entry's sector size doesn't match the device, or an image marked as sparse
+   *   isn't one, before anything is written
+   */
+  async flashRawProgram(programs, patches, getImage, onProgress = undefined) {
+    const sectorSize = this.firehose.cfg.SECTOR_SIZE_IN_BYTES;
+    /** @type {Map<number, bigint>} */
+    const numDiskSectors = new Map();
+    const resolveSector = async (lun, expression) => {
+      if (!dependsOnDiskSize(expression)) return resolveSectorExpression(expression);
+      if (!numDiskSectors.has(lun)) {
+        const { total_blocks } = await this.getStorageInfo(lun);
+        numDiskSectors.set(lun, BigInt(total_blocks));
+      }
+      return resolveSectorExpression(expression, numDiskSectors.get(lun));
+    };
+
+    // check every entry before writing any, so a broken package doesn't leave the device half flashed
+    /** @type {{ program: ProgramEntry; startSector: bigint; blob: Blob; sparse: Sparse.Sparse|null; size: number }[]} */
+    const images = [];
+    for (const program of programs) {
+      if (!program.filename) continue;
+      if (program.sectorSize !== sectorSize) {
+        throw new Error(`${program.filename}: sector size ${program.sectorSize} does not match device sector size ${sectorSize}`);
+      }
+      const startSector = await resolveSector(program.lun, program.startSector);
+      const image = await getImage(program.filename);
+      const blob = program.fileSectorOffset ? image.slice(program.fileSectorOffset * sectorSize) : image;
+      if (program.label) {
+        this.#checkImageType(program.label, new Uint8Array(await blob.slice(0, IMAGE_TYPE_PREFIX_SIZE).arrayBuffer()));
+      }
+      const sparse = program.sparse ? await Sparse.from(blob) : null;
+      if (program.sparse && !sparse) {
+        throw new Error(`${program.filename}: marked as sparse but is not a sparse image`);
+      }
+      const size = sparse ? sparse.header.totalBlocks * sparse.header.blockSize : blob.size;
+      const imgSectors = Math.ceil(size / sectorSize);
+      if (program.numPartitionSectors && imgSectors > program.numPartitionSectors) {
+        this.logger.error(`${program.filename} is too large for ${program.label || `LUN ${program.lun}`}`, { imgSectors, partitionSectors: program.numPartitionSectors });
+        return false;
+      }
+      images.push({ program, startSector, blob, sparse, size });
+    }
+    /** @type {{ patch: PatchEntry; startSector: bigint }[]} */
+    const diskPatches = [];
+    for (const patch of patches) {
+      if (patch.filename !== "DISK") continue;
+      if (patch.sectorSize !== sectorSize) {
+        throw new Error(`Patch "${patch.what}": sector size ${patch.sectorSize} does not match device sector size ${sectorSize}`);
+      }
+      diskPatches.push({ patch, startSector: await resolveSector(patch.lun, patch.startSector) });
+    }
+
+    let written = 0;
+    for (const { program, startSector, blob, sparse, size } of images) {
+      const onImageProgress = (progress) => onProgress?.(written + progress);
+      this.logger.info(`Flashing ${program.filename} to ${program.label || `LUN ${program.lun}`} at sector ${startSector}`);
+      const result = sparse
+        ? await this.#programSparse(program.lun, startSector, sparse, onImageProgress)
+        : await this.#programRaw(program.lun, startSector, blob, onImageProgress);
+      if (!result) {
+        this.logger.error(`Failed to flash ${program.filename}`);
+        return false;
+      }
+      written += size;
+    }
+
+    for (const { patch, startSector } of diskPatches) {
+      this.logger.debug(`Patching LUN ${patch.lun} sector ${startSector}: ${patch.what}`);
+      if (!await this.firehose.cmdPatch(patch.lun, startSector, patch.byteOffset, patch.sizeInBytes, patch.value)) {
+        this.logger.error(`Failed to apply patch: ${patch.what}`);
+        return false;
+      }
+    }
+    this.logger.info("Successfully flashed rawprogram package");
+    return true;
+  }
+
+  /**
+   * @param {boolean} inactiveSlot
+   * @returns {Promise<"a"|"b">}
+   */
+  async #targetSlot(inactiveSlot) {
+    const activeSlot = await this.getActiveSlot();
+    if (!inactiveSlot) return activeSlot;
+    return activeSlot === "a" ? "b" : "a";
+  }
+
+  /**
+   * @param {"a"|"b"} slot
+   * @returns {Promise<(name: string) => string|null>} Maps an image name to the partition of that
+   *   name or, failing that, to that partition in <code>slot</code>
+   */
+  async #imagePartitions(slot) {
+    const partitions = new Set((await this.getDevicePartitionsInfo())[1]);
+    return (name) => [name, `${name}_${slot}`].find((partition) => partitions.has(partition)) ?? null;
+  }
+
+  /**
+   * Flash the partition images in a zip archive, such as a factory image. Each
+   * <code>&lt;name&gt;.img</code> entry goes to the partition of that name or, failing that, to
+   * that partition in the active slot. Entries that match no partition are skipped. Entries whose
+   * contents don't match their CRC32 are an error, stored ones are checked before anything is written.
+   *
+   * @param {import("./zip").ZipArchive} archive
+   * @param {object} [options]
+   * @param {boolean} [options.inactiveSlot=false] - Flash slotted partitions in the inactive slot instead
+   * @param {(plan: ZipFlash[]) => void} [options.onPlan] - Called with the images to flash before any is written
+   * @param {progressCallback} [options.onProgress] - Returns number of bytes flashed across all images, out of their uncompressed sizes
+   * @returns {Promise<boolean>}
+   */
+  async flashZip(archive, { inactiveSlot = false, onPlan = undefined, onProgress = undefined } = {}) {
+    const findPartition = await this.#imagePartitions(await this.#targetSlot(inactiveSlot));
+    /** @type {ZipFlash[]} */
+    const plan = [];
+    for (const entry of archive.entries) {
+      const basename = entry.name.slice(entry.name.lastIndexOf("/") + 1);
+      if (!basename.endsWith(".img")) continue;
+      const name = basename.slice(0, -".img".length);
+      const partition = findPartition(name);
+      if (!partition) {
+        this.logger.warn(`Skipping ${entry.name}, no partition named ${name}`);
+        continue;
+      }
+      plan.push({ entry, partition });
+    }
+    onPlan?.(plan);
+    // stored images are flashed from the archive as is, compressed ones are checked as they are read
+    for (const { entry } of plan) {
+      if (entry.method === CompressionMethod.Stored) await archive.check(entry);
+    }
+
+    let written = 0;
+    for (const { entry, partition } of plan) {
+      // sparse images report progress in expanded bytes, which can exceed the entry size
+      const onEntryProgress = (progress) => onProgress?.(written + Math.min(progress, entry.uncompressedSize));
+      const result = entry.method === CompressionMethod.Stored
+        ? await this.flashBlob(partition, await archive.blob(entry), onEntryProgress)
+        : await this.flashStream(partition, await archive.stream(entry), onEntryProgress);
+      if (!result) {
+        this.logger.error(`Failed to flash ${entry.name}`);
+        return false;
+      }
+      written += entry.uncompressedSize;
+    }
+    this.logger.info(`Successfully flashed ${plan.length} images from zip`);
+    return true;
+  }
+
+  /**
+   * Apply a full OTA payload, writing each partition it updates in the active or inactive slot,
+   * then make that slot active. Every partition is checked before anything is written.
+   *
+   * @param {import("./payload").Payload} payload
+   * @param {object} [options]
+   * @param {boolean} [options.inactiveSlot=false] - Flash slotted partitions in the inactive slot instead
+   * @param {progressCallback} [options.onProgress] - Returns number of bytes written across all partitions
+   * @returns {Promise<boolean>}
+   * @throws {import("./errors").PayloadError} for a delta payload, or data that is truncated or does not match its hash
+   * @throws {FlashError} if an image is of the wrong type for its partition
+   */
+  async flashPayload(payload, { inactiveSlot = false, onProgress = undefined } = {}) {
+    payload.checkFull();
+    const sectorSize = this.firehose.cfg.SECTOR_SIZE_IN_BYTES;
+    if (payload.blockSize % sectorSize !== 0) {
+      throw new FlashError(`Payload block size ${payload.blockSize} is not a multiple of the sector size ${sectorSize}`);
+    }
+    const slot = await this.#targetSlot(inactiveSlot);
+    const findPartition = await this.#imagePartitions(slot);
+    /** @type {{ update: import("./payload").PartitionUpdate; name: string; size: number; write: (offset: number, blob: Blob, onProgress: progressCallback) => Promise<boolean> }[]} */
+    const targets = [];
+    for (const update of payload.partitions) {
+      const name = findPartition(update.name);
+      if (name) {
+        const [, lun, partition] = await this.detectPartition(name);
+        const size = Number(partition.sectors) * sectorSize;
+        const write = (offset, blob, onWriteProgress) => this.#programRaw(lun, partition.start + BigInt(offset / sectorSize), blob, onWriteProgress);
+        targets.push({ update, name, size, write });
+        continue;
+      }
+      // dynamic partitions live in super, with the slot suffix in their name
+      const logicalName = `${update.name}_${slot}`;
+      const logical = await this.#findLogicalPartition(logicalName) ?? await this.#findLogicalPartition(update.name);
+      if (!logical) throw new FlashError(`Payload partition ${update.name} not found on device`, update.name);
+      const write = (offset, blob, onWriteProgress) => this.#programLogical(logical.lun, logical.start, logical.partition, offset, blob, onWriteProgress);
+      targets.push({ update, name: logical.partition.name, size: logical.partition.size, write });
+    }
+    for (const { update, name, size } of targets) {
+      if (update.size > size) throw new FlashError(`Payload image for ${update.name} is larger than ${name}`, name);
+      if (this.checkImageTypes && expectedImageTypes(name)) this.#checkImageType(name, await payloadImageHead(payload, update));
+    }
+
+    let written = 0;
+    for (const { update, name, write } of targets) {
+      this.logger.info(`Flashing ${update.name} to ${name}`);
+      for await (const { offset, data } of payload.partitionData(update)) {
+        const onDataProgress = (progress) => onProgress?.(written + progress);
+        if (!await write(offset, new Blob([data]), onDataProgress)) {
+          this.logger.error(`Failed to flash ${name}`);
+          return false;
+        }
+        written += data.byteLength;
+      }
+    }
+    if (targets.some(({ update, name }) => name !== update.name)) await this.setActiveSlot(slot);
+    this.logger.info(`Successfully applied payload to ${targets.length} partitions`);
+    return true;
+  }
+
+  /**
+   * @param {number} lun
+   * @param {bigint} start - First sector of the partition
+   * @param {number} offset - Bytes from the start of the partition
+   * @param {number} length
+   * @returns {Promise<Uint8Array>}
+   */
+  async #readPartitionBytes(lun, start, offset, length) {
+    const sectorSize = this.firehose.cfg.SECTOR_SIZE_IN_BYTES;
+    const firstSector = Math.floor(offset / sectorSize);
+    const endSector = Math.ceil((offset + length) / sectorSize);
+    const data = await this.firehose.cmdReadBuffer(lun, start + BigInt(firstSector), endSector - firstSector);
+    const skip = offset - firstSector * sectorSize;
+    return data.subarray(skip, skip + length);
+  }
+
+  /**
+   * @param {number} lun
+   * @param {bigint} start - First sector of the super partition
+   * @param {number} slotIndex
+   * @returns {Promise<import("./lp").LpMetadata>}
+   */
+  async #readSuperMetadata(lun, start, slotIndex) {
+    let geometry = null;
+    for (const offset of [PARTITION_RESERVED_BYTES, PARTITION_RESERVED_BYTES + GEOMETRY_SIZE]) {
+      try {
+        geometry = await parseGeometry(await this.#readPartitionBytes(lun, start, offset, GEOMETRY_SIZE));
+        break;
+      } catch (error) {
+        this.logger.warn(`Super geometry at byte ${offset} is unusable: ${error.message}`);
+      }
+    }
+    if (!geometry) throw new Error("Super partition has no valid LP geometry");
+    if (slotIndex >= geometry.metadataSlotCount) throw new Error(`Super partition has no metadata for slot ${slotIndex}`);
+
+    const [primary, backup] = metadataOffsets(geometry, slotIndex);
+    for (const offset of [primary, backup]) {
+      try {
+        return await parseMetadata(await this.#readPartitionBytes(lun, start, offset, geometry.metadataMaxSize));
+      } catch (error) {
+        this.logger.warn(`Super metadata for slot ${slotIndex} at byte ${offset} is unusable: ${error.message}`);
+      }
+    }
+    throw new Error(`Super partition has no valid LP metadata for slot ${slotIndex}`);
+  }
+
+  /**
+   * Read the logical partition metadata of the super partition, from the primary copy or, if that
+   * is damaged, the backup.
+   *
+   * @param {"a"|"b"} [slot] - Metadata slot to read, defaults to the active slot
+   * @returns {Promise<import("./lp").LpMetadata>}
+   */
+  async getSuperMetadata(slot = undefined) {
+    const [found, lun, partition] = await this.detectPartition("super");
+    if (!found) throw new Error("Partition super not found");
+    return await this.#readSuperMetadata(lun, partition.start, slotIndexForName(`_${slot ?? await this.getActiveSlot()}`));
+  }
+
+  /**
+   * @param {string} name - Including the slot suffix, which picks the metadata slot
+   * @returns {Promise<{ lun: number; start: bigint; partition: import("./lp").LpPartition }|null>}
+   */
+  async #findLogicalPartition(name) {
+    const [found, lun, superPartition] = await this.detectPartition("super");
+    if (!found) return null;
+    let metadata;
+    try {
+      metadata = await this.#readSuperMetadata(lun, superPartition.start, slotIndexForName(name));
+    } catch (error) {
+      this.logger.debug(`No logical partitions: ${error.message}`);
+      return null;
+    }
+    const partition = metadata.partitions.find((entry) => entry.name === name);
+    return partition ? { lun, start: superPartition.start, partition } : null;
+  }
+
+  /**
+   * Write data to a logical partition, split across the extents it covers.
+   *
+   * @param {number} lun
+   * @param {bigint} superStart - First sector of the super partition
+   * @param {import("./lp").LpPartition} partition
+   * @param {number} offset - Bytes from the start of the logical partition
+   * @param {Blob} blob
+   * @param {progressCallback} [onProgress] - Returns number of bytes of <code>blob</code> written
+   * @param {boolean} [verify=false] - Check each piece after writing it
    * @returns {Promise<boolean>}
    */
-  async erase(name) {
-    const [found, lun, partition] = await this.detectPartition(name);
-    if (!found) throw new Error(`Partition ${name} not found`);
-    logger.info(`Erasing ${name}...`);
-    await this.firehose.cmdErase(lun, partition.start, partition.sectors);
-    logger.debug(`Erased ${name} ${partition.start}-${partition.end} (${partition.sectors} sectors)`);
+  async #programLogical(lun, superStart, partition, offset, blob, onProgress = undefined, verify = false) {
+    const sectorSize = this.firehose.cfg.SECTOR_SIZE_IN_BYTES;
+    if (offset + blob.size > partition.size) throw new FlashError(`Data extends past the end of ${partition.name}`, partition.name);
+    let extentStart = 0;
+    for (const extent of partition.extents) {
+      const extentEnd = extentStart + extent.numSectors * LP_SECTOR_SIZE;
+      const from = Math.max(offset, extentStart);
+      const to = Math.min(offset + blob.size, extentEnd);
+      if (from < to) {
+        checkWritableExtent(partition, extent, sectorSize);
+        const byteOffset = extent.targetData * LP_SECTOR_SIZE + (from - extentStart);
+        if (byteOffset % sectorSize !== 0) {
+          throw new FlashError(`${partition.name} has an extent not aligned to the ${sectorSize} byte sector size`, partition.name);
+        }
+        const onPieceProgress = (progress) => onProgress?.(from - offset + progress);
+        const piece = blob.slice(from - offset, to - offset);
+        const sector = superStart + BigInt(byteOffset / sectorSize);
+        if (!await this.#programRaw(lun, sector, piece, onPieceProgress)) return false;
+        if (verify) await this.#verifyImage(partition.name, lun, sector, piece, null);
+      }
+      extentStart = extentEnd;
+    }
     return true;
   }
 
+  /**
+   * Flash a raw or sparse image into the extents of a logical partition inside super, such as
+   * <code>system_a</code>, leaving the other logical partitions and the metadata alone.
+   *
+   * @param {string} name - Including the slot suffix, which picks the metadata slot
+   * @param {Blob} blob
+   * @param {progressCallback} [onProgress] - Returns number of bytes written
+   * @param {boolean} [verify] - Check the data after writing it, defaults to {@link verifyAfterFlash}
+   * @returns {Promise<boolean>}
+   * @throws {import("./errors").SparseError} if a sparse image is truncated or corrupt, before anything is written
+   * @throws {FlashError} if an extent of the partition can't be written, before anything is written
+   */
+  async flashLogicalPartition(name, blob, onProgress = undefined, verify = this.verifyAfterFlash) {
+    const target = await this.#findLogicalPartition(name);
+    if (!target) throw `Can't find logical partition ${name}`;
+    const { lun, start, partition } = target;
+    const sparse = await Sparse.from(blob);
+    const imageSize = sparse ? sparse.header.totalBlocks * sparse.header.blockSize : blob.size;
+    if (imageSize > partition.size) {
+      this.logger.error("Image too large for logical partition", { imageSize, partitionSize: partition.size });
+      return false;
+    }
+    const sectorSize = this.firehose.cfg.SECTOR_SIZE_IN_BYTES;
+    // the extents the image reaches, checked before anything is erased or written
+    const extents = [];
+    let extentStart = 0;
+    for (const extent of partition.extents) {
+      if (extentStart >= imageSize) break;
+      checkWritableExtent(partition, extent, sectorSize);
+      extents.push(extent);
+      extentStart += extent.numSectors * LP_SECTOR_SIZE;
+    }
+    this.logger.info(`Flashing ${name} into ${partition.extents.length} extents of super`);
+    if (!sparse) return await this.#programLogical(lun, start, partition, 0, blob, onProgress, verify);
+
+    await sparse.validate();
+    // skipped blocks must read back as zeros
+    for (const { numSectors, targetData } of extents) {
+      const sector = start + BigInt(targetData * LP_SECTOR_SIZE / sectorSize);
+      if (!await this.#eraseSectors(lun, sector, BigInt(numSectors * LP_SECTOR_SIZE / sectorSize))) {
+        this.logger.error("Failed to erase logical partition before sparse flashing");
+        return false;
+      }
+    }
+    for await (const [offset, chunk] of sparse.read()) {
+      if (!chunk) continue;
+      const onChunkProgress = (progress) => onProgress?.(offset + progress);
+      if (!await this.#programLogical(lun, start, partition, offset, chunk, onChunkProgress, verify)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * @returns {Promise<{ lun: number; start: bigint }>}
+   */
+  async #findMisc() {
+    const [found, lun, partition] = await this.detectPartition("misc");
+    if (!found) throw new Error("Partition misc not found");
+    return { lun, start: partition.start };
+  }
+
+  /**
+   * Read the bootloader control block from the start of misc.
+   *
+   * @returns {Promise<import("./misc").BootloaderMessage>}
+   */
+  async getBootloaderMessage() {
+    const { lun, start } = await this.#findMisc();
+    return parseBootloaderMessage(await this.#readPartitionBytes(lun, start, 0, BOOTLOADER_MESSAGE_SIZE));
+  }
+
+  /**
+   * Write the bootloader control block, such as <code>boot-recovery</code> with
+   * <code>["recovery", "--wipe_data"]</code> to factory reset on the next boot. The rest of misc,
+   * including the boot control data after the block, is left alone.
+   *
+   * @param {Partial<import("./misc").BootloaderMessage>} message - Fields left out are cleared
+   * @returns {Promise<boolean>}
+   */
+  async setBootloaderMessage(message) {
+    const data = buildBootloaderMessage(message);
+    const { lun, start } = await this.#findMisc();
+    const sectorSize = this.firehose.cfg.SECTOR_SIZE_IN_BYTES;
+    const sectors = Math.ceil(BOOTLOADER_MESSAGE_SIZE / sectorSize);
+    const buffer = await this.firehose.cmdReadBuffer(lun, start, sectors);
+    buffer.set(data);
+    if (!await this.firehose.cmdProgram(lun, start, new Blob([buffer]))) return false;
+    this.logger.info(message.command ? `Set bootloader command ${message.command}` : "Cleared bootloader command");
+    return true;
+  }
+
+  /**
+   * @returns {Promise<import("./misc").VirtualAbMessage|null>} The virtual A/B merge status, or
+   *   <code>null</code> if none has been written
+   */
+  async getVirtualAbMessage() {
+    const { lun, start } = await this.#findMisc();
+    return parseVirtualAbMessage(await this.#readPartitionBytes(lun, start, SYSTEM_SPACE_OFFSET, VIRTUAL_AB_MESSAGE_SIZE));
+  }
+
+  /**
+   * Stream a range of sectors from the device into <code>sink</code>.
+   *
+   * @param {number} lun
+   * @param {bigint} start
+   * @param {bigint} count
+   * @param {ReadSink} sink
+   * @param {progressCallback} [onProgress] - Returns number of bytes read
+   * @returns {Promise<void>}
+   */
+  async readSectors(lun, start, count, sink, onProgress = undefined) {
+    const sectorSize = this.firehose.cfg.SECTOR_SIZE_IN_BYTES;
+    const writer = openSink(sink);
+    let bytesRead = 0;
+    onProgress?.(0);
+    try {
+      let sector = start;
+      const end = start + count;
+      while (sector < end) {
+        const chunkSectors = Math.min(Number(end - sector), MAX_READ_SECTORS);
+        await this.firehose.cmdRead(lun, sector, chunkSectors, async (data) => {
+          await writer.write(data);
+          bytesRead += data.byteLength;
+          onProgress?.(bytesRead);
+        });
+        sector += BigInt(chunkSectors);
+      }
+    } finally {
+      await writer.close();
+    }
+    this.logger.debug(`Read LUN ${lun} sectors ${start}-${start + count - 1n} (${bytesRead} bytes)`);
+  }
+
+  /**
+   * @param {string} name - Full partition name, or base name when <code>slot</code> is given
+   * @param {ReadSink} sink
+   * @param {progressCallback} [onProgress] - Returns number of bytes read
+   * @param {Exclude<SlotSelector, "all">} [slot]
+   * @returns {Promise<void>}
+   */
+  async readPartition(name, sink, onProgress = undefined, slot = undefined) {
+    const partitionName = await this.#resolvePartitionName(name, slot);
+    const [found, lun, partition] = await this.detectPartition(partitionName);
+    if (!found) throw new Error(`Partition ${partitionName} not found`);
+    this.logger.info(`Reading ${partitionName}...`);
+    await this.readSectors(lun, partition.start, partition.sectors, sink, onProgress);
+  }
+
+  /**
+   * @param {string} name - Full partition name, or base name when <code>slot</code> is given
+   * @param {SlotSelector} [slot] - Erase <code>name</code> in these slots
+   * @returns {Promise<boolean>}
+   */
+  async erase(name, slot = undefined) {
+    const names = await this.resolvePartitionNames(name, slot);
+    const partitions = [];
+    for (const partitionName of names) {
+      const [found, lun, partition] = await this.detectPartition(partitionName);
+      if (!found) throw new Error(`Partition ${partitionName} not found`);
+      partitions.push({ partitionName, lun, partition });
+    }
+    for (const { partitionName, lun, partition } of partitions) {
+      this.logger.info(`Erasing ${partitionName}...`);
+      await this.firehose.cmdErase(lun, partition.start, partition.sectors);
+      this.logger.debug(`Erased ${partitionName} ${partition.start}-${partition.end} (${partition.sectors} sectors)`);
+    }
+    return true;
+  }
+
+  /**
+   * Save both copies of every LUN's GPT and the partitions, or those matching
+   * <code>partitions</code>, to the sinks returned by <code>openFile</code>. Write the manifest
+   * returned alongside the files to be able to {@link restore} them.
+   *
+   * @param {(file: string) => ReadSink} openFile
+   * @param {object} [options]
+   * @param {string[]} [options.partitions] - Names to save, such as <code>modemst*</code>, defaults to every partition
+   * @param {(images: BackupImage[]) => void} [options.onPlan] - Called with the images to save before any is read
+   * @param {progressCallback} [options.onProgress] - Returns number of bytes read across all images
+   * @returns {Promise<BackupManifest>}
+   */
+  async backup(openFile, { partitions = undefined, onPlan = undefined, onProgress = undefined } = {}) {
+    const sectorSize = this.firehose.cfg.SECTOR_SIZE_IN_BYTES;
+    const matches = partitions ? partitionMatcher(partitions) : () => true;
+    /** @type {BackupImage[]} */
+    const gptImages = [];
+    /** @type {BackupImage[]} */
+    const partitionImages = [];
+    for (const lun of this.firehose.luns) {
+      const gpt = await this.getGpt(lun);
+      const primaryGpt = gpt.currentLba === 1n ? gpt : gpt.asAlternate();
+      const backupGpt = primaryGpt.asAlternate();
+      // the protective MBR, header and entries of the primary, then the entries and header of the backup
+      const primarySectors = Number(primaryGpt.partEntriesStartLba) + primaryGpt.partEntriesSectors;
+      const backupStart = Number(backupGpt.partEntriesStartLba);
+      gptImages.push(
+        { file: `gpt_main${lun}.bin`, lun, partition: null, start: 0, sectors: primarySectors, sha256: "" },
+        { file: `gpt_backup${lun}.bin`, lun, partition: null, start: backupStart, sectors: Number(backupGpt.currentLba) - backupStart + 1, sha256: "" },
+      );
+      for (const { name, start, sectors } of gpt.getPartitions()) {
+        if (!matches(name)) continue;
+        partitionImages.push({ file: `${name}.img`, lun, partition: name, start: Number(start), sectors: Number(sectors), sha256: "" });
+      }
+    }
+    if (partitions && !partitionImages.length) throw new Error(`No partitions match ${partitions.join(", ")}`);
+    const images = [...gptImages, ...partitionImages];
+    const files = new Set();
+    for (const { file } of images) {
+      if (files.has(file)) throw new Error(`More than one partition would be saved as ${file}`);
+      files.add(file);
+    }
+    onPlan?.(images);
+
+    let read = 0;
+    for (const image of images) {
+      this.logger.info(`Saving ${image.partition ?? "GPT"} from LUN ${image.lun} to ${image.file}`);
+      const writer = openSink(openFile(image.file));
+      const hash = new Sha256();
+      const sink = {
+        write: async (chunk) => {
+          hash.update(chunk);
+          await writer.write(chunk);
+        },
+        end: () => writer.close(),
+      };
+      await this.readSectors(image.lun, BigInt(image.start), BigInt(image.sectors), sink, (bytes) => onProgress?.(read + bytes));
+      image.sha256 = toHex(hash.digest());
+      read += image.sectors * sectorSize;
+    }
+    return { version: 1, created: new Date().toISOString(), sectorSize, images };
+  }
+
+  /**
+   * Write a backup made by {@link backup} back to the device: the GPT copies first, then each
+   * partition. Every file is checked against its hash, and each backup GPT against where the LUN
+   * keeps it, before anything is written. Each partition must still be where the restored GPT puts it.
+   *
+   * @param {BackupManifest} manifest
+   * @param {(file: string) => Blob|Promise<Blob>} getFile
+   * @param {progressCallback} [onProgress] - Returns number of bytes written across all images
+   * @returns {Promise<boolean>}
+   */
+  async restore(manifest, getFile, onProgress = undefined) {
+    const sectorSize = this.firehose.cfg.SECTOR_SIZE_IN_BYTES;
+    if (manifest.version !== 1) throw new Error(`Unsupported backup version ${manifest.version}`);
+    if (manifest.sectorSize !== sectorSize) {
+      throw new Error(`Backup has ${manifest.sectorSize} byte sectors, the device ${sectorSize} byte sectors`);
+    }
+    /** @type {{ image: BackupImage; blob: Blob }[]} */
+    const files = [];
+    for (const image of manifest.images) {
+      if (!this.firehose.luns.includes(image.lun)) throw new Error(`Device has no LUN ${image.lun} for ${image.file}`);
+      if (image.partition === null && image.start !== 0) {
+        // a backup GPT only belongs at the end of a LUN of the same size
+        const lastSector = BigInt(image.start + image.sectors - 1);
+        const backupLba = await this.#backupGptLba(image.lun);
+        if (backupLba !== lastSector) {
+          throw new Error(`${image.file} ends at sector ${lastSector}, but LUN ${image.lun} keeps its backup GPT at ${backupLba ?? "an unknown sector"}`);
+        }
+      }
+      const blob = await getFile(image.file);
+      if (blob.size !== image.sectors * sectorSize) throw new Error(`${image.file} is ${blob.size} bytes, expected ${image.sectors * sectorSize}`);
+      const hash = new Sha256();
+      const reader = blob.stream().getReader();
+      for (let result = await reader.read(); !result.done; result = await reader.read()) hash.update(result.value);
+      if (toHex(hash.digest()) !== image.sha256) throw new Error(`${image.file} does not match its SHA-256 in the manifest`);
+      files.push({ image, blob });
+    }
+    // GPTs first, so the partitions can be checked against the restored tables
+    files.sort((a, b) => Number(a.image.partition !== null) - Number(b.image.partition !== null));
+
+    /** @type {Map<number, GPT>} */
+    const gpts = new Map();
+    let written = 0;
+    for (const { image, blob } of files) {
+      if (image.partition !== null) {
+        if (!gpts.has(image.lun)) gpts.set(image.lun, await this.getGpt(image.lun));
+        const partition = gpts.get(image.lun).locatePartition(image.partition);
+        if (partition?.start !== BigInt(image.start) || partition.sectors !== BigInt(image.sectors)) {
+          throw new FlashError(`${image.partition} is not where the backup found it, in LUN ${image.lun} at sector ${image.start}`, image.partition);
+        }
+      }
+      this.logger.info(`Restoring ${image.partition ?? "GPT"} in LUN ${image.lun} from ${image.file}`);
+      if (!await this.#programRaw(image.lun, BigInt(image.start), blob, (bytes) => onProgress?.(written + bytes))) {
+        this.logger.error(`Failed to restore ${image.file}`);
+        return false;
+      }
+      written += blob.size;
+    }
+    return true;
+  }
+
+  /**
+   * @param {number} lun
+   * @returns {Promise<bigint|null>} Where the LUN's backup GPT is, or else its last sector
+   */
+  async #backupGptLba(lun) {
+    const gpt = await this.getGpt(lun).catch(() => null);
+    if (gpt) return gpt.currentLba === 1n ? gpt.alternateLba : gpt.currentLba;
+    return await this.#getLastLba(lun);
+  }
+
   /**
    * @returns {Promise<[number, string[]]>}
    */
@@ -320,19 +1690,28 @@ export class qdlDevice {
    * @returns {Promise<"a"|"b">}
    */
   async getActiveSlot() {
+    let slotted = false;
     for (const lun of this.firehose.luns) {
-      const slot = (await this.getGpt(lun)).getActiveSlot();
+      const gpt = await this.getGpt(lun);
+      const slot = gpt.getActiveSlot();
       if (slot) return slot;
+      slotted ||= gpt.getPartitionsInfo().slots.size > 0;
+    }
+    // LUNs without slotted partitions say nothing about the slot, but A/B partitions that are
+    // all inactive mean nothing has set a slot yet
+    if (slotted) {
+      this.logger.debug("No active slot found, defaulting to A");
+      return "a";
     }
-    // TODO: fallback to A?
     throw "Can't detect slot A or B";
   }
 
   /**
+   * @param {number} [lun=0]
    * @returns {Promise<any>}
    */
-  async getStorageInfo() {
-    const log = (await this.firehose.cmdGetStorageInfo()).find((log) => log.includes("storage_info"));
+  async getStorageInfo(lun = 0) {
+    const log = (await this.firehose.cmdGetStorageInfo(lun)).find((log) => log.includes("storage_info"));
     if (!log) throw new Error("Storage info JSON not returned - not implemented?");
     try {
       return JSON.parse(log.substring("INFO: ".length))?.storage_info;
@@ -342,16 +1721,16 @@ export class qdlDevice {
   }
 
   /**
-   * @param {"a"|"b"} slot
-   * @returns {Promise<boolean>}
+   * Apply the same change to the primary and backup GPT of every LUN.
+   *
+   * @param {(gpt: GPT) => void} update
+   * @returns {Promise<void>}
    */
-  async setActiveSlot(slot) {
-    if (slot !== "a" && slot !== "b") throw new Error("Invalid slot");
-
+  async #updateGpts(update) {
     for (const lun of this.firehose.luns) {
       // Update primary GPT
       const primaryGpt = await this.getGpt(lun, 1n);
-      primaryGpt.setActiveSlot(slot);
+      update(primaryGpt);
 
       const primaryPartEntries = primaryGpt.buildPartEntries();
       await this.firehose.cmdProgram(lun, primaryGpt.partEntriesStartLba, new Blob([primaryPartEntries]));
@@ -360,22 +1739,114 @@ export class qdlDevice {
 
       // Update backup GPT
       const backupGpt = await this.getGpt(lun, primaryGpt.alternateLba);
-      backupGpt.setActiveSlot(slot);
+      update(backupGpt);
 
       const backupPartEntries = backupGpt.buildPartEntries();
       await this.firehose.cmdProgram(lun, backupGpt.partEntriesStartLba, new Blob([backupPartEntries]));
       const backupHeader = backupGpt.buildHeader(backupPartEntries);
       await this.firehose.cmdProgram(lun, backupGpt.currentLba, new Blob([backupHeader]));
     }
+  }
+
+  /**
+   * A/B flags of every partition with a slot suffix, across all LUNs.
+   *
+   * @returns {Promise<SlotInfo[]>}
+   */
+  async getSlotInfo() {
+    /** @type {SlotInfo[]} */
+    const info = [];
+    for (const lun of this.firehose.luns) {
+      for (const partition of (await this.getGpt(lun)).getSlotInfo()) info.push({ lun, ...partition });
+    }
+    return info;
+  }
+
+  /**
+   * Mark a slot as having booted successfully, as Android does once it has started, so the
+   * bootloader stops counting down its tries.
+   *
+   * @param {"a"|"b"} slot
+   * @returns {Promise<boolean>}
+   */
+  async markSlotSuccessful(slot) {
+    await this.#updateGpts((gpt) => gpt.setSlotFlags(slot, { successful: true, unbootable: false }));
+    this.logger.info(`Marked slot ${slot} successful`);
+    return true;
+  }
+
+  /**
+   * Mark a slot as unbootable, so the bootloader falls back to the other slot.
+   *
+   * @param {"a"|"b"} slot
+   * @returns {Promise<boolean>}
+   */
+  async markSlotUnbootable(slot) {
+    await this.#updateGpts((gpt) => gpt.setSlotFlags(slot, { successful: false, unbootable: true }));
+    this.logger.info(`Marked slot ${slot} unbootable`);
+    return true;
+  }
+
+  /**
+   * Set the boot attempts the bootloader makes on a slot that hasn't been marked successful.
+   *
+   * @param {"a"|"b"} slot
+   * @param {number} retries - 0-7
+   * @returns {Promise<boolean>}
+   */
+  async setSlotRetries(slot, retries) {
+    await this.#updateGpts((gpt) => gpt.setSlotFlags(slot, { triesRemaining: retries }));
+    this.logger.info(`Set slot ${slot} to ${retries} tries`);
+    return true;
+  }
+
+  /**
+   * Change several A/B flags of a slot at once. Everything is checked before any GPT is written, and
+   * each GPT is written once.
+   *
+   * @param {"a"|"b"} slot
+   * @param {Partial<Omit<import("./gpt").ABFlags, "active">>} flags - Flags left out keep their value
+   * @returns {Promise<boolean>}
+   * @throws {ValidationError} for an unknown slot or a number of tries the flags can't hold
+   */
+  async setSlotFlags(slot, flags) {
+    if (slot !== "a" && slot !== "b") throw new ValidationError(`Unknown slot ${slot}, expected a or b`, "slot");
+    const { triesRemaining } = flags;
+    if (triesRemaining !== undefined && !(Number.isInteger(triesRemaining) && triesRemaining >= 0 && triesRemaining <= MAX_TRIES_REMAINING)) {
+      throw new ValidationError(`Invalid number of tries ${triesRemaining}, expected 0-${MAX_TRIES_REMAINING}`, "triesRemaining");
+    }
+    await this.#updateGpts((gpt) => gpt.setSlotFlags(slot, flags));
+    this.logger.info(`Updated the flags of slot ${slot}`, flags);
+    return true;
+  }
+
+  /**
+   * @param {"a"|"b"} slot
+   * @returns {Promise<boolean>}
+   */
+  async setActiveSlot(slot) {
+    if (slot !== "a" && slot !== "b") throw new Error("Invalid slot");
+
+    await this.#updateGpts((gpt) => gpt.setActiveSlot(slot));
 
     const activeBootLunId = (slot === "a") ? 1 : 2;
     await this.firehose.cmdSetBootLunId(activeBootLunId);
-    logger.info(`Successfully set slot ${slot} active`);
+    this.logger.info(`Successfully set slot ${slot} active`);
     return true;
   }
 
-  async reset() {
-    await this.firehose.cmdReset();
+  /**
+   * @param {object} [options]
+   * @param {"system"|"edl"|"off"} [options.mode="system"] - After resetting to EDL, wait for the
+   *   device and connect to it again
+   * @param {number} [options.timeout=60000] - Milliseconds to wait for the device to come back in EDL
+   * @returns {Promise<boolean>}
+   */
+  async reset({ mode = "system", timeout = 60_000 } = {}) {
+    const value = ({ system: "reset", edl: "reset_to_edl", off: "off" })[mode];
+    if (!value) throw new Error(`Unknown reset mode: ${mode}`);
+    await this.firehose.cmdReset(value);
+    if (mode === "edl") await this.waitForDevice({ timeout });
     return true;
   }
 }
@@ -0,0 +1,80 @@
+import { Sahara } from "./sahara";
+import { openSink } from "./utils";
+
+
+/**
+ * A memory region saved by {@link ramdump}
+ *
+ * @typedef {import("./sahara").MemoryRegion & { file: string }} DumpedRegion
+ */
+
+
+/**
+ * Pick a file name for each region: the one suggested by the device where it is usable, otherwise
+ * one derived from the description or address. Names are made unique.
+ *
+ * @param {import("./sahara").MemoryRegion[]} regions
+ * @returns {string[]}
+ */
+export function regionFileNames(regions) {
+  /** @type {Set<string>} */
+  const used = new Set();
+  return regions.map(({ filename, description, address }) => {
+    const base = (filename || (description && `${description}.bin`) || `region_0x${address.toString(16)}.bin`)
+      .replace(/[^\w.-]+/g, "_")
+      .replace(/^\.+/, "_");
+    let name = base;
+    for (let i = 1; used.has(name.toLowerCase()); i++) {
+      const dot = base.lastIndexOf(".");
+      name = dot > 0 ? `${base.slice(0, dot)}_${i}${base.slice(dot)}` : `${base}_${i}`;
+    }
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+
+/**
+ * Collect a RAM dump from a device that crashed into Sahara memory debug mode. Every region in the
+ * device's memory table is written to the sink returned by <code>openRegion</code>.
+ *
+ * @param {import("./usblib").Transport} cdc
+ * @param {(region: DumpedRegion) => import("./utils").ReadSink} openRegion
+ * @param {object} [options]
+ * @param {(regions: DumpedRegion[]) => void} [options.onRegions] - Called with the memory table before any region is read
+ * @param {progressCallback} [options.onProgress] - Returns number of bytes read, across all regions
+ * @param {boolean} [options.reset=true] - Reset the device once the dump is complete
+ * @returns {Promise<DumpedRegion[]>}
+ */
+export async function ramdump(cdc, openRegion, { onRegions = undefined, onProgress = undefined, reset = true } = {}) {
+  if (!cdc.connected) await cdc.connect();
+  const sahara = new Sahara(cdc, null);
+  const mode = await sahara.connect();
+  if (mode !== "memorydebug") throw new Error(`Device is not in memory debug mode (${mode})`);
+
+  const table = await sahara.enterMemoryDebug();
+  const files = regionFileNames(table);
+  const regions = table.map((region, i) => ({ ...region, file: files[i] }));
+  const total = regions.reduce((sum, { length }) => sum + length, 0);
+  sahara.logger.info(`Dumping ${regions.length} regions (${total} bytes)`);
+  onRegions?.(regions);
+
+  let bytesRead = 0;
+  onProgress?.(0);
+  for (const region of regions) {
+    sahara.logger.debug(`Dumping ${region.description || region.file} at 0x${region.address.toString(16)} (${region.length} bytes)`);
+    const writer = openSink(openRegion(region));
+    try {
+      await sahara.readMemory(region.address, region.length, async (data) => {
+        await writer.write(data);
+        bytesRead += data.byteLength;
+        onProgress?.(bytesRead);
+      });
+    } finally {
+      await writer.close();
+    }
+  }
+
+  if (reset) await sahara.cmdReset();
+  return regions;
+}
@@ -0,0 +1,146 @@
+import { XMLParser } from "fast-xml-parser";
+
+const NUM_DISK_SECTORS = "NUM_DISK_SECTORS";
+
+
+/**
+ * A <code>&lt;program&gt;</code> entry from a rawprogram*.xml file
+ *
+ * @typedef {object} ProgramEntry
+ * @property {string} filename
+ * @property {string} label
+ * @property {number} lun
+ * @property {number} sectorSize
+ * @property {string} startSector - May be an expression such as <code>NUM_DISK_SECTORS-5.</code>
+ * @property {number} numPartitionSectors
+ * @property {number} fileSectorOffset
+ * @property {boolean} sparse
+ */
+
+
+/**
+ * A <code>&lt;patch&gt;</code> entry from a patch*.xml file
+ *
+ * @typedef {object} PatchEntry
+ * @property {string} filename
+ * @property {number} lun
+ * @property {number} sectorSize
+ * @property {string} startSector
+ * @property {number} byteOffset
+ * @property {number} sizeInBytes
+ * @property {string} value
+ * @property {string} what
+ */
+
+
+const parser = new XMLParser({
+  attributeNamePrefix: "",
+  ignoreAttributes: false,
+  parseAttributeValue: false,
+  isArray: (name) => name === "program" || name === "patch",
+});
+
+
+/**
+ * @param {string} xml
+ * @param {"program"|"patch"} tagName
+ * @returns {Record<string, string>[]}
+ */
+function parseEntries(xml, tagName) {
+  const { data } = parser.parse(xml);
+  if (!data) throw new Error(`Failed to parse ${tagName} XML: missing <data> element`);
+  return data[tagName] ?? [];
+}
+
+
+/**
+ * @param {Record<string, string>} attrs
+ * @param {string} name
+ * @returns {number}
+ */
+function parseIntAttr(attrs, name) {
+  const value = Number.parseInt(attrs[name] ?? "0", 10);
+  if (Number.isNaN(value)) throw new Error(`Invalid ${name}: "${attrs[name]}"`);
+  return value;
+}
+
+
+/**
+ * Parse the <code>&lt;program&gt;</code> entries of a rawprogram*.xml file, in file order.
+ *
+ * @param {string} xml
+ * @returns {ProgramEntry[]}
+ */
+export function parseProgramXml(xml) {
+  return parseEntries(xml, "program").map((attrs) => ({
+    filename: attrs.filename ?? "",
+    label: attrs.label ?? "",
+    lun: parseIntAttr(attrs, "physical_partition_number"),
+    sectorSize: parseIntAttr(attrs, "SECTOR_SIZE_IN_BYTES"),
+    startSector: attrs.start_sector ?? "0",
+    numPartitionSectors: parseIntAttr(attrs, "num_partition_sectors"),
+    fileSectorOffset: parseIntAttr(attrs, "file_sector_offset"),
+    sparse: attrs.sparse?.toLowerCase() === "true",
+  }));
+}
+
+
+/**
+ * Parse the <code>&lt;patch&gt;</code> entries of a patch*.xml file, in file order.
+ *
+ * @param {string} xml
+ * @returns {PatchEntry[]}
+ */
+export function parsePatchXml(xml) {
+  return parseEntries(xml, "patch").map((attrs) => ({
+    filename: attrs.filename ?? "",
+    lun: parseIntAttr(attrs, "physical_partition_number"),
+    sectorSize: parseIntAttr(attrs, "SECTOR_SIZE_IN_BYTES"),
+    startSector: attrs.start_sector ?? "0",
+    byteOffset: parseIntAttr(attrs, "byte_offset"),
+    sizeInBytes: parseIntAttr(attrs, "size_in_bytes"),
+    value: attrs.value ?? "",
+    what: attrs.what ?? "",
+  }));
+}
+
+
+/**
+ * Resolve a sector expression as used by QFIL, e.g. <code>"6"</code>, <code>"NUM_DISK_SECTORS-5."</code>.
+ *
+ * @param {string} expression
+ * @param {bigint} [numDiskSectors]
+ * @returns {bigint}
+ */
+export function resolveSectorExpression(expression, numDiskSectors = undefined) {
+  const expr = expression.trim().replace(/\.$/, "");
+  if (/^\d+$/.test(expr)) return BigInt(expr);
+  const match = expr.match(new RegExp(`^${NUM_DISK_SECTORS}\\s*(?:([+-])\\s*(\\d+))?$`));
+  if (!match) throw new Error(`Unsupported sector expression: "${expression}"`);
+  if (numDiskSectors === undefined) throw new Error(`Number of disk sectors required to resolve "${expression}"`);
+  const [, sign, offset] = match;
+  if (!sign) return numDiskSectors;
+  return sign === "-" ? numDiskSectors - BigInt(offset) : numDiskSectors + BigInt(offset);
+}
+
+
+/**
+ * @param {string} expression
+ * @returns {boolean}
+ */
+export function dependsOnDiskSize(expression) {
+  return expression.includes(NUM_DISK_SECTORS);
+}
+
+
+/**
+ * Sort rawprogram/patch file names by their numeric suffix, so that
+ * <code>rawprogram10.xml</code> comes after <code>rawprogram2.xml</code>.
+ *
+ * @param {string[]} filenames
+ * @returns {string[]}
+ */
+export function sortByIndex(filenames) {
+  const index = (name) => Number.parseInt(name.match(/(\d+)\.xml$/i)?.[1] ?? "0", 10);
+  return [...filenames].sort((a, b) => index(a) - index(b) || a.localeCompare(b));
+}
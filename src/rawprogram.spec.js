@@ -0,0 +1,99 @@
+import { describe, expect, test } from "bun:test";
+
+import { parsePatchXml, parseProgramXml, resolveSectorExpression, sortByIndex } from "./rawprogram";
+
+
+describe("parseProgramXml", () => {
+  test("program entries", () => {
+    const xml = `<?xml version="1.0" ?>
+<data>
+  <!--NOTE: This is an ** Autogenerated file **-->
+  <program SECTOR_SIZE_IN_BYTES="4096" file_sector_offset="0" filename="gpt_main0.bin" label="PrimaryGPT" num_partition_sectors="6" partofsingleimage="true" physical_partition_number="0" readbackverify="false" size_in_KB="24.0" sparse="false" start_byte_hex="0x0" start_sector="0"/>
+  <program SECTOR_SIZE_IN_BYTES="4096" file_sector_offset="0" filename="" label="persist" num_partition_sectors="8192" physical_partition_number="0" size_in_KB="32768.0" sparse="false" start_sector="6"/>
+  <program SECTOR_SIZE_IN_BYTES="4096" file_sector_offset="0" filename="system.img" label="system_a" num_partition_sectors="1310720" physical_partition_number="0" sparse="true" start_sector="8198"/>
+  <program SECTOR_SIZE_IN_BYTES="4096" file_sector_offset="6" filename="gpt_backup0.bin" label="BackupGPT" num_partition_sectors="5" physical_partition_number="0" sparse="false" start_sector="NUM_DISK_SECTORS-5."/>
+</data>`;
+    const programs = parseProgramXml(xml);
+    expect(programs.length).toBe(4);
+    expect(programs[0]).toEqual({
+      filename: "gpt_main0.bin",
+      label: "PrimaryGPT",
+      lun: 0,
+      sectorSize: 4096,
+      startSector: "0",
+      numPartitionSectors: 6,
+      fileSectorOffset: 0,
+      sparse: false,
+    });
+    expect(programs[1].filename).toBe("");
+    expect(programs[2].sparse).toBe(true);
+    expect(programs[3]).toMatchObject({ startSector: "NUM_DISK_SECTORS-5.", fileSectorOffset: 6 });
+  });
+
+  test("single entry", () => {
+    const programs = parseProgramXml(`<?xml version="1.0" ?><data><program SECTOR_SIZE_IN_BYTES="4096" filename="xbl.elf" label="xbl_a" physical_partition_number="1" start_sector="6"/></data>`);
+    expect(programs).toHaveLength(1);
+    expect(programs[0]).toMatchObject({ filename: "xbl.elf", lun: 1, startSector: "6", sparse: false });
+  });
+
+  test("invalid attribute", () => {
+    expect(() => parseProgramXml(`<?xml version="1.0" ?><data><program physical_partition_number="x"/></data>`)).toThrow("Invalid physical_partition_number");
+  });
+});
+
+
+describe("parsePatchXml", () => {
+  test("patch entries", () => {
+    const xml = `<?xml version="1.0" ?>
+<patches>
+</patches>
+<data>
+  <patch SECTOR_SIZE_IN_BYTES="4096" byte_offset="48" filename="gpt_main0.bin" physical_partition_number="0" size_in_bytes="8" start_sector="1" value="NUM_DISK_SECTORS-6." what="Update last partition"/>
+  <patch SECTOR_SIZE_IN_BYTES="4096" byte_offset="16" filename="DISK" physical_partition_number="0" size_in_bytes="4" start_sector="NUM_DISK_SECTORS-1." value="CRC32(NUM_DISK_SECTORS-1.,92)" what="Update Backup Header with CRC of Backup Header."/>
+</data>`;
+    const patches = parsePatchXml(xml);
+    expect(patches).toHaveLength(2);
+    expect(patches[1]).toEqual({
+      filename: "DISK",
+      lun: 0,
+      sectorSize: 4096,
+      startSector: "NUM_DISK_SECTORS-1.",
+      byteOffset: 16,
+      sizeInBytes: 4,
+      value: "CRC32(NUM_DISK_SECTORS-1.,92)",
+      what: "Update Backup Header with CRC of Backup Header.",
+    });
+  });
+});
+
+
+describe("resolveSectorExpression", () => {
+  test("plain numbers", () => {
+    expect(resolveSectorExpression("0")).toBe(0n);
+    expect(resolveSectorExpression("8198")).toBe(8198n);
+    expect(resolveSectorExpression("6.")).toBe(6n);
+  });
+
+  test("NUM_DISK_SECTORS", () => {
+    expect(resolveSectorExpression("NUM_DISK_SECTORS-5.", 1000n)).toBe(995n);
+    expect(resolveSectorExpression("NUM_DISK_SECTORS", 1000n)).toBe(1000n);
+    expect(resolveSectorExpression("NUM_DISK_SECTORS+1", 1000n)).toBe(1001n);
+  });
+
+  test("requires disk size", () => {
+    expect(() => resolveSectorExpression("NUM_DISK_SECTORS-5.")).toThrow("Number of disk sectors required");
+  });
+
+  test("unsupported", () => {
+    expect(() => resolveSectorExpression("CRC32(1,92)", 1000n)).toThrow("Unsupported sector expression");
+  });
+});
+
+
+test("sortByIndex", () => {
+  expect(sortByIndex(["rawprogram10.xml", "rawprogram2.xml", "rawprogram0.xml"])).toEqual([
+    "rawprogram0.xml",
+    "rawprogram2.xml",
+    "rawprogram10.xml",
+  ]);
+});
@@ -1,7 +1,7 @@
 import { custom, struct, uint32 } from "@incognitojam/tiny-struct";
 
 import { cmd_t, sahara_mode_t, status_t, exec_cmd_t } from "./saharaDefs"
-import { containsBytes, packGenerator, runWithTimeout } from "./utils";
+import { concatUint8Array, containsBytes, packGenerator } from "./utils";
 import { createLogger } from "./logger";
 import { toXml } from "./xml";
 
@@ -55,35 +55,100 @@ const CommandHandler = {
     client_cmd: uint32(),
     data_len: uint32(),
   }, { littleEndian: true }),
+  pkt_memory_debug: struct("pkt_memory_debug", {
+    cmd: uint32(),
+    len: uint32(),
+    memory_table_addr: uint32(),
+    memory_table_length: uint32(),
+  }, { littleEndian: true }),
+  pkt_memory_debug_64: struct("pkt_memory_debug_64", {
+    cmd: uint32(),
+    len: uint32(),
+    memory_table_addr: uint64(),
+    memory_table_length: uint64(),
+  }, { littleEndian: true }),
 };
 
+// Memory table entries end with a 20 byte description and a 20 byte file name
+const MEMORY_TABLE_STRING_LENGTH = 20;
+
+const MemoryTableEntry = struct("dload_debug_type", {
+  save_pref: uint32(),
+  mem_base: uint32(),
+  length: uint32(),
+}, { littleEndian: true });
+
+const MemoryTableEntry64 = struct("dload_debug_type_64", {
+  save_pref: uint64(),
+  mem_base: uint64(),
+  length: uint64(),
+}, { littleEndian: true });
+
+// Devices reject memory reads much larger than this
+const MAX_MEMORY_READ_SIZE = 0xFFF0;
+
 const logger = createLogger("sahara");
 
 
+/**
+ * A region of device memory listed in the memory debug table
+ *
+ * @typedef {object} MemoryRegion
+ * @property {string} description
+ * @property {string} filename - Suggested by the device, may be empty
+ * @property {number} address
+ * @property {number} length
+ * @property {number} savePref
+ */
+
+
+/**
+ * @param {Uint8Array} data
+ * @returns {string}
+ */
+function decodeCString(data) {
+  const end = data.indexOf(0);
+  return new TextDecoder("utf-8").decode(end === -1 ? data : data.subarray(0, end)).trim();
+}
+
+
 export class Sahara {
   /**
-   * @param {usbClass} cdc
-   * @param {ArrayBuffer} programmer
+   * @param {import("./usblib").Transport} cdc
+   * @param {ArrayBuffer|import("./programmer").ProgrammerSelector} programmer
    */
   constructor(cdc, programmer) {
     this.cdc = cdc;
+    this.logger = logger;
     this.programmer = programmer;
     this.id = null;
+    this.version = 0;
     this.serial = "";
+    /** @type {string|null} */
+    this.hwid = null;
+    /** @type {string|null} */
+    this.pkHash = null;
     this.mode = "";
+    /**
+     * Whether the device uses 64-bit memory debug commands, known after {@link enterMemoryDebug}
+     * @type {boolean}
+     */
+    this.memoryDebug64 = false;
   }
 
   /**
    * @returns {Promise<string>}
    */
   async connect() {
-    let respPromise = this.cdc.read(0xC * 0x4);
-    let resp = await runWithTimeout(respPromise, 500).catch(() => new Uint8Array());
+    let resp = await this.cdc.read(0xC * 0x4, 500).catch(() => new Uint8Array());
     if (resp.length > 1) {
       if (resp[0] === 0x01) {
         const pkt = CommandHandler.pkt_cmd_hdr.from(resp);
         if (pkt.cmd === cmd_t.SAHARA_HELLO_REQ) {
-          return "sahara";
+          const hello = CommandHandler.pkt_hello_req.from(resp);
+          this.version = hello.version;
+          // a device that crashed offers its memory for a RAM dump instead of taking a loader
+          return hello.mode === sahara_mode_t.SAHARA_MODE_MEMORY_DEBUG ? "memorydebug" : "sahara";
         }
         if (pkt.cmd === cmd_t.SAHARA_END_TRANSFER) {
           return "sahara";
@@ -95,9 +160,8 @@ export class Sahara {
       }
     } else {
       try {
-        await runWithTimeout(this.cdc.write(new TextEncoder().encode(toXml("nop"))), 1000);
-        if (!resp) respPromise = this.cdc.read();
-        resp = await runWithTimeout(respPromise, 2000).catch(() => new Uint8Array());
+        await this.cdc.write(new TextEncoder().encode(toXml("nop")), true, 1000);
+        resp = await this.cdc.read(0, 2000).catch(() => new Uint8Array());
       } catch {
         resp = new Uint8Array();
       }
@@ -108,7 +172,7 @@ export class Sahara {
         return "sahara";
       }
     }
-    logger.error("Device is in Sahara error state, please reboot the device.");
+    this.logger.error("Device is in Sahara error state, please reboot the device.");
     return "error";
   }
 
@@ -152,14 +216,18 @@ export class Sahara {
         return { "cmd": pkt.cmd, "data": CommandHandler.pkt_read_data_64.from(data) };
       } else if (pkt.cmd === cmd_t.SAHARA_EXECUTE_RSP) {
         return { "cmd": pkt.cmd, "data": CommandHandler.pkt_execute_rsp_cmd.from(data) };
+      } else if (pkt.cmd === cmd_t.SAHARA_MEMORY_DEBUG) {
+        return { "cmd": pkt.cmd, "data": CommandHandler.pkt_memory_debug.from(data) };
+      } else if (pkt.cmd === cmd_t.SAHARA_64BIT_MEMORY_DEBUG) {
+        return { "cmd": pkt.cmd, "data": CommandHandler.pkt_memory_debug_64.from(data) };
       } else if (pkt.cmd === cmd_t.SAHARA_CMD_READY || pkt.cmd === cmd_t.SAHARA_RESET_RSP) {
         return { "cmd": pkt.cmd, "data": null };
       } else {
-        logger.error("Didn't match any cmd_t");
+        this.logger.error("Didn't match any cmd_t");
       }
       return {};
     } catch (error) {
-      logger.error(error);
+      this.logger.error(error);
       return {};
     }
   }
@@ -192,6 +260,28 @@ export class Sahara {
     return "0x"+data.toString(16).padStart(8,'0');
   }
 
+  /**
+   * @returns {Promise<string>} MSM HWID as 16 hex digits
+   */
+  async cmdGetHwId() {
+    const res = await this.cmdExec(exec_cmd_t.SAHARA_EXEC_CMD_MSM_HW_ID_READ);
+    if (res === null) {
+      throw "Sahara - Unable to get HWID of device";
+    }
+    return new DataView(res.buffer, res.byteOffset).getBigUint64(0, true).toString(16).padStart(16, "0");
+  }
+
+  /**
+   * @returns {Promise<string>} OEM public key hash, hex
+   */
+  async cmdGetPkHash() {
+    const res = await this.cmdExec(exec_cmd_t.SAHARA_EXEC_CMD_OEM_PK_HASH_READ);
+    if (res === null) {
+      throw "Sahara - Unable to get OEM PK hash of device";
+    }
+    return Array.from(res, (byte) => byte.toString(16).padStart(2, "0")).join("");
+  }
+
   async enterCommandMode() {
     if (!await this.cmdHello(sahara_mode_t.SAHARA_MODE_COMMAND)) {
       return false;
@@ -209,15 +299,121 @@ export class Sahara {
     return false;
   }
 
+  /**
+   * Accept the memory debug mode offered by a crashed device, and read the table of memory regions
+   * it can dump.
+   *
+   * @returns {Promise<MemoryRegion[]>}
+   */
+  async enterMemoryDebug() {
+    await this.cmdHello(sahara_mode_t.SAHARA_MODE_MEMORY_DEBUG);
+    const res = await this.getResponse();
+    if (!("cmd" in res) || (res.cmd !== cmd_t.SAHARA_MEMORY_DEBUG && res.cmd !== cmd_t.SAHARA_64BIT_MEMORY_DEBUG)) {
+      throw "Sahara - Failed to enter memory debug mode";
+    }
+    this.memoryDebug64 = res.cmd === cmd_t.SAHARA_64BIT_MEMORY_DEBUG;
+    const { memory_table_addr, memory_table_length } = res.data;
+    /** @type {Uint8Array[]} */
+    const chunks = [];
+    await this.readMemory(memory_table_addr, memory_table_length, (chunk) => { chunks.push(chunk); });
+    const table = concatUint8Array(chunks);
+
+    const [Entry, headerSize] = this.memoryDebug64 ? [MemoryTableEntry64, 0x18] : [MemoryTableEntry, 0xC];
+    const entrySize = headerSize + 2 * MEMORY_TABLE_STRING_LENGTH;
+    /** @type {MemoryRegion[]} */
+    const regions = [];
+    for (let offset = 0; offset + entrySize <= table.byteLength; offset += entrySize) {
+      const entry = Entry.from(table.slice(offset, offset + headerSize));
+      const strings = offset + headerSize;
+      regions.push({
+        description: decodeCString(table.subarray(strings, strings + MEMORY_TABLE_STRING_LENGTH)),
+        filename: decodeCString(table.subarray(strings + MEMORY_TABLE_STRING_LENGTH, strings + 2 * MEMORY_TABLE_STRING_LENGTH)),
+        address: entry.mem_base,
+        length: entry.length,
+        savePref: entry.save_pref,
+      });
+    }
+    this.logger.debug(`Memory table has ${regions.length} regions (${this.memoryDebug64 ? 64 : 32}-bit)`);
+    return regions;
+  }
+
+  /**
+   * Read up to {@link MAX_MEMORY_READ_SIZE} bytes of device memory in memory debug mode.
+   *
+   * @param {number} address
+   * @param {number} length
+   * @returns {Promise<Uint8Array>}
+   */
+  async cmdMemoryRead(address, length) {
+    let request;
+    if (this.memoryDebug64) {
+      request = new Uint8Array(0x18);
+      const view = new DataView(request.buffer);
+      view.setUint32(0, cmd_t.SAHARA_64BIT_MEMORY_READ, true);
+      view.setUint32(4, 0x18, true);
+      view.setBigUint64(8, BigInt(address), true);
+      view.setBigUint64(16, BigInt(length), true);
+    } else {
+      request = packGenerator([cmd_t.SAHARA_MEMORY_READ, 0x10, address, length]);
+    }
+    await this.cdc.write(request, true, 1000);
+    // a read the device can't serve is answered with a short end of transfer packet instead
+    const data = await this.cdc.read(length, 2000).catch(() => new Uint8Array());
+    if (data.byteLength !== length) {
+      throw `Sahara - Memory read of ${length} bytes at 0x${address.toString(16)} failed`;
+    }
+    return data;
+  }
+
+  /**
+   * Read a region of device memory in memory debug mode.
+   *
+   * @param {number} address
+   * @param {number} length
+   * @param {(data: Uint8Array) => Promise<void>|void} onData - Called with each chunk, in order
+   * @returns {Promise<void>}
+   */
+  async readMemory(address, length, onData) {
+    for (let offset = 0; offset < length; offset += MAX_MEMORY_READ_SIZE) {
+      await onData(await this.cmdMemoryRead(address + offset, Math.min(MAX_MEMORY_READ_SIZE, length - offset)));
+    }
+  }
+
+  /**
+   * Ask the device to reset, e.g. once a RAM dump has been collected.
+   *
+   * @returns {Promise<void>}
+   */
+  async cmdReset() {
+    await this.cdc.write(packGenerator([cmd_t.SAHARA_RESET_REQ, 0x8]), true, 1000);
+    const res = await this.getResponse();
+    if (!("cmd" in res) || res.cmd !== cmd_t.SAHARA_RESET_RSP) {
+      throw "Sahara - Device did not acknowledge reset";
+    }
+  }
+
   async uploadLoader() {
     if (!(await this.enterCommandMode())) {
       throw "Sahara - Failed to enter command mode in Sahara";
     }
     this.serial = await this.cmdGetSerialNum();
+    // only picking a programmer needs the HWID and PK hash, which Sahara v3 devices don't report
+    if (typeof this.programmer === "function") {
+      if (this.version < 3) {
+        try {
+          this.hwid = await this.cmdGetHwId();
+          this.pkHash = await this.cmdGetPkHash();
+          this.logger.debug(`HWID 0x${this.hwid}, OEM PK hash ${this.pkHash}`);
+        } catch (error) {
+          this.logger.warn(`Failed to read HWID or OEM PK hash: ${error}`);
+        }
+      }
+      this.programmer = await this.programmer({ serial: this.serial, hwid: this.hwid, pkHash: this.pkHash });
+    }
     await this.cmdModeSwitch(sahara_mode_t.SAHARA_MODE_COMMAND);
 
     await this.connect();
-    logger.debug("Uploading loader...");
+    this.logger.debug("Uploading loader...");
     if (!(await this.cmdHello(sahara_mode_t.SAHARA_MODE_IMAGE_TX_PENDING))) {
       throw "Sahara - Error while uploading loader";
     }
@@ -237,7 +433,7 @@ export class Sahara {
           throw "Sahara - Unknown sahara id";
         }
         if (this.mode !== "firehose") {
-          logger.debug("Firehose mode detected, uploading...");
+          this.logger.debug("Firehose mode detected, uploading...");
           this.mode = "firehose";
         }
 
@@ -258,7 +454,7 @@ export class Sahara {
           if (!await this.cmdDone()) {
             throw "Sahara - Failed to upload loader";
           }
-          logger.debug(`Loader successfully uploaded in ${(performance.now() - start).toFixed(3)}ms`);
+          this.logger.debug(`Loader successfully uploaded in ${(performance.now() - start).toFixed(3)}ms`);
           return this.mode;
         }
       }
@@ -278,7 +474,7 @@ export class Sahara {
         if ("data" in res) {
           const pkt = res.data;
           if (pkt.image_tx_status === status_t.SAHARA_NAK_INVALID_CMD) {
-            logger.error("Invalid transfer command received");
+            this.logger.error("Invalid transfer command received");
             return false;
           }
         }
@@ -0,0 +1,105 @@
+const BLOCK_SIZE = 64;
+
+const K = new Int32Array([
+  0x428A2F98, 0x71374491, 0xB5C0FBCF, 0xE9B5DBA5, 0x3956C25B, 0x59F111F1, 0x923F82A4, 0xAB1C5ED5,
+  0xD807AA98, 0x12835B01, 0x243185BE, 0x550C7DC3, 0x72BE5D74, 0x80DEB1FE, 0x9BDC06A7, 0xC19BF174,
+  0xE49B69C1, 0xEFBE4786, 0x0FC19DC6, 0x240CA1CC, 0x2DE92C6F, 0x4A7484AA, 0x5CB0A9DC, 0x76F988DA,
+  0x983E5152, 0xA831C66D, 0xB00327C8, 0xBF597FC7, 0xC6E00BF3, 0xD5A79147, 0x06CA6351, 0x14292967,
+  0x27B70A85, 0x2E1B2138, 0x4D2C6DFC, 0x53380D13, 0x650A7354, 0x766A0ABB, 0x81C2C92E, 0x92722C85,
+  0xA2BFE8A1, 0xA81A664B, 0xC24B8B70, 0xC76C51A3, 0xD192E819, 0xD6990624, 0xF40E3585, 0x106AA070,
+  0x19A4C116, 0x1E376C08, 0x2748774C, 0x34B0BCB5, 0x391C0CB3, 0x4ED8AA4A, 0x5B9CCA4F, 0x682E6FF3,
+  0x748F82EE, 0x78A5636F, 0x84C87814, 0x8CC70208, 0x90BEFFFA, 0xA4506CEB, 0xBEF9A3F7, 0xC67178F2,
+]);
+
+
+/**
+ * SHA-256 of data that arrives in pieces, such as a partition being read, which
+ * <code>crypto.subtle</code> can only hash once it is all in memory.
+ */
+export class Sha256 {
+  #state = new Uint32Array([0x6A09E667, 0xBB67AE85, 0x3C6EF372, 0xA54FF53A, 0x510E527F, 0x9B05688C, 0x1F83D9AB, 0x5BE0CD19]);
+  #words = new Int32Array(64);
+  #buffer = new Uint8Array(BLOCK_SIZE);
+  #buffered = 0;
+  #length = 0;
+
+  /**
+   * @param {Uint8Array} data
+   * @returns {this}
+   */
+  update(data) {
+    this.#length += data.byteLength;
+    let offset = 0;
+    if (this.#buffered) {
+      offset = Math.min(BLOCK_SIZE - this.#buffered, data.byteLength);
+      this.#buffer.set(data.subarray(0, offset), this.#buffered);
+      this.#buffered += offset;
+      if (this.#buffered < BLOCK_SIZE) return this;
+      this.#compress(new DataView(this.#buffer.buffer), 0);
+      this.#buffered = 0;
+    }
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    for (; offset + BLOCK_SIZE <= data.byteLength; offset += BLOCK_SIZE) this.#compress(view, offset);
+    this.#buffer.set(data.subarray(offset));
+    this.#buffered = data.byteLength - offset;
+    return this;
+  }
+
+  /**
+   * @returns {Uint8Array} The 32-byte digest, after which no more data can be added
+   */
+  digest() {
+    const bitLength = this.#length * 8;
+    const padding = new Uint8Array((this.#buffered < 56 ? 56 : 120) - this.#buffered + 8);
+    padding[0] = 0x80;
+    const view = new DataView(padding.buffer);
+    view.setUint32(padding.byteLength - 8, Math.floor(bitLength / 2 ** 32));
+    view.setUint32(padding.byteLength - 4, bitLength >>> 0);
+    this.update(padding);
+    const digest = new Uint8Array(32);
+    const digestView = new DataView(digest.buffer);
+    this.#state.forEach((word, i) => digestView.setUint32(i * 4, word));
+    return digest;
+  }
+
+  /**
+   * @param {DataView} view
+   * @param {number} offset
+   */
+  #compress(view, offset) {
+    const w = this.#words;
+    const state = this.#state;
+    for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+    for (let i = 16; i < 64; i++) {
+      const w15 = w[i - 15], w2 = w[i - 2];
+      const s0 = ((w15 >>> 7) | (w15 << 25)) ^ ((w15 >>> 18) | (w15 << 14)) ^ (w15 >>> 3);
+      const s1 = ((w2 >>> 17) | (w2 << 15)) ^ ((w2 >>> 19) | (w2 << 13)) ^ (w2 >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+    let a = state[0] | 0, b = state[1] | 0, c = state[2] | 0, d = state[3] | 0;
+    let e = state[4] | 0, f = state[5] | 0, g = state[6] | 0, h = state[7] | 0;
+    for (let i = 0; i < 64; i++) {
+      const s1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+      const t1 = (h + s1 + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0;
+      const s0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+      const t2 = (s0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+    state[0] += a;
+    state[1] += b;
+    state[2] += c;
+    state[3] += d;
+    state[4] += e;
+    state[5] += f;
+    state[6] += g;
+    state[7] += h;
+  }
+}
+
@@ -0,0 +1,29 @@
+import { describe, expect, test } from "bun:test";
+
+import { Sha256 } from "./sha256";
+
+/**
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array>}
+ */
+async function subtleDigest(data) {
+  return new Uint8Array(await crypto.subtle.digest("SHA-256", data));
+}
+
+describe("Sha256", () => {
+  test("matches crypto.subtle for every padding length", async () => {
+    const data = Uint8Array.from({ length: 200 }, (_, i) => (i * 31 + 7) & 0xFF);
+    for (let length = 0; length <= 130; length++) {
+      expect(new Sha256().update(data.subarray(0, length)).digest()).toEqual(await subtleDigest(data.subarray(0, length)));
+    }
+  });
+
+  test("data in uneven pieces", async () => {
+    const data = Uint8Array.from({ length: 100_000 }, (_, i) => (i * i) & 0xFF);
+    const hash = new Sha256();
+    for (let offset = 0, size = 1; offset < data.byteLength; offset += size, size = (size * 7) % 997 + 1) {
+      hash.update(data.subarray(offset, offset + size));
+    }
+    expect(hash.digest()).toEqual(await subtleDigest(data));
+  });
+});
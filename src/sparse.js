@@ -1,10 +1,18 @@
+import { buf as crc32 } from "crc-32";
+
+import { SparseError } from "./errors";
 import { createLogger } from "./logger";
 
 const FILE_MAGIC = 0xed26ff3a;
 export const FILE_HEADER_SIZE = 28;
 const CHUNK_HEADER_SIZE = 12;
 
-const ChunkType = {
+export const DEFAULT_BLOCK_SIZE = 4096;
+
+// Amount of data read from the input at a time when scanning raw images and writing sparse images
+const READ_SIZE = 16 * 1024 * 1024;
+
+export const ChunkType = {
   Raw: 0xCAC1,
   Fill: 0xCAC2,
   Skip: 0xCAC3,
@@ -52,12 +60,15 @@ export class Sparse {
   async* chunks() {
     let blobOffset = FILE_HEADER_SIZE;
     for (let i = 0; i < this.header.totalChunks; i++) {
-      if (blobOffset + CHUNK_HEADER_SIZE >= this.blob.size) {
+      if (blobOffset + CHUNK_HEADER_SIZE > this.blob.size) {
         throw "Sparse - Chunk header out of bounds";
       }
       const chunk = await this.blob.slice(blobOffset, blobOffset + CHUNK_HEADER_SIZE).arrayBuffer();
       const view = new DataView(chunk);
       const totalBytes = view.getUint32(8, true);
+      if (totalBytes < CHUNK_HEADER_SIZE) {
+        throw "Sparse - Chunk size smaller than its header";
+      }
       if (blobOffset + totalBytes > this.blob.size) {
         throw "Sparse - Chunk data out of bounds";
       }
@@ -73,6 +84,62 @@ export class Sparse {
     }
   }
 
+  /**
+   * Check that the image is complete and intact: every chunk is well formed, the chunks add up to
+   * the blocks in the header, and the data matches each CRC32 chunk and the image checksum. The data
+   * is only read when there is a checksum to compare it with.
+   *
+   * @returns {Promise<void>}
+   * @throws {SparseError} if the image is truncated or corrupt
+   */
+  async validate() {
+    const { blockSize, totalBlocks } = this.header;
+    /** @type {Chunk[]} */
+    const chunks = [];
+    try {
+      for await (const chunk of this.chunks()) chunks.push(chunk);
+    } catch (error) {
+      throw new SparseError(`Sparse image is truncated: ${error}`, error);
+    }
+
+    let blocks = 0;
+    for (const [i, { type, blocks: chunkBlocks, data }] of chunks.entries()) {
+      const expectedSize = chunkDataSize(type, chunkBlocks, blockSize);
+      if (expectedSize === undefined) {
+        throw new SparseError(`Sparse chunk ${i} has unknown type 0x${type.toString(16)}`);
+      }
+      if (data.size !== expectedSize) {
+        throw new SparseError(`Sparse chunk ${i} has ${data.size} bytes of data, expected ${expectedSize}`);
+      }
+      blocks += chunkBlocks;
+    }
+    if (blocks !== totalBlocks) {
+      throw new SparseError(`Sparse chunks cover ${blocks} blocks, header says ${totalBlocks}`);
+    }
+
+    if (this.header.crc32 === 0 && !chunks.some(({ type }) => type === ChunkType.Crc32)) return;
+    let crc = 0;
+    for (const [i, { type, blocks: chunkBlocks, data }] of chunks.entries()) {
+      if (type === ChunkType.Raw) {
+        for (let offset = 0; offset < data.size; offset += READ_SIZE) {
+          crc = crc32(new Uint8Array(await data.slice(offset, offset + READ_SIZE).arrayBuffer()), crc);
+        }
+      } else if (type === ChunkType.Fill) {
+        crc = fillCrc32(crc, new Uint8Array(await data.arrayBuffer()), chunkBlocks, blockSize);
+      } else if (type === ChunkType.Skip) {
+        crc = fillCrc32(crc, new Uint8Array(4), chunkBlocks, blockSize);
+      } else {
+        const expected = new DataView(await data.arrayBuffer()).getUint32(0, true);
+        if (expected !== crc >>> 0) {
+          throw new SparseError(`Sparse chunk ${i} CRC32 mismatch: expected ${expected}, actual ${crc >>> 0}`);
+        }
+      }
+    }
+    if (this.header.crc32 !== 0 && this.header.crc32 !== crc >>> 0) {
+      throw new SparseError(`Sparse image CRC32 mismatch: expected ${this.header.crc32}, actual ${crc >>> 0}`);
+    }
+  }
+
   /**
    * @returns {AsyncIterator<[number, Blob | null, number]>}
    */
@@ -102,6 +169,49 @@ export class Sparse {
 }
 
 
+/**
+ * @param {number} type
+ * @param {number} blocks
+ * @param {number} blockSize
+ * @returns {number|undefined} Bytes of data that follow the header of a chunk, <code>undefined</code> for unknown types
+ */
+function chunkDataSize(type, blocks, blockSize) {
+  return {
+    [ChunkType.Raw]: blocks * blockSize,
+    [ChunkType.Fill]: 4,
+    [ChunkType.Skip]: 0,
+    [ChunkType.Crc32]: 4,
+  }[type];
+}
+
+
+/**
+ * Sparse image held as a list of chunks, built by {@link fromRaw} or {@link resplit}. Its chunks refer
+ * to the image it was built from, nothing is encoded until it is passed to {@link write}.
+ */
+export class ChunkedSparse extends Sparse {
+  /** @type {Chunk[]} */
+  #chunks;
+
+  /**
+   * @param {Blob} blob - The image the chunks were built from
+   * @param {Header} header
+   * @param {Chunk[]} chunks
+   */
+  constructor(blob, header, chunks) {
+    super(blob, header);
+    this.#chunks = chunks;
+  }
+
+  /**
+   * @returns {AsyncIterator<Chunk>}
+   */
+  async* chunks() {
+    for await (const chunk of this.#chunks) yield chunk;
+  }
+}
+
+
 /**
  * @param {Blob} blob
  * @returns {Promise<Sparse|null>}
@@ -145,3 +255,358 @@ export async function parseFileHeader(blob) {
     crc32: view.getUint32(24, true),
   };
 }
+
+
+/**
+ * Read a sparse image from a stream, such as a decompressed one, without holding it in memory.
+ * Yields the same as {@link Sparse.read}, with data split into pieces of at most
+ * <code>maxSize</code> bytes. The checks of {@link Sparse.validate} are made as the image is read, so
+ * a CRC32 mismatch or wrong block count is only found once the data before it has been yielded.
+ *
+ * @param {Header} header - Parsed from the first {@link FILE_HEADER_SIZE} bytes of the stream
+ * @param {import("./utils").StreamReader} reader - Positioned after the file header
+ * @param {number} maxSize
+ * @returns {AsyncGenerator<[number, Uint8Array | null, number]>}
+ * @throws {SparseError} if the stream ends early, a chunk is malformed or the data doesn't match a checksum
+ */
+export async function* readStream(header, reader, maxSize) {
+  const { blockSize } = header;
+  const pieceSize = Math.max(blockSize, maxSize - maxSize % blockSize);
+  /**
+   * @param {number} length
+   * @returns {Promise<Uint8Array>}
+   */
+  const readExactly = async (length) => {
+    const data = await reader.read(length);
+    if (data.byteLength < length) throw new SparseError("Sparse image is truncated");
+    return data;
+  };
+
+  let offset = 0;
+  let crc = 0;
+  for (let i = 0; i < header.totalChunks; i++) {
+    const chunkHeader = await readExactly(CHUNK_HEADER_SIZE);
+    const view = new DataView(chunkHeader.buffer, chunkHeader.byteOffset, CHUNK_HEADER_SIZE);
+    const type = view.getUint16(0, true);
+    const blocks = view.getUint32(4, true);
+    const size = blocks * blockSize;
+    const dataSize = view.getUint32(8, true) - CHUNK_HEADER_SIZE;
+    const expectedSize = chunkDataSize(type, blocks, blockSize);
+    if (expectedSize === undefined) {
+      throw new SparseError(`Sparse chunk ${i} has unknown type 0x${type.toString(16)}`);
+    }
+    if (dataSize !== expectedSize) {
+      throw new SparseError(`Sparse chunk ${i} has ${dataSize} bytes of data, expected ${expectedSize}`);
+    }
+
+    if (type === ChunkType.Raw) {
+      for (let done = 0; done < size; done += pieceSize) {
+        const data = await readExactly(Math.min(pieceSize, size - done));
+        crc = crc32(data, crc);
+        yield [offset + done, data, data.byteLength];
+      }
+    } else if (type === ChunkType.Fill) {
+      const fill = await readExactly(4);
+      crc = fillCrc32(crc, fill, blocks, blockSize);
+      if (fill.some((byte) => byte !== 0)) {
+        const buffer = new Uint8Array(Math.min(pieceSize, size));
+        for (let j = 0; j < buffer.byteLength; j += 4) buffer.set(fill, j);
+        for (let done = 0; done < size; done += pieceSize) {
+          const length = Math.min(pieceSize, size - done);
+          yield [offset + done, buffer.subarray(0, length), length];
+        }
+      } else {
+        yield [offset, null, size];
+      }
+    } else if (type === ChunkType.Skip) {
+      crc = fillCrc32(crc, new Uint8Array(4), blocks, blockSize);
+      yield [offset, null, size];
+    } else {
+      const checksum = await readExactly(dataSize);
+      const expected = new DataView(checksum.buffer, checksum.byteOffset, dataSize).getUint32(0, true);
+      if (expected !== crc >>> 0) {
+        throw new SparseError(`Sparse chunk ${i} CRC32 mismatch: expected ${expected}, actual ${crc >>> 0}`);
+      }
+    }
+    offset += size;
+  }
+  if (offset !== header.totalBlocks * blockSize) {
+    throw new SparseError(`Sparse chunks cover ${offset / blockSize} blocks, header says ${header.totalBlocks}`);
+  }
+  if (header.crc32 !== 0 && header.crc32 !== crc >>> 0) {
+    throw new SparseError(`Sparse image CRC32 mismatch: expected ${header.crc32}, actual ${crc >>> 0}`);
+  }
+}
+
+
+/**
+ * Split a raw image into sparse chunks. Blocks of zeros become don't care chunks and blocks repeating
+ * a 32-bit value become fill chunks, runs of other blocks become raw chunks.
+ *
+ * @param {Blob} blob
+ * @param {number} [blockSize]
+ * @returns {Promise<ChunkedSparse>}
+ */
+export async function fromRaw(blob, blockSize = DEFAULT_BLOCK_SIZE) {
+  if (!Number.isInteger(blockSize) || blockSize <= 0 || blockSize % 4 !== 0) {
+    throw `Sparse - Block size must be a multiple of 4, got ${blockSize}`;
+  }
+  const totalBlocks = Math.ceil(blob.size / blockSize);
+  // chunk sizes are 32-bit
+  const maxChunkBlocks = Math.floor((0xFFFFFFFF - CHUNK_HEADER_SIZE) / blockSize);
+  const batchBlocks = Math.max(1, Math.floor(READ_SIZE / blockSize));
+
+  /** @type {Chunk[]} */
+  const chunks = [];
+  /** @type {{ type: number; value: number; start: number; blocks: number } | null} */
+  let run = null;
+  const flush = () => {
+    if (!run) return;
+    let data;
+    if (run.type === ChunkType.Raw) {
+      data = blob.slice(run.start * blockSize, (run.start + run.blocks) * blockSize);
+    } else if (run.type === ChunkType.Fill) {
+      const fill = new Uint8Array(4);
+      new DataView(fill.buffer).setUint32(0, run.value, true);
+      data = new Blob([fill]);
+    } else {
+      data = new Blob([]);
+    }
+    chunks.push({ type: run.type, blocks: run.blocks, data });
+    run = null;
+  };
+
+  for (let batch = 0; batch < totalBlocks; batch += batchBlocks) {
+    const bytes = new Uint8Array(await blob.slice(batch * blockSize, (batch + batchBlocks) * blockSize).arrayBuffer());
+    const view = new DataView(bytes.buffer);
+    for (let i = 0; i * blockSize < bytes.byteLength; i++) {
+      const blockStart = i * blockSize;
+      let type = ChunkType.Raw;
+      let value = 0;
+      if (bytes.byteLength - blockStart >= blockSize) {
+        value = view.getUint32(blockStart, true);
+        let offset = blockStart + 4;
+        while (offset < blockStart + blockSize && view.getUint32(offset, true) === value) offset += 4;
+        if (offset === blockStart + blockSize) type = value === 0 ? ChunkType.Skip : ChunkType.Fill;
+      } else if (bytes.subarray(blockStart).every((byte) => byte === 0)) {
+        type = ChunkType.Skip;
+      } else {
+        // the last block is partial, give it its own chunk padded with zeros
+        flush();
+        const padded = new Uint8Array(blockSize);
+        padded.set(bytes.subarray(blockStart));
+        chunks.push({ type, blocks: 1, data: new Blob([padded]) });
+        continue;
+      }
+      if (run && run.type === type && run.value === value && run.blocks < maxChunkBlocks) {
+        run.blocks++;
+      } else {
+        flush();
+        run = { type, value, start: batch + i, blocks: 1 };
+      }
+    }
+  }
+  flush();
+
+  logger.debug(`Split ${totalBlocks} blocks into ${chunks.length} chunks`);
+  return new ChunkedSparse(blob, {
+    magic: FILE_MAGIC,
+    majorVersion: 1,
+    minorVersion: 0,
+    fileHeaderSize: FILE_HEADER_SIZE,
+    chunkHeaderSize: CHUNK_HEADER_SIZE,
+    blockSize,
+    totalBlocks,
+    totalChunks: chunks.length,
+    crc32: 0,
+  }, chunks);
+}
+
+
+/**
+ * Split a sparse image into several, each encoding to at most <code>maxSize</code> bytes and none
+ * with a chunk expanding to more than <code>maxSize</code> bytes. Every part covers the whole image,
+ * with don't care chunks in place of the data held by the other parts, so writing all of them gives
+ * the same result as writing the original. CRC32 chunks are dropped.
+ *
+ * @param {Sparse} sparse
+ * @param {number} maxSize
+ * @returns {Promise<ChunkedSparse[]>}
+ */
+export async function resplit(sparse, maxSize) {
+  const { blockSize, totalBlocks } = sparse.header;
+  // every part may need a don't care chunk before and after its data
+  const overhead = FILE_HEADER_SIZE + 2 * CHUNK_HEADER_SIZE;
+  if (!Number.isInteger(maxSize) || maxSize < overhead + CHUNK_HEADER_SIZE + blockSize) {
+    throw new SparseError(`Sparse images can't be split into parts of ${maxSize} bytes with ${blockSize} byte blocks`);
+  }
+  const maxFillBlocks = Math.floor(maxSize / blockSize);
+
+  /** @type {ChunkedSparse[]} */
+  const parts = [];
+  /** @type {{ start: number; chunk: Chunk }[]} */
+  let current = [];
+  let size = overhead;
+  const finish = () => {
+    /** @type {Chunk[]} */
+    const chunks = [];
+    let next = 0;
+    for (const { start, chunk } of current) {
+      if (start > next) chunks.push({ type: ChunkType.Skip, blocks: start - next, data: new Blob([]) });
+      chunks.push(chunk);
+      next = start + chunk.blocks;
+    }
+    if (next < totalBlocks) chunks.push({ type: ChunkType.Skip, blocks: totalBlocks - next, data: new Blob([]) });
+    parts.push(new ChunkedSparse(sparse.blob, { ...sparse.header, totalChunks: chunks.length, crc32: 0 }, chunks));
+    current = [];
+    size = overhead;
+  };
+
+  let block = 0;
+  for await (const { type, blocks, data } of sparse.chunks()) {
+    if (type !== ChunkType.Raw && type !== ChunkType.Fill) {
+      block += blocks;
+      continue;
+    }
+    let done = 0;
+    while (done < blocks) {
+      const last = current.at(-1);
+      // data that doesn't follow on from the previous chunk needs a don't care chunk in between
+      const gap = last && last.start + last.chunk.blocks !== block + done ? CHUNK_HEADER_SIZE : 0;
+      const room = maxSize - size - gap - CHUNK_HEADER_SIZE;
+      const count = type === ChunkType.Raw
+        ? Math.min(blocks - done, Math.floor(room / blockSize))
+        : room >= 4 ? Math.min(blocks - done, maxFillBlocks) : 0;
+      if (count <= 0) {
+        finish();
+        continue;
+      }
+      const chunkData = type === ChunkType.Raw ? data.slice(done * blockSize, (done + count) * blockSize) : data;
+      current.push({ start: block + done, chunk: { type, blocks: count, data: chunkData } });
+      size += gap + CHUNK_HEADER_SIZE + chunkData.size;
+      done += count;
+    }
+    block += blocks;
+  }
+  if (current.length || !parts.length) finish();
+  return parts;
+}
+
+
+/**
+ * @param {Uint32Array} matrix - 32x32 matrix over GF(2), one column per bit
+ * @param {number} vector
+ * @returns {number}
+ */
+function gf2Times(matrix, vector) {
+  let result = 0;
+  for (let i = 0, bits = vector >>> 0; bits; i++, bits >>>= 1) {
+    if (bits & 1) result ^= matrix[i];
+  }
+  return result >>> 0;
+}
+
+
+/**
+ * Continue a CRC32 over blocks repeating a 4 byte value, as fill and don't care chunks expand to.
+ *
+ * @param {number} crc
+ * @param {Uint8Array} fill
+ * @param {number} blocks
+ * @param {number} blockSize
+ * @returns {number}
+ */
+function fillCrc32(crc, fill, blocks, blockSize) {
+  const block = new Uint8Array(blockSize);
+  for (let i = 0; i < blockSize; i += 4) block.set(fill, i);
+  let result = crc;
+  if (blocks <= 32) {
+    for (let i = 0; i < blocks; i++) result = crc32(block, result);
+    return result;
+  }
+  // continuing a CRC32 over a block is affine, f(x) = Ax ^ b, so repeating it for a large chunk,
+  // such as gigabytes of don't care blocks, takes a logarithmic number of squarings of f
+  let offset = crc32(block, 0) >>> 0;
+  let matrix = Uint32Array.from({ length: 32 }, (_, i) => (crc32(block, 1 << i) ^ offset) >>> 0);
+  result >>>= 0;
+  for (let remaining = blocks; remaining > 0; remaining = Math.floor(remaining / 2)) {
+    if (remaining % 2) result = gf2Times(matrix, result) ^ offset;
+    // f(f(x)) = A²x ^ (Ab ^ b)
+    offset = gf2Times(matrix, offset) ^ offset;
+    matrix = matrix.map((column) => gf2Times(matrix, column));
+  }
+  return result | 0;
+}
+
+
+/**
+ * @param {number} type
+ * @param {number} blocks
+ * @param {number} dataSize
+ * @returns {Uint8Array}
+ */
+function buildChunkHeader(type, blocks, dataSize) {
+  const header = new Uint8Array(CHUNK_HEADER_SIZE);
+  const view = new DataView(header.buffer);
+  view.setUint16(0, type, true);
+  view.setUint32(4, blocks, true);
+  view.setUint32(8, CHUNK_HEADER_SIZE + dataSize, true);
+  return header;
+}
+
+
+/**
+ * Encode a sparse image, such as one from {@link fromRaw}. The image is produced in pieces, to be
+ * written out in order.
+ *
+ * @param {Sparse} sparse
+ * @param {object} [options]
+ * @param {boolean} [options.crc32=false] - Finish with a CRC32 chunk holding the checksum of the expanded image
+ * @returns {AsyncGenerator<Uint8Array>}
+ */
+export async function* write(sparse, { crc32: withCrc32 = false } = {}) {
+  const { blockSize, totalBlocks } = sparse.header;
+  /** @type {Chunk[]} */
+  const chunks = [];
+  for await (const chunk of sparse.chunks()) {
+    if (withCrc32 && chunk.type === ChunkType.Crc32) continue;
+    chunks.push(chunk);
+  }
+
+  const header = new Uint8Array(FILE_HEADER_SIZE);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, FILE_MAGIC, true);
+  view.setUint16(4, 1, true);
+  view.setUint16(6, 0, true);
+  view.setUint16(8, FILE_HEADER_SIZE, true);
+  view.setUint16(10, CHUNK_HEADER_SIZE, true);
+  view.setUint32(12, blockSize, true);
+  view.setUint32(16, totalBlocks, true);
+  view.setUint32(20, chunks.length + (withCrc32 ? 1 : 0), true);
+  yield header;
+
+  let crc = 0;
+  for (const { type, blocks, data } of chunks) {
+    yield buildChunkHeader(type, blocks, data.size);
+    if (type === ChunkType.Raw) {
+      for (let offset = 0; offset < data.size; offset += READ_SIZE) {
+        const piece = new Uint8Array(await data.slice(offset, offset + READ_SIZE).arrayBuffer());
+        if (withCrc32) crc = crc32(piece, crc);
+        yield piece;
+      }
+      continue;
+    }
+    const bytes = new Uint8Array(await data.arrayBuffer());
+    if (bytes.byteLength) yield bytes;
+    if (!withCrc32) continue;
+    if (type === ChunkType.Fill) crc = fillCrc32(crc, bytes, blocks, blockSize);
+    else if (type === ChunkType.Skip) crc = fillCrc32(crc, new Uint8Array(4), blocks, blockSize);
+  }
+
+  if (withCrc32) {
+    yield buildChunkHeader(ChunkType.Crc32, 0, 4);
+    const checksum = new Uint8Array(4);
+    new DataView(checksum.buffer).setUint32(0, crc >>> 0, true);
+    yield checksum;
+  }
+}
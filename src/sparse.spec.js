@@ -1,13 +1,38 @@
 import * as Bun from "bun";
 import { beforeAll, describe, expect, test } from "bun:test";
+import { unlinkSync } from "node:fs";
 import { platform } from "node:os";
+import { buf as crc32 } from "crc-32";
 
+import { SparseError } from "./errors";
+import { img2simg } from "./bin/img2simg.js";
 import { simg2img } from "./bin/simg2img.js";
+import { simg2simg } from "./bin/simg2simg.js";
 import * as Sparse from "./sparse";
+import { StreamReader } from "./utils";
 
 const inputData = Bun.file("./test/fixtures/sparse.img");
 const expectedPath = "./test/fixtures/raw.img";
 
+/**
+ * @param {Sparse.Sparse} sparse
+ * @param {object} [options]
+ * @returns {Promise<Uint8Array>}
+ */
+const encode = async (sparse, options) => new Uint8Array(Buffer.concat(await Array.fromAsync(Sparse.write(sparse, options))));
+
+/**
+ * @param {Sparse.Sparse} sparse
+ * @returns {Promise<Uint8Array>}
+ */
+const expand = async (sparse) => {
+  const raw = new Uint8Array(sparse.header.totalBlocks * sparse.header.blockSize);
+  for await (const [offset, chunk] of sparse.read()) {
+    if (chunk) raw.set(new Uint8Array(await chunk.arrayBuffer()), offset);
+  }
+  return raw;
+};
+
 describe("sparse", () => {
   test("parseFileHeader", async () => {
     expect(await Sparse.parseFileHeader(inputData)).toEqual({
@@ -47,6 +72,226 @@ describe("sparse", () => {
     });
   });
 
+  describe("validate", () => {
+    /** @type {Uint8Array} */
+    let encoded;
+
+    beforeAll(async () => {
+      encoded = await encode(await Sparse.fromRaw(Bun.file(expectedPath)), { crc32: true });
+    });
+
+    /**
+     * @param {(view: DataView) => void} corrupt
+     * @returns {Promise<Sparse.Sparse>}
+     */
+    const corrupted = async (corrupt) => {
+      const copy = encoded.slice();
+      corrupt(new DataView(copy.buffer));
+      return await Sparse.from(new Blob([copy]));
+    };
+
+    test("accepts intact images", async () => {
+      await (await Sparse.from(inputData)).validate();
+      await (await Sparse.from(new Blob([encoded]))).validate();
+    });
+
+    test("rejects truncated images", async () => {
+      const truncated = await Sparse.from(new Blob([encoded.subarray(0, encoded.byteLength - 100)]));
+      await expect(truncated.validate()).rejects.toThrow(SparseError);
+      await expect(truncated.validate()).rejects.toThrow("truncated");
+    });
+
+    test("rejects a wrong block count", async () => {
+      const image = await corrupted((view) => view.setUint32(16, 10, true));
+      await expect(image.validate()).rejects.toThrow("Sparse chunks cover 9 blocks, header says 10");
+    });
+
+    test("rejects corrupt data", async () => {
+      // first byte of the first raw chunk
+      const image = await corrupted((view) => view.setUint8(28 + 12, view.getUint8(28 + 12) ^ 1));
+      await expect(image.validate()).rejects.toThrow("Sparse chunk 6 CRC32 mismatch");
+    });
+
+    test("checks the image checksum", async () => {
+      const image = await corrupted((view) => view.setUint32(24, 1234, true));
+      await expect(image.validate()).rejects.toThrow("Sparse image CRC32 mismatch: expected 1234");
+    });
+  });
+
+  describe("fromRaw", () => {
+    test("detects fill and empty blocks", async () => {
+      const sparse = await Sparse.fromRaw(Bun.file(expectedPath));
+      const chunks = await Array.fromAsync(sparse.chunks());
+      expect(chunks.map(({ type, blocks }) => [type, blocks])).toEqual([
+        [Sparse.ChunkType.Raw, 1],
+        [Sparse.ChunkType.Fill, 1],
+        [Sparse.ChunkType.Skip, 1],
+        [Sparse.ChunkType.Raw, 2],
+        [Sparse.ChunkType.Fill, 2],
+        [Sparse.ChunkType.Skip, 2],
+      ]);
+      expect(sparse.header).toEqual(await Sparse.parseFileHeader(inputData));
+    });
+
+    test("write round trips", async () => {
+      const raw = new Uint8Array(await Bun.file(expectedPath).arrayBuffer());
+      const encoded = await encode(await Sparse.fromRaw(Bun.file(expectedPath)));
+      // zero blocks are don't care chunks, without the fill value img2simg writes for them
+      expect(encoded.byteLength).toBe(inputData.size - 2 * 4);
+      expect(await expand(await Sparse.from(new Blob([encoded])))).toEqual(raw);
+    });
+
+    test("pads the last block", async () => {
+      const raw = new Uint8Array(4096 * 2 + 10).fill(7);
+      const sparse = await Sparse.fromRaw(new Blob([raw]));
+      expect(sparse.header.totalBlocks).toBe(3);
+      const expanded = await expand(await Sparse.from(new Blob([await encode(sparse)])));
+      expect(expanded.subarray(0, raw.byteLength)).toEqual(raw);
+      expect(expanded.subarray(raw.byteLength).every((byte) => byte === 0)).toBe(true);
+    });
+
+    test("appends a CRC32 chunk", async () => {
+      const raw = new Uint8Array(await Bun.file(expectedPath).arrayBuffer());
+      const encoded = await encode(await Sparse.fromRaw(new Blob([raw])), { crc32: true });
+      const sparse = await Sparse.from(new Blob([encoded]));
+      expect(sparse.header.totalChunks).toBe(7);
+      const chunks = await Array.fromAsync(sparse.chunks());
+      const last = chunks.at(-1);
+      expect(last.type).toBe(Sparse.ChunkType.Crc32);
+      expect(new DataView(await last.data.arrayBuffer()).getUint32(0, true)).toBe(crc32(raw) >>> 0);
+      expect(await expand(sparse)).toEqual(raw);
+    });
+
+    test("checksums long fill and don't care chunks", async () => {
+      const raw = new Uint8Array(1000 * 4096);
+      raw.fill(0x5A, 4096, 301 * 4096);
+      raw[raw.byteLength - 1] = 1;
+      const encoded = await encode(await Sparse.fromRaw(new Blob([raw])), { crc32: true });
+      const last = (await Array.fromAsync((await Sparse.from(new Blob([encoded]))).chunks())).at(-1);
+      expect(new DataView(await last.data.arrayBuffer()).getUint32(0, true)).toBe(crc32(raw) >>> 0);
+    });
+
+    test("rejects bad block sizes", async () => {
+      await expect(Sparse.fromRaw(new Blob([]), 4098)).rejects.toBe("Sparse - Block size must be a multiple of 4, got 4098");
+    });
+  });
+
+  describe("readStream", () => {
+    /**
+     * @param {Blob} blob
+     * @param {number} maxSize
+     * @returns {Promise<[number, Uint8Array | null, number][]>}
+     */
+    const readAll = async (blob, maxSize) => {
+      const reader = new StreamReader(blob.stream());
+      const header = await Sparse.parseFileHeader(new Blob([await reader.read(Sparse.FILE_HEADER_SIZE)]));
+      return await Array.fromAsync(Sparse.readStream(header, reader, maxSize));
+    };
+
+    test("matches read", async () => {
+      const raw = new Uint8Array(await Bun.file(expectedPath).arrayBuffer());
+      const pieces = await readAll(inputData, 4096);
+      const expanded = new Uint8Array(raw.byteLength);
+      for (const [offset, data] of pieces) {
+        if (!data) continue;
+        expect(data.byteLength).toBeLessThanOrEqual(4096);
+        expanded.set(data, offset);
+      }
+      expect(expanded).toEqual(raw);
+    });
+
+    test("rejects truncated images", async () => {
+      await expect(readAll(inputData.slice(0, inputData.size - 10), 4096)).rejects.toThrow(SparseError);
+    });
+
+    test("checks CRC32 chunks and the block count", async () => {
+      const encoded = await encode(await Sparse.fromRaw(Bun.file(expectedPath)), { crc32: true });
+      await readAll(new Blob([encoded]), 4096);
+
+      const corruptData = encoded.slice();
+      corruptData[28 + 12] ^= 1;
+      await expect(readAll(new Blob([corruptData]), 4096)).rejects.toThrow("Sparse chunk 6 CRC32 mismatch");
+      const wrongBlocks = encoded.slice();
+      new DataView(wrongBlocks.buffer).setUint32(16, 10, true);
+      await expect(readAll(new Blob([wrongBlocks]), 4096)).rejects.toThrow("Sparse chunks cover 9 blocks, header says 10");
+      const wrongChecksum = encoded.slice();
+      new DataView(wrongChecksum.buffer).setUint32(24, 1234, true);
+      await expect(readAll(new Blob([wrongChecksum]), 4096)).rejects.toThrow("Sparse image CRC32 mismatch: expected 1234");
+    });
+  });
+
+  describe("resplit", () => {
+    /**
+     * Write every part over the same image
+     *
+     * @param {Sparse.Sparse[]} parts
+     * @returns {Promise<Uint8Array>}
+     */
+    const apply = async (parts) => {
+      const { totalBlocks, blockSize } = parts[0].header;
+      const raw = new Uint8Array(totalBlocks * blockSize);
+      for (const part of parts) {
+        if (part.header.totalBlocks !== totalBlocks) throw new Error("Parts cover different images");
+        for await (const [offset, chunk] of part.read()) {
+          if (chunk) raw.set(new Uint8Array(await chunk.arrayBuffer()), offset);
+        }
+      }
+      return raw;
+    };
+
+    test("keeps each part under the limit", async () => {
+      const raw = new Uint8Array(await Bun.file(expectedPath).arrayBuffer());
+      const maxSize = 28 + 4 * 12 + 2 * 4096;
+      const parts = await Sparse.resplit(await Sparse.from(inputData), maxSize);
+      expect(parts.length).toBe(3);
+      for (const part of parts) {
+        const encoded = await encode(part);
+        expect(encoded.byteLength).toBeLessThanOrEqual(maxSize);
+        await (await Sparse.from(new Blob([encoded]))).validate();
+      }
+      expect(await apply(parts)).toEqual(raw);
+    });
+
+    test("splits fill chunks that expand beyond the limit", async () => {
+      const raw = new Uint8Array(64 * 4096).fill(0x5A);
+      const parts = await Sparse.resplit(await Sparse.fromRaw(new Blob([raw])), 16 * 4096);
+      const chunks = (await Promise.all(parts.map((part) => Array.fromAsync(part.chunks())))).flat();
+      expect(chunks.filter(({ type }) => type === Sparse.ChunkType.Fill).map(({ blocks }) => blocks)).toEqual([16, 16, 16, 16]);
+      expect(await apply(parts)).toEqual(raw);
+    });
+
+    test("keeps an image that fits whole", async () => {
+      const parts = await Sparse.resplit(await Sparse.from(inputData), 1024 * 1024);
+      expect(parts.length).toBe(1);
+      expect(await Array.fromAsync(parts[0].chunks())).toHaveLength(6);
+    });
+
+    test("rejects limits smaller than a block", async () => {
+      await expect(Sparse.resplit(await Sparse.from(inputData), 4096)).rejects.toThrow(SparseError);
+    });
+  });
+
+  test("simg2simg", async () => {
+    const prefix = `./temp-test-${Date.now()}.simg`;
+    const paths = await simg2simg(inputData.name, prefix, 10 * 1024);
+    expect(paths).toEqual([`${prefix}.0`, `${prefix}.1`]);
+    for (const path of paths) {
+      expect(Bun.file(path).size).toBeLessThanOrEqual(10 * 1024);
+      unlinkSync(path);
+    }
+  });
+
+  test("img2simg", async () => {
+    const sparsePath = `./temp-test-${Date.now()}.simg`;
+    const rawPath = `./temp-test-${Date.now()}.img`;
+    await img2simg(expectedPath, sparsePath, { crc32: true });
+    await simg2img(sparsePath, rawPath);
+    expect(new Uint8Array(await Bun.file(rawPath).arrayBuffer())).toEqual(new Uint8Array(await Bun.file(expectedPath).arrayBuffer()));
+
+    unlinkSync(sparsePath);
+    unlinkSync(rawPath);
+  });
+
   test("simg2img", async () => {
     const outputPath = `./temp-test-${Date.now()}.img`;
     await simg2img(inputData.name, outputPath);
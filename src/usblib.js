@@ -1,8 +1,53 @@
 import * as constants from "./constants";
-import { concatUint8Array } from "./utils";
+import { TimeoutError } from "./errors";
+import { concatUint8Array, normalizeSerial, poll } from "./utils";
 
 
+/**
+ * Bulk connection to a device in EDL mode, as used by {@link Sahara} and {@link Firehose}.
+ *
+ * A <code>timeout</code> of 0 waits forever. When it expires, reads and writes reject with a
+ * {@link TimeoutError}.
+ *
+ * @typedef {object} Transport
+ * @property {boolean} connected
+ * @property {() => Promise<void>} connect
+ * @property {(length?: number, timeout?: number) => Promise<Uint8Array>} read - Read one packet, or at least <code>length</code> bytes
+ * @property {(data: Uint8Array, wait?: boolean, timeout?: number) => Promise<void>} write
+ * @property {(options?: { timeout?: number; serial?: string }) => Promise<void>} [waitForDevice] - Wait until a
+ *   matching device is attached, which may be the same one after a reset, and connect to it
+ */
+
+
+/**
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {number} timeout
+ * @param {string} message
+ * @returns {Promise<T>}
+ */
+function withTimeout(promise, timeout, message) {
+  if (!timeout) return promise;
+  let timer;
+  const expired = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError(message, timeout)), timeout);
+  });
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+
+/**
+ * WebUSB {@link Transport}
+ */
 export class usbClass {
+  /**
+   * WebUSB transfers can't be cancelled, so a read that timed out stays pending and its data is
+   * returned by the next read.
+   *
+   * @type {Promise<USBInTransferResult>|null}
+   */
+  #pendingIn = null;
+
   constructor() {
     /** @type {USBDevice|null} */
     this.device = null;
@@ -14,7 +59,7 @@ export class usbClass {
   }
 
   get connected() {
-    return this.device?.opened && this.device.configurations[0].interfaces[0].claimed;
+    return Boolean(this.device?.opened && this.device.configurations[0].interfaces[0].claimed);
   }
 
   /**
@@ -85,36 +130,80 @@ export class usbClass {
     await this.#connectDevice(device);
   }
 
+  /**
+   * Wait until a device that was previously granted permission is attached, then connect to it.
+   * The device this is connected to is closed first and is not matched again, as it gets a new
+   * {@link USBDevice} when it re-enumerates after a reset.
+   *
+   * @param {object} [options]
+   * @param {number} [options.timeout=0] - Milliseconds, 0 waits forever
+   * @param {string} [options.serial]
+   * @returns {Promise<void>}
+   */
+  async waitForDevice({ timeout = 0, serial } = {}) {
+    if (!("usb" in navigator)) {
+      throw "USB - WebUSB not supported";
+    }
+    const stale = this.device;
+    if (stale?.opened) await stale.close().catch(() => undefined);
+    this.#pendingIn = null;
+    const device = await poll(async () => {
+      const devices = await navigator.usb.getDevices();
+      return devices.find((device) => {
+        if (device === stale || device.vendorId !== constants.VENDOR_ID || device.productId !== constants.PRODUCT_ID) return false;
+        return !serial || normalizeSerial(device.serialNumber ?? "") === normalizeSerial(serial);
+      });
+    }, timeout, "USB - Timed out waiting for device in EDL mode");
+    await this.#connectDevice(device);
+  }
+
+  /**
+   * @param {number} timeout
+   * @returns {Promise<Uint8Array>}
+   */
+  async #transferIn(timeout) {
+    this.#pendingIn ??= this.device.transferIn(this.epIn.endpointNumber, this.maxSize);
+    const transfer = this.#pendingIn;
+    let result;
+    try {
+      result = await withTimeout(transfer, timeout, `USB - Read timed out after ${timeout}ms`);
+    } catch (error) {
+      if (!(error instanceof TimeoutError)) this.#pendingIn = null;
+      throw error;
+    }
+    this.#pendingIn = null;
+    return new Uint8Array(result.data?.buffer);
+  }
+
   /**
    * @param {number} [length=0]
+   * @param {number} [timeout=0]
    * @returns {Promise<Uint8Array>}
    */
-  async read(length = 0) {
+  async read(length = 0, timeout = 0) {
     if (!this.device || !this.epIn) throw "USB - Not connected";
-    if (length) {
-      /** @type {Uint8Array[]} */
-      const chunks = [];
-      let received = 0;
-      do {
-        const chunk = await this.read();
-        if (chunk.byteLength) {
-          chunks.push(chunk);
-          received += chunk.byteLength;
-        }
-      } while (received < length);
-      return concatUint8Array(chunks);
-    } else {
-      const result = await this.device.transferIn(this.epIn.endpointNumber, this.maxSize);
-      return new Uint8Array(result.data?.buffer);
-    }
+    if (!length) return await this.#transferIn(timeout);
+    const deadline = timeout ? Date.now() + timeout : 0;
+    /** @type {Uint8Array[]} */
+    const chunks = [];
+    let received = 0;
+    do {
+      const chunk = await this.#transferIn(deadline ? Math.max(1, deadline - Date.now()) : 0);
+      if (chunk.byteLength) {
+        chunks.push(chunk);
+        received += chunk.byteLength;
+      }
+    } while (received < length);
+    return concatUint8Array(chunks);
   }
 
   /**
    * @param {Uint8Array} data
    * @param {boolean} [wait=true]
+   * @param {number} [timeout=0]
    * @returns {Promise<void>}
    */
-  async write(data, wait = true) {
+  async write(data, wait = true, timeout = 0) {
     if (!this.device || !this.epOut) throw "USB - Not connected";
     let offset = 0;
     do {
@@ -123,7 +212,7 @@ export class usbClass {
       const promise = this.device.transferOut(this.epOut.endpointNumber, chunk);
       // this is a hack, webusb doesn't have timed out catching
       // this only happens in sahara.configure(). The loader receive the packet but doesn't respond back (same as edl repo).
-      if (wait) await promise;
+      if (wait) await withTimeout(promise, timeout, `USB - Write timed out after ${timeout}ms`);
     } while (offset < data.byteLength);
   }
 }
@@ -1,3 +1,6 @@
+import { TimeoutError } from "./errors";
+
+
 /**
  * @param {number[]} elements
  * @param {boolean} littleEndian
@@ -80,3 +83,142 @@ export function runWithTimeout(promise, timeout) {
       });
   });
 }
+
+
+/**
+ * Call <code>check</code> every <code>interval</code> milliseconds until it returns something other
+ * than <code>undefined</code>.
+ *
+ * @template T
+ * @param {() => T|undefined|Promise<T|undefined>} check
+ * @param {number} timeout - 0 waits forever
+ * @param {string} message - Message of the {@link TimeoutError} thrown when the timeout expires
+ * @param {number} [interval=250]
+ * @returns {Promise<T>}
+ */
+export async function poll(check, timeout, message, interval = 250) {
+  const deadline = timeout ? Date.now() + timeout : Number.POSITIVE_INFINITY;
+  while (true) {
+    const result = await check();
+    if (result !== undefined) return result;
+    if (Date.now() >= deadline) throw new TimeoutError(message, timeout);
+    await new Promise((resolve) => setTimeout(resolve, Math.min(interval, Math.max(0, deadline - Date.now()))));
+  }
+}
+
+
+/**
+ * Normalize a serial number for comparison, so that <code>"0x0000ABCD"</code>, <code>"abcd"</code> and
+ * the USB serial string <code>"QUSB__BULK_SN:0000ABCD"</code> match.
+ *
+ * @param {string} serial
+ * @returns {string}
+ */
+export function normalizeSerial(serial) {
+  return serial.toLowerCase().replace(/^.*_sn:/, "").replace(/^0x/, "").replace(/^0+(?=.)/, "");
+}
+
+
+/**
+ * @param {Uint8Array} data
+ * @returns {string} Lowercase hex digits
+ */
+export function toHex(data) {
+  return Array.from(data, (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+
+/**
+ * Destination for data read from the device: a <code>WritableStream</code>, a Bun file or a Bun <code>FileSink</code>
+ *
+ * @typedef {WritableStream<Uint8Array>|{ writer(): { write(chunk: Uint8Array): any; end(): any } }|{ write(chunk: Uint8Array): any; end(): any }} ReadSink
+ */
+
+
+/**
+ * @param {ReadSink} sink
+ * @returns {{ write: (chunk: Uint8Array) => Promise<void>; close: () => Promise<void> }}
+ */
+export function openSink(sink) {
+  if ("getWriter" in sink) {
+    const writer = sink.getWriter();
+    return {
+      write: async (chunk) => { await writer.write(chunk); },
+      close: async () => { await writer.close(); },
+    };
+  }
+  const writer = "writer" in sink ? sink.writer() : sink;
+  return {
+    write: async (chunk) => { await writer.write(chunk); },
+    close: async () => { await writer.end(); },
+  };
+}
+
+
+/**
+ * Reads a byte stream in pieces of a chosen size, regardless of how the stream chunks its data.
+ */
+export class StreamReader {
+  /** @type {ReadableStreamDefaultReader<Uint8Array>} */
+  #reader;
+  /** @type {Uint8Array} */
+  #buffer = new Uint8Array(0);
+
+  /**
+   * @param {ReadableStream<Uint8Array>} stream
+   */
+  constructor(stream) {
+    this.#reader = stream.getReader();
+    /**
+     * Bytes returned by {@link read} so far
+     * @type {number}
+     */
+    this.bytesRead = 0;
+  }
+
+  /**
+   * @param {number} length
+   * @returns {Promise<Uint8Array>} <code>length</code> bytes, fewer only when the stream ends
+   */
+  async read(length) {
+    /** @type {Uint8Array[]} */
+    const pieces = [];
+    let size = 0;
+    while (size < length) {
+      if (!this.#buffer.byteLength) {
+        const { done, value } = await this.#reader.read();
+        if (done) break;
+        this.#buffer = value;
+        continue;
+      }
+      const piece = this.#buffer.subarray(0, length - size);
+      pieces.push(piece);
+      size += piece.byteLength;
+      this.#buffer = this.#buffer.subarray(piece.byteLength);
+    }
+    this.bytesRead += size;
+    return pieces.length === 1 ? pieces[0] : concatUint8Array(pieces);
+  }
+
+  /**
+   * Look at the next bytes without consuming them
+   *
+   * @param {number} length
+   * @returns {Promise<Uint8Array>} <code>length</code> bytes, fewer only when the stream ends
+   */
+  async peek(length) {
+    const data = await this.read(length);
+    this.#buffer = concatUint8Array([data, this.#buffer]);
+    this.bytesRead -= data.byteLength;
+    return data;
+  }
+
+  /**
+   * Stop reading, discarding the rest of the stream
+   *
+   * @returns {Promise<void>}
+   */
+  async cancel() {
+    await this.#reader.cancel();
+  }
+}
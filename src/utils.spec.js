@@ -1,7 +1,8 @@
 import { describe, expect, test } from "bun:test";
 
+import { TimeoutError } from "./errors";
 import { cmd_t, sahara_mode_t } from "./saharaDefs";
-import { compareStringToBytes, concatUint8Array, containsBytes, packGenerator } from "./utils";
+import { compareStringToBytes, concatUint8Array, containsBytes, normalizeSerial, packGenerator, poll, StreamReader } from "./utils";
 
 describe("packGenerator", () => {
   test("should convert single number into 4-byte Uint8Array", () => {
@@ -168,3 +169,53 @@ describe("compareStringToBytes", () => {
     expect(compareStringToBytes(null, input)).toBeFalse();
   })
 });
+
+describe("poll", () => {
+  test("resolves with the first defined result", async () => {
+    let calls = 0;
+    const result = await poll(() => ++calls === 3 ? "found" : undefined, 1000, "not found", 1);
+    expect(result).toBe("found");
+    expect(calls).toBe(3);
+  });
+
+  test("times out", async () => {
+    await expect(poll(() => undefined, 20, "not found", 5)).rejects.toBeInstanceOf(TimeoutError);
+  });
+});
+
+describe("normalizeSerial", () => {
+  test("ignores prefix, case and leading zeros", () => {
+    expect(normalizeSerial("0x0000ABCD")).toBe("abcd");
+    expect(normalizeSerial("QUSB__BULK_SN:0000abcd")).toBe("abcd");
+    expect(normalizeSerial("0x00000000")).toBe("0");
+  });
+});
+
+describe("StreamReader", () => {
+  test("reads across stream chunks", async () => {
+    const reader = new StreamReader(new ReadableStream({
+      start(controller) {
+        for (const chunk of [[1, 2, 3], [4, 5], [6]]) controller.enqueue(new Uint8Array(chunk));
+        controller.close();
+      },
+    }));
+    expect(await reader.read(4)).toEqual(new Uint8Array([1, 2, 3, 4]));
+    expect(await reader.read(1)).toEqual(new Uint8Array([5]));
+    expect(await reader.read(4)).toEqual(new Uint8Array([6]));
+    expect(await reader.read(4)).toEqual(new Uint8Array([]));
+    expect(reader.bytesRead).toBe(6);
+  });
+
+  test("peek leaves the bytes to be read", async () => {
+    const reader = new StreamReader(new ReadableStream({
+      start(controller) {
+        for (const chunk of [[1, 2], [3, 4]]) controller.enqueue(new Uint8Array(chunk));
+        controller.close();
+      },
+    }));
+    expect(await reader.peek(3)).toEqual(new Uint8Array([1, 2, 3]));
+    expect(reader.bytesRead).toBe(0);
+    expect(await reader.read(4)).toEqual(new Uint8Array([1, 2, 3, 4]));
+    expect(await reader.peek(1)).toEqual(new Uint8Array([]));
+  });
+});
@@ -0,0 +1,216 @@
+const MAGIC = "AVB0";
+export const HEADER_SIZE = 256;
+
+const FLAGS_OFFSET = 120;
+const RELEASE_STRING_SIZE = 48;
+const HASH_ALGORITHM_SIZE = 32;
+
+/** Flags in the vbmeta header, which the bootloader only honours while unlocked */
+export const VbmetaFlag = {
+  /** Don't set up dm-verity for hashtree descriptors */
+  HashtreeDisabled: 1 << 0,
+  /** Don't verify the descriptors or the partitions they cover at all */
+  VerificationDisabled: 1 << 1,
+};
+
+export const DescriptorTag = {
+  Property: 0,
+  Hashtree: 1,
+  Hash: 2,
+  KernelCmdline: 3,
+  ChainPartition: 4,
+};
+
+
+/**
+ * @typedef {object} VbmetaHeader
+ * @property {number} requiredLibavbVersionMajor
+ * @property {number} requiredLibavbVersionMinor
+ * @property {number} authenticationDataBlockSize
+ * @property {number} auxiliaryDataBlockSize
+ * @property {number} algorithmType - 0 if the image is unsigned
+ * @property {bigint} rollbackIndex
+ * @property {number} flags - See {@link VbmetaFlag}
+ * @property {number} rollbackIndexLocation
+ * @property {string} releaseString
+ */
+
+
+/**
+ * @typedef {{ tag: 0; key: string; value: string }} PropertyDescriptor
+ * @typedef {{ tag: 1; partitionName: string; dmVerityVersion: number; imageSize: number; treeOffset: number; treeSize: number; dataBlockSize: number; hashBlockSize: number; fecNumRoots: number; fecOffset: number; fecSize: number; hashAlgorithm: string; salt: Uint8Array; rootDigest: Uint8Array; flags: number }} HashtreeDescriptor
+ * @typedef {{ tag: 2; partitionName: string; imageSize: number; hashAlgorithm: string; salt: Uint8Array; digest: Uint8Array; flags: number }} HashDescriptor
+ * @typedef {{ tag: 3; flags: number; kernelCmdline: string }} KernelCmdlineDescriptor
+ * @typedef {{ tag: 4; partitionName: string; rollbackIndexLocation: number; publicKey: Uint8Array; flags: number }} ChainPartitionDescriptor
+ * @typedef {{ tag: number; data: Uint8Array }} UnknownDescriptor
+ * @typedef {PropertyDescriptor|HashtreeDescriptor|HashDescriptor|KernelCmdlineDescriptor|ChainPartitionDescriptor|UnknownDescriptor} VbmetaDescriptor
+ */
+
+
+/**
+ * @typedef {object} Vbmeta
+ * @property {VbmetaHeader} header
+ * @property {VbmetaDescriptor[]} descriptors
+ */
+
+
+/**
+ * @param {Uint8Array} data
+ * @returns {string}
+ */
+function decodeString(data) {
+  const end = data.indexOf(0);
+  return new TextDecoder().decode(end === -1 ? data : data.subarray(0, end));
+}
+
+
+/**
+ * @param {DataView} view
+ * @param {number} offset
+ * @returns {number}
+ */
+function getSize(view, offset) {
+  const value = view.getBigUint64(offset, false);
+  if (value > BigInt(Number.MAX_SAFE_INTEGER)) throw new Error("vbmeta - Size out of range");
+  return Number(value);
+}
+
+
+/**
+ * @param {number} tag
+ * @param {Uint8Array} body - Without the tag and length
+ * @returns {VbmetaDescriptor}
+ */
+function parseDescriptor(tag, body) {
+  const view = new DataView(body.buffer, body.byteOffset, body.byteLength);
+  /**
+   * @param {number} offset
+   * @param {number[]} lengths
+   * @returns {Uint8Array[]} Consecutive fields after the fixed part of the descriptor
+   */
+  const trailing = (offset, lengths) => {
+    const fields = [];
+    let position = offset;
+    for (const length of lengths) {
+      if (position + length > body.byteLength) throw new Error(`vbmeta - Descriptor ${tag} is truncated`);
+      fields.push(body.subarray(position, position + length));
+      position += length;
+    }
+    return fields;
+  };
+  const decoder = new TextDecoder();
+
+  if (tag === DescriptorTag.Property) {
+    // the key and value are each followed by a NUL
+    const [key, , value] = trailing(16, [getSize(view, 0), 1, getSize(view, 8)]);
+    return { tag, key: decoder.decode(key), value: decoder.decode(value) };
+  }
+  if (tag === DescriptorTag.Hashtree) {
+    const [name, salt, rootDigest] = trailing(164, [view.getUint32(88), view.getUint32(92), view.getUint32(96)]);
+    return {
+      tag,
+      partitionName: decoder.decode(name),
+      dmVerityVersion: view.getUint32(0),
+      imageSize: getSize(view, 4),
+      treeOffset: getSize(view, 12),
+      treeSize: getSize(view, 20),
+      dataBlockSize: view.getUint32(28),
+      hashBlockSize: view.getUint32(32),
+      fecNumRoots: view.getUint32(36),
+      fecOffset: getSize(view, 40),
+      fecSize: getSize(view, 48),
+      hashAlgorithm: decodeString(body.subarray(56, 56 + HASH_ALGORITHM_SIZE)),
+      salt,
+      rootDigest,
+      flags: view.getUint32(100),
+    };
+  }
+  if (tag === DescriptorTag.Hash) {
+    const [name, salt, digest] = trailing(116, [view.getUint32(40), view.getUint32(44), view.getUint32(48)]);
+    return {
+      tag,
+      partitionName: decoder.decode(name),
+      imageSize: getSize(view, 0),
+      hashAlgorithm: decodeString(body.subarray(8, 8 + HASH_ALGORITHM_SIZE)),
+      salt,
+      digest,
+      flags: view.getUint32(52),
+    };
+  }
+  if (tag === DescriptorTag.KernelCmdline) {
+    const [cmdline] = trailing(8, [view.getUint32(4)]);
+    return { tag, flags: view.getUint32(0), kernelCmdline: decoder.decode(cmdline) };
+  }
+  if (tag === DescriptorTag.ChainPartition) {
+    const [name, publicKey] = trailing(76, [view.getUint32(4), view.getUint32(8)]);
+    return {
+      tag,
+      partitionName: decoder.decode(name),
+      rollbackIndexLocation: view.getUint32(0),
+      publicKey,
+      flags: view.getUint32(12),
+    };
+  }
+  return { tag, data: body };
+}
+
+
+/**
+ * Parse the header and descriptors of a vbmeta image. The signature isn't checked.
+ *
+ * @param {Uint8Array} data
+ * @returns {Vbmeta}
+ */
+export function parseVbmeta(data) {
+  if (data.byteLength < HEADER_SIZE) throw new Error("vbmeta - Image is truncated");
+  if (decodeString(data.subarray(0, 4)) !== MAGIC) throw new Error("vbmeta - Invalid magic");
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const header = {
+    requiredLibavbVersionMajor: view.getUint32(4),
+    requiredLibavbVersionMinor: view.getUint32(8),
+    authenticationDataBlockSize: getSize(view, 12),
+    auxiliaryDataBlockSize: getSize(view, 20),
+    algorithmType: view.getUint32(28),
+    rollbackIndex: view.getBigUint64(112),
+    flags: view.getUint32(FLAGS_OFFSET),
+    rollbackIndexLocation: view.getUint32(124),
+    releaseString: decodeString(data.subarray(128, 128 + RELEASE_STRING_SIZE)),
+  };
+  const auxiliaryStart = HEADER_SIZE + header.authenticationDataBlockSize;
+  if (auxiliaryStart + header.auxiliaryDataBlockSize > data.byteLength) throw new Error("vbmeta - Image is truncated");
+
+  const descriptorsOffset = getSize(view, 96);
+  const descriptorsSize = getSize(view, 104);
+  if (descriptorsOffset + descriptorsSize > header.auxiliaryDataBlockSize) throw new Error("vbmeta - Descriptors out of bounds");
+  const start = auxiliaryStart + descriptorsOffset;
+  const end = start + descriptorsSize;
+  /** @type {VbmetaDescriptor[]} */
+  const descriptors = [];
+  for (let offset = start; offset < end;) {
+    if (offset + 16 > end) throw new Error("vbmeta - Descriptor is truncated");
+    const tag = getSize(view, offset);
+    const length = getSize(view, offset + 8);
+    if (length % 8 !== 0 || offset + 16 + length > end) throw new Error("vbmeta - Invalid descriptor length");
+    descriptors.push(parseDescriptor(tag, data.subarray(offset + 16, offset + 16 + length)));
+    offset += 16 + length;
+  }
+  return { header, descriptors };
+}
+
+
+/**
+ * Copy a vbmeta image with flags added to its header, such as
+ * {@link VbmetaFlag.VerificationDisabled}. This breaks the signature, which a bootloader only
+ * accepts while unlocked.
+ *
+ * @param {Uint8Array} data
+ * @param {number} flags - Added to the flags already set
+ * @returns {Uint8Array}
+ */
+export function setVbmetaFlags(data, flags) {
+  parseVbmeta(data);
+  const patched = data.slice();
+  const view = new DataView(patched.buffer);
+  view.setUint32(FLAGS_OFFSET, (view.getUint32(FLAGS_OFFSET) | flags) >>> 0);
+  return patched;
+}
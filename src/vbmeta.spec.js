@@ -0,0 +1,64 @@
+import * as Bun from "bun";
+import { describe, expect, test } from "bun:test";
+
+import { DescriptorTag, parseVbmeta, setVbmetaFlags, VbmetaFlag } from "./vbmeta";
+
+const vbmetaImage = Bun.file("./test/fixtures/vbmeta.img");
+
+describe("vbmeta", () => {
+  test("parseVbmeta", async () => {
+    const { header, descriptors } = parseVbmeta(new Uint8Array(await vbmetaImage.arrayBuffer()));
+    expect(header).toEqual({
+      requiredLibavbVersionMajor: 1,
+      requiredLibavbVersionMinor: 0,
+      authenticationDataBlockSize: 0,
+      auxiliaryDataBlockSize: 1216,
+      algorithmType: 0,
+      rollbackIndex: 1700000000n,
+      flags: 0,
+      rollbackIndexLocation: 2,
+      releaseString: "avbtool 1.2.0",
+    });
+    expect(descriptors.map(({ tag }) => tag)).toEqual([
+      DescriptorTag.Property,
+      DescriptorTag.Hash,
+      DescriptorTag.Hashtree,
+      DescriptorTag.KernelCmdline,
+      DescriptorTag.ChainPartition,
+    ]);
+    expect(descriptors[0]).toEqual({ tag: DescriptorTag.Property, key: "com.android.build.boot.os_version", value: "14" });
+    expect(descriptors[1]).toMatchObject({ partitionName: "boot", imageSize: 16 * 1024 * 1024, hashAlgorithm: "sha256" });
+    expect(descriptors[1].digest).toEqual(Uint8Array.from({ length: 32 }, (_, i) => 32 + i));
+    expect(descriptors[2]).toMatchObject({
+      partitionName: "system",
+      dmVerityVersion: 1,
+      treeSize: 12288,
+      fecNumRoots: 2,
+      fecSize: 8192,
+      hashAlgorithm: "sha1",
+    });
+    expect(descriptors[2].rootDigest).toEqual(Uint8Array.from({ length: 20 }, (_, i) => 20 + i));
+    expect(descriptors[3]).toEqual({ tag: DescriptorTag.KernelCmdline, flags: 1, kernelCmdline: "dm=\"1 vroot none ro 1,0 5159992 verity 1\"" });
+    expect(descriptors[4]).toMatchObject({ partitionName: "vbmeta_system", rollbackIndexLocation: 1 });
+    expect(descriptors[4].publicKey.byteLength).toBe(512);
+  });
+
+  test("setVbmetaFlags", async () => {
+    const data = new Uint8Array(await vbmetaImage.arrayBuffer());
+    const patched = setVbmetaFlags(data, VbmetaFlag.HashtreeDisabled | VbmetaFlag.VerificationDisabled);
+    expect(parseVbmeta(patched).header.flags).toBe(3);
+    expect(parseVbmeta(data).header.flags).toBe(0);
+    expect(patched.subarray(124)).toEqual(data.subarray(124));
+    expect(parseVbmeta(setVbmetaFlags(patched, VbmetaFlag.HashtreeDisabled)).header.flags).toBe(3);
+  });
+
+  test("rejects damaged images", async () => {
+    const data = new Uint8Array(await vbmetaImage.arrayBuffer());
+    expect(() => parseVbmeta(new Uint8Array(4096))).toThrow("vbmeta - Invalid magic");
+    expect(() => setVbmetaFlags(data.subarray(0, 1000), VbmetaFlag.HashtreeDisabled)).toThrow("vbmeta - Image is truncated");
+    const corrupt = data.slice();
+    // length of the first descriptor
+    new DataView(corrupt.buffer).setBigUint64(256 + 8, 4096n);
+    expect(() => parseVbmeta(corrupt)).toThrow("vbmeta - Invalid descriptor length");
+  });
+});
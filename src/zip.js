@@ -0,0 +1,257 @@
+import { buf as crc32 } from "crc-32";
+
+import { createLogger } from "./logger";
+
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR_SIZE = 20;
+const ZIP64_END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06064b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY_SIZE = 56;
+const CENTRAL_FILE_HEADER_SIGNATURE = 0x02014b50;
+const CENTRAL_FILE_HEADER_SIZE = 46;
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const LOCAL_FILE_HEADER_SIZE = 30;
+const ZIP64_EXTRA_FIELD_ID = 0x0001;
+const MAX_COMMENT_LENGTH = 0xFFFF;
+
+export const CompressionMethod = {
+  Stored: 0,
+  Deflate: 8,
+};
+
+const FLAG_ENCRYPTED = 0x1;
+
+const logger = createLogger("zip");
+
+
+/**
+ * @typedef {object} ZipEntry
+ * @property {string} name - Path within the archive, directories end with <code>/</code>
+ * @property {number} method - See {@link CompressionMethod}
+ * @property {number} flags
+ * @property {number} crc32
+ * @property {number} compressedSize
+ * @property {number} uncompressedSize
+ * @property {number} localHeaderOffset
+ */
+
+
+/**
+ * @param {Blob} blob
+ * @param {number} start
+ * @param {number} length
+ * @returns {Promise<DataView>}
+ */
+async function readView(blob, start, length) {
+  return new DataView(await blob.slice(start, start + length).arrayBuffer());
+}
+
+
+/**
+ * @param {DataView} view
+ * @param {number} offset
+ * @returns {number}
+ */
+function getUint64(view, offset) {
+  return Number(view.getBigUint64(offset, true));
+}
+
+
+/**
+ * Passes the contents of an entry through, checking them against its size and CRC32. The CRC32 is
+ * checked as the last byte is read, so readers that stop at the end of the data still see a mismatch.
+ *
+ * @param {ZipEntry} entry
+ * @param {ReadableStream<Uint8Array>} data
+ * @returns {ReadableStream<Uint8Array>}
+ */
+function checkedData(entry, data) {
+  const reader = data.getReader();
+  let crc = 0;
+  let size = 0;
+  return new ReadableStream({
+    async pull(controller) {
+      const { done, value } = await reader.read();
+      if (!done) size += value.byteLength;
+      if (size > entry.uncompressedSize) throw `Zip - ${entry.name} is larger than ${entry.uncompressedSize} bytes`;
+      if (done && size !== entry.uncompressedSize) throw `Zip - ${entry.name} is ${size} bytes, expected ${entry.uncompressedSize}`;
+      if (!done) crc = crc32(value, crc);
+      if (size === entry.uncompressedSize && crc >>> 0 !== entry.crc32) {
+        throw `Zip - ${entry.name} CRC32 mismatch: expected ${entry.crc32}, actual ${crc >>> 0}`;
+      }
+      if (done) controller.close();
+      else controller.enqueue(value);
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    },
+  });
+}
+
+
+/**
+ * Reads the entries of a zip archive, including zip64 archives, without loading it into memory.
+ * Entries may be stored or compressed with deflate.
+ */
+export class ZipArchive {
+  /** @type {Blob} */
+  #blob;
+
+  /**
+   * @param {Blob} blob
+   * @param {ZipEntry[]} entries
+   */
+  constructor(blob, entries) {
+    this.#blob = blob;
+    this.entries = entries;
+  }
+
+  /**
+   * @param {Blob} blob
+   * @returns {Promise<ZipArchive>}
+   */
+  static async open(blob) {
+    // the end of central directory record is followed by a comment of up to 64 KiB
+    const tailStart = Math.max(0, blob.size - END_OF_CENTRAL_DIRECTORY_SIZE - MAX_COMMENT_LENGTH);
+    const tail = await readView(blob, tailStart, blob.size - tailStart);
+    let eocd = -1;
+    for (let i = tail.byteLength - END_OF_CENTRAL_DIRECTORY_SIZE; i >= 0; i--) {
+      if (tail.getUint32(i, true) !== END_OF_CENTRAL_DIRECTORY_SIGNATURE) continue;
+      if (i + END_OF_CENTRAL_DIRECTORY_SIZE + tail.getUint16(i + 20, true) === tail.byteLength) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd === -1) throw "Zip - End of central directory not found";
+
+    let totalEntries = tail.getUint16(eocd + 10, true);
+    let directorySize = tail.getUint32(eocd + 12, true);
+    let directoryOffset = tail.getUint32(eocd + 16, true);
+    const locatorOffset = tailStart + eocd - ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR_SIZE;
+    if (locatorOffset >= 0) {
+      const locator = await readView(blob, locatorOffset, ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR_SIZE);
+      if (locator.getUint32(0, true) === ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR_SIGNATURE) {
+        const record = await readView(blob, getUint64(locator, 8), ZIP64_END_OF_CENTRAL_DIRECTORY_SIZE);
+        if (record.byteLength < ZIP64_END_OF_CENTRAL_DIRECTORY_SIZE || record.getUint32(0, true) !== ZIP64_END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+          throw "Zip - Zip64 end of central directory not found";
+        }
+        totalEntries = getUint64(record, 32);
+        directorySize = getUint64(record, 40);
+        directoryOffset = getUint64(record, 48);
+      }
+    }
+    if (directoryOffset + directorySize > blob.size) throw "Zip - Central directory out of bounds";
+
+    const directory = await readView(blob, directoryOffset, directorySize);
+    const decoder = new TextDecoder();
+    /** @type {ZipEntry[]} */
+    const entries = [];
+    let offset = 0;
+    for (let i = 0; i < totalEntries; i++) {
+      if (offset + CENTRAL_FILE_HEADER_SIZE > directory.byteLength || directory.getUint32(offset, true) !== CENTRAL_FILE_HEADER_SIGNATURE) {
+        throw `Zip - Central directory entry ${i} is invalid`;
+      }
+      const nameLength = directory.getUint16(offset + 28, true);
+      const extraLength = directory.getUint16(offset + 30, true);
+      const commentLength = directory.getUint16(offset + 32, true);
+      const nameStart = directory.byteOffset + offset + CENTRAL_FILE_HEADER_SIZE;
+      /** @type {ZipEntry} */
+      const entry = {
+        name: decoder.decode(new Uint8Array(directory.buffer, nameStart, nameLength)),
+        method: directory.getUint16(offset + 10, true),
+        flags: directory.getUint16(offset + 8, true),
+        crc32: directory.getUint32(offset + 16, true),
+        compressedSize: directory.getUint32(offset + 20, true),
+        uncompressedSize: directory.getUint32(offset + 24, true),
+        localHeaderOffset: directory.getUint32(offset + 42, true),
+      };
+
+      // sizes and offsets that don't fit in 32 bits are in the zip64 extra field, in this order
+      let extra = offset + CENTRAL_FILE_HEADER_SIZE + nameLength;
+      const extraEnd = extra + extraLength;
+      while (extra + 4 <= extraEnd) {
+        const id = directory.getUint16(extra, true);
+        const size = directory.getUint16(extra + 2, true);
+        if (id === ZIP64_EXTRA_FIELD_ID) {
+          let field = extra + 4;
+          for (const key of /** @type {const} */ (["uncompressedSize", "compressedSize", "localHeaderOffset"])) {
+            if (entry[key] !== 0xFFFFFFFF || field + 8 > extra + 4 + size) continue;
+            entry[key] = getUint64(directory, field);
+            field += 8;
+          }
+        }
+        extra += 4 + size;
+      }
+
+      entries.push(entry);
+      offset = extraEnd + commentLength;
+    }
+    logger.debug(`Found ${entries.length} entries`);
+    return new ZipArchive(blob, entries);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {ZipEntry|undefined}
+   */
+  get(name) {
+    return this.entries.find((entry) => entry.name === name);
+  }
+
+  /**
+   * @param {ZipEntry} entry
+   * @returns {Promise<number>} Offset of the entry's data in the archive
+   */
+  async #dataOffset(entry) {
+    if (entry.flags & FLAG_ENCRYPTED) throw `Zip - ${entry.name} is encrypted`;
+    const header = await readView(this.#blob, entry.localHeaderOffset, LOCAL_FILE_HEADER_SIZE);
+    if (header.byteLength < LOCAL_FILE_HEADER_SIZE || header.getUint32(0, true) !== LOCAL_FILE_HEADER_SIGNATURE) {
+      throw `Zip - Local header of ${entry.name} is invalid`;
+    }
+    const start = entry.localHeaderOffset + LOCAL_FILE_HEADER_SIZE + header.getUint16(26, true) + header.getUint16(28, true);
+    if (start + entry.compressedSize > this.#blob.size) throw `Zip - ${entry.name} is truncated`;
+    return start;
+  }
+
+  /**
+   * Contents of a stored entry, read from the archive as needed. Compressed entries can only be
+   * read with {@link stream}.
+   *
+   * @param {ZipEntry} entry
+   * @returns {Promise<Blob>}
+   */
+  async blob(entry) {
+    if (entry.method !== CompressionMethod.Stored) throw `Zip - ${entry.name} is compressed, read it as a stream`;
+    const start = await this.#dataOffset(entry);
+    return this.#blob.slice(start, start + entry.compressedSize);
+  }
+
+  /**
+   * Contents of an entry, decompressed as they are read. The stream errors if they don't match the
+   * entry's size or CRC32.
+   *
+   * @param {ZipEntry} entry
+   * @returns {Promise<ReadableStream<Uint8Array>>}
+   */
+  async stream(entry) {
+    if (entry.method !== CompressionMethod.Stored && entry.method !== CompressionMethod.Deflate) {
+      throw `Zip - ${entry.name} uses unsupported compression method ${entry.method}`;
+    }
+    const start = await this.#dataOffset(entry);
+    const data = this.#blob.slice(start, start + entry.compressedSize).stream();
+    if (entry.method === CompressionMethod.Stored) return checkedData(entry, data);
+    return checkedData(entry, data.pipeThrough(new DecompressionStream("deflate-raw")));
+  }
+
+  /**
+   * Read an entry through to check its size and CRC32, throwing on a mismatch.
+   *
+   * @param {ZipEntry} entry
+   * @returns {Promise<void>}
+   */
+  async check(entry) {
+    const reader = (await this.stream(entry)).getReader();
+    while (!(await reader.read()).done);
+  }
+}
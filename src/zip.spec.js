@@ -0,0 +1,169 @@
+import * as Bun from "bun";
+import { describe, expect, test } from "bun:test";
+import { buf as crc32 } from "crc-32";
+
+import { CompressionMethod, ZipArchive } from "./zip";
+
+const sparseImage = Bun.file("./test/fixtures/sparse.img");
+
+/**
+ * @param {ReadableStream<Uint8Array>} stream
+ * @returns {Promise<Uint8Array>}
+ */
+const readAll = async (stream) => new Uint8Array(await new Response(stream).arrayBuffer());
+
+/**
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array>}
+ */
+const deflateRaw = async (data) => await readAll(new Blob([data]).stream().pipeThrough(new CompressionStream("deflate-raw")));
+
+/**
+ * Build a zip archive. With <code>zip64</code>, sizes and offsets are moved to zip64 extra fields
+ * and a zip64 end of central directory record is written.
+ *
+ * @param {{ name: string; data: Uint8Array; deflate?: boolean }[]} files
+ * @param {object} [options]
+ * @param {boolean} [options.zip64=false]
+ * @param {string} [options.comment=""]
+ * @returns {Promise<Blob>}
+ */
+async function buildZip(files, { zip64 = false, comment = "" } = {}) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+  for (const { name, data, deflate = false } of files) {
+    const nameBytes = encoder.encode(name);
+    const body = deflate ? await deflateRaw(data) : data;
+    const method = deflate ? CompressionMethod.Deflate : CompressionMethod.Stored;
+    const crc = crc32(data) >>> 0;
+
+    const local = new DataView(new ArrayBuffer(30 + nameBytes.byteLength));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(8, method, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, body.byteLength, true);
+    local.setUint32(22, data.byteLength, true);
+    local.setUint16(26, nameBytes.byteLength, true);
+    new Uint8Array(local.buffer).set(nameBytes, 30);
+
+    const extraLength = zip64 ? 28 : 0;
+    const central = new DataView(new ArrayBuffer(46 + nameBytes.byteLength + extraLength));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(10, method, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, zip64 ? 0xFFFFFFFF : body.byteLength, true);
+    central.setUint32(24, zip64 ? 0xFFFFFFFF : data.byteLength, true);
+    central.setUint16(28, nameBytes.byteLength, true);
+    central.setUint16(30, extraLength, true);
+    central.setUint32(42, zip64 ? 0xFFFFFFFF : offset, true);
+    new Uint8Array(central.buffer).set(nameBytes, 46);
+    if (zip64) {
+      const extra = 46 + nameBytes.byteLength;
+      central.setUint16(extra, 0x0001, true);
+      central.setUint16(extra + 2, 24, true);
+      central.setBigUint64(extra + 4, BigInt(data.byteLength), true);
+      central.setBigUint64(extra + 12, BigInt(body.byteLength), true);
+      central.setBigUint64(extra + 20, BigInt(offset), true);
+    }
+
+    parts.push(new Uint8Array(local.buffer), body);
+    directory.push(new Uint8Array(central.buffer));
+    offset += local.byteLength + body.byteLength;
+  }
+
+  const directorySize = directory.reduce((sum, entry) => sum + entry.byteLength, 0);
+  parts.push(...directory);
+  if (zip64) {
+    const record = new DataView(new ArrayBuffer(56));
+    record.setUint32(0, 0x06064b50, true);
+    record.setBigUint64(4, 44n, true);
+    record.setBigUint64(24, BigInt(files.length), true);
+    record.setBigUint64(32, BigInt(files.length), true);
+    record.setBigUint64(40, BigInt(directorySize), true);
+    record.setBigUint64(48, BigInt(offset), true);
+    const locator = new DataView(new ArrayBuffer(20));
+    locator.setUint32(0, 0x07064b50, true);
+    locator.setBigUint64(8, BigInt(offset + directorySize), true);
+    locator.setUint32(16, 1, true);
+    parts.push(new Uint8Array(record.buffer), new Uint8Array(locator.buffer));
+  }
+  const commentBytes = encoder.encode(comment);
+  const eocd = new DataView(new ArrayBuffer(22));
+  eocd.setUint32(0, 0x06054b50, true);
+  eocd.setUint16(8, zip64 ? 0xFFFF : files.length, true);
+  eocd.setUint16(10, zip64 ? 0xFFFF : files.length, true);
+  eocd.setUint32(12, zip64 ? 0xFFFFFFFF : directorySize, true);
+  eocd.setUint32(16, zip64 ? 0xFFFFFFFF : offset, true);
+  eocd.setUint16(20, commentBytes.byteLength, true);
+  parts.push(new Uint8Array(eocd.buffer), commentBytes);
+  return new Blob(parts);
+}
+
+describe("zip", () => {
+  test("stored and deflated entries", async () => {
+    const image = new Uint8Array(await sparseImage.arrayBuffer());
+    const text = new TextEncoder().encode("hello");
+    const archive = await ZipArchive.open(await buildZip([
+      { name: "images/boot.img", data: image },
+      { name: "system.img", data: image, deflate: true },
+      { name: "README", data: text },
+    ], { comment: "factory image" }));
+
+    expect(archive.entries.map(({ name }) => name)).toEqual(["images/boot.img", "system.img", "README"]);
+    const boot = archive.get("images/boot.img");
+    const system = archive.get("system.img");
+    expect(boot).toMatchObject({ method: CompressionMethod.Stored, uncompressedSize: image.byteLength, crc32: crc32(image) >>> 0 });
+    expect(system).toMatchObject({ method: CompressionMethod.Deflate, uncompressedSize: image.byteLength });
+    expect(system.compressedSize).toBeLessThan(image.byteLength);
+
+    expect(new Uint8Array(await (await archive.blob(boot)).arrayBuffer())).toEqual(image);
+    expect(await readAll(await archive.stream(boot))).toEqual(image);
+    expect(await readAll(await archive.stream(system))).toEqual(image);
+    expect(await (await archive.blob(archive.get("README"))).text()).toBe("hello");
+    expect(archive.get("missing.img")).toBeUndefined();
+    await expect(archive.blob(system)).rejects.toContain("is compressed");
+  });
+
+  test("zip64", async () => {
+    const image = new Uint8Array(await sparseImage.arrayBuffer());
+    const archive = await ZipArchive.open(await buildZip([
+      { name: "boot.img", data: image },
+      { name: "system.img", data: image, deflate: true },
+    ], { zip64: true }));
+
+    const [boot, system] = archive.entries;
+    expect(boot).toMatchObject({ name: "boot.img", compressedSize: image.byteLength, uncompressedSize: image.byteLength, localHeaderOffset: 0 });
+    expect(system.localHeaderOffset).toBe(30 + "boot.img".length + image.byteLength);
+    expect(new Uint8Array(await (await archive.blob(boot)).arrayBuffer())).toEqual(image);
+    expect(await readAll(await archive.stream(system))).toEqual(image);
+  });
+
+  test("rejects invalid archives", async () => {
+    await expect(ZipArchive.open(new Blob([new Uint8Array(100)]))).rejects.toContain("End of central directory not found");
+    await expect(ZipArchive.open(sparseImage)).rejects.toContain("End of central directory not found");
+
+    const zip = new Uint8Array(await (await buildZip([{ name: "boot.img", data: new Uint8Array(16) }])).arrayBuffer());
+    zip[0] = 0;
+    const archive = await ZipArchive.open(new Blob([zip]));
+    await expect(archive.blob(archive.entries[0])).rejects.toContain("Local header of boot.img is invalid");
+  });
+
+  test("checks the size and CRC32 of entries", async () => {
+    const image = new Uint8Array(await sparseImage.arrayBuffer());
+    const zip = new Uint8Array(await (await buildZip([
+      { name: "boot.img", data: image },
+      { name: "system.img", data: image, deflate: true },
+    ])).arrayBuffer());
+    zip[30 + "boot.img".length + 100] ^= 0xFF;
+    const archive = await ZipArchive.open(new Blob([zip]));
+    const [boot, system] = archive.entries;
+    await expect(archive.check(boot)).rejects.toContain("boot.img CRC32 mismatch");
+    await archive.check(system);
+
+    await expect(archive.check({ ...system, crc32: system.crc32 ^ 1 })).rejects.toContain("system.img CRC32 mismatch");
+    await expect(archive.check({ ...system, uncompressedSize: image.byteLength - 1 })).rejects.toContain("is larger than");
+    await expect(archive.check({ ...system, uncompressedSize: image.byteLength + 1 })).rejects.toContain(`is ${image.byteLength} bytes`);
+  });
+});
@@ -1,5 +1,35 @@
-import { describe, expect, test, mock } from "bun:test";
-import { createProgress } from "../src/cli.js";
+import { describe, expect, test, mock, beforeAll, afterAll } from "bun:test";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+/** @type {any[]} */
+let attached = [];
+
+mock.module("usb", () => ({
+  getDeviceList: () => attached,
+  usb: { LIBUSB_TRANSFER_TYPE_BULK: 2, LIBUSB_TRANSFER_TIMED_OUT: 2 },
+}));
+
+const { createProgress, createQdl, loadProgrammer, loadProgrammerDirectory } = await import("../src/cli.js");
+
+/**
+ * An EDL device libusb has no permission to open
+ *
+ * @param {number} port
+ */
+function createInaccessibleDevice(port) {
+  return {
+    busNumber: 1,
+    deviceAddress: port,
+    portNumbers: [port],
+    deviceDescriptor: { idVendor: 0x05C6, idProduct: 0x9008, iSerialNumber: 3 },
+    open: () => {
+      throw new Error("LIBUSB_ERROR_ACCESS");
+    },
+    close: () => undefined,
+  };
+}
 
 describe("CLI utilities", () => {
   test("createProgress creates progress function", () => {
@@ -45,3 +75,60 @@ describe("CLI utilities", () => {
     }
   });
 });
+
+describe("programmer loading", () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), "qdl-programmers-"));
+    await writeFile(join(dir, "0008b0e100000000_1bebe3863a6781db_fhprg.bin"), "sdm845");
+    await writeFile(join(dir, "000bf0e100000000_fhprg.bin"), "other");
+    await writeFile(join(dir, "README.txt"), "ignored");
+  });
+
+  afterAll(async () => {
+    await rm(dir, { recursive: true });
+  });
+
+  test("loadProgrammer reads local files", async () => {
+    const programmer = await loadProgrammer(join(dir, "000bf0e100000000_fhprg.bin"));
+    expect(programmer).toBeInstanceOf(ArrayBuffer);
+    expect(new TextDecoder().decode(programmer)).toBe("other");
+  });
+
+  test("loadProgrammerDirectory registers programmers by name", async () => {
+    const registry = await loadProgrammerDirectory(dir);
+    expect(registry.entries.map(({ name }) => name)).toEqual([
+      "0008b0e100000000_1bebe3863a6781db_fhprg.bin",
+      "000bf0e100000000_fhprg.bin",
+    ]);
+    const programmer = await registry.selector()({ serial: "", hwid: "0008b0e10051009f", pkHash: "1bebe3863a6781db".repeat(4) });
+    expect(new TextDecoder().decode(programmer)).toBe("sdm845");
+  });
+
+  test("loadProgrammerDirectory rejects a directory without programmers", async () => {
+    const empty = await mkdtemp(join(tmpdir(), "qdl-programmers-"));
+    try {
+      await expect(loadProgrammerDirectory(empty)).rejects.toThrow("No programmers found");
+    } finally {
+      await rm(empty, { recursive: true });
+    }
+  });
+});
+
+describe("createQdl", () => {
+  const programmer = () => Promise.resolve(new ArrayBuffer(0));
+
+  test("blames udev rules when the device can't be opened", async () => {
+    attached = [createInaccessibleDevice(1)];
+    const error = await createQdl(programmer).catch((e) => e);
+    expect(error.message).toBe("Failed to connect - missing udev rules?");
+    expect(error.cause.cause.message).toBe("LIBUSB_ERROR_ACCESS");
+  });
+
+  test("passes other connection errors through", async () => {
+    attached = [createInaccessibleDevice(1), createInaccessibleDevice(2)];
+    await expect(createQdl(programmer)).rejects.toMatch("Multiple devices");
+    await expect(createQdl(programmer, { path: "2-1", wait: 100 })).rejects.toThrow("Timed out waiting for device");
+  });
+});
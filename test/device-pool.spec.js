@@ -0,0 +1,131 @@
+import { beforeEach, describe, expect, mock, test } from "bun:test";
+
+import { FakeEdlDevice, createFakeLoader } from "../src/fake-device.js";
+
+/** @type {Map<string, FakeEdlDevice>} */
+const attached = new Map();
+/** @type {Map<string, object>} */
+const usbDevices = new Map();
+
+/**
+ * A libusb device backed by a {@link FakeEdlDevice}. Like node-usb, <code>getDeviceList</code> returns the
+ * same object for a device every time, and opening it again shares the handle that <code>close</code>
+ * ends for everyone.
+ *
+ * @param {string} path
+ * @param {FakeEdlDevice} fake
+ */
+function createUsbDevice(path, fake) {
+  const [busNumber, ports] = path.split("-");
+  let handleOpen = false;
+  const epIn = {
+    direction: "in",
+    transferType: 2,
+    descriptor: { wMaxPacketSize: 512 },
+    timeout: 0,
+    transferAsync: async () => {
+      if (!handleOpen) throw new Error("LIBUSB_ERROR_NO_DEVICE");
+      const data = await fake.read(0, epIn.timeout);
+      return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+    },
+  };
+  const epOut = {
+    direction: "out",
+    transferType: 2,
+    timeout: 0,
+    transferAsync: async (chunk) => {
+      if (!handleOpen) throw new Error("LIBUSB_ERROR_NO_DEVICE");
+      await fake.write(new Uint8Array(chunk));
+      return chunk.byteLength;
+    },
+  };
+  const iface = {
+    endpoints: [epIn, epOut],
+    isKernelDriverActive: () => false,
+    claim: () => undefined,
+    releaseAsync: () => Promise.resolve(),
+  };
+  return {
+    busNumber: Number(busNumber),
+    deviceAddress: usbDevices.size + 1,
+    portNumbers: ports.split(".").map(Number),
+    deviceDescriptor: { idVendor: 0x05C6, idProduct: 0x9008, iSerialNumber: 3 },
+    open: () => {
+      if (handleOpen) return;
+      handleOpen = true;
+      fake.connect();
+    },
+    close: () => {
+      handleOpen = false;
+      fake.disconnect();
+    },
+    getStringDescriptor: (_index, callback) => {
+      setTimeout(() => callback(handleOpen ? undefined : new Error("LIBUSB_ERROR_IO"), `QUSB__BULK_SN:${fake.serial.toString(16)}`), 5);
+    },
+    interface: () => iface,
+  };
+}
+
+mock.module("usb", () => ({
+  getDeviceList: () => [...usbDevices.values()],
+  usb: { LIBUSB_TRANSFER_TYPE_BULK: 2, LIBUSB_TRANSFER_TIMED_OUT: 2 },
+}));
+
+const { DevicePool, summarizePoolResults } = await import("../src/device-pool.js");
+const { NodeUsbTransport } = await import("../src/node-usb.js");
+
+describe("DevicePool", () => {
+  beforeEach(() => {
+    attached.clear();
+    usbDevices.clear();
+    attached.set("1-1", new FakeEdlDevice({ serial: 0x1111 }));
+    attached.set("1-2", new FakeEdlDevice({ serial: 0x2222 }));
+    attached.set("1-3", new FakeEdlDevice({ serial: 0x3333 }));
+    for (const [path, fake] of attached) usbDevices.set(path, createUsbDevice(path, fake));
+  });
+
+  test("runs the task on every attached device", async () => {
+    const pool = await DevicePool.fromAttached(createFakeLoader());
+    expect(pool.paths).toEqual(["1-1", "1-2", "1-3"]);
+    const results = await pool.run(async (qdl) => {
+      expect(qdl.logTag).toBe(qdl.sahara.serial);
+      await qdl.setActiveSlot("b");
+    });
+    expect(results.map(({ serial, success }) => ({ serial, success }))).toEqual([
+      { serial: "0x00001111", success: true },
+      { serial: "0x00002222", success: true },
+      { serial: "0x00003333", success: true },
+    ]);
+    for (const device of attached.values()) expect(device.bootLun).toBe(2);
+  });
+
+  test("devices keep their sessions while another transport polls for a device", async () => {
+    const late = usbDevices.get("1-3");
+    usbDevices.delete("1-3");
+    setTimeout(() => usbDevices.set("1-3", late), 600);
+    const transport = new NodeUsbTransport({ path: "1-3" });
+    const waiting = transport.waitForDevice({ timeout: 5000 });
+
+    const pool = new DevicePool(createFakeLoader(), ["1-1", "1-2"]);
+    const results = await pool.run(async (qdl) => {
+      await waiting;
+      await qdl.setActiveSlot("b");
+    });
+    expect(results.map(({ success }) => success)).toEqual([true, true]);
+    expect(transport.connected).toBe(true);
+    await transport.close();
+  });
+
+  test("a failing device doesn't stop the others", async () => {
+    attached.get("1-1").injectFault("program", "nak");
+    const pool = new DevicePool(createFakeLoader(), ["1-1", "1-2"]);
+    const results = await pool.run(async (qdl) => {
+      if (!await qdl.flashBlob("boot_a", new Blob([new Uint8Array(4096)]))) throw new Error("flash failed");
+    });
+    expect(results.map(({ success }) => success)).toEqual([false, true]);
+    expect(summarizePoolResults(results).map(({ device, result }) => [device, result])).toEqual([
+      ["1-1", "FAIL: flash failed"],
+      ["1-2", "PASS"],
+    ]);
+  });
+});
@@ -0,0 +1,275 @@
+import { beforeEach, describe, expect, test } from "bun:test";
+
+import { FakeDisk, FakeEdlDevice, createFakeLoader } from "../src/fake-device.js";
+import { TimeoutError } from "../src/errors.js";
+import { Firehose } from "../src/firehose.js";
+import { cmd_t } from "../src/saharaDefs.js";
+import { packGenerator } from "../src/utils.js";
+
+/**
+ * @param {Uint8Array} data
+ * @param {number} index
+ */
+const readUint32 = (data, index) => new DataView(data.buffer, data.byteOffset).getUint32(index * 4, true);
+
+/**
+ * Run the Sahara handshake and loader upload by hand, leaving the device in Firehose mode
+ *
+ * @param {FakeEdlDevice} device
+ * @param {ArrayBuffer} loader
+ */
+async function bootFirehose(device, loader) {
+  await device.connect();
+  await device.read(0x30);
+  await device.write(packGenerator([0x2, 0x30, 2, 1, 0, 0x0, 0, 0, 0, 0, 0, 0]));
+  for (;;) {
+    const packet = await device.read();
+    const view = new DataView(packet.buffer);
+    if (view.getUint32(0, true) !== 0x12) break;
+    const offset = Number(view.getBigUint64(16, true));
+    const length = Number(view.getBigUint64(24, true));
+    await device.write(new Uint8Array(loader, offset, length));
+  }
+  await device.write(packGenerator([0x5, 0x8]));
+  await device.read();
+}
+
+
+describe("FakeDisk", () => {
+  test("unwritten sectors are zero", () => {
+    const disk = new FakeDisk(512, 16);
+    expect(disk.read(0, 16).every((byte) => byte === 0)).toBe(true);
+  });
+
+  test("write pads to sector size", () => {
+    const disk = new FakeDisk(512, 16);
+    disk.write(2, new Uint8Array(600).fill(1));
+    const data = disk.read(2, 2);
+    expect(data.subarray(0, 600).every((byte) => byte === 1)).toBe(true);
+    expect(data.subarray(600).every((byte) => byte === 0)).toBe(true);
+    disk.erase(2, 2);
+    expect(disk.read(2, 2).every((byte) => byte === 0)).toBe(true);
+  });
+
+  test("out of range", () => {
+    const disk = new FakeDisk(512, 16);
+    expect(() => disk.read(15, 2)).toThrow(RangeError);
+  });
+});
+
+
+describe("FakeEdlDevice", () => {
+  describe("Sahara", () => {
+    test("hello on connect", async () => {
+      const device = new FakeEdlDevice();
+      await device.connect();
+      const hello = await device.read(0x30);
+      expect(readUint32(hello, 0)).toBe(0x1);
+      expect(hello.byteLength).toBe(0x30);
+    });
+
+    test("command mode serial number", async () => {
+      const device = new FakeEdlDevice({ serial: 0xCAFE });
+      await device.connect();
+      await device.read(0x30);
+      await device.write(packGenerator([0x2, 0x30, 2, 1, 0, 0x3, 0, 0, 0, 0, 0, 0]));
+      expect(readUint32(await device.read(), 0)).toBe(0xB);
+      await device.write(packGenerator([0xD, 0xC, 0x1]));
+      const rsp = await device.read();
+      expect(readUint32(rsp, 0)).toBe(0xE);
+      expect(readUint32(rsp, 3)).toBe(4);
+      await device.write(packGenerator([0xF, 0xC, 0x1]));
+      expect(readUint32(await device.read(4), 0)).toBe(0xCAFE);
+    });
+
+    test("command mode HWID and PK hash", async () => {
+      const device = new FakeEdlDevice({ hwid: "0008b0e10051009f", pkHash: "ab".repeat(32) });
+      await device.connect();
+      await device.read(0x30);
+      await device.write(packGenerator([0x2, 0x30, 2, 1, 0, 0x3, 0, 0, 0, 0, 0, 0]));
+      await device.read();
+      await device.write(packGenerator([0xD, 0xC, 0x2]));
+      expect(readUint32(await device.read(), 3)).toBe(8);
+      await device.write(packGenerator([0xF, 0xC, 0x2]));
+      const hwid = await device.read(8);
+      expect(new DataView(hwid.buffer).getBigUint64(0, true)).toBe(0x0008b0e10051009fn);
+      await device.write(packGenerator([0xD, 0xC, 0x3]));
+      expect(readUint32(await device.read(), 3)).toBe(32);
+      await device.write(packGenerator([0xF, 0xC, 0x3]));
+      expect(await device.read(32)).toEqual(new Uint8Array(32).fill(0xAB));
+    });
+
+    test("uploads ELF loader", async () => {
+      const device = new FakeEdlDevice();
+      const loader = createFakeLoader(0x180000);
+      await bootFirehose(device, loader);
+      expect(device.mode).toBe("firehose");
+      expect(device.loader).toEqual(new Uint8Array(loader));
+    });
+
+    test("rejects non-ELF loader", async () => {
+      const device = new FakeEdlDevice();
+      await device.connect();
+      await device.read(0x30);
+      await device.write(packGenerator([0x2, 0x30, 2, 1, 0, 0x0, 0, 0, 0, 0, 0, 0]));
+      await device.read();
+      await device.write(new Uint8Array(0x40));
+      const end = await device.read();
+      expect(readUint32(end, 0)).toBe(0x4);
+      expect(readUint32(end, 3)).not.toBe(0);
+    });
+  });
+
+  describe("memory debug", () => {
+    const regions = [
+      { description: "DDR CS0", filename: "DDRCS0.BIN", address: 0x80000000, data: new Uint8Array(0x100).fill(0x5A) },
+      { description: "OCIMEM", filename: "OCIMEM.BIN", address: 0x14680000, data: new Uint8Array(0x40).fill(0xC3) },
+    ];
+
+    test("32-bit memory table and reads", async () => {
+      const device = new FakeEdlDevice({ memoryRegions: regions, memoryDebug64: false });
+      await device.connect();
+      expect(readUint32(await device.read(0x30), 5)).toBe(0x2);
+      await device.write(packGenerator([0x2, 0x30, 2, 1, 0, 0x2, 0, 0, 0, 0, 0, 0]));
+      const debug = await device.read();
+      expect(readUint32(debug, 0)).toBe(cmd_t.SAHARA_MEMORY_DEBUG);
+      expect(readUint32(debug, 3)).toBe(2 * 0x34);
+
+      await device.write(packGenerator([cmd_t.SAHARA_MEMORY_READ, 0x10, readUint32(debug, 2), readUint32(debug, 3)]));
+      const table = await device.read(2 * 0x34);
+      expect(readUint32(table, 1)).toBe(0x80000000);
+      expect(readUint32(table, 2)).toBe(0x100);
+      expect(new TextDecoder().decode(table.subarray(12, 19))).toBe("DDR CS0");
+
+      await device.write(packGenerator([cmd_t.SAHARA_MEMORY_READ, 0x10, 0x80000010, 0x20]));
+      expect(await device.read(0x20)).toEqual(new Uint8Array(0x20).fill(0x5A));
+    });
+
+    test("64-bit memory debug", async () => {
+      const device = new FakeEdlDevice({ memoryRegions: regions });
+      await device.connect();
+      await device.read(0x30);
+      await device.write(packGenerator([0x2, 0x30, 2, 1, 0, 0x2, 0, 0, 0, 0, 0, 0]));
+      const debug = await device.read();
+      expect(readUint32(debug, 0)).toBe(cmd_t.SAHARA_64BIT_MEMORY_DEBUG);
+      expect(new DataView(debug.buffer).getBigUint64(16, true)).toBe(2n * 0x40n);
+    });
+
+    test("rejects reads outside the regions", async () => {
+      const device = new FakeEdlDevice({ memoryRegions: regions, memoryDebug64: false });
+      await device.connect();
+      await device.read(0x30);
+      await device.write(packGenerator([0x2, 0x30, 2, 1, 0, 0x2, 0, 0, 0, 0, 0, 0]));
+      await device.read();
+      await device.write(packGenerator([cmd_t.SAHARA_MEMORY_READ, 0x10, 0x800000F0, 0x20]));
+      expect(readUint32(await device.read(), 0)).toBe(cmd_t.SAHARA_END_TRANSFER);
+    });
+
+    test("reset reboots out of memory debug mode", async () => {
+      const device = new FakeEdlDevice({ memoryRegions: regions });
+      await device.connect();
+      await device.read(0x30);
+      await device.write(packGenerator([cmd_t.SAHARA_RESET_REQ, 0x8]));
+      expect(readUint32(await device.read(), 0)).toBe(cmd_t.SAHARA_RESET_RSP);
+      await expect(device.read()).rejects.toMatch("Not connected");
+      expect(device.attached).toBe(false);
+      expect(device.memoryRegions).toBeNull();
+    });
+  });
+
+  describe("Firehose", () => {
+    /** @type {FakeEdlDevice} */
+    let device;
+    /** @type {Firehose} */
+    let firehose;
+
+    beforeEach(async () => {
+      device = new FakeEdlDevice();
+      await bootFirehose(device, createFakeLoader());
+      firehose = new Firehose(device);
+      await firehose.configure();
+    });
+
+    test("configure", () => {
+      expect(firehose.luns).toEqual([0, 1, 2, 3, 4, 5]);
+      expect(device.commands[0].tag).toBe("configure");
+    });
+
+    test("reads GPT", async () => {
+      const header = await firehose.cmdReadBuffer(4, 1n, 1);
+      expect(new TextDecoder().decode(header.subarray(0, 8))).toBe("EFI PART");
+    });
+
+    test("program, read and erase", async () => {
+      const data = new Uint8Array(10000).fill(7);
+      expect(await firehose.cmdProgram(0, 100n, new Blob([data]))).toBe(true);
+      const readBack = await firehose.cmdReadBuffer(0, 100n, 3);
+      expect(readBack.subarray(0, data.byteLength)).toEqual(data);
+      expect(device.disk(0).read(100, 3)).toEqual(readBack);
+
+      expect(await firehose.cmdErase(0, 100n, 3)).toBe(true);
+      expect(device.disk(0).read(100, 3).every((byte) => byte === 0)).toBe(true);
+    });
+
+    test("getsha256digest", async () => {
+      device.disk(0).write(100, new Uint8Array(4096).fill(1));
+      const expected = new Uint8Array(await crypto.subtle.digest("SHA-256", device.disk(0).read(100, 2)));
+      expect(await firehose.cmdGetSha256Digest(0, 100n, 2)).toEqual(expected);
+
+      device.digestSupported = false;
+      expect(await firehose.cmdGetSha256Digest(0, 100n, 2)).toBeNull();
+    });
+
+    test("getstorageinfo", async () => {
+      const log = await firehose.cmdGetStorageInfo(4);
+      const info = JSON.parse(log.find((line) => line.includes("storage_info")).substring("INFO: ".length));
+      expect(info.storage_info.total_blocks).toBe(device.disk(4).totalSectors);
+    });
+
+    test("patch", async () => {
+      expect(await firehose.cmdPatch(0, 100n, 8, 4, "NUM_DISK_SECTORS-1.")).toBe(true);
+      const view = new DataView(device.disk(0).read(100, 1).buffer);
+      expect(view.getUint32(8, true)).toBe(device.disk(0).totalSectors - 1);
+    });
+
+    test("setbootablestoragedrive", async () => {
+      await firehose.cmdSetBootLunId(2);
+      expect(device.bootLun).toBe(2);
+    });
+
+    test("reset disconnects", async () => {
+      expect(await firehose.cmdReset()).toBe(true);
+      expect(device.connected).toBe(false);
+      expect(device.attached).toBe(false);
+      expect(device.mode).toBe("sahara");
+      await expect(device.waitForDevice({ timeout: 100 })).rejects.toBeInstanceOf(TimeoutError);
+    });
+
+    test("reset to EDL comes back in Sahara", async () => {
+      expect(await firehose.cmdReset("reset_to_edl")).toBe(true);
+      expect(device.attached).toBe(true);
+      await expect(device.waitForDevice({ timeout: 100, serial: "0x00001234" })).rejects.toBeInstanceOf(TimeoutError);
+      await device.waitForDevice({ timeout: 100, serial: "0x1234abcd" });
+      expect(device.connected).toBe(true);
+      expect(readUint32(await device.read(), 0)).toBe(cmd_t.SAHARA_HELLO_REQ);
+    });
+
+    describe("faults", () => {
+      test("nak", async () => {
+        device.injectFault("program", "nak");
+        expect(await firehose.cmdProgram(0, 100n, new Blob([new Uint8Array(4096)]))).toBe(false);
+        expect(await firehose.cmdProgram(0, 100n, new Blob([new Uint8Array(4096)]))).toBe(true);
+      });
+
+      test("partial read", async () => {
+        device.injectFault("read", "partial");
+        await expect(firehose.cmdReadBuffer(0, 0n, 2)).rejects.toThrow("Failed to read buffer");
+      });
+
+      test("timeout", async () => {
+        device.injectFault("read", "timeout");
+        await expect(firehose.cmdReadBuffer(0, 0n, 1)).rejects.toThrow("Failed to read buffer");
+      });
+    });
+  });
+});
@@ -0,0 +1,104 @@
+#!/usr/bin/env python3
+"""Write OTA payload fixtures, and a bzip2 stream of several blocks for the bzip2 decoder."""
+import bz2
+import hashlib
+import lzma
+import os
+import struct
+
+os.chdir(os.path.dirname(os.path.abspath(__file__)))
+
+BLOCK_SIZE = 4096
+REPLACE, REPLACE_BZ, SOURCE_COPY, ZERO, REPLACE_XZ = 0, 1, 4, 6, 8
+
+
+def varint(value):
+    out = bytearray()
+    while True:
+        byte = value & 0x7F
+        value >>= 7
+        out.append(byte | (0x80 if value else 0))
+        if not value:
+            return bytes(out)
+
+
+def field(number, value):
+    if isinstance(value, int):
+        return varint(number << 3) + varint(value)
+    return varint(number << 3 | 2) + varint(len(value)) + value
+
+
+def extent(start, count):
+    return field(1, start) + field(2, count)
+
+
+def words(length):
+    """Compressible text with long runs, regenerated by the bzip2 test"""
+    vocabulary = [b"boot", b"system", b"vendor", b"payload", b"partition", b"slot", b"sparse", b"zip"]
+    out = bytearray()
+    i = 0
+    while len(out) < length:
+        if i % 97 == 0:
+            out += bytes([i % 256]) * (i % 700)
+        out += vocabulary[(i * 2654435761 // 8192) % 8] + b" "
+        i += 1
+    return bytes(out[:length])
+
+
+class PayloadWriter:
+    def __init__(self):
+        self.data = bytearray()
+        self.partitions = []
+
+    def operation(self, op_type, extents, data=None):
+        message = field(1, op_type)
+        if data is not None:
+            message += field(2, len(self.data)) + field(3, len(data))
+            message += field(8, hashlib.sha256(data).digest())
+            self.data += data
+        for start, count in extents:
+            message += field(6, extent(start, count))
+        return message
+
+    def partition(self, name, image, operations, old_size=None):
+        message = field(1, name.encode())
+        if old_size is not None:
+            message += field(6, field(1, old_size))
+        message += field(7, field(1, len(image)) + field(2, hashlib.sha256(image).digest()))
+        for operation in operations:
+            message += field(8, operation)
+        self.partitions.append(message)
+
+    def write(self, path):
+        manifest = field(3, BLOCK_SIZE) + b"".join(field(13, partition) for partition in self.partitions)
+        header = b"CrAU" + struct.pack(">QQI", 2, len(manifest), 0)
+        with open(path, "wb") as f:
+            f.write(header + manifest + self.data)
+
+
+xz = lambda data: lzma.compress(data, format=lzma.FORMAT_XZ, check=lzma.CHECK_CRC32)
+
+# boot: every operation type, with block 5 written before blocks 3 and 4
+boot = bytearray(words(6 * BLOCK_SIZE))
+boot[3 * BLOCK_SIZE:4 * BLOCK_SIZE] = bytes(BLOCK_SIZE)
+boot = bytes(boot)
+block = lambda index: boot[index * BLOCK_SIZE:(index + 1) * BLOCK_SIZE]
+# system: a partial last block
+system = words(10000)[::-1]
+
+full = PayloadWriter()
+full.partition("boot", boot, [
+    full.operation(REPLACE_BZ, [(0, 2)], bz2.compress(block(0) + block(1))),
+    full.operation(REPLACE, [(2, 1), (5, 1)], block(2) + block(5)),
+    full.operation(ZERO, [(3, 1)]),
+    full.operation(REPLACE_XZ, [(4, 1)], xz(block(4))),
+])
+full.partition("system", system, [full.operation(REPLACE_XZ, [(0, 3)], xz(system))])
+full.write("payload.bin")
+
+delta = PayloadWriter()
+delta.partition("boot", boot, [delta.operation(SOURCE_COPY, [(0, 6)])], old_size=len(boot))
+delta.write("payload_delta.bin")
+
+with open("words.txt.bz2", "wb") as f:
+    f.write(bz2.compress(words(300000), 1))
@@ -8,9 +8,19 @@ head -c 4096 </dev/zero > skip.bin
 cat raw.bin fill.bin skip.bin raw.bin raw.bin fill.bin fill.bin skip.bin skip.bin > test.bin
 
 img2simg test.bin sparse.img
+xz -kf sparse.img
 
 # sanity check
 simg2img sparse.img raw.img
 cmp test.bin raw.img && echo "Success" || echo "Failure"
 
-rm raw.bin fill.bin skip.bin test.bin
+# factory image style zip: a stored sparse image, deflated raw images and an image with no partition
+cp sparse.img boot.img
+cp raw.img system.img
+cp raw.img misc.img
+head -c 4096 </dev/zero > radio.img
+rm -f images.zip
+zip -q -0 images.zip boot.img
+zip -q images.zip system.img misc.img radio.img
+
+rm raw.bin fill.bin skip.bin test.bin boot.img system.img misc.img radio.img
@@ -0,0 +1,61 @@
+#!/usr/bin/env python3
+"""Write the start of a 32 MiB super partition: reserved bytes, geometry and two slots of LP metadata."""
+import hashlib
+import os
+import struct
+
+os.chdir(os.path.dirname(os.path.abspath(__file__)))
+
+SUPER_SIZE = 32 * 1024 * 1024
+METADATA_MAX_SIZE = 4096
+SLOT_COUNT = 2
+
+
+def checksummed(data, offset):
+    return data[:offset] + hashlib.sha256(data).digest() + data[offset + 32:]
+
+
+def name(value):
+    return value.encode().ljust(36, b"\0")
+
+
+def geometry():
+    data = struct.pack("<II32sIII", 0x616C4467, 52, bytes(32), METADATA_MAX_SIZE, SLOT_COUNT, 4096)
+    return checksummed(data, 8).ljust(4096, b"\0")
+
+
+def metadata(partitions):
+    """partitions: (name, group index, [(start sector, sector count)])"""
+    groups = [("default", 0), ("main_a", 0), ("main_b", 0)]
+    partition_table, extent_table = b"", b""
+    extent_count = 0
+    for partition_name, group, extents in partitions:
+        partition_table += struct.pack("<36sIIII", name(partition_name), 1, extent_count, len(extents), group)
+        for start, count in extents:
+            extent_table += struct.pack("<QIQI", count, 0, start, 0)
+        extent_count += len(extents)
+    group_table = b"".join(struct.pack("<36sIQ", name(group), 0, size) for group, size in groups)
+    device_table = struct.pack("<QIIQ36sI", 2048, 1024 * 1024, 0, SUPER_SIZE, name("super"), 0)
+
+    tables = partition_table + extent_table + group_table + device_table
+    offset = 0
+    descriptors = b""
+    for table, count, size in [(partition_table, len(partitions), 52), (extent_table, extent_count, 24),
+                               (group_table, len(groups), 48), (device_table, 1, 64)]:
+        descriptors += struct.pack("<III", offset, count, size)
+        offset += len(table)
+    header = struct.pack("<IHHI32sI32s", 0x414C5030, 10, 0, 128, bytes(32), len(tables), hashlib.sha256(tables).digest())
+    header = checksummed(header + descriptors, 12)
+    return (header + tables).ljust(METADATA_MAX_SIZE, b"\0")
+
+
+common = [
+    ("system_a", 1, [(2048, 256), (6144, 256)]),
+    ("vendor_a", 1, [(4096, 128)]),
+    ("system_b", 2, [(8192, 512)]),
+    ("vendor_b", 2, [(10240, 128)]),
+]
+slots = [metadata(common), metadata(common + [("product_b", 2, [(12288, 64)])])]
+
+with open("super_metadata.img", "wb") as f:
+    f.write(bytes(4096) + geometry() + geometry() + b"".join(slots) + b"".join(slots))
@@ -0,0 +1,54 @@
+#!/usr/bin/env python3
+"""Write an unsigned vbmeta image with one descriptor of each kind, laid out as avbtool does."""
+import os
+import struct
+
+os.chdir(os.path.dirname(os.path.abspath(__file__)))
+
+
+def pad(data, alignment):
+    return data + bytes(-len(data) % alignment)
+
+
+def descriptor(tag, body):
+    body = pad(body, 8)
+    return struct.pack(">QQ", tag, len(body)) + body
+
+
+def property_descriptor(key, value):
+    return descriptor(0, struct.pack(">QQ", len(key), len(value)) + key + b"\0" + value + b"\0")
+
+
+def hashtree_descriptor(name, image_size, salt, root_digest):
+    body = struct.pack(">IQQQIIIQQ32sIIII60s", 1, image_size, image_size, 4096 * 3, 4096, 4096, 2, image_size + 4096 * 3, 8192,
+                       b"sha1", len(name), len(salt), len(root_digest), 0, bytes(60))
+    return descriptor(1, body + name + salt + root_digest)
+
+
+def hash_descriptor(name, image_size, salt, digest):
+    body = struct.pack(">Q32sIIII60s", image_size, b"sha256", len(name), len(salt), len(digest), 0, bytes(60))
+    return descriptor(2, body + name + salt + digest)
+
+
+def kernel_cmdline_descriptor(flags, cmdline):
+    return descriptor(3, struct.pack(">II", flags, len(cmdline)) + cmdline)
+
+
+def chain_partition_descriptor(name, location, public_key):
+    return descriptor(4, struct.pack(">IIII60s", location, len(name), len(public_key), 0, bytes(60)) + name + public_key)
+
+
+descriptors = b"".join([
+    property_descriptor(b"com.android.build.boot.os_version", b"14"),
+    hash_descriptor(b"boot", 16 * 1024 * 1024, bytes(range(32)), bytes(range(32, 64))),
+    hashtree_descriptor(b"system", 256 * 1024 * 1024, bytes(range(20)), bytes(range(20, 40))),
+    kernel_cmdline_descriptor(1, b"dm=\"1 vroot none ro 1,0 5159992 verity 1\""),
+    chain_partition_descriptor(b"vbmeta_system", 1, bytes(range(64)) * 8),
+])
+auxiliary = pad(descriptors, 64)
+header = struct.pack(">4sIIQQIQQQQQQQQQQQII48s80s", b"AVB0", 1, 0, 0, len(auxiliary), 0, 0, 0, 0, 0, len(descriptors), 0, 0, 0,
+                     0, len(descriptors), 1700000000, 0, 2, b"avbtool 1.2.0", bytes(80))
+assert len(header) == 256
+
+with open("vbmeta.img", "wb") as f:
+    f.write(pad(header + auxiliary, 4096))
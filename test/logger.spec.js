@@ -14,6 +14,14 @@ describe("Logger", () => {
         expect(logger.prefix).toBe("[test]");
     });
 
+    test("withTag adds the tag to the prefix", () => {
+        const tagged = logger.withTag("0x1234abcd");
+        expect(tagged.prefix).toBe("[test] [0x1234abcd]");
+        expect(tagged.level).toBe(LogLevel.DEBUG);
+        expect(logger.prefix).toBe("[test]");
+        expect(tagged.withTag(null).prefix).toBe("[test]");
+    });
+
     test("createLogger creates logger with global level", () => {
         const testLogger = createLogger("test-global");
         expect(testLogger).toBeInstanceOf(Logger);
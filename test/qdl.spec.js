@@ -1,5 +1,12 @@
-import { describe, expect, test, beforeEach, mock } from "bun:test";
+import { describe, expect, test, beforeEach, mock, spyOn } from "bun:test";
+import { FlashError, PayloadError, SparseError, TimeoutError, ValidationError } from "../src/errors.js";
+import { DEFAULT_LAYOUT, FakeEdlDevice, createFakeLoader } from "../src/fake-device.js";
+import { GPT } from "../src/gpt.js";
+import { Payload } from "../src/payload.js";
 import { qdlDevice } from "../src/qdl.js";
+import * as Sparse from "../src/sparse.js";
+import { toHex } from "../src/utils.js";
+import { ZipArchive } from "../src/zip.js";
 
 describe("qdlDevice", () => {
   let qdl;
@@ -42,4 +49,750 @@ describe("qdlDevice", () => {
       await expect(qdl.connect(mockUsb)).rejects.toThrow("USB connection failed");
     });
   });
-});
\ No newline at end of file
+
+  describe("with FakeEdlDevice", () => {
+    /** @type {FakeEdlDevice} */
+    let device;
+
+    beforeEach(async () => {
+      device = new FakeEdlDevice({ serial: 0x1234ABCD });
+      qdl = new qdlDevice(createFakeLoader());
+      await qdl.connect(device);
+    });
+
+    test("connect uploads loader and configures firehose", () => {
+      expect(qdl.mode).toBe("firehose");
+      expect(qdl.sahara.serial).toBe("0x1234abcd");
+      expect(device.loader).toEqual(new Uint8Array(qdl.programmer));
+      expect(qdl.firehose.luns).toEqual([0, 1, 2, 3, 4, 5]);
+      // a fixed programmer doesn't need the HWID
+      expect(qdl.sahara.hwid).toBeNull();
+    });
+
+    test("connect picks the programmer by HWID", async () => {
+      const loader = createFakeLoader(8192);
+      const selector = mock(() => Promise.resolve(loader));
+      device = new FakeEdlDevice({ hwid: "0008b0e10051009f" });
+      qdl = new qdlDevice(selector);
+      await qdl.connect(device);
+      expect(selector).toHaveBeenCalledWith({ serial: "0x1234abcd", hwid: "0008b0e10051009f", pkHash: device.pkHash });
+      expect(qdl.sahara.hwid).toBe("0008b0e10051009f");
+      expect(device.loader).toEqual(new Uint8Array(loader));
+    });
+
+    test("getGpt", async () => {
+      const gpt = await qdl.getGpt(4);
+      expect(gpt.currentLba).toBe(1n);
+      expect(gpt.alternateLba).toBe(BigInt(device.disk(4).totalSectors - 1));
+      expect(gpt.locatePartition("boot_a")).toMatchObject({ name: "boot_a", sectors: 16384n });
+    });
+
+    test("flashBlob", async () => {
+      const image = new Uint8Array(3 * 4096 + 100).map((_, i) => i & 0xFF);
+      expect(await qdl.flashBlob("boot_b", new Blob([image]), undefined, true, true)).toBe(true);
+      const [, lun, partition] = await qdl.detectPartition("boot_b");
+      expect(device.disk(lun).read(partition.start, 4).subarray(0, image.byteLength)).toEqual(image);
+    });
+
+    test("resolvePartitionNames", async () => {
+      expect(await qdl.resolvePartitionNames("boot_a")).toEqual(["boot_a"]);
+      expect(await qdl.resolvePartitionNames("boot", "active")).toEqual(["boot_a"]);
+      expect(await qdl.resolvePartitionNames("boot", "inactive")).toEqual(["boot_b"]);
+      expect(await qdl.resolvePartitionNames("boot", "b")).toEqual(["boot_b"]);
+      expect(await qdl.resolvePartitionNames("boot", "all")).toEqual(["boot_a", "boot_b"]);
+      await expect(qdl.resolvePartitionNames("boot", "c")).rejects.toThrow(ValidationError);
+      await expect(qdl.resolvePartitionNames("boot_a", "active")).rejects.toThrow(ValidationError);
+    });
+
+    test("flashBlob flashes a base name in every slot", async () => {
+      const image = new Uint8Array(2 * 4096).fill(0x77);
+      /** @type {number[]} */
+      const progress = [];
+      expect(await qdl.flashBlob("boot", new Blob([image]), (bytes) => progress.push(bytes), true, false, "all")).toBe(true);
+      for (const name of ["boot_a", "boot_b"]) {
+        const [, lun, partition] = await qdl.detectPartition(name);
+        expect(device.disk(lun).read(partition.start, 2)).toEqual(image);
+      }
+      expect(progress.at(-1)).toBe(2 * image.byteLength);
+    });
+
+    test("erase and readPartition take a slot", async () => {
+      const [, lun, boot_b] = await qdl.detectPartition("boot_b");
+      const [, , boot_a] = await qdl.detectPartition("boot_a");
+      const data = new Uint8Array(4096).fill(0x42);
+      device.disk(lun).write(boot_a.start, data);
+      device.disk(lun).write(boot_b.start, data);
+
+      /** @type {Uint8Array[]} */
+      const chunks = [];
+      await qdl.readPartition("boot", { write: (chunk) => chunks.push(chunk.slice()), end: () => undefined }, undefined, "active");
+      expect(chunks[0].subarray(0, 4096)).toEqual(data);
+      await expect(qdl.readPartition("boot", { write: () => undefined, end: () => undefined }, undefined, "all")).rejects.toThrow(ValidationError);
+
+      expect(await qdl.erase("boot", "inactive")).toBe(true);
+      expect(device.disk(lun).read(boot_b.start, 1)).toEqual(new Uint8Array(4096));
+      expect(device.disk(lun).read(boot_a.start, 1)).toEqual(data);
+    });
+
+    test("flashBlob skips the empty blocks of large raw images", async () => {
+      qdl.resparseRawImages = true;
+      const [, lun, partition] = await qdl.detectPartition("boot_b");
+      device.disk(lun).write(partition.start + 100n, new Uint8Array(4096).fill(0xFF));
+
+      const image = new Uint8Array(40 * 1024 * 1024);
+      image.fill(0x11, 0, 4096);
+      image.fill(0xAA, 5 * 4096, 7 * 4096);
+      image.fill(0x22, image.byteLength - 4096);
+      device.commands.length = 0;
+      expect(await qdl.flashBlob("boot_b", new Blob([image]), undefined, true, true)).toBe(true);
+
+      const programmed = device.commands.filter(({ tag }) => tag === "program");
+      expect(programmed.reduce((sum, { attributes }) => sum + Number(attributes.num_partition_sectors), 0)).toBe(4);
+      expect(device.disk(lun).read(partition.start, image.byteLength / 4096)).toEqual(image);
+    });
+
+    test("flashBlob keeps program commands within the configured size", async () => {
+      qdl.firehose.cfg.MaxProgramSizeInBytes = 2 * 4096;
+      const sparse = Bun.file("./test/fixtures/sparse.img");
+      const raw = new Uint8Array(await Bun.file("./test/fixtures/raw.img").arrayBuffer());
+      const image = new Uint8Array(5 * 4096 + 1).fill(0x33);
+      device.commands.length = 0;
+      expect(await qdl.flashBlob("boot_b", sparse)).toBe(true);
+      expect(await qdl.flashBlob("boot_a", new Blob([image]))).toBe(true);
+
+      const programmed = device.commands.filter(({ tag }) => tag === "program");
+      expect(programmed.every(({ attributes }) => Number(attributes.num_partition_sectors) <= 2)).toBe(true);
+      const [, lunB, boot_b] = await qdl.detectPartition("boot_b");
+      expect(device.disk(lunB).read(boot_b.start, raw.byteLength / 4096)).toEqual(raw);
+      const [, lunA, boot_a] = await qdl.detectPartition("boot_a");
+      expect(device.disk(lunA).read(boot_a.start, 6).subarray(0, image.byteLength)).toEqual(image);
+    });
+
+    test("flashBlob decompresses a sparse image", async () => {
+      const raw = new Uint8Array(await Bun.file("./test/fixtures/raw.img").arrayBuffer());
+      /** @type {number[]} */
+      const progress = [];
+      expect(await qdl.flashBlob("boot_b", Bun.file("./test/fixtures/sparse.img.xz"), (bytes) => progress.push(bytes))).toBe(true);
+      const [, lun, partition] = await qdl.detectPartition("boot_b");
+      expect(device.disk(lun).read(partition.start, raw.byteLength / 4096)).toEqual(raw);
+      expect(progress.at(-1)).toBe(Bun.file("./test/fixtures/sparse.img").size);
+    });
+
+    test("flashBlob decompresses a raw image in pieces", async () => {
+      qdl.firehose.cfg.MaxProgramSizeInBytes = 4 * 4096;
+      const image = new Uint8Array(10 * 4096 + 7).map((_, i) => (i * 13) & 0xFF);
+      const compressed = await new Response(new Blob([image]).stream().pipeThrough(new CompressionStream("gzip"))).blob();
+      /** @type {number[]} */
+      const progress = [];
+      device.commands.length = 0;
+      expect(await qdl.flashBlob("boot_a", compressed, (bytes) => progress.push(bytes), true, true)).toBe(true);
+
+      const programmed = device.commands.filter(({ tag }) => tag === "program");
+      expect(programmed.map(({ attributes }) => Number(attributes.num_partition_sectors))).toEqual([4, 4, 3]);
+      const [, lun, partition] = await qdl.detectPartition("boot_a");
+      expect(device.disk(lun).read(partition.start, 11).subarray(0, image.byteLength)).toEqual(image);
+      expect(progress.at(-1)).toBe(image.byteLength);
+    });
+
+    test("flashBlob refuses a truncated sparse image before writing", async () => {
+      const sparse = await Bun.file("./test/fixtures/sparse.img").arrayBuffer();
+      device.commands.length = 0;
+      await expect(qdl.flashBlob("boot_b", new Blob([sparse.slice(0, sparse.byteLength - 10)]))).rejects.toThrow(SparseError);
+      expect(device.commands.filter(({ tag }) => tag === "program" || tag === "erase")).toEqual([]);
+    });
+
+    test("flashBlob refuses an image of the wrong type", async () => {
+      const ext4 = new Uint8Array(8192);
+      ext4.set([0x53, 0xEF], 1024 + 56);
+      device.commands.length = 0;
+      await expect(qdl.flashBlob("boot_b", new Blob([ext4]))).rejects.toThrow(FlashError);
+      const compressed = await new Response(new Blob([ext4]).stream().pipeThrough(new CompressionStream("gzip"))).blob();
+      await expect(qdl.flashBlob("boot_b", compressed)).rejects.toThrow("Refusing to flash boot_b with an image recognised as ext4");
+      expect(device.commands.filter(({ tag }) => tag === "program" || tag === "erase")).toEqual([]);
+
+      expect(await qdl.flashBlob("vbmeta_a", Bun.file("./test/fixtures/vbmeta.img"))).toBe(true);
+      qdl.checkImageTypes = false;
+      expect(await qdl.flashBlob("boot_b", new Blob([ext4]))).toBe(true);
+    });
+
+    test("flashBlob erases in bounded commands when resparsing, and only resparses when asked", async () => {
+      const image = new Uint8Array(96 * 1024 * 1024);
+      image.fill(0x11, 0, 4096);
+      image.fill(0x22, image.byteLength - 4096);
+      const [, lun, userdata] = await qdl.detectPartition("userdata");
+      device.disk(lun).write(userdata.start + 1n, new Uint8Array(4096).fill(0xFF));
+
+      qdl.resparseRawImages = true;
+      device.commands.length = 0;
+      expect(await qdl.flashBlob("userdata", new Blob([image]))).toBe(true);
+      const sectors = (tag) => device.commands.filter((command) => command.tag === tag).map(({ attributes }) => Number(attributes.num_partition_sectors));
+      // erased in bounded commands, and only the blocks with data are sent
+      expect(sectors("erase")).toEqual([16384, 8192]);
+      expect(sectors("program").reduce((sum, count) => sum + count, 0)).toBe(2);
+      expect(device.disk(lun).read(userdata.start, 1)).toEqual(image.subarray(0, 4096));
+      expect(device.disk(lun).read(userdata.start + 1n, 1)).toEqual(new Uint8Array(4096));
+      expect(device.disk(lun).read(userdata.start + 24575n, 1)).toEqual(image.subarray(image.byteLength - 4096));
+
+      qdl.resparseRawImages = false;
+      device.commands.length = 0;
+      expect(await qdl.flashBlob("userdata", new Blob([image.subarray(0, 32 * 1024 * 1024)]))).toBe(true);
+      expect(sectors("erase")).toEqual([]);
+    });
+
+    test("flashBlob reports progress while streaming a compressed sparse image", async () => {
+      const raw = new Uint8Array(64 * 4096).map((_, i) => (i * 13) & 0xFF);
+      const sparse = new Blob(await Array.fromAsync(Sparse.write(await Sparse.fromRaw(new Blob([raw])))));
+      const compressed = await new Response(sparse.stream().pipeThrough(new CompressionStream("gzip"))).blob();
+      /** @type {number[]} */
+      const progress = [];
+      expect(await qdl.flashBlob("boot_b", compressed, (bytes) => progress.push(bytes))).toBe(true);
+
+      expect(progress.at(-1)).toBe(sparse.size);
+      expect(progress.filter((bytes) => bytes < sparse.size).length).toBeGreaterThan(1);
+      expect(progress).toEqual(progress.toSorted((a, b) => a - b));
+      const [, lun, partition] = await qdl.detectPartition("boot_b");
+      expect(device.disk(lun).read(partition.start, 64)).toEqual(raw);
+    });
+
+    test("flashZip flashes images to the active slot", async () => {
+      const archive = await ZipArchive.open(Bun.file("./test/fixtures/images.zip"));
+      const raw = new Uint8Array(await Bun.file("./test/fixtures/raw.img").arrayBuffer());
+      /** @type {string[][]} */
+      let plan = [];
+      /** @type {number[]} */
+      const progress = [];
+      expect(await qdl.flashZip(archive, {
+        onPlan: (images) => { plan = images.map(({ entry, partition }) => [entry.name, partition]); },
+        onProgress: (bytes) => progress.push(bytes),
+      })).toBe(true);
+
+      expect(plan).toEqual([["boot.img", "boot_a"], ["system.img", "system_a"], ["misc.img", "misc"]]);
+      for (const name of ["boot_a", "system_a", "misc"]) {
+        const [, lun, partition] = await qdl.detectPartition(name);
+        expect(device.disk(lun).read(partition.start, raw.byteLength / 4096)).toEqual(raw);
+      }
+      expect(progress.at(-1)).toBe(Bun.file("./test/fixtures/sparse.img").size + 2 * raw.byteLength);
+    });
+
+    test("flashZip checks the CRC32 of stored images before writing", async () => {
+      const zip = new Uint8Array(await Bun.file("./test/fixtures/images.zip").arrayBuffer());
+      zip[30 + "boot.img".length + 24 + 100] ^= 0xFF;
+      const archive = await ZipArchive.open(new Blob([zip]));
+      await expect(qdl.flashZip(archive)).rejects.toContain("boot.img CRC32 mismatch");
+      expect(device.commands.filter(({ tag }) => tag === "program" || tag === "erase")).toEqual([]);
+    });
+
+    test("flashZip checks the CRC32 of compressed images as they are read", async () => {
+      const archive = await ZipArchive.open(Bun.file("./test/fixtures/images.zip"));
+      archive.get("system.img").crc32 ^= 1;
+      await expect(qdl.flashZip(archive)).rejects.toContain("system.img CRC32 mismatch");
+    });
+
+    test("flashZip flashes images to the inactive slot", async () => {
+      const archive = await ZipArchive.open(Bun.file("./test/fixtures/images.zip"));
+      const raw = new Uint8Array(await Bun.file("./test/fixtures/raw.img").arrayBuffer());
+      expect(await qdl.flashZip(archive, { inactiveSlot: true })).toBe(true);
+      const [, lun, boot_b] = await qdl.detectPartition("boot_b");
+      expect(device.disk(lun).read(boot_b.start, raw.byteLength / 4096)).toEqual(raw);
+      const [, , boot_a] = await qdl.detectPartition("boot_a");
+      expect(device.disk(lun).read(boot_a.start, raw.byteLength / 4096)).toEqual(new Uint8Array(raw.byteLength));
+    });
+
+    test("flashPayload writes the inactive slot and activates it", async () => {
+      const payload = await Payload.open(Bun.file("./test/fixtures/payload.bin"));
+      /** @type {number[]} */
+      const progress = [];
+      expect(await qdl.flashPayload(payload, { inactiveSlot: true, onProgress: (bytes) => progress.push(bytes) })).toBe(true);
+
+      for (const update of payload.partitions) {
+        /** @type {Uint8Array[]} */
+        const chunks = [];
+        await payload.extract(update, { write: (chunk) => chunks.push(chunk.slice()), end: () => undefined });
+        const image = new Uint8Array(await new Blob(chunks).arrayBuffer());
+        const [, lun, partition] = await qdl.detectPartition(`${update.name}_b`);
+        expect(device.disk(lun).read(partition.start, Math.ceil(image.byteLength / 4096)).subarray(0, image.byteLength)).toEqual(image);
+      }
+      expect(progress.at(-1)).toBe(9 * 4096);
+      expect(await qdl.getActiveSlot()).toBe("b");
+    });
+
+    test("flashPayload refuses a delta payload before writing", async () => {
+      const payload = await Payload.open(Bun.file("./test/fixtures/payload_delta.bin"));
+      device.commands.length = 0;
+      await expect(qdl.flashPayload(payload)).rejects.toThrow(PayloadError);
+      expect(device.commands.filter(({ tag }) => tag === "program" || tag === "erase")).toEqual([]);
+    });
+
+    test("flashPayload and flashRawProgram check image types before writing", async () => {
+      const ext4 = new Uint8Array(8192);
+      ext4.set([0x53, 0xEF], 1024 + 56);
+      const payload = await Payload.open(Bun.file("./test/fixtures/payload.bin"));
+      const partitionData = payload.partitionData.bind(payload);
+      payload.partitionData = async function* (update) {
+        for await (const piece of partitionData(update)) {
+          yield update.name === "boot" && piece.offset === 0 ? { offset: 0, data: ext4.subarray(0, piece.data.byteLength) } : piece;
+        }
+      };
+      device.commands.length = 0;
+      await expect(qdl.flashPayload(payload)).rejects.toThrow("Refusing to flash boot_a with an image recognised as ext4");
+
+      const [, lun, boot] = await qdl.detectPartition("boot_a");
+      const [, , system] = await qdl.detectPartition("system_a");
+      /** @type {import("../src/rawprogram.js").ProgramEntry[]} */
+      const programs = [
+        { filename: "system.img", label: "system_a", lun, sectorSize: 4096, startSector: `${system.start}`, numPartitionSectors: Number(system.sectors), fileSectorOffset: 0, sparse: false },
+        { filename: "boot.img", label: "boot_a", lun, sectorSize: 4096, startSector: `${boot.start}`, numPartitionSectors: Number(boot.sectors), fileSectorOffset: 0, sparse: false },
+      ];
+      await expect(qdl.flashRawProgram(programs, [], () => new Blob([ext4]))).rejects.toThrow(FlashError);
+      expect(device.commands.filter(({ tag }) => tag === "program" || tag === "erase")).toEqual([]);
+    });
+
+    test("flashRawProgram checks every entry before writing", async () => {
+      const [, lun, boot] = await qdl.detectPartition("boot_a");
+      const [, ssdLun, ssd] = await qdl.detectPartition("ssd");
+      const image = new Uint8Array(2 * 4096).fill(0x5A);
+      /** @type {import("../src/rawprogram.js").ProgramEntry} */
+      const good = { filename: "ssd.img", label: "ssd", lun: ssdLun, sectorSize: 4096, startSector: `${ssd.start}`, numPartitionSectors: Number(ssd.sectors), fileSectorOffset: 0, sparse: false };
+      const last = { filename: "boot.img", label: "boot_a", lun, sectorSize: 4096, startSector: `${boot.start}`, numPartitionSectors: 1, fileSectorOffset: 0, sparse: false };
+      const patch = { filename: "DISK", lun, sectorSize: 512, startSector: "0", byteOffset: 0, sizeInBytes: 8, value: "0", what: "test" };
+      const getImage = () => new Blob([image]);
+      device.commands.length = 0;
+      expect(await qdl.flashRawProgram([good, last], [], getImage)).toBe(false);
+      await expect(qdl.flashRawProgram([good, { ...last, numPartitionSectors: 2, sparse: true }], [], getImage)).rejects.toThrow("not a sparse image");
+      await expect(qdl.flashRawProgram([good, { ...last, sectorSize: 512 }], [], getImage)).rejects.toThrow("sector size");
+      await expect(qdl.flashRawProgram([good], [patch], getImage)).rejects.toThrow("sector size");
+      expect(device.commands.filter(({ tag }) => tag === "program" || tag === "patch")).toEqual([]);
+
+      expect(await qdl.flashRawProgram([good, { ...last, numPartitionSectors: 2 }], [], getImage)).toBe(true);
+      expect(device.disk(lun).read(boot.start, 2)).toEqual(image);
+    });
+
+    test("warns about images it doesn't recognise", async () => {
+      const warn = spyOn(qdl.logger, "warn").mockImplementation(() => undefined);
+      try {
+        expect(await qdl.flashPayload(await Payload.open(Bun.file("./test/fixtures/payload.bin")))).toBe(true);
+        expect(warn).toHaveBeenCalledWith("Image for boot_a not recognised, expected boot");
+      } finally {
+        warn.mockRestore();
+      }
+    });
+
+    describe("super", () => {
+      const superImage = Bun.file("./test/fixtures/super_metadata.img");
+      /** @type {number} */
+      let lun;
+      /** @type {bigint} */
+      let superStart;
+
+      beforeEach(async () => {
+        const luns = DEFAULT_LAYOUT.map((layout, i) => i === 0 ? { ...layout, partitions: [...layout.partitions, { name: "super", sectors: 8192 }] } : layout);
+        device = new FakeEdlDevice({ luns });
+        qdl = new qdlDevice(createFakeLoader());
+        await qdl.connect(device);
+        const [, superLun, partition] = await qdl.detectPartition("super");
+        [lun, superStart] = [superLun, partition.start];
+        device.disk(lun).write(superStart, new Uint8Array(await superImage.arrayBuffer()));
+      });
+
+      test("getSuperMetadata reads each slot", async () => {
+        const slotA = await qdl.getSuperMetadata();
+        expect(slotA.partitions.map(({ name }) => name)).toEqual(["system_a", "vendor_a", "system_b", "vendor_b"]);
+        const slotB = await qdl.getSuperMetadata("b");
+        expect(slotB.partitions.map(({ name }) => name)).toContain("product_b");
+      });
+
+      test("getSuperMetadata falls back to the backup metadata", async () => {
+        // primary geometry and slot B metadata
+        device.disk(lun).write(superStart + 1n, new Uint8Array(4096));
+        device.disk(lun).write(superStart + 4n, new Uint8Array(4096));
+        const slotB = await qdl.getSuperMetadata("b");
+        expect(slotB.partitions.map(({ name }) => name)).toContain("product_b");
+      });
+
+      test("flashLogicalPartition writes across extents", async () => {
+        const image = new Uint8Array(160 * 1024).map((_, i) => (i * 7) & 0xFF);
+        /** @type {number[]} */
+        const progress = [];
+        expect(await qdl.flashLogicalPartition("system_a", new Blob([image]), (bytes) => progress.push(bytes))).toBe(true);
+        expect(device.disk(lun).read(superStart + 256n, 32)).toEqual(image.subarray(0, 128 * 1024));
+        expect(device.disk(lun).read(superStart + 768n, 8)).toEqual(image.subarray(128 * 1024));
+        expect(progress.at(-1)).toBe(image.byteLength);
+        // the GPT partition of the same name is untouched
+        const [, systemLun, system] = await qdl.detectPartition("system_a");
+        expect(device.disk(systemLun).read(system.start, 1)).toEqual(new Uint8Array(4096));
+      });
+
+      test("flashLogicalPartition verifies each extent", async () => {
+        device.commands.length = 0;
+        qdl.verifyAfterFlash = true;
+        expect(await qdl.flashLogicalPartition("system_a", new Blob([new Uint8Array(160 * 1024).fill(0x3C)]))).toBe(true);
+        const digests = device.commands.filter(({ tag }) => tag === "getsha256digest");
+        expect(digests.map(({ attributes }) => BigInt(attributes.start_sector))).toEqual([superStart + 256n, superStart + 768n]);
+      });
+
+      test("flashLogicalPartition writes a sparse image", async () => {
+        const raw = new Uint8Array(await Bun.file("./test/fixtures/raw.img").arrayBuffer());
+        device.disk(lun).write(superStart + 1024n + 20n, new Uint8Array(4096).fill(0xFF));
+        expect(await qdl.flashLogicalPartition("system_b", Bun.file("./test/fixtures/sparse.img"))).toBe(true);
+        const extent = device.disk(lun).read(superStart + 1024n, 64);
+        expect(extent.subarray(0, raw.byteLength)).toEqual(raw);
+        expect(extent.subarray(raw.byteLength)).toEqual(new Uint8Array(64 * 4096 - raw.byteLength));
+      });
+
+      test("flashBlob falls back to logical partitions", async () => {
+        const image = new Uint8Array(4096 + 10).fill(0x5A);
+        expect(await qdl.flashBlob("vendor_b", new Blob([image]))).toBe(true);
+        expect(device.disk(lun).read(superStart + 1280n, 2).subarray(0, image.byteLength)).toEqual(image);
+        await expect(qdl.flashBlob("product_a", new Blob([image]))).rejects.toBe("Can't find partition product_a");
+      });
+
+      test("flashLogicalPartition refuses an image larger than the partition", async () => {
+        device.commands.length = 0;
+        expect(await qdl.flashLogicalPartition("vendor_a", new Blob([new Uint8Array(64 * 1024 + 1)]))).toBe(false);
+        expect(device.commands.filter(({ tag }) => tag === "program" || tag === "erase")).toEqual([]);
+      });
+    });
+
+    test("flashBlob rejects NAK", async () => {
+      device.injectFault("program", "nak");
+      expect(await qdl.flashBlob("boot_b", new Blob([new Uint8Array(4096)]))).toBe(false);
+    });
+
+    test("reset to EDL reconnects", async () => {
+      await qdl.flashBlob("boot_b", new Blob([new Uint8Array(4096).fill(1)]));
+      expect(await qdl.reset({ mode: "edl", timeout: 1000 })).toBe(true);
+      expect(qdl.mode).toBe("firehose");
+      expect(device.commands.filter(({ tag }) => tag === "configure").length).toBe(2);
+      const [, lun, partition] = await qdl.detectPartition("boot_b");
+      expect(await qdl.firehose.cmdReadBuffer(lun, partition.start, 1)).toEqual(new Uint8Array(4096).fill(1));
+    });
+
+    test("waitForDevice times out after reset", async () => {
+      await qdl.reset();
+      await expect(qdl.waitForDevice({ timeout: 100 })).rejects.toBeInstanceOf(TimeoutError);
+    });
+
+    test("setActiveSlot", async () => {
+      expect(await qdl.getActiveSlot()).toBe("a");
+      await qdl.setActiveSlot("b");
+      expect(await qdl.getActiveSlot()).toBe("b");
+      expect(device.bootLun).toBe(2);
+    });
+
+    describe("with slot B active", () => {
+      // swap the A/B flags of each pair of slotted partitions
+      const luns = DEFAULT_LAYOUT.map((layout) => ({
+        ...layout,
+        partitions: layout.partitions.map((partition) => {
+          const other = partition.name.replace(/_([ab])$/, (_, slot) => (slot === "a" ? "_b" : "_a"));
+          return { ...partition, attributes: layout.partitions.find(({ name }) => name === other)?.attributes };
+        }),
+      }));
+
+      beforeEach(async () => {
+        device = new FakeEdlDevice({ luns });
+        qdl = new qdlDevice(createFakeLoader());
+        await qdl.connect(device);
+      });
+
+      test("getActiveSlot skips LUNs without an active slot", async () => {
+        expect(await qdl.getActiveSlot()).toBe("b");
+        await qdl.setActiveSlot("a");
+        expect(await qdl.getActiveSlot()).toBe("a");
+      });
+
+      test("resolvePartitionNames and erase follow slot B", async () => {
+        expect(await qdl.resolvePartitionNames("boot", "active")).toEqual(["boot_b"]);
+        expect(await qdl.resolvePartitionNames("boot", "inactive")).toEqual(["boot_a"]);
+
+        const [, lun, boot_b] = await qdl.detectPartition("boot_b");
+        device.disk(lun).write(boot_b.start, new Uint8Array(4096).fill(0xFF));
+        expect(await qdl.erase("boot", "inactive")).toBe(true);
+        expect(device.disk(lun).read(boot_b.start, 1).every((byte) => byte === 0xFF)).toBe(true);
+      });
+
+      test("flashZip targets slot B, or slot A when inactive", async () => {
+        const archive = await ZipArchive.open(Bun.file("./test/fixtures/images.zip"));
+        const raw = new Uint8Array(await Bun.file("./test/fixtures/raw.img").arrayBuffer());
+        const [, lun, boot_a] = await qdl.detectPartition("boot_a");
+        const [, , boot_b] = await qdl.detectPartition("boot_b");
+
+        /** @type {string[]} */
+        let plan = [];
+        expect(await qdl.flashZip(archive, { onPlan: (images) => { plan = images.map(({ partition }) => partition); } })).toBe(true);
+        expect(plan).toEqual(["boot_b", "system_b", "misc"]);
+        expect(device.disk(lun).read(boot_b.start, raw.byteLength / 4096)).toEqual(raw);
+        expect(device.disk(lun).read(boot_a.start, raw.byteLength / 4096)).toEqual(new Uint8Array(raw.byteLength));
+
+        expect(await qdl.flashZip(archive, { inactiveSlot: true, onPlan: (images) => { plan = images.map(({ partition }) => partition); } })).toBe(true);
+        expect(plan).toEqual(["boot_a", "system_a", "misc"]);
+        expect(device.disk(lun).read(boot_a.start, raw.byteLength / 4096)).toEqual(raw);
+      });
+
+      test("flashPayload writes slot A and activates it", async () => {
+        const payload = await Payload.open(Bun.file("./test/fixtures/payload.bin"));
+        expect(await qdl.flashPayload(payload, { inactiveSlot: true })).toBe(true);
+
+        for (const update of payload.partitions) {
+          /** @type {Uint8Array[]} */
+          const chunks = [];
+          await payload.extract(update, { write: (chunk) => chunks.push(chunk.slice()), end: () => undefined });
+          const image = new Uint8Array(await new Blob(chunks).arrayBuffer());
+          const [, lun, partition] = await qdl.detectPartition(`${update.name}_a`);
+          expect(device.disk(lun).read(partition.start, Math.ceil(image.byteLength / 4096)).subarray(0, image.byteLength)).toEqual(image);
+        }
+        expect(await qdl.getActiveSlot()).toBe("a");
+      });
+    });
+
+    test("getSlotInfo reports the flags of slotted partitions", async () => {
+      const info = await qdl.getSlotInfo();
+      expect(info.map(({ partition }) => partition)).toContain("xbl_config_b");
+      expect(info.find(({ partition }) => partition === "boot_a")).toEqual({
+        lun: 4, partition: "boot_a", slot: "a", active: true, successful: true, unbootable: false, triesRemaining: 0,
+      });
+    });
+
+    test("markSlotUnbootable, setSlotRetries and markSlotSuccessful", async () => {
+      await qdl.markSlotUnbootable("a");
+      await qdl.setSlotRetries("b", 3);
+      const flags = (name) => qdl.getGpt(4).then((gpt) => gpt.getSlotInfo().find(({ partition }) => partition === name));
+      expect(await flags("boot_a")).toMatchObject({ active: true, successful: false, unbootable: true });
+      expect(await flags("boot_b")).toMatchObject({ active: false, triesRemaining: 3 });
+      // both copies are updated
+      const backup = await qdl.getGpt(4, (await qdl.getGpt(4, 1n)).alternateLba);
+      expect(backup.getSlotInfo().find(({ partition }) => partition === "system_a")).toMatchObject({ unbootable: true });
+
+      await qdl.markSlotSuccessful("a");
+      expect(await flags("boot_a")).toMatchObject({ successful: true, unbootable: false });
+      await expect(qdl.setSlotRetries("b", 8)).rejects.toThrow("Invalid number of tries");
+    });
+
+    test("setSlotFlags checks every flag before writing the GPTs once", async () => {
+      device.commands.length = 0;
+      await expect(qdl.setSlotFlags("b", { successful: true, triesRemaining: 99 })).rejects.toThrow(ValidationError);
+      await expect(qdl.setSlotFlags("c", { successful: true })).rejects.toThrow(ValidationError);
+      expect(device.commands.filter(({ tag }) => tag === "program")).toEqual([]);
+
+      expect(await qdl.setSlotFlags("b", { successful: false, unbootable: true, triesRemaining: 5 })).toBe(true);
+      const boot_b = (await qdl.getSlotInfo()).find(({ partition }) => partition === "boot_b");
+      expect(boot_b).toMatchObject({ successful: false, unbootable: true, triesRemaining: 5 });
+      // entries and header of both copies on every LUN
+      expect(device.commands.filter(({ tag }) => tag === "program")).toHaveLength(4 * qdl.firehose.luns.length);
+    });
+
+    test("setBootloaderMessage keeps the rest of misc", async () => {
+      const [, lun, misc] = await qdl.detectPartition("misc");
+      const existing = new Uint8Array(4096).fill(0xAB);
+      device.disk(lun).write(misc.start, existing);
+
+      expect(await qdl.setBootloaderMessage({ command: "boot-recovery", recovery: ["recovery", "--wipe_data"] })).toBe(true);
+      expect(await qdl.getBootloaderMessage()).toEqual({ command: "boot-recovery", status: "", recovery: ["recovery", "--wipe_data"], stage: "" });
+      expect(device.disk(lun).read(misc.start, 1).subarray(2048)).toEqual(existing.subarray(2048));
+
+      expect(await qdl.setBootloaderMessage({})).toBe(true);
+      expect((await qdl.getBootloaderMessage()).command).toBe("");
+    });
+
+    test("getVirtualAbMessage", async () => {
+      expect(await qdl.getVirtualAbMessage()).toBeNull();
+      const [, lun, misc] = await qdl.detectPartition("misc");
+      const message = new Uint8Array(64);
+      // version 2, magic, merging, from slot B
+      message.set([2, 0xB0, 0x0A, 0x74, 0x56, 3, 1]);
+      device.disk(lun).write(misc.start + 8n, message);
+      expect(await qdl.getVirtualAbMessage()).toEqual({ version: 2, mergeStatus: 3, sourceSlot: 1 });
+    });
+
+    test("writeGpt repartitions a LUN", async () => {
+      const gpt = GPT.create(4096, device.disk(5).totalSectors);
+      gpt.addPartition({ name: "modemst1", size: 512 * 4096 });
+      gpt.addPartition({ name: "userdata", type: "0fc63daf-8483-4772-8e79-3d69d8477de4" });
+      await qdl.writeGpt(5, gpt);
+
+      const written = await qdl.getGpt(5);
+      expect(written.getPartitions().map(({ name, start, end }) => ({ name, start, end }))).toEqual([
+        { name: "modemst1", start: 6n, end: 517n },
+        { name: "userdata", start: 518n, end: 4090n },
+      ]);
+      const backup = await qdl.getGpt(5, written.alternateLba);
+      expect(backup.partEntriesCrc32).toBe(written.partEntriesCrc32);
+      expect(new DataView(device.disk(5).read(0, 1).buffer).getUint16(510, true)).toBe(0xAA55);
+    });
+
+    describe("healGpt", () => {
+      test("healthy GPT is left alone", async () => {
+        expect(await qdl.healGpt(4)).toMatchObject({ source: null, target: null, writes: [] });
+      });
+
+      test("restores the primary GPT from the backup", async () => {
+        const expected = device.disk(4).read(1, 5);
+        device.disk(4).write(1, new Uint8Array(4096));
+
+        const dryRun = await qdl.healGpt(4, { dryRun: true });
+        expect(dryRun).toEqual({
+          lun: 4,
+          source: "backup",
+          target: "primary",
+          dryRun: true,
+          writes: [
+            { sector: 2n, sectors: 4, description: "primary partition entries" },
+            { sector: 1n, sectors: 1, description: "primary GPT header" },
+          ],
+        });
+        expect(device.disk(4).read(1, 1).every((byte) => byte === 0)).toBe(true);
+
+        await qdl.healGpt(4);
+        expect(device.disk(4).read(1, 5)).toEqual(expected);
+      });
+
+      test("restores the backup GPT from the primary", async () => {
+        const { totalSectors } = device.disk(4);
+        device.disk(4).write(totalSectors - 3, new Uint8Array(4096).fill(0xFF));
+        const report = await qdl.healGpt(4);
+        expect(report).toMatchObject({ source: "primary", target: "backup" });
+        expect(report.writes.map(({ sector }) => sector)).toEqual([BigInt(totalSectors - 5), BigInt(totalSectors - 1)]);
+        expect(await qdl.healGpt(4)).toMatchObject({ target: null });
+      });
+
+      test("prefers a copy when both are intact but differ", async () => {
+        const primary = await qdl.getGpt(4, 1n);
+        primary.setActiveSlot("b");
+        const partEntries = primary.buildPartEntries();
+        await qdl.firehose.cmdProgram(4, primary.partEntriesStartLba, new Blob([partEntries]));
+        await qdl.firehose.cmdProgram(4, 1n, new Blob([primary.buildHeader(partEntries)]));
+
+        expect((await qdl.getGpt(4, 1n)).getActiveSlot()).toBe("b");
+        expect(await qdl.healGpt(4, { prefer: "backup" })).toMatchObject({ source: "backup", target: "primary" });
+        expect((await qdl.getGpt(4, 1n)).getActiveSlot()).toBe("a");
+      });
+
+      test("fails when both copies are damaged", async () => {
+        device.disk(4).write(1, new Uint8Array(4096));
+        device.disk(4).write(device.disk(4).totalSectors - 1, new Uint8Array(4096));
+        await expect(qdl.healGpt(4)).rejects.toThrow("cannot recover");
+      });
+    });
+
+    describe("findGpt", () => {
+      test("finds the backup at the end of the LUN without the primary", async () => {
+        const { totalSectors } = device.disk(4);
+        const expected = (await qdl.getGpt(4, 1n)).getPartitions();
+        device.disk(4).write(1, new Uint8Array(4096));
+
+        const { primary, backup } = await qdl.findGpt(4);
+        expect(primary).toBeNull();
+        expect(backup?.currentLba).toBe(BigInt(totalSectors - 1));
+        expect((await qdl.getGpt(4)).getPartitions()).toEqual(expected);
+      });
+
+      test("scans for a backup that isn't in the last sector", async () => {
+        const { totalSectors } = device.disk(4);
+        device.disk(4).write(1, new Uint8Array(4096));
+        device.disk(4).write(totalSectors - 1, new Uint8Array(4096));
+
+        const gpt = GPT.create(4096, totalSectors - 10);
+        gpt.addPartition({ name: "data", size: 1024 * 1024 });
+        const backup = gpt.asAlternate();
+        const partEntries = backup.buildPartEntries();
+        await qdl.firehose.cmdProgram(4, backup.partEntriesStartLba, new Blob([partEntries]));
+        await qdl.firehose.cmdProgram(4, backup.currentLba, new Blob([backup.buildHeader(partEntries)]));
+
+        const found = await qdl.findGpt(4);
+        expect(found.backup?.currentLba).toBe(BigInt(totalSectors - 11));
+        expect(found.backup?.getPartitions().map(({ name }) => name)).toEqual(["data"]);
+
+        expect(await qdl.healGpt(4)).toMatchObject({ source: "backup", target: "primary" });
+        expect((await qdl.getGpt(4, 1n)).alternateLba).toBe(BigInt(totalSectors - 11));
+      });
+    });
+
+    describe("backup", () => {
+      /** @type {Map<string, Uint8Array[]>} */
+      let files;
+      const openFile = (file) => {
+        const chunks = [];
+        files.set(file, chunks);
+        return { write: (chunk) => { chunks.push(chunk.slice()); }, end: () => undefined };
+      };
+      const getFile = (file) => new Blob(files.get(file));
+
+      beforeEach(() => {
+        files = new Map();
+      });
+
+      test("saves the GPTs and matching partitions with their hashes", async () => {
+        const [, , modemst1] = await qdl.detectPartition("modemst1");
+        device.disk(5).write(modemst1.start, new Uint8Array(4096).fill(0x5A));
+        const onProgress = mock();
+        const manifest = await qdl.backup(openFile, { partitions: ["misc", "modemst*", "fsg"], onProgress });
+
+        expect(manifest).toMatchObject({ version: 1, sectorSize: 4096 });
+        expect(manifest.images.map(({ file }) => file)).toEqual([
+          ...qdl.firehose.luns.flatMap((lun) => [`gpt_main${lun}.bin`, `gpt_backup${lun}.bin`]),
+          "misc.img", "modemst1.img", "modemst2.img", "fsg.img",
+        ]);
+        const { totalSectors } = device.disk(4);
+        expect(manifest.images.find(({ file }) => file === "gpt_main4.bin")).toMatchObject({ lun: 4, partition: null, start: 0, sectors: 6 });
+        expect(manifest.images.find(({ file }) => file === "gpt_backup4.bin")).toMatchObject({ start: totalSectors - 5, sectors: 5 });
+        expect(manifest.images.find(({ file }) => file === "modemst1.img")).toMatchObject({ lun: 5, partition: "modemst1", start: Number(modemst1.start), sectors: 512 });
+
+        for (const image of manifest.images) {
+          const data = new Uint8Array(await getFile(image.file).arrayBuffer());
+          expect(data.byteLength).toBe(image.sectors * 4096);
+          expect(image.sha256).toBe(toHex(new Uint8Array(await crypto.subtle.digest("SHA-256", data))));
+        }
+        expect(files.get("modemst1.img")[0].subarray(0, 4096).every((byte) => byte === 0x5A)).toBe(true);
+        const total = manifest.images.reduce((sum, { sectors }) => sum + sectors, 0) * 4096;
+        expect(onProgress).toHaveBeenLastCalledWith(total);
+      });
+
+      test("refuses patterns that match nothing", async () => {
+        await expect(qdl.backup(openFile, { partitions: ["nothing*"] })).rejects.toThrow("No partitions match nothing*");
+        expect(files.size).toBe(0);
+      });
+
+      test("restore rewrites the GPTs and partitions", async () => {
+        const [, , modemst1] = await qdl.detectPartition("modemst1");
+        device.disk(5).write(modemst1.start, new Uint8Array(4096).fill(0x5A));
+        const manifest = await qdl.backup(openFile, { partitions: ["modemst*"] });
+        const expected = device.disk(4).read(0, 6);
+
+        device.disk(4).write(1, new Uint8Array(4096));
+        device.disk(5).write(modemst1.start, new Uint8Array(4096).fill(0xFF));
+        expect(await qdl.restore(manifest, getFile)).toBe(true);
+
+        expect(device.disk(4).read(0, 6)).toEqual(expected);
+        expect(device.disk(5).read(modemst1.start, 1).every((byte) => byte === 0x5A)).toBe(true);
+        expect(await qdl.healGpt(4)).toMatchObject({ target: null });
+      });
+
+      test("restore refuses a LUN of a different size", async () => {
+        const manifest = await qdl.backup(openFile, { partitions: ["fsg"] });
+        const luns = DEFAULT_LAYOUT.map((layout, i) => (i === 5 ? { ...layout, totalSectors: 8192 } : layout));
+        device = new FakeEdlDevice({ luns });
+        qdl = new qdlDevice(createFakeLoader());
+        await qdl.connect(device);
+        device.commands.length = 0;
+
+        await expect(qdl.restore(manifest, getFile)).rejects.toThrow("gpt_backup5.bin ends at sector 4095, but LUN 5 keeps its backup GPT at 8191");
+        expect(device.commands.filter(({ tag }) => tag === "program")).toEqual([]);
+      });
+
+      test("restore checks every hash before writing", async () => {
+        const manifest = await qdl.backup(openFile, { partitions: ["fsg"] });
+        device.disk(4).write(1, new Uint8Array(4096));
+        files.get("fsg.img")[0][0] ^= 1;
+
+        await expect(qdl.restore(manifest, getFile)).rejects.toThrow("fsg.img does not match its SHA-256");
+        expect(device.disk(4).read(1, 1).every((byte) => byte === 0)).toBe(true);
+        await expect(qdl.restore({ ...manifest, sectorSize: 512 }, getFile)).rejects.toThrow("512 byte sectors");
+      });
+    });
+
+    test("writeGpt checks the disk size", async () => {
+      await expect(qdl.writeGpt(5, GPT.create(4096, 8192))).rejects.toThrow("not 4096");
+      await expect(qdl.writeGpt(5, GPT.create(512, 32768))).rejects.toThrow("sector size");
+    });
+  });
+});
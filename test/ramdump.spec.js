@@ -0,0 +1,85 @@
+import { describe, expect, test } from "bun:test";
+
+import { FakeEdlDevice } from "../src/fake-device.js";
+import { ramdump, regionFileNames } from "../src/ramdump.js";
+
+/**
+ * @param {number} length
+ * @param {number} seed
+ * @returns {Uint8Array}
+ */
+const pattern = (length, seed) => Uint8Array.from({ length }, (_, i) => (i * 7 + seed) & 0xFF);
+
+const REGIONS = [
+  { description: "DDR CS0", filename: "DDRCS0.BIN", address: 0x80000000, data: pattern(0x28000, 1) },
+  { description: "OCIMEM", filename: "OCIMEM.BIN", address: 0x14680000, data: pattern(0x400, 2) },
+  { description: "CODERAM", filename: "", address: 0x0B000000, data: pattern(0x100, 3) },
+];
+
+/**
+ * Collect each region into memory, keyed by file name
+ *
+ * @param {Map<string, Uint8Array[]>} files
+ */
+const collect = (files) => ({ file }) => {
+  /** @type {Uint8Array[]} */
+  const chunks = [];
+  files.set(file, chunks);
+  return { write: (chunk) => { chunks.push(chunk); }, end: () => undefined };
+};
+
+/**
+ * @param {Uint8Array[]} chunks
+ * @returns {Uint8Array}
+ */
+const join = (chunks) => new Uint8Array(Buffer.concat(chunks));
+
+
+describe("ramdump", () => {
+  for (const memoryDebug64 of [false, true]) {
+    test(`dumps every region (${memoryDebug64 ? 64 : 32}-bit)`, async () => {
+      const device = new FakeEdlDevice({ memoryRegions: REGIONS, memoryDebug64 });
+      /** @type {Map<string, Uint8Array[]>} */
+      const files = new Map();
+      /** @type {number[]} */
+      const progress = [];
+      const regions = await ramdump(device, collect(files), { onProgress: (bytes) => progress.push(bytes) });
+
+      expect(regions.map(({ file, description, address, length }) => ({ file, description, address, length }))).toEqual([
+        { file: "DDRCS0.BIN", description: "DDR CS0", address: 0x80000000, length: 0x28000 },
+        { file: "OCIMEM.BIN", description: "OCIMEM", address: 0x14680000, length: 0x400 },
+        { file: "CODERAM.bin", description: "CODERAM", address: 0x0B000000, length: 0x100 },
+      ]);
+      regions.forEach(({ file }, i) => expect(join(files.get(file))).toEqual(REGIONS[i].data));
+      expect(progress.at(-1)).toBe(0x28000 + 0x400 + 0x100);
+
+      // the device reboots once the dump is collected
+      expect(device.memoryRegions).toBeNull();
+    });
+  }
+
+  test("can leave the device in memory debug mode", async () => {
+    const device = new FakeEdlDevice({ memoryRegions: REGIONS });
+    await ramdump(device, collect(new Map()), { reset: false });
+    expect(device.memoryRegions).not.toBeNull();
+    expect(device.connected).toBe(true);
+  });
+
+  test("refuses a device that didn't crash", async () => {
+    await expect(ramdump(new FakeEdlDevice(), collect(new Map()))).rejects.toThrow("not in memory debug mode");
+  });
+});
+
+
+describe("regionFileNames", () => {
+  test("sanitizes and deduplicates names", () => {
+    const region = { address: 0x1000, length: 16, savePref: 0 };
+    expect(regionFileNames([
+      { ...region, description: "DDR", filename: "DDR.BIN" },
+      { ...region, description: "DDR", filename: "ddr.bin" },
+      { ...region, description: "IPA DRAM", filename: "" },
+      { ...region, description: "", filename: "../etc/passwd" },
+      { ...region, description: "", filename: "" },
+    ])).toEqual(["DDR.BIN", "ddr_1.bin", "IPA_DRAM.bin", "__etc_passwd", "region_0x1000.bin"]);
+  });
+});